@@ -0,0 +1,397 @@
+/**
+ * Leviathan WebXR - Time Domain
+ * 
+ * The temporal extent of a dataset, in milliseconds since the epoch (UTC).
+ * Normalized time [0, 1] used by shaders and indices maps onto this span,
+ * so a 55-year archive and a 3-week tagging campaign both fill the timeline.
+ * 
+ * Built from meta.timeRange when present, otherwise scanned from the records.
+ */
+
+import { TIME_RANGE } from '../utils/Constants.js';
+
+const MS_PER_HOUR = 3600 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MS_PER_YEAR = 365.2425 * MS_PER_DAY;
+const MS_PER_MONTH = MS_PER_YEAR / 12;
+
+// Bucketing / labelling thresholds, coarsest unit first
+const TIME_UNITS = [
+  { unit: 'year', ms: MS_PER_YEAR, minBuckets: 5 },
+  { unit: 'month', ms: MS_PER_MONTH, minBuckets: 6 },
+  { unit: 'day', ms: MS_PER_DAY, minBuckets: 3 },
+  { unit: 'hour', ms: MS_PER_HOUR, minBuckets: 0 }
+];
+
+// Named record time precisions (timePrecision field)
+export const TIME_PRECISIONS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: MS_PER_HOUR,
+  day: MS_PER_DAY,
+  month: MS_PER_MONTH,
+  year: MS_PER_YEAR
+};
+
+// Upper bound on index buckets regardless of unit
+const MAX_BUCKETS = 240;
+
+const MONTH_NAMES = [
+  'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
+];
+
+export class TimeDomain {
+  /**
+   * Create time domain
+   * @param {number} start - Start time (ms since epoch)
+   * @param {number} end - End time (ms since epoch)
+   */
+  constructor(start, end) {
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error(`Invalid time domain: ${start} - ${end}`);
+    }
+    
+    this.start = start;
+    // Guard against zero-length spans (single-timestamp datasets)
+    this.end = end > start ? end : start + MS_PER_HOUR;
+  }
+  
+  /**
+   * Default domain from Constants.js (1994-2024)
+   * @returns {TimeDomain}
+   */
+  static default() {
+    return new TimeDomain(
+      Date.UTC(TIME_RANGE.startYear, 0, 1),
+      Date.UTC(TIME_RANGE.endYear, 0, 1)
+    );
+  }
+  
+  /**
+   * Parse an absolute time value to milliseconds
+   * Accepts ISO 8601 strings, Date objects, years (2015) and epoch milliseconds.
+   * @param {string|number|Date} value
+   * @returns {number|null} Milliseconds, or null if not an absolute time
+   */
+  static parseTime(value) {
+    if (value instanceof Date) {
+      return Number.isFinite(value.getTime()) ? value.getTime() : null;
+    }
+    
+    if (typeof value === 'number') {
+      // Values in [0, 1] are normalized time, not absolute
+      if (!Number.isFinite(value) || (value >= 0 && value <= 1)) return null;
+      // Large values are epoch milliseconds, small ones years
+      return Math.abs(value) > 100000 ? value : TimeDomain.yearToMs(value);
+    }
+    
+    if (typeof value === 'string' && value.length > 0) {
+      // Bare years ("2015") would otherwise parse as UTC midnight anyway,
+      // but "2015.5" would not
+      if (/^\d{4}(\.\d+)?$/.test(value.trim())) {
+        return TimeDomain.yearToMs(parseFloat(value));
+      }
+      const ms = Date.parse(value);
+      return Number.isFinite(ms) ? ms : null;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Absolute time of a raw record, or null if it has none
+   * @param {Object} record - Raw record (time or year field)
+   * @returns {number|null}
+   */
+  static recordTime(record) {
+    if (record.time !== undefined && record.time !== null && record.time !== '') {
+      return TimeDomain.parseTime(record.time);
+    }
+    if (record.year !== undefined && record.year !== null) {
+      return TimeDomain.yearToMs(Number(record.year));
+    }
+    return null;
+  }
+  
+  /**
+   * How precisely a raw record's time is known
+   * Taken from timePrecision (a unit name from TIME_PRECISIONS, or seconds);
+   * otherwise inferred from how the time was written: a whole year or
+   * "2015" → year, "2015-07" → month, "2015-07-14" → day.
+   * Full timestamps are taken as exact.
+   * @param {Object} record - Raw record
+   * @returns {number|null} Width of the window the true time lies in (ms), or null if exact/unknown
+   */
+  static recordPrecision(record) {
+    const declared = record.timePrecision;
+    if (declared !== undefined && declared !== null && declared !== '') {
+      const named = typeof declared === 'string' ? TIME_PRECISIONS[declared.trim().toLowerCase()] : undefined;
+      if (named !== undefined) return named;
+      
+      const seconds = Number(declared);
+      return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+    }
+    
+    const value = record.time !== undefined && record.time !== null && record.time !== '' ? record.time : record.year;
+    
+    if (typeof value === 'number') {
+      // Whole years (but not normalized times or epoch milliseconds)
+      return Number.isInteger(value) && value > 1 && value <= 100000 ? MS_PER_YEAR : null;
+    }
+    
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (/^\d{4}$/.test(text)) return MS_PER_YEAR;
+      if (/^\d{4}-\d{2}$/.test(text)) return MS_PER_MONTH;
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return MS_PER_DAY;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build from dataset meta.timeRange ([start, end] as ISO strings or years)
+   * @param {Object} meta
+   * @returns {TimeDomain|null} Null if meta has no usable time range
+   */
+  static fromMeta(meta = {}) {
+    if (meta.timeDomain) {
+      return TimeDomain.fromJSON(meta.timeDomain);
+    }
+    
+    const range = meta.timeRange;
+    if (!Array.isArray(range) || range.length < 2) return null;
+    
+    const start = TimeDomain.parseTime(range[0]);
+    const end = TimeDomain.parseTime(range[1]);
+    if (start === null || end === null) return null;
+    
+    return new TimeDomain(start, end);
+  }
+  
+  /**
+   * Build by scanning record times for min/max
+   * @param {Object[]} records - Raw records
+   * @returns {TimeDomain|null} Null if no record has an absolute time
+   */
+  static fromRecords(records) {
+    let min = Infinity;
+    let max = -Infinity;
+    
+    for (const record of records) {
+      const ms = TimeDomain.recordTime(record);
+      if (ms === null) continue;
+      if (ms < min) min = ms;
+      if (ms > max) max = ms;
+    }
+    
+    return Number.isFinite(min) ? new TimeDomain(min, max) : null;
+  }
+  
+  /**
+   * Resolve a dataset's domain: meta first, then records, then the default
+   * @param {Object} meta
+   * @param {Object[]} records
+   * @returns {TimeDomain}
+   */
+  static resolve(meta, records = []) {
+    const domain = TimeDomain.fromMeta(meta) || TimeDomain.fromRecords(records);
+    
+    if (!domain) {
+      console.warn('No time range in meta or records - using default time domain');
+      return TimeDomain.default();
+    }
+    
+    return domain;
+  }
+  
+  /**
+   * Restore from a plain object ({start, end} in ms)
+   * @param {Object} json
+   * @returns {TimeDomain}
+   */
+  static fromJSON(json) {
+    return new TimeDomain(json.start, json.end);
+  }
+  
+  /**
+   * Convert a (fractional) year to milliseconds
+   * @param {number} year
+   * @returns {number}
+   */
+  static yearToMs(year) {
+    const whole = Math.floor(year);
+    const yearStart = Date.UTC(whole, 0, 1);
+    return yearStart + (year - whole) * (Date.UTC(whole + 1, 0, 1) - yearStart);
+  }
+  
+  /**
+   * Convert milliseconds to a fractional year
+   * @param {number} ms
+   * @returns {number}
+   */
+  static msToYear(ms) {
+    const whole = new Date(ms).getUTCFullYear();
+    const yearStart = Date.UTC(whole, 0, 1);
+    return whole + (ms - yearStart) / (Date.UTC(whole + 1, 0, 1) - yearStart);
+  }
+  
+  /**
+   * Span in milliseconds
+   * @returns {number}
+   */
+  getSpan() {
+    return this.end - this.start;
+  }
+  
+  /**
+   * Span in (mean) years
+   * @returns {number}
+   */
+  getYears() {
+    return this.getSpan() / MS_PER_YEAR;
+  }
+  
+  /**
+   * First and last calendar years the domain touches
+   * @returns {number[]} [startYear, endYear]
+   */
+  getYearRange() {
+    return [new Date(this.start).getUTCFullYear(), new Date(this.end - 1).getUTCFullYear()];
+  }
+  
+  /**
+   * Phase of the year a time falls at
+   * @param {number} ms
+   * @returns {number} [0, 1), 0 = 1 Jan 00:00 UTC
+   */
+  static yearPhase(ms) {
+    const year = TimeDomain.msToYear(ms);
+    return year - Math.floor(year);
+  }
+  
+  /**
+   * Day-of-year label for a phase of the year: "15 Jun"
+   * Read off a non-leap year, so it is at most a day out in leap years.
+   * @param {number} phase - [0, 1)
+   * @returns {string}
+   */
+  static formatYearPhase(phase) {
+    const date = new Date(Date.UTC(2001, 0, 1) + (phase - Math.floor(phase)) * 365 * MS_PER_DAY);
+    return `${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth()]}`;
+  }
+  
+  /**
+   * Normalize an absolute time to [0, 1] (unclamped)
+   * @param {number} ms
+   * @returns {number}
+   */
+  normalize(ms) {
+    return (ms - this.start) / (this.end - this.start);
+  }
+  
+  /**
+   * Convert normalized time back to milliseconds
+   * @param {number} t - Normalized time
+   * @returns {number}
+   */
+  denormalize(t) {
+    return this.start + t * (this.end - this.start);
+  }
+  
+  /**
+   * Normalized time of a raw record
+   * Numeric times in [0, 1] are taken as already normalized; records
+   * without any time get a random one (synthetic fallback).
+   * @param {Object} record - Raw record
+   * @returns {number} Normalized time, clamped to [0, 1]
+   */
+  normalizeRecord(record) {
+    let t;
+    
+    if (typeof record.time === 'number' && record.time >= 0 && record.time <= 1) {
+      t = record.time;
+    } else {
+      const ms = TimeDomain.recordTime(record);
+      t = ms === null ? Math.random() : this.normalize(ms);
+    }
+    
+    return Math.max(0, Math.min(1, t));
+  }
+  
+  /**
+   * Natural bucketing for indices and LOD aggregation
+   * Picks the coarsest calendar unit that still gives several buckets.
+   * @returns {{unit: string, count: number}}
+   */
+  getBuckets() {
+    const span = this.getSpan();
+    const choice = TIME_UNITS.find(u => span / u.ms >= u.minBuckets);
+    const count = Math.round(span / choice.ms);
+    
+    return {
+      unit: choice.unit,
+      count: Math.max(1, Math.min(MAX_BUCKETS, count))
+    };
+  }
+  
+  /**
+   * Human-readable label for a normalized time
+   * Resolution follows the span: "Jun 2015", "15 Jun 2015" or "15 Jun 14:00".
+   * @param {number} t - Normalized time
+   * @returns {string}
+   */
+  format(t) {
+    const date = new Date(this.denormalize(t));
+    const { unit } = this.getBuckets();
+    
+    const day = date.getUTCDate();
+    const month = MONTH_NAMES[date.getUTCMonth()];
+    const year = date.getUTCFullYear();
+    
+    if (unit === 'year') {
+      return `${month} ${year}`;
+    }
+    if (unit === 'month') {
+      return `${day} ${month} ${year}`;
+    }
+    
+    const hours = String(date.getUTCHours()).padStart(2, '0');
+    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+    return `${day} ${month} ${hours}:${minutes}`;
+  }
+  
+  /**
+   * Human-readable label for a normalized time range
+   * @param {number} t0
+   * @param {number} t1
+   * @returns {string}
+   */
+  formatRange(t0, t1) {
+    if (this.getBuckets().unit === 'year') {
+      // Whole years read better at archive scale
+      const startYear = new Date(this.denormalize(t0)).getUTCFullYear();
+      const endYear = new Date(this.denormalize(t1)).getUTCFullYear();
+      return startYear === endYear ? `${startYear}` : `${startYear} - ${endYear}`;
+    }
+    
+    return `${this.format(t0)} - ${this.format(t1)}`;
+  }
+  
+  /**
+   * Meta.timeRange form (ISO strings)
+   * @returns {string[]}
+   */
+  toRange() {
+    return [new Date(this.start).toISOString(), new Date(this.end).toISOString()];
+  }
+  
+  /**
+   * Plain object form, safe to store in processed meta
+   * @returns {{start: number, end: number}}
+   */
+  toJSON() {
+    return { start: this.start, end: this.end };
+  }
+}
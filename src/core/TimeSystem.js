@@ -1,12 +1,21 @@
 /**
  * Leviathan WebXR - Time System
  * 
- * Global temporal controller for the 30-year whale dataset.
- * Time is normalized to [0, 1] representing the full time span.
+ * Global temporal controller for the loaded dataset.
+ * Time is normalized to [0, 1] representing the dataset's TimeDomain.
  * Provides smooth interpolation and shader uniforms.
+ * 
+ * Seasonal fold: the current time becomes a phase of the year (0 = 1 Jan,
+ * 1 = 31 Dec) and every year at that phase is on show together, so all
+ * Januaries of a 30-year archive are read at once. Scrubbing wraps from
+ * December into January. Record times stay normalized to the domain; the
+ * phase of each is worked out on the fly (getPhase, and the same formula in
+ * the instance shader), using the mean year length, so it is within a
+ * day of the calendar over the leap year cycle.
  */
 
-import { TIME_RANGE, TIME_DEFAULTS } from '../utils/Constants.js';
+import { TIME_DEFAULTS, SEASONAL } from '../utils/Constants.js';
+import { TimeDomain } from './TimeDomain.js';
 import { clamp, expSmooth } from '../utils/MathUtils.js';
 
 export class TimeSystem {
@@ -23,6 +32,17 @@ export class TimeSystem {
     // Smoothing factor for interpolation
     this.smoothingFactor = TIME_DEFAULTS.smoothingFactor;
     
+    // Absolute time span that [0, 1] maps onto
+    this.timeDomain = TimeDomain.default();
+    
+    // Seasonal fold: time is a phase of the year (see header)
+    this.seasonal = false;
+    this.colorByYear = false;
+    
+    // Restored when the fold is left: time window and the year to return to
+    this.linearWindow = this.timeWindow;
+    this.foldYear = null;
+    
     // Playback state (for optional auto-play)
     this.playing = false;
     this.playbackSpeed = 0.01; // Time units per second
@@ -34,13 +54,52 @@ export class TimeSystem {
     this._uniforms = {
       uTime: { value: this.currentTime },
       uTimeWindow: { value: this.timeWindow },
-      uTimeRange: { value: [0.0, 1.0] }
+      uTimeRange: { value: [0.0, 1.0] },
+      // Seasonal fold: on/off, domain span in years, phase of the year it
+      // starts at, color by year, and the last year (counted from the first)
+      uSeasonal: { value: 0.0 },
+      uYearsPerSpan: { value: this.timeDomain.getYears() },
+      uStartPhase: { value: TimeDomain.yearPhase(this.timeDomain.start) },
+      uColorByYear: { value: 0.0 },
+      uLastYear: { value: 1.0 }
     };
+    this._updateFoldUniforms();
+  }
+  
+  /**
+   * Set the dataset time domain
+   * A seasonal fold is left if the new domain is too short to fold.
+   * @param {TimeDomain} domain
+   */
+  setTimeDomain(domain) {
+    this.timeDomain = domain;
+    this._updateFoldUniforms();
+    
+    if (this.seasonal && !this.canFold()) {
+      console.warn(`Time span under ${SEASONAL.minYears} years - showing the timeline instead of the seasonal fold`);
+      this.setSeasonal(false);
+    }
+  }
+  
+  /**
+   * Get the dataset time domain
+   * @returns {TimeDomain}
+   */
+  getTimeDomain() {
+    return this.timeDomain;
+  }
+  
+  /**
+   * Get the time window radius
+   * @returns {number} Normalized time either side of the current time that is visible
+   */
+  getTimeWindow() {
+    return this.timeWindow;
   }
   
   /**
    * Set the target time directly
-   * @param {number} t - Normalized time [0, 1]
+   * @param {number} t - Normalized time [0, 1] (phase of the year when folded)
    */
   setTime(t) {
     this.targetTime = clamp(t, 0, 1);
@@ -48,10 +107,62 @@ export class TimeSystem {
   
   /**
    * Adjust time by a delta value
+   * When folded, scrubbing past December carries on into January.
    * @param {number} delta - Amount to add to current time
    */
   adjustTime(delta) {
-    this.targetTime = clamp(this.targetTime + delta, 0, 1);
+    this.targetTime = this.seasonal
+      ? TimeSystem._wrap(this.targetTime + delta)
+      : clamp(this.targetTime + delta, 0, 1);
+  }
+  
+  /**
+   * Whether the domain spans enough years to fold
+   * @returns {boolean}
+   */
+  canFold() {
+    return this.timeDomain.getYears() >= SEASONAL.minYears;
+  }
+  
+  /**
+   * Switch the seasonal fold on or off
+   * Folding keeps the day of year on show; unfolding returns to that day
+   * in the year that was on show before.
+   * @param {boolean} seasonal
+   * @param {boolean} colorByYear - Color points by year while folded
+   * @returns {boolean} Whether the fold is on (false if the domain is too short)
+   */
+  setSeasonal(seasonal, colorByYear = this.colorByYear) {
+    seasonal = seasonal && this.canFold();
+    this.colorByYear = colorByYear;
+    
+    if (seasonal && !this.seasonal) {
+      this.foldYear = Math.floor(this.getYear(this.targetTime));
+      this.linearWindow = this.timeWindow;
+      this.targetTime = this.getPhase(this.targetTime);
+      this.currentTime = this.getPhase(this.currentTime);
+      this.timeWindow = SEASONAL.timeWindow;
+    } else if (!seasonal && this.seasonal) {
+      const year = this.foldYear ?? Math.floor(this.getYear(TIME_DEFAULTS.initialTime));
+      this.targetTime = clamp(this.timeDomain.normalize(TimeDomain.yearToMs(year + this.targetTime)), 0, 1);
+      this.currentTime = this.targetTime;
+      this.timeWindow = this.linearWindow;
+    }
+    
+    this.seasonal = seasonal;
+    this._uniforms.uSeasonal.value = seasonal ? 1.0 : 0.0;
+    this._uniforms.uColorByYear.value = seasonal && colorByYear ? 1.0 : 0.0;
+    this._updateUniforms();
+    
+    return seasonal;
+  }
+  
+  /**
+   * Whether the seasonal fold is on
+   * @returns {boolean}
+   */
+  isSeasonal() {
+    return this.seasonal;
   }
   
   /**
@@ -69,7 +180,8 @@ export class TimeSystem {
   reset() {
     this.targetTime = TIME_DEFAULTS.initialTime;
     this.currentTime = TIME_DEFAULTS.initialTime;
-    this.timeWindow = TIME_DEFAULTS.timeWindow;
+    this.linearWindow = TIME_DEFAULTS.timeWindow;
+    this.timeWindow = this.seasonal ? SEASONAL.timeWindow : TIME_DEFAULTS.timeWindow;
     this.playing = false;
     this._updateUniforms();
   }
@@ -114,24 +226,33 @@ export class TimeSystem {
     
     // Smooth interpolation toward target
     const previousTime = this.currentTime;
-    this.currentTime = expSmooth(
-      this.currentTime,
-      this.targetTime,
-      this.smoothingFactor,
-      deltaTime
-    );
+    if (this.seasonal) {
+      // The short way round: 31 Dec to 1 Jan is a step, not a rewind
+      const delta = TimeSystem._wrapDelta(this.targetTime - this.currentTime);
+      this.currentTime = TimeSystem._wrap(
+        this.currentTime + expSmooth(0, delta, this.smoothingFactor, deltaTime)
+      );
+    } else {
+      this.currentTime = expSmooth(
+        this.currentTime,
+        this.targetTime,
+        this.smoothingFactor,
+        deltaTime
+      );
+    }
     
     // Snap if very close
-    if (Math.abs(this.currentTime - this.targetTime) < 0.0001) {
+    const remaining = this.currentTime - this.targetTime;
+    if (Math.abs(this.seasonal ? TimeSystem._wrapDelta(remaining) : remaining) < 0.0001) {
       this.currentTime = this.targetTime;
     }
     
     // Update uniforms
     this._updateUniforms();
     
-    // Fire callback if time changed significantly
+    // Fire callback if time changed significantly (no single year while folded)
     if (Math.abs(this.currentTime - previousTime) > 0.0001 && this.onTimeChange) {
-      this.onTimeChange(this.currentTime, this.getYear());
+      this.onTimeChange(this.currentTime, this.seasonal ? null : this.getYear());
     }
   }
   
@@ -144,6 +265,17 @@ export class TimeSystem {
     this._uniforms.uTimeWindow.value = this.timeWindow;
   }
   
+  /**
+   * Update the domain-dependent fold uniforms
+   * @private
+   */
+  _updateFoldUniforms() {
+    const [startYear, endYear] = this.timeDomain.getYearRange();
+    this._uniforms.uYearsPerSpan.value = this.timeDomain.getYears();
+    this._uniforms.uStartPhase.value = TimeDomain.yearPhase(this.timeDomain.start);
+    this._uniforms.uLastYear.value = Math.max(1, endYear - startYear);
+  }
+  
   /**
    * Get uniforms for shader material
    * @returns {Object} Uniforms object
@@ -169,12 +301,21 @@ export class TimeSystem {
   }
   
   /**
-   * Convert normalized time to year
+   * Convert normalized time to a Date
+   * @param {number} t - Normalized time (defaults to current)
+   * @returns {Date}
+   */
+  getDate(t = this.currentTime) {
+    return new Date(this.timeDomain.denormalize(t));
+  }
+  
+  /**
+   * Convert normalized time to (fractional) year
    * @param {number} t - Normalized time (defaults to current)
    * @returns {number} Year
    */
   getYear(t = this.currentTime) {
-    return TIME_RANGE.startYear + t * TIME_RANGE.spanYears;
+    return TimeDomain.msToYear(this.timeDomain.denormalize(t));
   }
   
   /**
@@ -183,26 +324,58 @@ export class TimeSystem {
    * @returns {number} Normalized time
    */
   yearToNormalized(year) {
-    return (year - TIME_RANGE.startYear) / TIME_RANGE.spanYears;
+    return this.timeDomain.normalize(TimeDomain.yearToMs(year));
   }
   
   /**
    * Get human-readable date string
-   * @param {number} t - Normalized time (defaults to current)
+   * Resolution adapts to the domain span (month for archives, hours for campaigns).
+   * When folded, the day of year with the years it covers: "15 Jun, 1994 - 2024".
+   * @param {number} t - Normalized time, or phase of the year when folded (defaults to current)
    * @returns {string}
    */
   getDateString(t = this.currentTime) {
-    const year = this.getYear(t);
-    const yearInt = Math.floor(year);
-    const monthFrac = (year - yearInt) * 12;
-    const month = Math.floor(monthFrac) + 1;
+    if (this.seasonal) {
+      const [startYear, endYear] = this.timeDomain.getYearRange();
+      return `${TimeDomain.formatYearPhase(t)}, ${startYear} - ${endYear}`;
+    }
+    return this.timeDomain.format(t);
+  }
+  
+  /**
+   * Phase of the year a normalized time falls at
+   * Same formula as the instance shader, so both agree on what is on show.
+   * @param {number} t - Normalized time
+   * @returns {number} [0, 1)
+   */
+  getPhase(t) {
+    return TimeSystem._wrap(this._uniforms.uStartPhase.value + t * this._uniforms.uYearsPerSpan.value);
+  }
+  
+  /**
+   * Normalized time ranges on show
+   * One around the current time, or one per year when folded.
+   * @returns {number[][]} [t0, t1] pairs in time order, clipped to [0, 1]
+   */
+  getVisibleRanges() {
+    if (!this.seasonal) {
+      return [[Math.max(0, this.currentTime - this.timeWindow), Math.min(1, this.currentTime + this.timeWindow)]];
+    }
+    
+    // Folded times are startPhase + t * years; those within the window of
+    // the current phase lie around each whole year plus that phase
+    const years = this._uniforms.uYearsPerSpan.value;
+    const startPhase = this._uniforms.uStartPhase.value;
+    const ranges = [];
     
-    const monthNames = [
-      'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-    ];
+    for (let year = -1; year <= Math.ceil(startPhase + years); year++) {
+      const centre = year + this.currentTime;
+      const t0 = Math.max(0, (centre - this.timeWindow - startPhase) / years);
+      const t1 = Math.min(1, (centre + this.timeWindow - startPhase) / years);
+      if (t1 > t0) ranges.push([t0, t1]);
+    }
     
-    return `${monthNames[month - 1]} ${yearInt}`;
+    return ranges;
   }
   
   /**
@@ -211,8 +384,7 @@ export class TimeSystem {
    * @returns {boolean}
    */
   isTimeVisible(t) {
-    const dist = Math.abs(t - this.currentTime);
-    return dist <= this.timeWindow;
+    return this._timeDistance(t) <= this.timeWindow;
   }
   
   /**
@@ -221,10 +393,38 @@ export class TimeSystem {
    * @returns {number} Visibility [0, 1]
    */
   getTimeVisibility(t) {
-    const dist = Math.abs(t - this.currentTime);
+    const dist = this._timeDistance(t);
     if (dist > this.timeWindow) return 0;
     return 1 - (dist / this.timeWindow);
   }
+  
+  /**
+   * Distance of a normalized time from the current time
+   * Wrap-aware when folded: 31 Dec and 1 Jan are a day apart.
+   * @private
+   */
+  _timeDistance(t) {
+    if (!this.seasonal) return Math.abs(t - this.currentTime);
+    
+    const dist = Math.abs(this.getPhase(t) - this.currentTime);
+    return Math.min(dist, 1 - dist);
+  }
+  
+  /**
+   * Wrap a value into [0, 1)
+   * @private
+   */
+  static _wrap(value) {
+    return value - Math.floor(value);
+  }
+  
+  /**
+   * Shortest signed difference between two phases, in [-0.5, 0.5)
+   * @private
+   */
+  static _wrapDelta(delta) {
+    return TimeSystem._wrap(delta + 0.5) - 0.5;
+  }
 }
 
 
@@ -0,0 +1,309 @@
+/**
+ * Leviathan WebXR - Attribute Columns
+ * 
+ * Extra per-record attributes (behaviour, platform, calves present,
+ * observer, ...) kept as typed columns next to positions and times, so
+ * the spatial grid, the inspect panel and the renderer's filters can use them.
+ * 
+ * Attributes are declared by name in meta.attributes:
+ *   { "behaviour": "categorical", "calves": "numeric",
+ *     "platform": { "type": "categorical", "categories": ["vessel", "aerial", "acoustic"] } }
+ * 
+ * Columns (processedData.attributes[name]):
+ *   categorical - {type, values: Uint16Array, categories: string[]}
+ *                 values are codes into categories; MISSING_CATEGORY = no value
+ *   numeric     - {type, values: Float32Array}; NaN = no value
+ * 
+ * Declared categories keep their codes (so separately processed chunks
+ * agree); values first seen in the data are appended in order of appearance.
+ * Booleans become 1/0 in numeric columns and "true"/"false" in categorical
+ * ones. Record fields that are not declared are not kept.
+ */
+
+/**
+ * Supported attribute types
+ */
+export const ATTRIBUTE_TYPES = ['categorical', 'numeric'];
+
+/**
+ * Code marking a record without a value in a categorical column
+ */
+export const MISSING_CATEGORY = 0xFFFF;
+
+/**
+ * Text read as booleans in numeric columns (case-insensitive)
+ */
+const BOOLEAN_TEXT = {
+  true: 1, false: 0,
+  yes: 1, no: 0,
+  y: 1, n: 0
+};
+
+export class AttributeColumns {
+  /**
+   * Create empty columns for a number of records
+   * @param {Object[]} declarations - From declarations()
+   * @param {number} count - Records
+   */
+  constructor(declarations, count) {
+    this.count = count;
+    this.columns = {};
+    
+    // name -> Map(category -> code), for categorical columns
+    this.lookups = {};
+    
+    for (const { name, type, categories } of declarations) {
+      if (type === 'categorical') {
+        this.columns[name] = {
+          type,
+          values: new Uint16Array(count).fill(MISSING_CATEGORY),
+          categories: [...categories]
+        };
+        this.lookups[name] = new Map(categories.map((category, code) => [category, code]));
+      } else {
+        this.columns[name] = { type, values: new Float32Array(count).fill(NaN) };
+      }
+    }
+  }
+  
+  /**
+   * Read the attribute declarations from dataset meta
+   * @param {Object} meta - Dataset meta
+   * @returns {Object[]} [{name, type, categories}] (empty if none are declared)
+   */
+  static declarations(meta = {}) {
+    const declared = meta.attributes;
+    if (!declared) return [];
+    
+    if (typeof declared !== 'object' || Array.isArray(declared)) {
+      throw new Error('meta.attributes must map attribute names to types');
+    }
+    
+    return Object.entries(declared).map(([name, spec]) => {
+      const { type, categories = [] } = typeof spec === 'string' ? { type: spec } : (spec || {});
+      
+      if (!ATTRIBUTE_TYPES.includes(type)) {
+        throw new Error(`Attribute "${name}" has unknown type "${type}" (use ${ATTRIBUTE_TYPES.join(' or ')})`);
+      }
+      
+      return { name, type, categories: type === 'categorical' ? categories.map(String) : [] };
+    });
+  }
+  
+  /**
+   * Names of the attributes declared in meta
+   * @param {Object} meta
+   * @returns {string[]}
+   */
+  static names(meta = {}) {
+    return AttributeColumns.declarations(meta).map(declaration => declaration.name);
+  }
+  
+  /**
+   * Create columns for the attributes declared in meta
+   * @param {Object} meta
+   * @param {number} count - Records
+   * @returns {AttributeColumns|null} null if meta declares no attributes
+   */
+  static fromMeta(meta, count) {
+    const declarations = AttributeColumns.declarations(meta);
+    return declarations.length > 0 ? new AttributeColumns(declarations, count) : null;
+  }
+  
+  /**
+   * Store a record's attribute values
+   * @param {number} i - Record index
+   * @param {Object} record - Raw record
+   */
+  write(i, record) {
+    for (const name in this.columns) {
+      const value = record[name];
+      if (value === undefined || value === null || value === '') continue;
+      
+      const column = this.columns[name];
+      column.values[i] = column.type === 'categorical'
+        ? this._code(name, value)
+        : AttributeColumns.toNumber(value);
+    }
+  }
+  
+  /**
+   * Get the finished columns
+   * @returns {Object} name -> column
+   */
+  toData() {
+    return this.columns;
+  }
+  
+  /**
+   * Convert a raw value for a numeric column
+   * @param {*} value
+   * @returns {number} NaN if the value is not numeric
+   */
+  static toNumber(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return value;
+    
+    const text = String(value).trim().toLowerCase();
+    if (text in BOOLEAN_TEXT) return BOOLEAN_TEXT[text];
+    
+    const number = text === '' ? NaN : Number(text);
+    return Number.isFinite(number) ? number : NaN;
+  }
+  
+  /**
+   * Decode one record's value
+   * @param {Object} column - Attribute column
+   * @param {number} i - Record index
+   * @returns {string|number|null} Category name or number, null if missing
+   */
+  static valueAt(column, i) {
+    const value = column.values[i];
+    
+    if (column.type === 'categorical') {
+      return value === MISSING_CATEGORY ? null : column.categories[value];
+    }
+    return Number.isNaN(value) ? null : value;
+  }
+  
+  /**
+   * Concatenate the columns of two processed datasets
+   * Categorical codes of the second are re-coded into the first's
+   * dictionary; attributes present on one side only are missing on the other.
+   * @param {Object|null} a - Attributes of the first dataset
+   * @param {number} countA - Records in the first dataset
+   * @param {Object|null} b - Attributes of the second dataset
+   * @param {number} countB - Records in the second dataset
+   * @returns {Object|null}
+   */
+  static concat(a, countA, b, countB) {
+    if (!a && !b) return null;
+    
+    const out = {};
+    const names = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    
+    for (const name of names) {
+      const x = a?.[name];
+      const y = b?.[name];
+      
+      if (x && y && x.type !== y.type) {
+        throw new Error(`Attribute "${name}" is ${x.type} in one part and ${y.type} in the other`);
+      }
+      
+      const type = (x || y).type;
+      
+      if (type === 'numeric') {
+        const values = new Float32Array(countA + countB).fill(NaN);
+        if (x) values.set(x.values, 0);
+        if (y) values.set(y.values, countA);
+        out[name] = { type, values };
+        continue;
+      }
+      
+      const categories = x ? [...x.categories] : [];
+      const values = new Uint16Array(countA + countB).fill(MISSING_CATEGORY);
+      if (x) values.set(x.values, 0);
+      
+      if (y) {
+        const recode = y.categories.map(category => {
+          let code = categories.indexOf(category);
+          if (code === -1) {
+            code = categories.length;
+            categories.push(category);
+          }
+          return code;
+        });
+        
+        for (let i = 0; i < countB; i++) {
+          const code = y.values[i];
+          values[countA + i] = code === MISSING_CATEGORY ? MISSING_CATEGORY : recode[code];
+        }
+      }
+      
+      out[name] = { type, values, categories };
+    }
+    
+    return out;
+  }
+  
+  /**
+   * Aggregate columns into cells (LOD levels)
+   * Numeric columns keep the mean of the known values, categorical columns
+   * the most frequent category - an aggregated point stands for its cell,
+   * not for every record in it.
+   * @param {Object} attributes - Source columns
+   * @param {Int32Array} cellOf - Cell index of every source record
+   * @param {number} cellCount - Cells
+   * @returns {Object} Aggregated columns
+   */
+  static aggregate(attributes, cellOf, cellCount) {
+    const out = {};
+    
+    for (const [name, column] of Object.entries(attributes)) {
+      if (column.type === 'numeric') {
+        const sums = new Float64Array(cellCount);
+        const counts = new Uint32Array(cellCount);
+        
+        for (let i = 0; i < cellOf.length; i++) {
+          const value = column.values[i];
+          if (Number.isNaN(value)) continue;
+          sums[cellOf[i]] += value;
+          counts[cellOf[i]]++;
+        }
+        
+        const values = new Float32Array(cellCount);
+        for (let c = 0; c < cellCount; c++) {
+          values[c] = counts[c] > 0 ? sums[c] / counts[c] : NaN;
+        }
+        out[name] = { type: column.type, values };
+        continue;
+      }
+      
+      // Per-cell category counts, kept sparse (most cells hold few categories)
+      const counts = Array.from({ length: cellCount }, () => new Map());
+      for (let i = 0; i < cellOf.length; i++) {
+        const code = column.values[i];
+        if (code === MISSING_CATEGORY) continue;
+        const cell = counts[cellOf[i]];
+        cell.set(code, (cell.get(code) || 0) + 1);
+      }
+      
+      const values = new Uint16Array(cellCount).fill(MISSING_CATEGORY);
+      for (let c = 0; c < cellCount; c++) {
+        let max = 0;
+        for (const [code, count] of counts[c]) {
+          if (count > max) {
+            max = count;
+            values[c] = code;
+          }
+        }
+      }
+      out[name] = { type: column.type, values, categories: column.categories };
+    }
+    
+    return out;
+  }
+  
+  /**
+   * Code of a category, adding it to the dictionary if new
+   * @private
+   */
+  _code(name, value) {
+    const category = String(value).trim();
+    const lookup = this.lookups[name];
+    
+    let code = lookup.get(category);
+    if (code === undefined) {
+      const categories = this.columns[name].categories;
+      if (categories.length >= MISSING_CATEGORY) {
+        throw new Error(`Attribute "${name}" has more than ${MISSING_CATEGORY} categories`);
+      }
+      
+      code = categories.length;
+      categories.push(category);
+      lookup.set(category, code);
+    }
+    
+    return code;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Leviathan WebXR - Baked Package
+ * 
+ * A dataset processed ahead of time (by tools/bake.mjs), so the headset
+ * only has to fetch it and upload it: no parsing, projection, indexing,
+ * aggregation or grid building at load time.
+ * 
+ * A package is three files sharing a name:
+ *   <id>.bake.json - Description: projection and options it was baked with,
+ *                    source file, and the pipeline payload (see
+ *                    DataPipeline.serialize) with every TypedArray replaced
+ *                    by {$typed, offset, length} into the .bin
+ *   <id>.bake.bin  - The TypedArrays, back to back, each 8-byte aligned
+ *   <id>.lwxr      - The validated records as LWXR, for apps or tools that
+ *                    need a different projection or want to re-bake
+ * 
+ * Unpacking makes views into the .bin buffer rather than copies.
+ * Non-finite numbers in the payload (NaN means "unknown" in several
+ * places) are written as {$number: "NaN"}, since JSON has no NaN.
+ */
+
+export const BAKE_FORMAT = 'leviathan-bake';
+export const BAKE_VERSION = 1;
+
+// Every array starts on a multiple of this, so Float64Arrays can view it
+const ALIGNMENT = 8;
+
+/**
+ * TypedArray constructors by name
+ */
+const TYPED_ARRAYS = {
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array
+};
+
+export class BakedPackage {
+  /**
+   * Split a pipeline payload into a JSON layout and one binary buffer
+   * @param {Object} payload - From DataPipeline.serialize()
+   * @returns {{layout: Object, bytes: Uint8Array}}
+   */
+  static pack(payload) {
+    const arrays = [];
+    let byteLength = 0;
+    
+    const layout = BakedPackage._map(payload, (array) => {
+      byteLength = Math.ceil(byteLength / ALIGNMENT) * ALIGNMENT;
+      arrays.push({ array, offset: byteLength });
+      const ref = { $typed: array.constructor.name, offset: byteLength, length: array.length };
+      byteLength += array.byteLength;
+      return ref;
+    });
+    
+    const bytes = new Uint8Array(byteLength);
+    for (const { array, offset } of arrays) {
+      bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    }
+    
+    return { layout, bytes };
+  }
+  
+  /**
+   * Rebuild a pipeline payload from its layout and binary buffer
+   * @param {Object} layout - From pack()
+   * @param {Uint8Array|ArrayBuffer} bytes - Contents of the .bin file
+   * @returns {Object} Payload for DataPipeline.restore()
+   */
+  static unpack(layout, bytes) {
+    let view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    
+    // Views need aligned offsets; only a copy can fix a misaligned buffer
+    if (view.byteOffset % ALIGNMENT !== 0) {
+      view = view.slice();
+    }
+    
+    return BakedPackage._restore(layout, (ref) => {
+      const Type = TYPED_ARRAYS[ref.$typed];
+      if (!Type) {
+        throw new Error(`Baked package has unknown array type ${ref.$typed}`);
+      }
+      if (ref.offset + ref.length * Type.BYTES_PER_ELEMENT > view.byteLength) {
+        throw new Error('Baked package data file is truncated');
+      }
+      return new Type(view.buffer, view.byteOffset + ref.offset, ref.length);
+    });
+  }
+  
+  /**
+   * Check a package description before using it
+   * @param {Object} description - Parsed .bake.json
+   * @throws {Error} If it is not a package this version can read
+   */
+  static check(description) {
+    if (!description || description.format !== BAKE_FORMAT) {
+      throw new Error('Not a baked dataset package');
+    }
+    if (description.version !== BAKE_VERSION) {
+      throw new Error(`Unsupported baked package version ${description.version} (expected ${BAKE_VERSION})`);
+    }
+  }
+  
+  /**
+   * Check whether a package was baked with the settings the app would use
+   * Positions, grid cells and LOD cells are all in world units, and the
+   * grid is built on the LOD level the instance budget selects, so a
+   * package baked with another projection, budget or cell size can't be
+   * used as it is.
+   * @param {Object} description - Parsed .bake.json
+   * @param {Projection} projection
+   * @param {Object} options - Pipeline options ({maxInstances, gridCellSize})
+   * @returns {boolean}
+   */
+  static matches(description, projection, options = {}) {
+    const baked = description.projection || {};
+    const bakedOptions = description.options || {};
+    
+    return baked.originLat === projection.originLatDeg &&
+      baked.originLon === projection.originLonDeg &&
+      baked.scale === projection.scale &&
+      (options.maxInstances === undefined || bakedOptions.maxInstances === options.maxInstances) &&
+      (options.gridCellSize === undefined || bakedOptions.gridCellSize === options.gridCellSize);
+  }
+  
+  /**
+   * Projection settings as stored in a package description
+   * @param {Projection} projection
+   * @returns {{originLat: number, originLon: number, scale: number}}
+   */
+  static describeProjection(projection) {
+    return {
+      originLat: projection.originLatDeg,
+      originLon: projection.originLonDeg,
+      scale: projection.scale
+    };
+  }
+  
+  /**
+   * Copy a value, replacing TypedArrays and non-finite numbers
+   * @private
+   */
+  static _map(value, onArray) {
+    if (ArrayBuffer.isView(value)) {
+      return onArray(value);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return { $number: String(value) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => BakedPackage._map(item, onArray));
+    }
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        out[key] = BakedPackage._map(child, onArray);
+      }
+      return out;
+    }
+    return value;
+  }
+  
+  /**
+   * Undo _map()
+   * @private
+   */
+  static _restore(value, onRef) {
+    if (Array.isArray(value)) {
+      return value.map(item => BakedPackage._restore(item, onRef));
+    }
+    if (value && typeof value === 'object') {
+      if (typeof value.$typed === 'string') return onRef(value);
+      if (typeof value.$number === 'string') return Number(value.$number);
+      
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        out[key] = BakedPackage._restore(child, onRef);
+      }
+      return out;
+    }
+    return value;
+  }
+}
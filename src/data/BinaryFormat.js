@@ -0,0 +1,376 @@
+/**
+ * Leviathan WebXR - LWXR Binary Format
+ * 
+ * Compact binary encoding for datasets exceeding ~1M records.
+ * JSON parsing of multi-million record archives exhausts headset memory,
+ * so records are decoded straight into the TypedArrays DataProcessor produces.
+ * 
+ * Layout (little-endian):
+ *   Header (32 bytes):
+ *     - Magic: "LWXR" (4 bytes)
+ *     - Version: uint16
+ *     - Record count: uint32
+ *     - Flags: uint16
+ *     - Reserved: 20 bytes
+ *   Record (20 bytes each):
+ *     - lat: float32
+ *     - lon: float32
+ *     - depth: float32
+ *     - time: float32 (normalized)
+ *     - species: uint8
+ *     - count: uint8
+ *     - reserved: uint16
+ *   Meta trailer (only if FLAG_HAS_META):
+ *     - byteLength: uint32
+ *     - UTF-8 JSON meta object
+ */
+
+import { DataProcessor } from './DataProcessor.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+
+export const LWXR_MAGIC = 'LWXR';
+export const LWXR_VERSION = 1;
+export const LWXR_HEADER_SIZE = 32;
+export const LWXR_RECORD_SIZE = 20;
+
+/**
+ * Header flag bits
+ */
+export const LWXR_FLAGS = {
+  HAS_META: 1 << 0  // JSON meta trailer follows the records
+};
+
+// Flags this decoder understands - anything else is rejected
+const KNOWN_FLAGS = LWXR_FLAGS.HAS_META;
+
+/**
+ * Incremental LWXR decoder
+ * Accepts byte chunks as they arrive and decodes complete records in place,
+ * so the full file never has to be held in memory alongside the arrays.
+ */
+export class LWXRDecoder {
+  /**
+   * Create decoder
+   * @param {Projection} projection - Geographic projection system
+   */
+  constructor(projection) {
+    this.projection = projection;
+    
+    // Parsed header
+    this.header = null;
+    
+    // Output arrays (allocated once header is known)
+    this.positions = null;
+    this.times = null;
+    this.species = null;
+    this.densities = null;
+    this.rawCounts = null;
+    
+    // Decode state
+    this.recordsDecoded = 0;
+    this.maxCount = 1;
+    this.maxSpecies = 0;
+    
+    // Bytes not yet consumed (partial header/record/trailer)
+    this.pending = new Uint8Array(0);
+    this.trailer = [];
+    this.trailerBytes = 0;
+  }
+  
+  /**
+   * Feed the next chunk of bytes
+   * @param {Uint8Array} chunk
+   */
+  push(chunk) {
+    const bytes = this._concatPending(chunk);
+    let offset = 0;
+    
+    if (!this.header) {
+      if (bytes.length < LWXR_HEADER_SIZE) {
+        this.pending = bytes;
+        return;
+      }
+      
+      this.header = BinaryFormat.readHeader(bytes);
+      this._allocate(this.header.recordCount);
+      offset = LWXR_HEADER_SIZE;
+    }
+    
+    // Decode as many complete records as are available
+    const remaining = this.header.recordCount - this.recordsDecoded;
+    const available = Math.floor((bytes.length - offset) / LWXR_RECORD_SIZE);
+    const toDecode = Math.min(remaining, available);
+    
+    if (toDecode > 0) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset + offset, toDecode * LWXR_RECORD_SIZE);
+      this._decodeRecords(view, toDecode);
+      offset += toDecode * LWXR_RECORD_SIZE;
+    }
+    
+    // Anything after the last record belongs to the meta trailer
+    if (this.recordsDecoded === this.header.recordCount) {
+      if (offset < bytes.length) {
+        const tail = bytes.subarray(offset);
+        this.trailer.push(tail.slice());
+        this.trailerBytes += tail.length;
+      }
+      this.pending = new Uint8Array(0);
+    } else {
+      this.pending = bytes.slice(offset);
+    }
+  }
+  
+  /**
+   * Finish decoding and return processed data
+   * @returns {Object} Same shape as DataProcessor.process output
+   */
+  finish() {
+    if (!this.header) {
+      throw new Error('LWXR file is truncated: missing header');
+    }
+    
+    if (this.recordsDecoded < this.header.recordCount) {
+      throw new Error(`LWXR file is truncated: expected ${this.header.recordCount} records, got ${this.recordsDecoded}`);
+    }
+    
+    const meta = this._readMeta();
+    
+    // Density normalization needs the dataset-wide max count
+    const count = this.header.recordCount;
+    const logMax = Math.log10(this.maxCount + 1);
+    for (let i = 0; i < count; i++) {
+      this.densities[i] = Math.log10(this.rawCounts[i] + 1) / logMax;
+    }
+    
+    // Record times are already normalized, so the domain comes from meta only
+    const timeDomain = TimeDomain.fromMeta(meta) || TimeDomain.default();
+    
+    return {
+      positions: this.positions,
+      times: this.times,
+      species: this.species,
+      densities: this.densities,
+      counts: Float32Array.from(this.rawCounts),
+      count,
+      speciesCount: DataProcessor.speciesCount(meta, this.maxSpecies),
+      meta: {
+        ...meta,
+        timeRange: timeDomain.toRange(),
+        timeDomain: timeDomain.toJSON(),
+        maxCount: this.maxCount,
+        format: 'lwxr',
+        formatVersion: this.header.version
+      }
+    };
+  }
+  
+  /**
+   * Join pending bytes with a new chunk
+   * @private
+   */
+  _concatPending(chunk) {
+    if (this.header && this.recordsDecoded === this.header.recordCount) {
+      // Already in the trailer - no need to re-scan
+      this.trailer.push(chunk.slice());
+      this.trailerBytes += chunk.length;
+      return new Uint8Array(0);
+    }
+    
+    if (this.pending.length === 0) return chunk;
+    
+    const joined = new Uint8Array(this.pending.length + chunk.length);
+    joined.set(this.pending, 0);
+    joined.set(chunk, this.pending.length);
+    return joined;
+  }
+  
+  /**
+   * Allocate output arrays
+   * @private
+   */
+  _allocate(count) {
+    this.positions = new Float32Array(count * 3);
+    this.times = new Float32Array(count);
+    this.species = new Float32Array(count);
+    this.densities = new Float32Array(count);
+    this.rawCounts = new Uint8Array(count);
+  }
+  
+  /**
+   * Decode a run of complete records
+   * @private
+   */
+  _decodeRecords(view, n) {
+    const base = this.recordsDecoded;
+    
+    for (let r = 0; r < n; r++) {
+      const o = r * LWXR_RECORD_SIZE;
+      const i = base + r;
+      
+      const lat = view.getFloat32(o, true);
+      const lon = view.getFloat32(o + 4, true);
+      const depth = view.getFloat32(o + 8, true);
+      
+      const [x, y, z] = this.projection.project(lat, lon, depth);
+      this.positions[i * 3] = x;
+      this.positions[i * 3 + 1] = y;
+      this.positions[i * 3 + 2] = z;
+      
+      this.times[i] = view.getFloat32(o + 12, true);
+      this.species[i] = view.getUint8(o + 16);
+      if (this.species[i] > this.maxSpecies) this.maxSpecies = this.species[i];
+      
+      const count = view.getUint8(o + 17);
+      this.rawCounts[i] = count;
+      if (count > this.maxCount) this.maxCount = count;
+    }
+    
+    this.recordsDecoded += n;
+  }
+  
+  /**
+   * Parse the JSON meta trailer if the header flags one
+   * @private
+   */
+  _readMeta() {
+    if (!(this.header.flags & LWXR_FLAGS.HAS_META)) {
+      return {};
+    }
+    
+    const bytes = new Uint8Array(this.trailerBytes);
+    let position = 0;
+    for (const chunk of this.trailer) {
+      bytes.set(chunk, position);
+      position += chunk.length;
+    }
+    
+    if (bytes.length < 4) {
+      throw new Error('LWXR file is truncated: missing meta trailer');
+    }
+    
+    const length = new DataView(bytes.buffer).getUint32(0, true);
+    if (bytes.length < 4 + length) {
+      throw new Error('LWXR file is truncated: incomplete meta trailer');
+    }
+    
+    return JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+  }
+}
+
+export class BinaryFormat {
+  /**
+   * Read and verify an LWXR header
+   * @param {Uint8Array} bytes - At least the first 32 bytes of the file
+   * @returns {{version: number, recordCount: number, flags: number}}
+   */
+  static readHeader(bytes) {
+    if (bytes.length < LWXR_HEADER_SIZE) {
+      throw new Error('LWXR file is truncated: missing header');
+    }
+    
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== LWXR_MAGIC) {
+      throw new Error(`Not an LWXR file (magic "${magic}")`);
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, LWXR_HEADER_SIZE);
+    const version = view.getUint16(4, true);
+    const recordCount = view.getUint32(6, true);
+    const flags = view.getUint16(10, true);
+    
+    if (version !== LWXR_VERSION) {
+      throw new Error(`Unsupported LWXR version ${version} (expected ${LWXR_VERSION})`);
+    }
+    
+    if (flags & ~KNOWN_FLAGS) {
+      throw new Error(`Unsupported LWXR flags 0x${flags.toString(16)}`);
+    }
+    
+    return { version, recordCount, flags };
+  }
+  
+  /**
+   * Check whether bytes start with the LWXR magic
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  static isLWXR(bytes) {
+    return bytes.length >= 4 &&
+      String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === LWXR_MAGIC;
+  }
+  
+  /**
+   * Decode a complete LWXR buffer
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @param {Projection} projection
+   * @returns {Object} Same shape as DataProcessor.process output
+   */
+  static decode(buffer, projection) {
+    const decoder = new LWXRDecoder(projection);
+    decoder.push(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+    return decoder.finish();
+  }
+  
+  /**
+   * Encode raw records into an LWXR buffer
+   * Times are normalized against the dataset's TimeDomain exactly as DataProcessor does.
+   * Counts above 255 are clamped to fit the uint8 field.
+   * @param {Object} rawData - {records, meta} as produced by DataLoader
+   * @param {Object} options
+   * @param {boolean} options.includeMeta - Write the JSON meta trailer (default true)
+   * @returns {ArrayBuffer}
+   */
+  static encode(rawData, options = {}) {
+    const { includeMeta = true } = options;
+    const { records, meta = {} } = rawData;
+    const count = records.length;
+    
+    const timeDomain = TimeDomain.resolve(meta, records);
+    
+    // Trailer keeps the original meta so timeRange/speciesMap survive the round trip
+    let metaBytes = null;
+    if (includeMeta) {
+      metaBytes = new TextEncoder().encode(JSON.stringify({
+        ...meta,
+        timeRange: timeDomain.toRange()
+      }));
+    }
+    
+    const recordBytes = count * LWXR_RECORD_SIZE;
+    const trailerSize = metaBytes ? 4 + metaBytes.length : 0;
+    const buffer = new ArrayBuffer(LWXR_HEADER_SIZE + recordBytes + trailerSize);
+    const view = new DataView(buffer);
+    
+    // Header
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(i, LWXR_MAGIC.charCodeAt(i));
+    }
+    view.setUint16(4, LWXR_VERSION, true);
+    view.setUint32(6, count, true);
+    view.setUint16(10, metaBytes ? LWXR_FLAGS.HAS_META : 0, true);
+    
+    // Records
+    for (let i = 0; i < count; i++) {
+      const record = records[i];
+      const o = LWXR_HEADER_SIZE + i * LWXR_RECORD_SIZE;
+      
+      view.setFloat32(o, record.lat, true);
+      view.setFloat32(o + 4, record.lon, true);
+      view.setFloat32(o + 8, record.depth || 0, true);
+      view.setFloat32(o + 12, timeDomain.normalizeRecord(record), true);
+      view.setUint8(o + 16, record.species ?? record.speciesId ?? 0);
+      
+      const rawCount = Math.round(record.count ?? 1);
+      view.setUint8(o + 17, Math.max(1, Math.min(255, rawCount)));
+    }
+    
+    // Meta trailer
+    if (metaBytes) {
+      const o = LWXR_HEADER_SIZE + recordBytes;
+      view.setUint32(o, metaBytes.length, true);
+      new Uint8Array(buffer, o + 4).set(metaBytes);
+    }
+    
+    return buffer;
+  }
+}
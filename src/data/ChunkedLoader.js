@@ -0,0 +1,288 @@
+/**
+ * Leviathan WebXR - Chunked Loader
+ * 
+ * Progressive loading for time-split archives (chunk-1994-1999.json, ...).
+ * Each chunk is processed in the worker pipeline as soon as it lands and
+ * handed over for appending, while the next chunk is already downloading.
+ * 
+ * All chunks are normalized against one shared TimeDomain, taken from the
+ * manifest or assembled from the chunks' own time ranges, so appended
+ * data lines up on the timeline.
+ * 
+ * Chunk manifest (JSON):
+ *   {
+ *     "timeRange": ["1994-01-01", "2025-01-01"],   // optional
+ *     "maxCount": 120,                              // optional, shared density scale
+ *     "meta": { "speciesMap": { ... } },            // optional, dataset meta
+ *     "chunks": [
+ *       "chunk-1994-1999.json",
+ *       { "url": "chunk-2000-2004.json", "timeRange": ["2000-01-01", "2005-01-01"] }
+ *     ]
+ *   }
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+import { DatasetCache } from './DatasetCache.js';
+import { RENDER_BUDGET } from '../utils/Constants.js';
+
+/**
+ * Chunk load states
+ */
+export const ChunkState = {
+  PENDING: 'pending',
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  ERROR: 'error'
+};
+
+export class ChunkedLoader {
+  /**
+   * Create chunked loader
+   * @param {DataLoader} dataLoader - Used for fetching chunk bytes
+   * @param {WorkerPipeline} pipeline - Processes each chunk off the main thread
+   */
+  constructor(dataLoader, pipeline) {
+    this.dataLoader = dataLoader;
+    this.pipeline = pipeline;
+    
+    // Chunk descriptors: {url, start, end (ms), t0, t1 (normalized), state, count}
+    this.chunks = [];
+    
+    // Shared time domain and dataset meta
+    this.timeDomain = null;
+    this.meta = {};
+    this.maxCount = null;
+    
+    this.cancelled = false;
+    
+    // Optional DatasetCache - processed chunks are reused on later visits
+    this.cache = null;
+    
+    // Callbacks
+    this.onChunkStateChange = null;  // (chunks) => void
+    this.onChunk = null;             // async (result, chunk, index) => void
+  }
+  
+  /**
+   * Parse a "chunk-1994-1999" style file name into a time range
+   * The end year is inclusive, so the range ends at the start of the next year.
+   * @param {string} url
+   * @returns {number[]|null} [startMs, endMs] or null if the name has no years
+   */
+  static parseChunkName(url) {
+    const name = url.split('/').pop();
+    const match = /(\d{4})-(\d{4})/.exec(name);
+    if (!match) return null;
+    
+    return [
+      Date.UTC(parseInt(match[1], 10), 0, 1),
+      Date.UTC(parseInt(match[2], 10) + 1, 0, 1)
+    ];
+  }
+  
+  /**
+   * Load a chunk manifest and describe its chunks
+   * @param {string|Object|string[]} source - Manifest URL, manifest object or list of chunk URLs
+   * @param {Object} meta - Dataset meta (e.g. from the dataset manifest); the chunk manifest's own meta wins
+   * @returns {Promise<Object[]>} Chunk descriptors
+   */
+  async prepare(source, meta = {}) {
+    let manifest = source;
+    let baseUrl = '';
+    
+    if (typeof source === 'string') {
+      const bytes = await this.dataLoader.fetchBytes(source);
+      manifest = JSON.parse(new TextDecoder().decode(bytes));
+      baseUrl = source.slice(0, source.lastIndexOf('/') + 1);
+    }
+    
+    if (Array.isArray(manifest)) {
+      manifest = { chunks: manifest };
+    }
+    
+    if (!manifest.chunks || manifest.chunks.length === 0) {
+      throw new Error('Chunk manifest lists no chunks');
+    }
+    
+    this.meta = { ...meta, ...(manifest.meta || {}) };
+    this.maxCount = manifest.maxCount ?? null;
+    
+    this.chunks = manifest.chunks.map((entry) => {
+      const spec = typeof entry === 'string' ? { url: entry } : entry;
+      const url = /^([a-z]+:)?\//i.test(spec.url) ? spec.url : baseUrl + spec.url;
+      
+      let range = ChunkedLoader.parseChunkName(spec.url);
+      if (spec.timeRange) {
+        range = [TimeDomain.parseTime(spec.timeRange[0]), TimeDomain.parseTime(spec.timeRange[1])];
+      }
+      
+      return {
+        url,
+        start: range ? range[0] : null,
+        end: range ? range[1] : null,
+        t0: 0,
+        t1: 1,
+        state: ChunkState.PENDING,
+        count: 0
+      };
+    });
+    
+    // One domain for every chunk - manifest range first, else the union of chunk ranges
+    this.timeDomain = TimeDomain.fromMeta(manifest) || TimeDomain.fromMeta(this.meta);
+    if (!this.timeDomain) {
+      if (this.chunks.some(chunk => chunk.start === null || chunk.end === null)) {
+        throw new Error('Chunk manifest needs a timeRange, or every chunk needs a time range (timeRange or a chunk-YYYY-YYYY name)');
+      }
+      this.timeDomain = new TimeDomain(
+        Math.min(...this.chunks.map(chunk => chunk.start)),
+        Math.max(...this.chunks.map(chunk => chunk.end))
+      );
+    }
+    
+    for (const chunk of this.chunks) {
+      if (chunk.start !== null) {
+        chunk.t0 = Math.max(0, this.timeDomain.normalize(chunk.start));
+        chunk.t1 = Math.min(1, this.timeDomain.normalize(chunk.end));
+      }
+    }
+    
+    this._notifyState();
+    return this.chunks;
+  }
+  
+  /**
+   * Load every chunk in order, calling onChunk as each one is processed
+   * The next chunk downloads while the current one is processed.
+   * A failed chunk is marked as an error and loading continues.
+   * @param {Object} options - Extra pipeline options (e.g. validationPolicy)
+   * @returns {Promise<number>} Number of chunks loaded successfully
+   */
+  async load(options = {}) {
+    this.cancelled = false;
+    let loaded = 0;
+    
+    // Instance budget is shared out between the chunks still to come
+    let budget = RENDER_BUDGET.maxVisibleInstances;
+    
+    let next = this._fetch(0);
+    
+    for (let i = 0; i < this.chunks.length; i++) {
+      const chunk = this.chunks[i];
+      const fetched = await next;
+      if (this.cancelled) break;
+      
+      next = i + 1 < this.chunks.length ? this._fetch(i + 1) : null;
+      
+      try {
+        if (fetched.error) throw fetched.error;
+        
+        const result = await this._process(fetched.bytes, chunk, {
+          ...options,
+          maxInstances: Math.floor(budget / (this.chunks.length - i)),
+          meta: {
+            ...this.meta,
+            timeDomain: this.timeDomain.toJSON(),
+            ...(this.maxCount ? { maxCount: this.maxCount } : {})
+          }
+        });
+        if (this.cancelled) break;
+        
+        chunk.count = result.processedData.count;
+        budget -= result.densityAggregator.getLevel(result.activeLOD).count;
+        
+        if (this.onChunk) {
+          await this.onChunk(result, chunk, i);
+        }
+        
+        chunk.state = ChunkState.LOADED;
+        loaded++;
+      
+      } catch (error) {
+        if (this.cancelled || error.message === 'Pipeline cancelled') break;
+        
+        console.error(`Chunk ${chunk.url} failed:`, error);
+        chunk.state = ChunkState.ERROR;
+      }
+      
+      this._notifyState();
+    }
+    
+    return loaded;
+  }
+  
+  /**
+   * Stop loading further chunks
+   */
+  cancel() {
+    this.cancelled = true;
+    this.pipeline.cancel();
+  }
+  
+  /**
+   * Get chunk descriptors (for the timeline indicator)
+   * @returns {Object[]}
+   */
+  getChunks() {
+    return this.chunks;
+  }
+  
+  /**
+   * Get the shared time domain
+   * @returns {TimeDomain}
+   */
+  getTimeDomain() {
+    return this.timeDomain;
+  }
+  
+  /**
+   * Start downloading a chunk
+   * @private
+   * @returns {Promise<{bytes?: Uint8Array, error?: Error}>} Never rejects
+   */
+  _fetch(index) {
+    const chunk = this.chunks[index];
+    chunk.state = ChunkState.LOADING;
+    this._notifyState();
+    
+    return this.dataLoader.fetchBytes(chunk.url)
+      .then(bytes => ({ bytes }))
+      .catch(error => ({ error }));
+  }
+  
+  /**
+   * Process a chunk, or reload it from the cache
+   * @private
+   * @returns {Promise<Object>} Pipeline result
+   */
+  async _process(bytes, chunk, options) {
+    if (!this.cache) {
+      return this.pipeline.run({ bytes, format: 'json' }, options);
+    }
+    
+    // Chunk times are normalized against the shared domain, so it is part of the key
+    const hash = `${await DatasetCache.hash(bytes)}@${this.timeDomain.start}-${this.timeDomain.end}`;
+    const key = await DatasetCache.makeKey(chunk.url, hash, this.pipeline.projection, options);
+    
+    const cached = await this.cache.get(key).catch((error) => {
+      console.warn('Dataset cache read failed:', error);
+      return null;
+    });
+    if (cached) return cached;
+    
+    const result = await this.pipeline.run({ bytes, format: 'json' }, options);
+    this.cache.put(key, { url: chunk.url, hash }, result)
+      .catch(error => console.warn('Dataset cache write failed:', error));
+    
+    return result;
+  }
+  
+  /**
+   * Report chunk states
+   * @private
+   */
+  _notifyState() {
+    if (this.onChunkStateChange) {
+      this.onChunkStateChange(this.chunks);
+    }
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * Leviathan WebXR - Darwin Core Importer
+ * 
+ * Imports OBIS / GBIF style Darwin Core occurrence data, either as a plain
+ * occurrence CSV or as an unzipped Darwin Core Archive (meta.xml + core file).
+ * Manifest entries with format 'dwc' come through here, as do CSV/TSV files
+ * whose header names the Darwin Core coordinate terms (isOccurrenceTable).
+ * 
+ * Scientific names are mapped to species IDs through a TaxonomyTable.
+ * Taxa that do not map are reported (meta.taxonomyReport) and dropped -
+ * they are never silently assigned to species 0.
+ * 
+ * Other terms (behavior, lifeStage, basisOfRecord, recordedBy, ...) are
+ * kept when named in the attributes option, for use as attribute columns.
+ * institutionCode and datasetName are always kept as provenance for
+ * duplicate merging (see Deduplicator).
+ */
+
+import { DelimitedTextParser } from './DelimitedTextParser.js';
+import { TaxonomyTable } from './TaxonomyTable.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+
+const OCCURRENCE_ROW_TYPE = 'http://rs.tdwg.org/dwc/terms/Occurrence';
+
+// Archive folders are given by their URL ("obis-export/") or their meta.xml
+const ARCHIVE_URL = /(\/|\bmeta\.xml)(\?|#|$)/i;
+
+/**
+ * Darwin Core terms read by the importer
+ */
+const DWC_COLUMNS = {
+  lat: 'decimalLatitude',
+  lon: 'decimalLongitude',
+  species: 'scientificName',
+  count: 'individualCount',
+  // eventDate may be an interval, handled by the importer instead
+  time: null,
+  depth: null,
+  // coordinateUncertaintyInMeters is converted by the importer
+  positionErrorMeters: null,
+  timePrecision: null
+};
+
+const DWC_PASSTHROUGH = [
+  'scientificName',
+  'eventDate',
+  'coordinateUncertaintyInMeters',
+  'minimumDepthInMeters',
+  'maximumDepthInMeters',
+  'occurrenceStatus',
+  'institutionCode',
+  'datasetName'
+];
+
+export class DarwinCoreImporter {
+  /**
+   * Create importer
+   * @param {DataLoader} dataLoader - Loader used for fetching/streaming
+   * @param {Object} options
+   * @param {TaxonomyTable} [options.taxonomy] - Name → species ID table
+   * @param {'drop'|'fail'} [options.unmapped='drop'] - What to do with unmapped taxa
+   * @param {string[]} [options.attributes] - Extra terms to keep on records (see AttributeColumns)
+   */
+  constructor(dataLoader, options = {}) {
+    this.dataLoader = dataLoader;
+    this.taxonomy = options.taxonomy || new TaxonomyTable();
+    this.unmappedPolicy = options.unmapped || 'drop';
+    this.attributes = options.attributes || [];
+  }
+  
+  /**
+   * Whether a URL names an unzipped Darwin Core Archive rather than an occurrence file
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static isArchiveUrl(url) {
+    return ARCHIVE_URL.test(url || '');
+  }
+  
+  /**
+   * Whether delimited text is a Darwin Core occurrence table
+   * Its header line has to name decimalLatitude and decimalLongitude.
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isOccurrenceTable(text) {
+    const header = text.slice(0, 8192).split(/\r?\n/, 1)[0];
+    const columns = new Set(header.split(/[,\t;]/).map(column => column.trim().replace(/^"|"$/g, '')));
+    return columns.has('decimalLatitude') && columns.has('decimalLongitude');
+  }
+  
+  /**
+   * Fetch the occurrence file of an unzipped Darwin Core Archive
+   * @param {string} url - Folder URL, or the URL of its meta.xml
+   * @returns {Promise<{descriptor: Object, bytes: Uint8Array}>} Parsed meta.xml and
+   *   occurrence file contents, for importText()
+   */
+  async fetchArchive(url) {
+    const base = url.replace(/meta\.xml([?#].*)?$/i, '').replace(/([^/])$/, '$1/');
+    
+    const metaBytes = await this.dataLoader.fetchBytes(`${base}meta.xml`);
+    const descriptor = DarwinCoreImporter.parseMetaXml(new TextDecoder().decode(metaBytes));
+    const bytes = await this.dataLoader.fetchBytes(`${base}${descriptor.location}`);
+    
+    return { descriptor, bytes };
+  }
+  
+  /**
+   * Import occurrence text already in memory (a fetched or dropped file)
+   * @param {string} text
+   * @param {Object} [descriptor] - Parsed meta.xml core descriptor (see fetchArchive)
+   * @returns {Object} Raw whale data ({records, meta})
+   */
+  importText(text, descriptor = null) {
+    const rawData = DelimitedTextParser.parse(text, this._parserOptions(descriptor));
+    return this._finalize(rawData, descriptor ? { archive: descriptor.location } : {}, descriptor?.defaults);
+  }
+  
+  /**
+   * Parse a DwC-A meta.xml and describe its occurrence file
+   * Uses the core if it is an Occurrence core, otherwise an Occurrence extension.
+   * @param {string} xml
+   * @returns {Object} {location, delimiter, quote, ignoreHeaderLines, header, defaults}
+   */
+  static parseMetaXml(xml) {
+    const blocks = [...xml.matchAll(/<(core|extension)\b([^>]*)>([\s\S]*?)<\/\1>/g)];
+    
+    const block = blocks.find(([, , attrs]) => DarwinCoreImporter._attr(attrs, 'rowType') === OCCURRENCE_ROW_TYPE);
+    if (!block) {
+      throw new Error('Darwin Core Archive has no Occurrence core or extension');
+    }
+    
+    const [, , attrs, body] = block;
+    
+    const location = /<location>\s*([^<]+?)\s*<\/location>/.exec(body)?.[1];
+    if (!location) {
+      throw new Error('Darwin Core Archive meta.xml has no data file location');
+    }
+    
+    // Column names come from term URIs: http://rs.tdwg.org/dwc/terms/decimalLatitude → decimalLatitude
+    const header = [];
+    const defaults = {};
+    for (const [tag] of body.matchAll(/<(?:id|coreid|field)\b[^>]*\/?>/g)) {
+      const index = DarwinCoreImporter._attr(tag, 'index');
+      const term = DarwinCoreImporter._attr(tag, 'term');
+      const name = term ? term.split(/[/#]/).pop() : 'id';
+      
+      if (index !== null) {
+        header[parseInt(index, 10)] = name;
+      } else if (term) {
+        // Constant value applied to every row
+        defaults[name] = DarwinCoreImporter._attr(tag, 'default');
+      }
+    }
+    
+    for (let i = 0; i < header.length; i++) {
+      if (!header[i]) header[i] = `column${i}`;
+    }
+    
+    return {
+      location,
+      delimiter: DarwinCoreImporter._unescape(DarwinCoreImporter._attr(attrs, 'fieldsTerminatedBy') ?? ','),
+      quote: DarwinCoreImporter._unescape(DarwinCoreImporter._attr(attrs, 'fieldsEnclosedBy') ?? '"'),
+      ignoreHeaderLines: parseInt(DarwinCoreImporter._attr(attrs, 'ignoreHeaderLines') ?? '0', 10),
+      header,
+      defaults
+    };
+  }
+  
+  /**
+   * Build DelimitedTextParser options for an occurrence file
+   * @private
+   */
+  _parserOptions(descriptor = null) {
+    const options = {
+      columns: DWC_COLUMNS,
+      passthrough: [...DWC_PASSTHROUGH, ...this.attributes],
+      speciesResolver: (name) => this.taxonomy.resolve(name)
+    };
+    
+    if (descriptor) {
+      options.delimiter = descriptor.delimiter;
+      options.quote = descriptor.quote;
+      options.header = descriptor.header;
+      options.skipLines = descriptor.ignoreHeaderLines;
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Convert Darwin Core fields and apply the unmapped-taxa policy
+   * @private
+   * @param {Object} rawData - Parsed occurrence rows
+   * @param {Object} sourceMeta - Extra meta describing the source
+   * @param {Object} [defaults] - Constant term values from meta.xml
+   */
+  _finalize(rawData, sourceMeta, defaults = {}) {
+    const { records, meta } = rawData;
+    const unmapped = { ...(meta.unmappedSpecies || {}) };
+    const mapped = {};
+    const kept = [];
+    let absent = 0;
+    let droppedUnmapped = 0;
+    
+    for (const record of records) {
+      for (const term of [...DWC_PASSTHROUGH, ...this.attributes]) {
+        if (record[term] === undefined && defaults[term] !== undefined) {
+          record[term] = defaults[term];
+        }
+      }
+      
+      // Absence records are not sightings
+      if (record.occurrenceStatus && record.occurrenceStatus.toLowerCase() === 'absent') {
+        absent++;
+        continue;
+      }
+      const scientificName = record.scientificName;
+      delete record.occurrenceStatus;
+      delete record.scientificName;
+      
+      if (record.species === undefined) {
+        // Named but unmapped taxa were already counted by the parser
+        if (!scientificName) {
+          unmapped['(blank)'] = (unmapped['(blank)'] || 0) + 1;
+        }
+        droppedUnmapped++;
+        continue;
+      }
+      
+      mapped[record.species] = (mapped[record.species] || 0) + 1;
+      
+      this._convertEventDate(record);
+      this._convertDepth(record);
+      
+      // UNCERTAINTY: Position error in the record field DataProcessor reads
+      if (record.coordinateUncertaintyInMeters !== undefined) {
+        const meters = parseFloat(record.coordinateUncertaintyInMeters);
+        if (Number.isFinite(meters)) record.positionErrorMeters = meters;
+        delete record.coordinateUncertaintyInMeters;
+      }
+      
+      kept.push(record);
+    }
+    
+    const unmappedNames = Object.keys(unmapped);
+    if (unmappedNames.length > 0) {
+      const summary = unmappedNames.map(name => `${name} (${unmapped[name]})`).join(', ');
+      
+      if (this.unmappedPolicy === 'fail') {
+        throw new Error(`Unmapped taxa in occurrence data: ${summary}`);
+      }
+      
+      console.warn(`Dropped ${droppedUnmapped} occurrences of unmapped taxa: ${summary}`);
+    }
+    
+    return {
+      records: kept,
+      meta: {
+        ...meta,
+        ...sourceMeta,
+        sourceFormat: 'dwc',
+        taxonomyReport: {
+          mapped,
+          unmapped,
+          droppedUnmapped,
+          absent
+        }
+      }
+    };
+  }
+  
+  /**
+   * eventDate may be a single date or an ISO interval ("2015-06-01/2015-06-30").
+   * Intervals use their midpoint.
+   * UNCERTAINTY: The interval (or a partial date like "2015-07") becomes
+   * timePrecision, which the ISO midpoint alone would lose.
+   * @private
+   */
+  _convertEventDate(record) {
+    if (!record.eventDate) return;
+    
+    const [start, end] = record.eventDate.split('/');
+    const startMs = Date.parse(start);
+    const endMs = end ? Date.parse(end) : startMs;
+    
+    if (Number.isFinite(startMs) && Number.isFinite(endMs)) {
+      // The end date covers its own unit: "2015-06/2015-08" runs to the end of August
+      const endPrecision = TimeDomain.recordPrecision({ time: end || start }) || 0;
+      const windowMs = endMs - startMs + endPrecision;
+      
+      record.time = new Date(startMs + windowMs / 2).toISOString();
+      if (windowMs > 0 && record.timePrecision === undefined) {
+        record.timePrecision = windowMs / 1000;
+      }
+    }
+    
+    delete record.eventDate;
+  }
+  
+  /**
+   * Depth is the midpoint of minimum/maximumDepthInMeters
+   * @private
+   */
+  _convertDepth(record) {
+    const min = parseFloat(record.minimumDepthInMeters);
+    const max = parseFloat(record.maximumDepthInMeters);
+    
+    if (Number.isFinite(min) && Number.isFinite(max)) {
+      record.depth = (min + max) / 2;
+    } else if (Number.isFinite(min) || Number.isFinite(max)) {
+      record.depth = Number.isFinite(min) ? min : max;
+    }
+    
+    delete record.minimumDepthInMeters;
+    delete record.maximumDepthInMeters;
+  }
+  
+  /**
+   * Read an XML attribute value
+   * @private
+   */
+  static _attr(tag, name) {
+    const match = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(tag);
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Unescape meta.xml delimiter notation (\t, \n, &quot;)
+   * @private
+   */
+  static _unescape(value) {
+    return value
+      .replace(/\\t/g, '\t')
+      .replace(/\\n/g, '\n')
+      .replace(/\\r/g, '\r')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
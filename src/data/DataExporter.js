@@ -0,0 +1,283 @@
+/**
+ * Leviathan WebXR - Data Exporter
+ * 
+ * Writes the records currently on show back out as JSON, CSV or GeoJSON,
+ * so a time window and region narrowed down in XR can be analysed
+ * elsewhere. "On show" means:
+ *   - inside the time window around the current time, or around the
+ *     current day of every year in the seasonal fold (see TimeSystem)
+ *   - passing the filter, if there is one (see FilterExpression)
+ *   - inside the inspected region, if one is given
+ * 
+ * Records are rebuilt from the processed arrays:
+ *   lat, lon  - Declared numeric `lat`/`lon` attributes where the dataset
+ *               keeps its source coordinates, otherwise Projection.unproject
+ *               of the float32 positions (good to about a meter)
+ *   time      - ISO 8601, through the dataset's TimeDomain (stored as
+ *               float32, so a few seconds off over a decades-long span)
+ *   errors    - positionErrorMeters and timePrecision (seconds), where known
+ *   others    - depth, species (ID and name), count and declared attributes
+ * 
+ * Datasets coarsened for privacy export their coarsened records; the
+ * rules stay in meta.privacy.
+ */
+
+import { AttributeColumns } from './AttributeColumns.js';
+
+/**
+ * Export formats with file details
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+// Record fields written before the attributes, in CSV column order
+const RECORD_FIELDS = ['lat', 'lon', 'depth', 'time', 'species', 'speciesName', 'count', 'positionErrorMeters', 'timePrecision'];
+
+// Decimal places kept: lat/lon to ~0.1 m, depth to the centimetre
+const COORDINATE_DECIMALS = 6;
+const DEPTH_DECIMALS = 2;
+
+export class DataExporter {
+  /**
+   * Create exporter
+   * @param {Projection} projection - Projection the data was placed with
+   * @param {TimeDomain} timeDomain - Dataset time domain
+   * @param {SpeciesRegistry} [speciesRegistry] - For species names
+   */
+  constructor(projection, timeDomain, speciesRegistry = null) {
+    this.projection = projection;
+    this.timeDomain = timeDomain;
+    this.speciesRegistry = speciesRegistry;
+  }
+  
+  /**
+   * Find the records on show
+   * @param {Object} data - Processed data
+   * @param {Object} view
+   * @param {number} [view.time] - Current normalized time (omit for every time)
+   * @param {number} [view.timeWindow] - Time window radius, as in TimeSystem
+   * @param {number[][]} [view.timeRanges] - [t0, t1] ranges in time order, instead of
+   *   time and timeWindow (TimeSystem.getVisibleRanges, e.g. one per year when folded)
+   * @param {TimeChunker} [view.timeChunker] - Time index over data, to skip a full scan
+   * @param {CompiledFilter} [view.filter] - Filter compiled for this dataset
+   * @param {{center: number[], radius: number}} [view.region] - Inspected sphere in world units
+   * @returns {Uint32Array} Record indices, in time order when a time index is given
+   */
+  select(data, view = {}) {
+    const { time = null, timeWindow = 0, timeChunker = null, filter = null, region = null } = view;
+    const timeRanges = view.timeRanges ?? (time !== null ? [[time - timeWindow, time + timeWindow]] : null);
+    const test = filter ? filter.bind(data) : null;
+    const radiusSq = region ? region.radius * region.radius : 0;
+    const positions = data.positions;
+    
+    const keep = (i) => {
+      if (region) {
+        const dx = positions[i * 3] - region.center[0];
+        const dy = positions[i * 3 + 1] - region.center[1];
+        const dz = positions[i * 3 + 2] - region.center[2];
+        if (dx * dx + dy * dy + dz * dz > radiusSq) return false;
+      }
+      return !test || test(i);
+    };
+    
+    const indices = [];
+    
+    if (timeRanges && timeChunker?.sortedIndices) {
+      for (const [t0, t1] of timeRanges) {
+        const { startIndex, endIndex } = timeChunker.getVisibleRange((t0 + t1) / 2, (t1 - t0) / 2);
+        for (let j = startIndex; j < endIndex; j++) {
+          const i = timeChunker.sortedIndices[j];
+          if (keep(i)) indices.push(i);
+        }
+      }
+    } else {
+      const inRange = t => timeRanges.some(([t0, t1]) => t >= t0 && t <= t1);
+      for (let i = 0; i < data.count; i++) {
+        if (timeRanges && !inRange(data.times[i])) continue;
+        if (keep(i)) indices.push(i);
+      }
+    }
+    
+    return Uint32Array.from(indices);
+  }
+  
+  /**
+   * Rebuild raw records
+   * @param {Object} data - Processed data
+   * @param {ArrayLike<number>} indices - From select()
+   * @returns {Object[]} Records in the JSON data format
+   */
+  toRecords(data, indices) {
+    const attributes = Object.entries(data.attributes || {});
+    const sourceLat = this._sourceColumn(data, 'lat');
+    const sourceLon = this._sourceColumn(data, 'lon');
+    const span = this.timeDomain.getSpan();
+    const records = new Array(indices.length);
+    
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      const x = data.positions[i * 3];
+      const y = data.positions[i * 3 + 1];
+      const z = data.positions[i * 3 + 2];
+      const position = this.projection.unproject(x, y, z);
+      
+      const lat = sourceLat ? AttributeColumns.valueAt(sourceLat, i) ?? position.lat : position.lat;
+      const lon = sourceLon ? AttributeColumns.valueAt(sourceLon, i) ?? position.lon : position.lon;
+      
+      const record = {
+        lat: DataExporter._round(lat, COORDINATE_DECIMALS),
+        lon: DataExporter._round(DataExporter._wrapLon(lon), COORDINATE_DECIMALS),
+        depth: DataExporter._round(Math.max(0, position.depth), DEPTH_DECIMALS),
+        time: new Date(Math.round(this.timeDomain.denormalize(data.times[i]))).toISOString(),
+        species: data.species[i],
+        speciesName: this.speciesRegistry ? this.speciesRegistry.getName(data.species[i]) : null,
+        count: data.counts ? data.counts[i] : 1
+      };
+      
+      // UNCERTAINTY: Only errors the dataset reported or implied are written
+      const positionError = data.positionErrors ? data.positionErrors[i] : NaN;
+      const timeError = data.timeErrors ? data.timeErrors[i] : NaN;
+      if (!Number.isNaN(positionError)) {
+        record.positionErrorMeters = DataExporter._round(positionError, DEPTH_DECIMALS);
+      }
+      if (!Number.isNaN(timeError)) {
+        record.timePrecision = Math.round(timeError * span / 1000);
+      }
+      
+      for (const [name, column] of attributes) {
+        if (name === 'lat' || name === 'lon') continue;
+        const value = AttributeColumns.valueAt(column, i);
+        if (value !== null) record[name] = value;
+      }
+      
+      records[j] = record;
+    }
+    
+    return records;
+  }
+  
+  /**
+   * Encode records on show as a file
+   * @param {Object} data - Processed data
+   * @param {ArrayLike<number>} indices - From select()
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {Object} [exportInfo] - How the subset was chosen, written to meta.export
+   * @returns {{text: string, count: number, mimeType: string, extension: string}}
+   */
+  export(data, indices, format, exportInfo = {}) {
+    const details = EXPORT_FORMATS[format];
+    if (!details) {
+      throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    
+    const records = this.toRecords(data, indices);
+    const meta = this._meta(data, records.length, exportInfo);
+    let text;
+    
+    switch (format) {
+      case 'json':
+        text = JSON.stringify({ meta, records });
+        break;
+      case 'geojson':
+        text = JSON.stringify(DataExporter.toGeoJSON(records, meta));
+        break;
+      case 'csv':
+        text = DataExporter.toCSV(records, Object.keys(data.attributes || {}).filter(name => name !== 'lat' && name !== 'lon'));
+        break;
+    }
+    
+    return { text, count: records.length, mimeType: details.mimeType, extension: details.extension };
+  }
+  
+  /**
+   * Records as a GeoJSON FeatureCollection of points
+   * Depth stays a property (GeoJSON's third coordinate is height).
+   * @param {Object[]} records - From toRecords()
+   * @param {Object} [meta] - Written as a foreign member
+   * @returns {Object}
+   */
+  static toGeoJSON(records, meta = null) {
+    return {
+      type: 'FeatureCollection',
+      ...(meta ? { meta } : {}),
+      features: records.map(({ lat, lon, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties
+      }))
+    };
+  }
+  
+  /**
+   * Records as CSV (RFC 4180), readable by DelimitedTextParser
+   * @param {Object[]} records - From toRecords()
+   * @param {string[]} attributeNames - Attribute columns after the record fields
+   * @returns {string}
+   */
+  static toCSV(records, attributeNames = []) {
+    const columns = [...RECORD_FIELDS, ...attributeNames];
+    const cell = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [columns.map(cell).join(',')];
+    for (const record of records) {
+      lines.push(columns.map(column => cell(record[column])).join(','));
+    }
+    
+    return lines.join('\r\n') + '\r\n';
+  }
+  
+  /**
+   * Meta written with JSON and GeoJSON exports
+   * @private
+   */
+  _meta(data, count, exportInfo) {
+    const source = data.meta || {};
+    const meta = {
+      timeRange: this.timeDomain.toRange(),
+      export: { ...exportInfo, records: count, exportedAt: new Date().toISOString() }
+    };
+    
+    for (const field of ['title', 'source', 'license', 'citation', 'doi', 'attributes', 'privacy']) {
+      if (source[field] !== undefined) meta[field] = source[field];
+    }
+    if (this.speciesRegistry) {
+      meta.speciesMap = this.speciesRegistry.toSpeciesMap();
+    }
+    
+    return meta;
+  }
+  
+  /**
+   * Declared numeric attribute holding a source coordinate, if any
+   * @private
+   */
+  _sourceColumn(data, name) {
+    const column = data.attributes?.[name];
+    return column && column.type === 'numeric' ? column : null;
+  }
+  
+  /**
+   * Wrap a longitude into [-180, 180)
+   * (unprojecting across the antimeridian can land outside it)
+   * @private
+   */
+  static _wrapLon(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+  }
+  
+  /**
+   * Round to a number of decimal places
+   * @private
+   */
+  static _round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
@@ -2,9 +2,12 @@
  * Leviathan WebXR - Data Loader
  * 
  * Fetches and validates whale observation data.
- * Supports both JSON and binary formats.
+ * Supports JSON, delimited text (CSV/TSV) and binary formats.
  */
 
+import { LWXRDecoder } from './BinaryFormat.js';
+import { DelimitedTextParser } from './DelimitedTextParser.js';
+
 export class DataLoader {
   constructor() {
     // Loading state
@@ -22,6 +25,85 @@ export class DataLoader {
    * @returns {Promise<Object>} Raw whale data
    */
   async loadJSON(url) {
+    const bytes = await this.fetchBytes(url);
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    return DataLoader.validate(data);
+  }
+  
+  /**
+   * Load whale data from a CSV/TSV URL
+   * Rows are parsed as they stream in and mapped onto record fields
+   * through the column/unit configuration.
+   * @param {string} url - Data source URL
+   * @param {Object} options - DelimitedTextParser options (columns, units, dateFormat, speciesCodes)
+   * @returns {Promise<Object>} Raw whale data
+   */
+  async loadDelimited(url, options = {}) {
+    const parserOptions = { ...options };
+    if (!parserOptions.delimiter && /\.tsv(\?|$)/i.test(url)) {
+      parserOptions.delimiter = '\t';
+    }
+    
+    const parser = new DelimitedTextParser(parserOptions);
+    const decoder = new TextDecoder();
+    
+    await this._stream(url, (chunk) => {
+      parser.push(decoder.decode(chunk, { stream: true }));
+    });
+    parser.push(decoder.decode());
+    
+    return DataLoader.validate(parser.finish());
+  }
+  
+  /**
+   * Load an LWXR binary dataset (see docs/DATA_FORMAT.md)
+   * Records are decoded while the file streams in, straight into the
+   * TypedArrays DataProcessor would produce - no JSON, no record objects.
+   * @param {string} url - Data source URL
+   * @param {Projection} projection - Projection used to place records
+   * @returns {Promise<Object>} Processed data (positions, times, species, densities, count, meta)
+   */
+  async loadBinary(url, projection) {
+    const decoder = new LWXRDecoder(projection);
+    await this._stream(url, (chunk) => decoder.push(chunk));
+    
+    const processed = decoder.finish();
+    console.log(`Decoded ${processed.count} LWXR records from ${url}`);
+    return processed;
+  }
+  
+  /**
+   * Fetch a URL into a single byte array, reporting progress
+   * @param {string} url
+   * @returns {Promise<Uint8Array>}
+   */
+  async fetchBytes(url) {
+    const chunks = [];
+    let received = 0;
+    
+    await this._stream(url, (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+    });
+    
+    // Combine chunks
+    const allChunks = new Uint8Array(received);
+    let position = 0;
+    for (const chunk of chunks) {
+      allChunks.set(chunk, position);
+      position += chunk.length;
+    }
+    
+    return allChunks;
+  }
+  
+  /**
+   * Stream a URL chunk by chunk with progress tracking
+   * @private
+   * @param {string} url
+   * @param {Function} onChunk - Called with each Uint8Array as it arrives
+   */
+  async _stream(url, onChunk) {
     this.isLoading = true;
     this.loadProgress = 0;
     
@@ -36,10 +118,8 @@ export class DataLoader {
       const contentLength = response.headers.get('content-length');
       const total = contentLength ? parseInt(contentLength, 10) : 0;
       
-      if (total > 0) {
-        // Stream response for progress tracking
+      if (response.body) {
         const reader = response.body.getReader();
-        const chunks = [];
         let received = 0;
         
         while (true) {
@@ -47,37 +127,24 @@ export class DataLoader {
           
           if (done) break;
           
-          chunks.push(value);
+          onChunk(value);
           received += value.length;
           
-          this.loadProgress = received / total;
-          if (this.onProgress) {
-            this.onProgress(this.loadProgress);
+          if (total > 0) {
+            this.loadProgress = received / total;
+            if (this.onProgress) {
+              this.onProgress(this.loadProgress);
+            }
           }
         }
-        
-        // Combine chunks and decode
-        const allChunks = new Uint8Array(received);
-        let position = 0;
-        for (const chunk of chunks) {
-          allChunks.set(chunk, position);
-          position += chunk.length;
-        }
-        
-        const text = new TextDecoder().decode(allChunks);
-        const data = JSON.parse(text);
-        
-        this.isLoading = false;
-        return this._validate(data);
-        
       } else {
-        // No content length - load directly
-        const data = await response.json();
-        this.loadProgress = 1;
-        this.isLoading = false;
-        return this._validate(data);
+        // No streaming body - load directly
+        onChunk(new Uint8Array(await response.arrayBuffer()));
       }
       
+      this.loadProgress = 1;
+      this.isLoading = false;
+      
     } catch (error) {
       this.isLoading = false;
       
@@ -124,11 +191,12 @@ export class DataLoader {
   
   /**
    * Validate data structure
-   * @private
+   * Static so the worker pipeline can validate JSON it parses itself.
+   * Individual records are checked by DataValidator.
    * @param {Object} data - Raw data
    * @returns {Object} Validated data
    */
-  _validate(data) {
+  static validate(data) {
     if (!data) {
       throw new Error('Data is empty');
     }
@@ -141,17 +209,12 @@ export class DataLoader {
     // Normalize structure
     const records = data.records || data;
     
-    if (records.length === 0) {
-      console.warn('Data contains no records');
+    if (!Array.isArray(records)) {
+      throw new Error('Data must contain records array');
     }
     
-    // Validate first record structure
-    if (records.length > 0) {
-      const sample = records[0];
-      
-      if (typeof sample.lat !== 'number' || typeof sample.lon !== 'number') {
-        throw new Error('Records must contain lat and lon fields');
-      }
+    if (records.length === 0) {
+      console.warn('Data contains no records');
     }
     
     return {
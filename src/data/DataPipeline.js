@@ -0,0 +1,274 @@
+/**
+ * Leviathan WebXR - Data Pipeline
+ * 
+ * Runs every load-time stage - parse, validate, deduplicate, privacy,
+ * process, time index, LOD aggregation, spatial grid and survey effort - as one unit, so it can run inside a Web Worker
+ * (see PipelineWorker.js / WorkerPipeline.js) or on the main thread.
+ * 
+ * Results cross the worker boundary as TypedArrays, which are transferred
+ * rather than copied.
+ */
+
+import { DataLoader } from './DataLoader.js';
+import { DataProcessor } from './DataProcessor.js';
+import { DataValidator } from './DataValidator.js';
+import { Deduplicator } from './Deduplicator.js';
+import { PrivacyTransform } from './PrivacyTransform.js';
+import { TimeChunker } from './TimeChunker.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { LWXRDecoder } from './BinaryFormat.js';
+import { GeoJSONImporter } from './GeoJSONImporter.js';
+import { EffortGrid } from './EffortGrid.js';
+import { AttributeColumns } from './AttributeColumns.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+import { DensityAggregator } from '../rendering/DensityAggregator.js';
+import { RENDER_BUDGET } from '../utils/Constants.js';
+
+/**
+ * Pipeline stages in run order, with display labels
+ */
+export const PIPELINE_STAGES = {
+  parse: 'Parsing',
+  validate: 'Validating',
+  dedup: 'Merging duplicates',
+  privacy: 'Applying privacy rules',
+  process: 'Processing',
+  index: 'Indexing time',
+  aggregate: 'Aggregating LOD',
+  grid: 'Building spatial grid',
+  effort: 'Applying survey effort'
+};
+
+export class DataPipeline {
+  /**
+   * Run the full pipeline
+   * @param {Object} input - {rawData} or {bytes: Uint8Array, format: 'json'|'geojson'|'lwxr'}
+   * @param {Object} options
+   * @param {Projection} options.projection - Projection used to place records
+   * @param {number} options.maxInstances - Instance budget for LOD selection
+   * @param {number} options.gridCellSize - Spatial grid cell size in world units
+   * @param {number} options.chunkSize - Records per processing step
+   * @param {Object} options.meta - Meta fields overriding the input's (e.g. timeDomain, maxCount)
+   * @param {string} options.validationPolicy - 'drop', 'clamp' or 'fail' (see DataValidator)
+   * @param {Object} options.dedup - Duplicate merging tolerances and rules (see Deduplicator); null or omitted skips it
+   * @param {Object} options.privacy - Coarsening rules for sensitive species (see PrivacyTransform); null or omitted skips it
+   * @param {Uint8Array} options.effort - Survey effort file (JSON or GeoJSON, see EffortGrid); not transferred
+   * @param {boolean} options.keepRawData - Also return the records as they went into processing (e.g. for baking to LWXR); never serialized
+   * @param {Function} onProgress - Called with (stage, progress [0, 1])
+   * @param {Object} signal - Optional {aborted} flag checked between stages
+   * @returns {Promise<Object>} {processedData, timeChunker, densityAggregator, spatialGrid, effortGrid, activeLOD, validation, dedup}, plus rawData with keepRawData
+   */
+  static async run(input, options, onProgress = null, signal = null) {
+    const {
+      projection,
+      maxInstances = RENDER_BUDGET.maxVisibleInstances,
+      gridCellSize = 0.5,
+      chunkSize = 10000,
+      validationPolicy
+    } = options;
+    
+    const report = (stage, progress) => {
+      if (signal?.aborted) {
+        throw new Error('Pipeline cancelled');
+      }
+      if (onProgress) {
+        onProgress(stage, progress);
+      }
+    };
+    
+    // Parse (LWXR decodes straight to processed arrays)
+    report('parse', 0);
+    let processedData = null;
+    let rawData = input.rawData || null;
+    
+    if (input.bytes && input.format === 'lwxr') {
+      const decoder = new LWXRDecoder(projection);
+      decoder.push(input.bytes);
+      processedData = decoder.finish();
+      DataPipeline.checkPrivacy(processedData, options.privacy);
+    } else if (input.bytes) {
+      // GeoJSON is recognized by content, so .json exports from GIS tools work too
+      const json = JSON.parse(new TextDecoder().decode(input.bytes));
+      rawData = DataLoader.validate(GeoJSONImporter.isGeoJSON(json)
+        ? new GeoJSONImporter({ attributes: AttributeColumns.names(options.meta) }).import(json)
+        : json);
+    }
+    
+    if (!processedData && !rawData) {
+      throw new Error('Pipeline input must contain rawData or bytes');
+    }
+    
+    // Caller-supplied meta (e.g. a chunk's shared time domain) wins over the file's
+    if (rawData && options.meta) {
+      rawData = { ...rawData, meta: { ...rawData.meta, ...options.meta } };
+    }
+    report('parse', 1);
+    
+    // Check every record against the field specs (LWXR holds already-processed values)
+    let validation = null;
+    if (rawData) {
+      report('validate', 0);
+      const validated = new DataValidator(validationPolicy).validate(rawData);
+      rawData = validated.data;
+      validation = validated.report;
+      report('validate', 1);
+    }
+    
+    // Merge records that report the same sighting (LWXR is already processed)
+    let dedup = null;
+    if (rawData && options.dedup) {
+      report('dedup', 0);
+      const deduplicated = new Deduplicator(options.dedup).deduplicate(rawData);
+      rawData = deduplicated.data;
+      dedup = deduplicated.report;
+      report('dedup', 1);
+    }
+    
+    // Coarsen sensitive species after merging, which needs the exact positions
+    // (LWXR is already processed, so it must be baked from coarsened records;
+    // checkPrivacy refuses it otherwise)
+    if (rawData && options.privacy) {
+      report('privacy', 0);
+      rawData = new PrivacyTransform(options.privacy).transform(rawData);
+      report('privacy', 1);
+    }
+    
+    // Process into GPU-ready format
+    if (!processedData) {
+      const processor = new DataProcessor(projection);
+      processedData = await processor.processAsync(
+        rawData,
+        chunkSize,
+        (progress) => report('process', progress)
+      );
+    }
+    report('process', 1);
+    
+    // Build time index
+    report('index', 0);
+    const timeChunker = new TimeChunker();
+    timeChunker.build(processedData);
+    report('index', 1);
+    
+    // Build density LOD levels
+    report('aggregate', 0);
+    const densityAggregator = new DensityAggregator();
+    densityAggregator.process(processedData);
+    report('aggregate', 1);
+    
+    // FIX: Audit Issue - Select LOD level based on dataset size and Quest 2 budget
+    const activeLOD = densityAggregator.selectLevel(maxInstances);
+    
+    // AUDIT FOLLOW-UP: Build spatial grid for safe inspection queries
+    report('grid', 0);
+    const spatialGrid = new SpatialGrid(gridCellSize);
+    spatialGrid.build(densityAggregator.getLevel(activeLOD));
+    report('grid', 1);
+    
+    // Sightings per unit effort, when the dataset comes with survey effort
+    let effortGrid = null;
+    if (options.effort) {
+      report('effort', 0);
+      const timeDomain = TimeDomain.fromMeta(processedData.meta) || TimeDomain.default();
+      effortGrid = EffortGrid.parse(options.effort, projection, timeDomain, gridCellSize);
+      densityAggregator.applyEffort(effortGrid);
+      spatialGrid.setEffort(effortGrid);
+      report('effort', 1);
+    }
+    
+    const result = { processedData, timeChunker, densityAggregator, spatialGrid, effortGrid, activeLOD, validation, dedup };
+    if (options.keepRawData) {
+      result.rawData = rawData;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Flatten a pipeline result into a structured-clone payload
+   * @param {Object} result - From run()
+   * @returns {{payload: Object, transfer: ArrayBuffer[]}}
+   */
+  static serialize(result) {
+    const payload = {
+      processedData: result.processedData,
+      timeIndex: result.timeChunker.serialize(),
+      lod: result.densityAggregator.serialize(),
+      grid: result.spatialGrid.serialize(),
+      effort: result.effortGrid ? result.effortGrid.serialize() : null,
+      activeLOD: result.activeLOD,
+      validation: result.validation,
+      dedup: result.dedup || null
+    };
+    
+    return { payload, transfer: DataPipeline.collectTransferables(payload) };
+  }
+  
+  /**
+   * Rebuild pipeline objects from a serialize() payload
+   * @param {Object} payload
+   * @returns {Object} Same shape as run()
+   */
+  static restore(payload) {
+    const { processedData } = payload;
+    
+    const timeChunker = new TimeChunker();
+    timeChunker.restore(payload.timeIndex, processedData);
+    
+    const densityAggregator = new DensityAggregator();
+    densityAggregator.restore(payload.lod, processedData);
+    
+    const spatialGrid = new SpatialGrid();
+    spatialGrid.restore(payload.grid);
+    
+    const effortGrid = payload.effort ? EffortGrid.restore(payload.effort) : null;
+    if (effortGrid) {
+      spatialGrid.setEffort(effortGrid);
+    }
+    
+    return {
+      processedData,
+      timeChunker,
+      densityAggregator,
+      spatialGrid,
+      effortGrid,
+      activeLOD: payload.activeLOD,
+      validation: payload.validation,
+      dedup: payload.dedup || null
+    };
+  }
+  
+  /**
+   * Refuse already-processed data that privacy rules were asked for but
+   * never applied to
+   * LWXR files and baked packages can't be coarsened after the fact; their
+   * meta.privacy shows they were baked from coarsened records.
+   * @param {Object} processedData
+   * @param {Object|null} privacy - Rules the dataset asks for
+   * @throws {Error} If the rules are set and the data wasn't coarsened
+   */
+  static checkPrivacy(processedData, privacy) {
+    if (privacy && !processedData.meta?.privacy) {
+      throw new Error('Privacy rules are not applied to LWXR or baked data; bake it from the source records with the rules (tools/bake.mjs --privacy)');
+    }
+  }
+  
+  /**
+   * Find every TypedArray buffer in an object tree (each listed once)
+   * @param {Object} value
+   * @returns {ArrayBuffer[]}
+   */
+  static collectTransferables(value, buffers = new Set()) {
+    if (ArrayBuffer.isView(value)) {
+      buffers.add(value.buffer);
+    } else if (value instanceof ArrayBuffer) {
+      buffers.add(value);
+    } else if (value && typeof value === 'object') {
+      for (const child of Object.values(value)) {
+        DataPipeline.collectTransferables(child, buffers);
+      }
+    }
+    
+    return [...buffers];
+  }
+}
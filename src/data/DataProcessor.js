@@ -2,10 +2,26 @@
  * Leviathan WebXR - Data Processor
  * 
  * Converts raw whale observation data to GPU-friendly TypedArrays.
- * Handles coordinate projection and time normalization.
+ * Handles coordinate projection and time normalization against the
+ * dataset's TimeDomain (millisecond precision).
+ * 
+ * UNCERTAINTY: Per-record position error (positionErrorMeters, or Darwin
+ * Core coordinateUncertaintyInMeters) and time precision (timePrecision,
+ * or inferred from the time's format) are kept as positionErrors (meters)
+ * and timeErrors (fraction of the time span). NaN marks an unknown error;
+ * both arrays are null when no record carries either.
+ * 
+ * Attributes declared in meta.attributes are kept as typed columns in
+ * `attributes` (see AttributeColumns); null when none are declared.
+ * 
+ * Raw individual counts are kept in `counts` (densities are their
+ * normalized log) so filters can test them (see FilterExpression).
  */
 
-import { TIME_RANGE } from '../utils/Constants.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+import { SpeciesRegistry } from './SpeciesRegistry.js';
+import { AttributeColumns } from './AttributeColumns.js';
+import { PrivacyTransform } from './PrivacyTransform.js';
 
 export class DataProcessor {
   /**
@@ -20,6 +36,74 @@ export class DataProcessor {
     this.lastRecordCount = 0;
   }
   
+  /**
+   * Number of species slots a dataset needs
+   * Covers both the IDs declared in meta.speciesMap and those present in the data.
+   * @param {Object} meta - Dataset meta
+   * @param {number} maxSpecies - Highest species ID in the records
+   * @returns {number}
+   */
+  static speciesCount(meta, maxSpecies) {
+    return Math.max(SpeciesRegistry.fromMeta(meta).getCount(), maxSpecies + 1);
+  }
+  
+  /**
+   * UNCERTAINTY: Position and time error of a raw record
+   * @param {Object} record - Raw record
+   * @param {TimeDomain} timeDomain - Dataset time domain
+   * @returns {[number, number]} [meters, fraction of the time span], NaN where unknown
+   */
+  static recordErrors(record, timeDomain) {
+    const rawMeters = record.positionErrorMeters ?? record.coordinateUncertaintyInMeters;
+    const meters = rawMeters === undefined || rawMeters === null || rawMeters === '' ? NaN : Number(rawMeters);
+    const precision = TimeDomain.recordPrecision(record);
+    
+    return [
+      meters >= 0 ? meters : NaN,
+      precision === null ? NaN : precision / timeDomain.getSpan()
+    ];
+  }
+  
+  /**
+   * Concatenate two processed datasets (progressive loading)
+   * Meta is taken from the first dataset.
+   * @param {Object} a - Processed data
+   * @param {Object} b - Processed data appended after a
+   * @returns {Object} Combined processed data
+   */
+  static concat(a, b) {
+    const join = (x, y) => {
+      const out = new x.constructor(x.length + y.length);
+      out.set(x, 0);
+      out.set(y, x.length);
+      return out;
+    };
+    
+    // UNCERTAINTY: Error arrays may exist on one side only (unknown = NaN)
+    const joinErrors = (x, y) => {
+      if (!x && !y) return null;
+      return join(x || new Float32Array(a.count).fill(NaN), y || new Float32Array(b.count).fill(NaN));
+    };
+    
+    return {
+      positions: join(a.positions, b.positions),
+      times: join(a.times, b.times),
+      species: join(a.species, b.species),
+      densities: join(a.densities, b.densities),
+      counts: join(a.counts, b.counts),
+      positionErrors: joinErrors(a.positionErrors, b.positionErrors),
+      timeErrors: joinErrors(a.timeErrors, b.timeErrors),
+      attributes: AttributeColumns.concat(a.attributes, a.count, b.attributes, b.count),
+      count: a.count + b.count,
+      speciesCount: Math.max(a.speciesCount, b.speciesCount),
+      meta: {
+        ...a.meta,
+        maxCount: Math.max(a.meta.maxCount || 1, b.meta.maxCount || 1),
+        privacy: PrivacyTransform.mergeSummaries(a.meta.privacy, b.meta.privacy)
+      }
+    };
+  }
+  
   /**
    * Process raw whale records into GPU-ready format
    * @param {Object} rawData - From DataLoader
@@ -35,20 +119,31 @@ export class DataProcessor {
     const times = new Float32Array(count);
     const species = new Float32Array(count);  // Float for shader compatibility
     const densities = new Float32Array(count);
+    const counts = new Float32Array(count);
+    
+    // UNCERTAINTY: Per-record errors (dropped again if no record has any)
+    const positionErrors = new Float32Array(count);
+    const timeErrors = new Float32Array(count);
+    let hasErrors = false;
     
-    // Determine time range from meta or calculate from data
-    let timeStart = meta.timeRange?.[0] ? new Date(meta.timeRange[0]).getFullYear() : TIME_RANGE.startYear;
-    let timeEnd = meta.timeRange?.[1] ? new Date(meta.timeRange[1]).getFullYear() : TIME_RANGE.endYear;
-    const timeSpan = timeEnd - timeStart;
+    // Declared extra attributes (null if there are none)
+    const attributes = AttributeColumns.fromMeta(meta, count);
+    
+    // Determine time domain from meta or scan it from the records
+    const timeDomain = TimeDomain.resolve(meta, records);
     
     // Find max count for density normalization
-    let maxCount = 1;
+    // (meta.maxCount lets separately processed chunks share one scale)
+    let maxCount = meta.maxCount || 1;
     for (const record of records) {
       if (record.count && record.count > maxCount) {
         maxCount = record.count;
       }
     }
     
+    // Highest species ID seen (sizes histograms and color tables)
+    let maxSpecies = 0;
+    
     // Process each record
     for (let i = 0; i < count; i++) {
       const record = records[i];
@@ -64,32 +159,23 @@ export class DataProcessor {
       positions[i * 3 + 1] = y;
       positions[i * 3 + 2] = z;
       
-      // Normalize time
-      if (typeof record.time === 'number') {
-        // Already normalized [0, 1]
-        times[i] = record.time;
-      } else if (record.time) {
-        // Parse date string
-        const date = new Date(record.time);
-        const year = date.getFullYear() + date.getMonth() / 12;
-        times[i] = (year - timeStart) / timeSpan;
-      } else if (record.year) {
-        // Use year field
-        times[i] = (record.year - timeStart) / timeSpan;
-      } else {
-        // Random time as fallback
-        times[i] = Math.random();
-      }
-      
-      // Clamp time to [0, 1]
-      times[i] = Math.max(0, Math.min(1, times[i]));
+      // Normalize time (clamped to [0, 1])
+      times[i] = timeDomain.normalizeRecord(record);
       
       // Species (default to 0 if not specified)
       species[i] = record.species ?? record.speciesId ?? 0;
+      if (species[i] > maxSpecies) maxSpecies = species[i];
       
       // Density (normalized count)
       const rawCount = record.count ?? record.density ?? 1;
       densities[i] = Math.log10(rawCount + 1) / Math.log10(maxCount + 1);
+      counts[i] = rawCount;
+      
+      // UNCERTAINTY: Observation error
+      [positionErrors[i], timeErrors[i]] = DataProcessor.recordErrors(record, timeDomain);
+      hasErrors = hasErrors || !Number.isNaN(positionErrors[i]) || !Number.isNaN(timeErrors[i]);
+      
+      attributes?.write(i, record);
     }
     
     const processingTime = performance.now() - startTime;
@@ -103,10 +189,16 @@ export class DataProcessor {
       times,
       species,
       densities,
+      counts,
+      positionErrors: hasErrors ? positionErrors : null,
+      timeErrors: hasErrors ? timeErrors : null,
+      attributes: attributes ? attributes.toData() : null,
       count,
+      speciesCount: DataProcessor.speciesCount(meta, maxSpecies),
       meta: {
         ...meta,
-        timeRange: [timeStart, timeEnd],
+        timeRange: timeDomain.toRange(),
+        timeDomain: timeDomain.toJSON(),
         maxCount,
         processingTime
       }
@@ -129,20 +221,25 @@ export class DataProcessor {
     const times = new Float32Array(count);
     const species = new Float32Array(count);
     const densities = new Float32Array(count);
+    const counts = new Float32Array(count);
+    const positionErrors = new Float32Array(count);
+    const timeErrors = new Float32Array(count);
+    let hasErrors = false;
+    const attributes = AttributeColumns.fromMeta(meta, count);
     
-    // Time range
-    let timeStart = meta.timeRange?.[0] ? new Date(meta.timeRange[0]).getFullYear() : TIME_RANGE.startYear;
-    let timeEnd = meta.timeRange?.[1] ? new Date(meta.timeRange[1]).getFullYear() : TIME_RANGE.endYear;
-    const timeSpan = timeEnd - timeStart;
+    // Time domain
+    const timeDomain = TimeDomain.resolve(meta, records);
     
-    // Max count for density
-    let maxCount = 1;
+    // Max count for density (meta.maxCount shares the scale across chunks)
+    let maxCount = meta.maxCount || 1;
     for (const record of records) {
       if (record.count && record.count > maxCount) {
         maxCount = record.count;
       }
     }
     
+    let maxSpecies = 0;
+    
     // Process in chunks
     for (let start = 0; start < count; start += chunkSize) {
       const end = Math.min(start + chunkSize, count);
@@ -160,23 +257,18 @@ export class DataProcessor {
         positions[i * 3 + 1] = y;
         positions[i * 3 + 2] = z;
         
-        if (typeof record.time === 'number') {
-          times[i] = record.time;
-        } else if (record.time) {
-          const date = new Date(record.time);
-          const year = date.getFullYear() + date.getMonth() / 12;
-          times[i] = (year - timeStart) / timeSpan;
-        } else if (record.year) {
-          times[i] = (record.year - timeStart) / timeSpan;
-        } else {
-          times[i] = Math.random();
-        }
-        
-        times[i] = Math.max(0, Math.min(1, times[i]));
+        times[i] = timeDomain.normalizeRecord(record);
         species[i] = record.species ?? record.speciesId ?? 0;
+        if (species[i] > maxSpecies) maxSpecies = species[i];
         
         const rawCount = record.count ?? record.density ?? 1;
         densities[i] = Math.log10(rawCount + 1) / Math.log10(maxCount + 1);
+        counts[i] = rawCount;
+        
+        [positionErrors[i], timeErrors[i]] = DataProcessor.recordErrors(record, timeDomain);
+        hasErrors = hasErrors || !Number.isNaN(positionErrors[i]) || !Number.isNaN(timeErrors[i]);
+        
+        attributes?.write(i, record);
       }
       
       // Report progress and yield
@@ -193,10 +285,16 @@ export class DataProcessor {
       times,
       species,
       densities,
+      counts,
+      positionErrors: hasErrors ? positionErrors : null,
+      timeErrors: hasErrors ? timeErrors : null,
+      attributes: attributes ? attributes.toData() : null,
       count,
+      speciesCount: DataProcessor.speciesCount(meta, maxSpecies),
       meta: {
         ...meta,
-        timeRange: [timeStart, timeEnd],
+        timeRange: timeDomain.toRange(),
+        timeDomain: timeDomain.toJSON(),
         maxCount
       }
     };
@@ -0,0 +1,439 @@
+/**
+ * Leviathan WebXR - Data Validator
+ * 
+ * Checks every record against the field specifications in
+ * docs/DATA_FORMAT.md before processing, instead of letting bad rows
+ * turn into NaN positions or silent defaults further down.
+ * 
+ * Policies:
+ *   drop  - records with any problem are removed
+ *   clamp - fixable problems are repaired (values clamped, longitudes
+ *           wrapped, numeric strings converted); the rest are removed
+ *   fail  - any problem aborts the load
+ * 
+ * Every pass produces a report with counts per error type and a few
+ * sample rows, shown on the landing page before entering XR.
+ */
+
+import { TimeDomain, TIME_PRECISIONS } from '../core/TimeDomain.js';
+import { AttributeColumns } from './AttributeColumns.js';
+import { FIELD_LIMITS, VALIDATION } from '../utils/Constants.js';
+
+/**
+ * Validation policies
+ */
+export const ValidationPolicy = {
+  DROP: 'drop',
+  CLAMP: 'clamp',
+  FAIL: 'fail'
+};
+
+/**
+ * Error types with display labels
+ */
+export const VALIDATION_ERRORS = {
+  invalidRecord: 'Record is not an object',
+  missingCoordinate: 'Missing or non-numeric lat/lon',
+  wrongType: 'Numeric field given as text',
+  latOutOfRange: 'Latitude outside -90..90',
+  lonOutOfRange: 'Longitude outside -180..180',
+  invalidDepth: 'Depth is not a number',
+  depthOutOfRange: 'Depth outside 0..11000 m',
+  invalidTime: 'Time could not be parsed',
+  timeOutOfRange: 'Time outside the declared time range',
+  invalidSpecies: 'Species is not a non-negative integer',
+  missingSpecies: 'Species missing (set to 0)',
+  unknownSpecies: 'Species ID not declared in the speciesMap',
+  invalidCount: 'Count is not a number',
+  countOutOfRange: 'Count outside 1..1000',
+  invalidPositionError: 'Position error is not a non-negative number of meters',
+  invalidTimePrecision: 'Time precision is not a known unit or seconds',
+  invalidAttribute: 'Numeric attribute is not a number'
+};
+
+export class DataValidator {
+  /**
+   * Create validator
+   * @param {string} policy - ValidationPolicy value
+   * @param {number} maxSamples - Offending rows kept per error type
+   */
+  constructor(policy = VALIDATION.defaultPolicy, maxSamples = VALIDATION.maxSamples) {
+    if (!Object.values(ValidationPolicy).includes(policy)) {
+      throw new Error(`Unknown validation policy: ${policy}`);
+    }
+    
+    this.policy = policy;
+    this.maxSamples = maxSamples;
+  }
+  
+  /**
+   * Validate every record
+   * Input records are never modified; repaired records are copies.
+   * @param {Object} rawData - {records, meta}
+   * @returns {{data: Object, report: Object}} Records that passed (or were repaired) and the report
+   */
+  validate(rawData) {
+    const records = rawData.records || [];
+    const meta = rawData.meta || {};
+    const report = DataValidator.createReport(this.policy, records.length);
+    
+    // Times are only range-checked against an explicitly declared domain
+    const timeDomain = TimeDomain.fromMeta(meta);
+    
+    // Declared numeric attributes must hold numbers (see AttributeColumns)
+    const numericAttributes = AttributeColumns.declarations(meta)
+      .filter(declaration => declaration.type === 'numeric')
+      .map(declaration => declaration.name);
+    
+    // Species IDs are checked against a declared speciesMap
+    const speciesIds = DataValidator._declaredSpecies(meta);
+    
+    const kept = [];
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const issues = this._check(record, timeDomain, numericAttributes, speciesIds);
+      
+      if (issues.length === 0) {
+        kept.push(record);
+        continue;
+      }
+      
+      for (const issue of issues) {
+        this._addIssue(report, issue, i, record);
+      }
+      
+      if (this.policy === ValidationPolicy.CLAMP && issues.every(issue => issue.fix)) {
+        const repaired = { ...record };
+        for (const issue of issues) {
+          issue.fix(repaired);
+        }
+        kept.push(repaired);
+        report.repaired++;
+      } else {
+        report.dropped++;
+      }
+    }
+    
+    report.kept = kept.length;
+    
+    if (this.policy === ValidationPolicy.FAIL && report.dropped > 0) {
+      throw new Error(`Validation failed: ${DataValidator.summarize(report)}`);
+    }
+    
+    if (report.dropped > 0 || report.repaired > 0) {
+      console.warn(`Validation (${this.policy}): ${DataValidator.summarize(report)}`);
+    }
+    
+    return {
+      data: { ...rawData, records: kept },
+      report
+    };
+  }
+  
+  /**
+   * Create an empty report
+   * @param {string} policy
+   * @param {number} total - Records checked
+   * @returns {Object}
+   */
+  static createReport(policy, total = 0) {
+    return {
+      policy,
+      total,
+      kept: 0,
+      repaired: 0,
+      dropped: 0,
+      // type -> {label, count, samples: [{index, field, value, record}]}
+      errors: {}
+    };
+  }
+  
+  /**
+   * Combine two reports (e.g. from consecutive chunks)
+   * Sample indices stay relative to their own chunk.
+   * @param {Object|null} a
+   * @param {Object|null} b
+   * @returns {Object|null}
+   */
+  static mergeReports(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    
+    const merged = DataValidator.createReport(a.policy, a.total + b.total);
+    merged.kept = a.kept + b.kept;
+    merged.repaired = a.repaired + b.repaired;
+    merged.dropped = a.dropped + b.dropped;
+    
+    for (const report of [a, b]) {
+      for (const [type, entry] of Object.entries(report.errors)) {
+        const target = merged.errors[type] ||
+          (merged.errors[type] = { label: entry.label, count: 0, samples: [] });
+        target.count += entry.count;
+        target.samples.push(...entry.samples.slice(0, VALIDATION.maxSamples - target.samples.length));
+      }
+    }
+    
+    return merged;
+  }
+  
+  /**
+   * One-line summary of a report
+   * @param {Object} report
+   * @returns {string} e.g. "980/1000 records kept, 12 repaired, 20 dropped"
+   */
+  static summarize(report) {
+    const parts = [`${report.kept}/${report.total} records kept`];
+    if (report.repaired > 0) parts.push(`${report.repaired} repaired`);
+    if (report.dropped > 0) parts.push(`${report.dropped} ${report.policy === ValidationPolicy.FAIL ? 'invalid' : 'dropped'}`);
+    
+    const types = Object.keys(report.errors);
+    if (types.length > 0) {
+      parts.push(`(${types.map(type => `${type}: ${report.errors[type].count}`).join(', ')})`);
+    }
+    
+    return parts.join(', ');
+  }
+  
+  /**
+   * Check one record
+   * @private
+   * @returns {Object[]} Issues: {type, field, value, fix} - fix is null if the record can't be repaired
+   */
+  _check(record, timeDomain, numericAttributes = [], speciesIds = null) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return [{ type: 'invalidRecord', field: null, value: record, fix: null }];
+    }
+    
+    const issues = [];
+    
+    this._checkCoordinate(record, 'lat', 'latOutOfRange', issues);
+    this._checkCoordinate(record, 'lon', 'lonOutOfRange', issues);
+    
+    // Depth (optional, defaults to surface)
+    if (record.depth !== undefined && record.depth !== null) {
+      const depth = this._checkNumber(record, 'depth', 'invalidDepth', issues);
+      if (depth !== null) {
+        const [min, max] = FIELD_LIMITS.depth;
+        if (depth < min || depth > max) {
+          issues.push({
+            type: 'depthOutOfRange',
+            field: 'depth',
+            value: record.depth,
+            fix: (r) => { r.depth = Math.min(max, Math.max(min, depth)); }
+          });
+        }
+      }
+    }
+    
+    this._checkTime(record, timeDomain, issues);
+    
+    this._checkSpecies(record, speciesIds, issues);
+    
+    // Count (optional, defaults to 1)
+    if (record.count !== undefined && record.count !== null) {
+      const count = this._checkNumber(record, 'count', 'invalidCount', issues);
+      if (count !== null) {
+        const [min, max] = FIELD_LIMITS.count;
+        if (count < min || count > max || !Number.isInteger(count)) {
+          issues.push({
+            type: 'countOutOfRange',
+            field: 'count',
+            value: record.count,
+            fix: (r) => { r.count = Math.min(max, Math.max(min, Math.round(count))); }
+          });
+        }
+      }
+    }
+    
+    this._checkObservationError(record, issues);
+    
+    // Unreadable attribute values are discarded - the sighting itself is still valid
+    for (const name of numericAttributes) {
+      const value = record[name];
+      if (value !== undefined && value !== null && value !== '' && Number.isNaN(AttributeColumns.toNumber(value))) {
+        issues.push({ type: 'invalidAttribute', field: name, value, fix: (r) => { delete r[name]; } });
+      }
+    }
+    
+    return issues;
+  }
+  
+  /**
+   * Check the optional observation error fields
+   * Unusable values are repaired by discarding them (error unknown), since
+   * the sighting itself is still valid.
+   * @private
+   */
+  _checkObservationError(record, issues) {
+    const errorField = record.positionErrorMeters !== undefined ? 'positionErrorMeters' : 'coordinateUncertaintyInMeters';
+    const meters = record[errorField];
+    if (meters !== undefined && meters !== null && meters !== '') {
+      const value = typeof meters === 'string' && meters.trim() !== '' ? Number(meters) : meters;
+      
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        issues.push({ type: 'invalidPositionError', field: errorField, value: meters, fix: (r) => { delete r[errorField]; } });
+      } else if (value !== meters) {
+        issues.push({ type: 'wrongType', field: errorField, value: meters, fix: (r) => { r[errorField] = value; } });
+      }
+    }
+    
+    const precision = record.timePrecision;
+    if (precision !== undefined && precision !== null && precision !== '') {
+      const named = typeof precision === 'string' && precision.trim().toLowerCase() in TIME_PRECISIONS;
+      const seconds = Number(precision);
+      
+      if (!named && (!Number.isFinite(seconds) || seconds < 0)) {
+        issues.push({ type: 'invalidTimePrecision', field: 'timePrecision', value: precision, fix: (r) => { delete r.timePrecision; } });
+      }
+    }
+  }
+  
+  /**
+   * Check the species ID
+   * Missing IDs are repaired to 0 (the documented default) but reported;
+   * IDs a speciesMap doesn't declare are kept as "Species N" when clamping.
+   * @private
+   */
+  _checkSpecies(record, speciesIds, issues) {
+    const speciesField = record.species !== undefined ? 'species' : 'speciesId';
+    const species = record[speciesField];
+    
+    if (species === undefined || species === null || species === '') {
+      issues.push({ type: 'missingSpecies', field: 'species', value: species, fix: (r) => { r.species = 0; } });
+      return;
+    }
+    
+    const value = typeof species === 'string' && species.trim() !== '' ? Number(species) : species;
+    
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      issues.push({ type: 'invalidSpecies', field: speciesField, value: species, fix: null });
+      return;
+    }
+    if (!Number.isInteger(value) || value !== species) {
+      issues.push({
+        type: 'invalidSpecies',
+        field: speciesField,
+        value: species,
+        fix: (r) => { r[speciesField] = Math.round(value); }
+      });
+    }
+    
+    if (speciesIds && !speciesIds.has(Math.round(value))) {
+      issues.push({ type: 'unknownSpecies', field: speciesField, value: species, fix: () => {} });
+    }
+  }
+  
+  /**
+   * Species IDs declared by meta.speciesMap, or null without one
+   * @private
+   */
+  static _declaredSpecies(meta) {
+    const map = meta.speciesMap;
+    if (!map || typeof map !== 'object' || Object.keys(map).length === 0) return null;
+    
+    return new Set(Object.keys(map).map(key => parseInt(key, 10)).filter(id => Number.isInteger(id) && id >= 0));
+  }
+  
+  /**
+   * Check a required coordinate (lat or lon)
+   * Latitudes are clamped; longitudes are wrapped, since 190 is -170.
+   * @private
+   */
+  _checkCoordinate(record, field, rangeType, issues) {
+    const raw = record[field];
+    if (raw === undefined || raw === null || raw === '') {
+      issues.push({ type: 'missingCoordinate', field, value: raw, fix: null });
+      return;
+    }
+    
+    const value = this._checkNumber(record, field, 'missingCoordinate', issues);
+    if (value === null) return;
+    
+    const [min, max] = FIELD_LIMITS[field];
+    if (value >= min && value <= max) return;
+    
+    issues.push({
+      type: rangeType,
+      field,
+      value: raw,
+      fix: field === 'lon'
+        ? (r) => { r.lon = ((((value + 180) % 360) + 360) % 360) - 180; }
+        : (r) => { r.lat = Math.min(max, Math.max(min, value)); }
+    });
+  }
+  
+  /**
+   * Check that a field is a finite number
+   * Numeric strings are reported as wrongType (repairable); anything else
+   * is reported as invalidType (not repairable).
+   * @private
+   * @returns {number|null} The numeric value, or null if there is none
+   */
+  _checkNumber(record, field, invalidType, issues) {
+    const raw = record[field];
+    
+    if (typeof raw === 'number') {
+      if (Number.isFinite(raw)) return raw;
+      issues.push({ type: invalidType, field, value: raw, fix: null });
+      return null;
+    }
+    
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+    if (!Number.isFinite(value)) {
+      issues.push({ type: invalidType, field, value: raw, fix: null });
+      return null;
+    }
+    
+    issues.push({ type: 'wrongType', field, value: raw, fix: (r) => { r[field] = value; } });
+    return value;
+  }
+  
+  /**
+   * Check time (or year): parseable, and inside the declared range if there is one
+   * @private
+   */
+  _checkTime(record, timeDomain, issues) {
+    const hasTime = record.time !== undefined && record.time !== null && record.time !== '';
+    const field = hasTime ? 'time' : 'year';
+    const raw = record[field];
+    
+    if (!hasTime && (raw === undefined || raw === null)) return;
+    
+    // Normalized times are valid by definition
+    if (hasTime && typeof raw === 'number' && raw >= 0 && raw <= 1) return;
+    
+    const ms = TimeDomain.recordTime(record);
+    if (ms === null || !Number.isFinite(ms)) {
+      issues.push({ type: 'invalidTime', field, value: raw, fix: null });
+      return;
+    }
+    
+    if (timeDomain && (ms < timeDomain.start || ms > timeDomain.end)) {
+      const clamped = Math.min(timeDomain.end, Math.max(timeDomain.start, ms));
+      issues.push({
+        type: 'timeOutOfRange',
+        field,
+        value: raw,
+        fix: (r) => {
+          delete r.year;
+          r.time = new Date(clamped).toISOString();
+        }
+      });
+    }
+  }
+  
+  /**
+   * Count an issue and keep a sample row
+   * @private
+   */
+  _addIssue(report, issue, index, record) {
+    const entry = report.errors[issue.type] ||
+      (report.errors[issue.type] = { label: VALIDATION_ERRORS[issue.type], count: 0, samples: [] });
+    
+    entry.count++;
+    if (entry.samples.length < this.maxSamples) {
+      entry.samples.push({ index, field: issue.field, value: issue.value, record });
+    }
+  }
+}
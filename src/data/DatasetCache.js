@@ -0,0 +1,262 @@
+/**
+ * Leviathan WebXR - Dataset Cache
+ * 
+ * Persists pipeline outputs (processed arrays, time index, LOD levels and
+ * spatial grid) in IndexedDB so later visits skip reprojection and index
+ * builds entirely. On a Quest this turns a multi-second load into a read.
+ * 
+ * Entries are keyed by dataset URL, a SHA-256 of the source bytes and the
+ * projection/pipeline parameters, so changed data or settings never hit a
+ * stale entry. TypedArrays are stored as binary via structured clone.
+ * 
+ * Two object stores keep listing cheap:
+ *   entries  - {key, url, hash, count, bytes, createdAt, usedAt}
+ *   payloads - {key, payload} (DataPipeline.serialize() payload)
+ */
+
+import { DataPipeline } from './DataPipeline.js';
+import { CACHE } from '../utils/Constants.js';
+
+const ENTRIES = 'entries';
+const PAYLOADS = 'payloads';
+
+export class DatasetCache {
+  /**
+   * Create dataset cache
+   * @param {string} dbName - IndexedDB database name
+   */
+  constructor(dbName = CACHE.dbName) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+  
+  /**
+   * Check whether IndexedDB and SubtleCrypto are available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' &&
+      typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+  
+  /**
+   * SHA-256 of the source bytes
+   * @param {Uint8Array} bytes
+   * @returns {Promise<string>} Hex digest
+   */
+  static async hash(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Build a cache key
+   * The manifest meta is part of it: its time range, species map and
+   * attributes change what the pipeline produces, and the rest is copied
+   * into the processed meta. It goes in as a hash of its stable JSON,
+   * together with the privacy rules and the parser and importer options,
+   * which change what the same bytes parse to.
+   * @param {string} url - Dataset URL (or a synthetic source name)
+   * @param {string} hash - Content hash
+   * @param {Projection} projection
+   * @param {Object} options - Pipeline options that change the output (maxInstances, gridCellSize, validationPolicy, dedup, privacy, effortHash, meta), plus the entry's parser and importer options
+   * @returns {Promise<string>}
+   */
+  static async makeKey(url, hash, projection, options = {}) {
+    const params = [
+      projection.originLatDeg,
+      projection.originLonDeg,
+      projection.scale,
+      options.maxInstances ?? '',
+      options.gridCellSize ?? '',
+      options.validationPolicy ?? '',
+      options.dedup ? JSON.stringify(options.dedup) : '',
+      options.effortHash ?? ''
+    ].join(',');
+    
+    // Privacy rules hold the jitter seed, which must not show up in plain text
+    const settings = options.meta || options.privacy || options.parser || options.importer
+      ? await DatasetCache.hash(new TextEncoder().encode(DatasetCache._stableJSON({
+        meta: options.meta,
+        privacy: options.privacy || undefined,
+        parser: options.parser || undefined,
+        importer: options.importer || undefined
+      })))
+      : '';
+    
+    return `v${CACHE.formatVersion}|${url}|${hash}|${params}|${settings}`;
+  }
+  
+  /**
+   * JSON with object keys sorted, so equal settings always give equal text
+   * @private
+   */
+  static _stableJSON(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => DatasetCache._stableJSON(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${DatasetCache._stableJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+  
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) return this.db;
+    
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(ENTRIES, { keyPath: 'key' });
+        db.createObjectStore(PAYLOADS, { keyPath: 'key' });
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    return this.db;
+  }
+  
+  /**
+   * Load a cached pipeline result
+   * @param {string} key - From makeKey()
+   * @returns {Promise<Object|null>} Same shape as DataPipeline.run(), or null on a miss
+   */
+  async get(key) {
+    const record = await this._transaction(PAYLOADS, 'readonly', store => store.get(key));
+    if (!record) return null;
+    
+    // Track use for least-recently-used eviction
+    const entry = await this._transaction(ENTRIES, 'readonly', store => store.get(key));
+    if (entry) {
+      entry.usedAt = Date.now();
+      await this._transaction(ENTRIES, 'readwrite', store => store.put(entry));
+    }
+    
+    console.log(`Dataset cache hit: ${entry?.url ?? key}`);
+    return DataPipeline.restore(record.payload);
+  }
+  
+  /**
+   * Store a pipeline result
+   * The oldest entries are evicted beyond CACHE.maxEntries.
+   * @param {string} key - From makeKey()
+   * @param {Object} info - {url, hash}
+   * @param {Object} result - DataPipeline.run() result
+   */
+  async put(key, info, result) {
+    const { payload, transfer } = DataPipeline.serialize(result);
+    const now = Date.now();
+    
+    const entry = {
+      key,
+      url: info.url,
+      hash: info.hash,
+      count: result.processedData.count,
+      bytes: transfer.reduce((sum, buffer) => sum + buffer.byteLength, 0),
+      createdAt: now,
+      usedAt: now
+    };
+    
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([ENTRIES, PAYLOADS], 'readwrite');
+      tx.objectStore(ENTRIES).put(entry);
+      tx.objectStore(PAYLOADS).put({ key, payload });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Cache write aborted'));
+    });
+    
+    console.log(`Cached ${entry.url} (${(entry.bytes / 1048576).toFixed(1)} MB)`);
+    
+    await this._evictOldest();
+  }
+  
+  /**
+   * List cached datasets, most recently used first
+   * @returns {Promise<Object[]>} Entries (without payloads)
+   */
+  async list() {
+    const entries = await this._transaction(ENTRIES, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.usedAt - a.usedAt);
+  }
+  
+  /**
+   * Evict one cached dataset
+   * @param {string} key
+   */
+  async delete(key) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([ENTRIES, PAYLOADS], 'readwrite');
+      tx.objectStore(ENTRIES).delete(key);
+      tx.objectStore(PAYLOADS).delete(key);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+  
+  /**
+   * Evict every cached dataset
+   */
+  async clear() {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([ENTRIES, PAYLOADS], 'readwrite');
+      tx.objectStore(ENTRIES).clear();
+      tx.objectStore(PAYLOADS).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+  
+  /**
+   * Drop least recently used entries beyond the limit
+   * @private
+   */
+  async _evictOldest() {
+    const entries = await this.list();
+    
+    for (const entry of entries.slice(CACHE.maxEntries)) {
+      await this.delete(entry.key);
+      console.log(`Evicted cached dataset ${entry.url}`);
+    }
+  }
+  
+  /**
+   * Run a single request in its own transaction
+   * @private
+   * @param {string} storeName
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _transaction(storeName, mode, makeRequest) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Close the database
+   */
+  dispose() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
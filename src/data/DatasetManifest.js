@@ -0,0 +1,217 @@
+/**
+ * Leviathan WebXR - Dataset Manifest
+ * 
+ * Lists the datasets the landing page can offer (data/whales/manifest.json).
+ * Each entry names its format and source; the app picks one from the
+ * ?dataset= URL parameter or the manifest default.
+ * 
+ * Entry fields:
+ *   id, title, description  - Identity
+ *   source, license, citation, doi - Attribution, shown with the data (see Provenance)
+ *   format      - 'synthetic' | 'json' | 'geojson' | 'lwxr' | 'csv' | 'tsv' | 'dwc' | 'chunks' | 'baked'
+ *   url         - Data file (or chunk manifest, baked package .bake.json, or unzipped
+ *                 Darwin Core Archive folder or its meta.xml) relative to the manifest
+ *   chunks      - Chunk URLs for 'chunks' (see ChunkedLoader)
+ *   timeRange   - [start, end] shared time domain
+ *   speciesMap  - Species names/colors (see docs/DATA_FORMAT.md)
+ *   attributes  - Extra record attributes kept as columns (see AttributeColumns)
+ *   records     - Record count (synthetic: how many to generate)
+ *   scenario    - Synthetic scenario preset (see SyntheticDataGenerator)
+ *   seed        - Synthetic generator seed
+ *   trends      - Synthetic abundance curves and range shifts by species ID
+ *   parser      - DelimitedTextParser options for 'csv' / 'tsv'
+ *   effort      - Survey effort file (JSON/GeoJSON) for sightings per unit effort (see EffortGrid)
+ *   filters     - Extra filter presets [{label, expression}] (see FilterExpression)
+ *   dedup       - Merge duplicate records: true, or tolerances and rules (see Deduplicator)
+ *   privacy     - Coarsening rules for sensitive species (see PrivacyTransform)
+ * 
+ * Local files (dropped or picked on the landing page) become entries
+ * with a `file` instead of a `url`; see entryForFile().
+ */
+
+/**
+ * Supported dataset formats
+ */
+export const DATASET_FORMATS = ['synthetic', 'json', 'geojson', 'lwxr', 'csv', 'tsv', 'dwc', 'chunks', 'baked'];
+
+/**
+ * Built-in synthetic dataset, also used when no manifest can be loaded
+ */
+export const SYNTHETIC_DATASET = {
+  id: 'synthetic',
+  title: 'Synthetic migrations (development)',
+  description: 'Generated Pacific migration patterns for development and demos',
+  format: 'synthetic',
+  records: 100000,
+  license: 'CC0 (generated)'
+};
+
+export class DatasetManifest {
+  /**
+   * Create manifest
+   * @param {Object} manifest - Parsed manifest ({default, datasets})
+   * @param {string} baseUrl - URL the manifest was loaded from (entry URLs are relative to it)
+   */
+  constructor(manifest = {}, baseUrl = '') {
+    this.baseUrl = baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1);
+    
+    this.datasets = (manifest.datasets || [])
+      .map(entry => this._normalize(entry))
+      .filter(Boolean);
+    
+    if (this.datasets.length === 0) {
+      this.datasets.push(this._normalize(SYNTHETIC_DATASET));
+    }
+    
+    this.defaultId = this.get(manifest.default) ? manifest.default : this.datasets[0].id;
+  }
+  
+  /**
+   * Load a manifest
+   * @param {DataLoader} dataLoader
+   * @param {string} url
+   * @returns {Promise<DatasetManifest>}
+   */
+  static async load(dataLoader, url) {
+    const bytes = await dataLoader.fetchBytes(url);
+    const manifest = new DatasetManifest(JSON.parse(new TextDecoder().decode(bytes)), url);
+    
+    console.log(`Dataset manifest: ${manifest.datasets.length} datasets from ${url}`);
+    return manifest;
+  }
+  
+  /**
+   * Guess a dataset format from a file URL or name
+   * @param {string} url
+   * @returns {string} Format, 'json' if unknown
+   */
+  static formatFromUrl(url) {
+    // Packages baked by tools/bake.mjs (see BakedPackage)
+    if (/\.bake\.json(\?|#|$)/i.test(url)) return 'baked';
+    
+    // Unzipped Darwin Core Archives (see DarwinCoreImporter)
+    if (/\bmeta\.xml(\?|#|$)/i.test(url)) return 'dwc';
+    
+    const match = /\.(json|geojson|lwxr|csv|tsv|txt)(\?|#|$)/i.exec(url);
+    if (!match) return 'json';
+    
+    const extension = match[1].toLowerCase();
+    return extension === 'txt' ? 'tsv' : extension;
+  }
+  
+  /**
+   * Build an ad-hoc entry for a single URL (e.g. ?data=...)
+   * @param {string} url
+   * @param {string} format - Defaults to the URL's extension
+   * @returns {Object} Dataset entry
+   */
+  static entryForUrl(url, format = DatasetManifest.formatFromUrl(url)) {
+    return new DatasetManifest({ datasets: [{ id: url, title: url, format, url }] }).datasets[0];
+  }
+  
+  /**
+   * Build an entry for a local File
+   * @param {File} file
+   * @returns {Object} Dataset entry
+   */
+  static entryForFile(file) {
+    if (/\.zip$/i.test(file.name)) {
+      throw new Error(`${file.name} is a zipped archive; unzip it and open its occurrence file`);
+    }
+    if (!/\.(json|geojson|lwxr|csv|tsv|txt)$/i.test(file.name)) {
+      throw new Error(`Unsupported file type: ${file.name} (use JSON, GeoJSON, CSV/TSV or LWXR)`);
+    }
+    if (DatasetManifest.formatFromUrl(file.name) === 'baked') {
+      throw new Error(`${file.name} is a baked package; load it from a URL so its data files can be found`);
+    }
+    
+    return new DatasetManifest()._normalize({
+      id: `file:${file.name}`,
+      title: file.name,
+      description: `Local file (${(file.size / 1048576).toFixed(1)} MB)`,
+      format: DatasetManifest.formatFromUrl(file.name),
+      file
+    });
+  }
+  
+  /**
+   * Get all datasets
+   * @returns {Object[]}
+   */
+  getDatasets() {
+    return this.datasets;
+  }
+  
+  /**
+   * Get a dataset by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.datasets.find(dataset => dataset.id === id) || null;
+  }
+  
+  /**
+   * Get the default dataset
+   * @returns {Object}
+   */
+  getDefault() {
+    return this.get(this.defaultId);
+  }
+  
+  /**
+   * Resolve a URL relative to the manifest
+   * @param {string} url
+   * @returns {string}
+   */
+  resolveUrl(url) {
+    return /^([a-z]+:)?\//i.test(url) ? url : this.baseUrl + url;
+  }
+  
+  /**
+   * Check an entry and fill in derived fields
+   * @private
+   * @returns {Object|null} Normalized entry, or null if unusable
+   */
+  _normalize(entry) {
+    if (!entry || !entry.id) {
+      console.warn('Dataset manifest entry without an id skipped:', entry);
+      return null;
+    }
+    
+    const format = entry.format || (entry.chunks ? 'chunks' : entry.url ? DatasetManifest.formatFromUrl(entry.url) : null);
+    if (!DATASET_FORMATS.includes(format)) {
+      console.warn(`Dataset "${entry.id}" has unsupported format: ${format}`);
+      return null;
+    }
+    
+    if (format !== 'synthetic' && !entry.url && !entry.chunks && !entry.file) {
+      console.warn(`Dataset "${entry.id}" has no url or chunks`);
+      return null;
+    }
+    
+    // Meta the entry contributes to the dataset itself
+    const meta = { ...(entry.meta || {}) };
+    if (entry.timeRange) meta.timeRange = entry.timeRange;
+    if (entry.speciesMap) meta.speciesMap = entry.speciesMap;
+    if (entry.attributes) meta.attributes = entry.attributes;
+    for (const field of ['source', 'license', 'citation', 'doi']) {
+      if (entry[field]) meta[field] = entry[field];
+    }
+    meta.title = entry.title || entry.id;
+    
+    return {
+      ...entry,
+      title: entry.title || entry.id,
+      format,
+      url: entry.url ? this.resolveUrl(entry.url) : null,
+      chunks: entry.chunks
+        ? entry.chunks.map(chunk => (typeof chunk === 'string'
+          ? this.resolveUrl(chunk)
+          : { ...chunk, url: this.resolveUrl(chunk.url) }))
+        : null,
+      effort: entry.effort ? this.resolveUrl(entry.effort) : null,
+      meta
+    };
+  }
+}
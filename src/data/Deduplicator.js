@@ -0,0 +1,349 @@
+/**
+ * Leviathan WebXR - Deduplicator
+ * 
+ * Merges records that describe the same sighting, as happens when
+ * datasets from several agencies are combined: the same animals reported
+ * two or three times with slightly different coordinates or timestamps.
+ * Runs between validation and processing (see DataPipeline).
+ * 
+ * Two records are duplicates when they are within distanceMeters of each
+ * other (great-circle, depth ignored), within timeSeconds, and their
+ * species match under the species rule:
+ *   same  - same species ID
+ *   group - same species group (e.g. Baleen), for partly identified sightings
+ *   any   - species is not compared
+ * 
+ * Each record is compared with the first record of every nearby group
+ * (not with each member), so groups can't drift along a chain of
+ * near-duplicates. The first record keeps its position, time and fields;
+ * the merged record gets:
+ *   count      - the largest count in the group ('max') or their sum ('sum')
+ *   source     - every distinct source in the group (source,
+ *                institutionCode or datasetName), joined with "; "
+ *   mergedFrom - number of input records it stands for
+ * 
+ * Records without a usable time are never merged.
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+import { SpeciesRegistry } from './SpeciesRegistry.js';
+import { DEDUP, DEG_TO_RAD, EARTH_RADIUS } from '../utils/Constants.js';
+
+/**
+ * Species match rules
+ */
+export const SpeciesMatch = {
+  SAME: 'same',
+  GROUP: 'group',
+  ANY: 'any'
+};
+
+/**
+ * Count rules for merged records
+ */
+export const CountRule = {
+  MAX: 'max',
+  SUM: 'sum'
+};
+
+/**
+ * Record fields read as provenance, first match wins
+ */
+const SOURCE_FIELDS = ['source', 'institutionCode', 'datasetName'];
+
+// Meters per degree of latitude
+const METERS_PER_DEGREE = EARTH_RADIUS * DEG_TO_RAD;
+
+export class Deduplicator {
+  /**
+   * Create deduplicator
+   * @param {Object} options
+   * @param {number} [options.distanceMeters] - Spatial tolerance
+   * @param {number} [options.timeSeconds] - Temporal tolerance
+   * @param {string} [options.species] - SpeciesMatch value
+   * @param {string} [options.count] - CountRule value
+   * @param {number} maxSamples - Merged groups kept as report samples
+   */
+  constructor(options = {}, maxSamples = DEDUP.maxSamples) {
+    const { distanceMeters, timeSeconds, species, count } = { ...DEDUP, ...options };
+    
+    if (!(distanceMeters >= 0) || !(timeSeconds >= 0)) {
+      throw new Error('Deduplication tolerances must be non-negative numbers');
+    }
+    if (!Object.values(SpeciesMatch).includes(species)) {
+      throw new Error(`Unknown species match rule: ${species} (use ${Object.values(SpeciesMatch).join(', ')})`);
+    }
+    if (!Object.values(CountRule).includes(count)) {
+      throw new Error(`Unknown count rule: ${count} (use ${Object.values(CountRule).join(' or ')})`);
+    }
+    
+    this.distanceMeters = distanceMeters;
+    this.timeSeconds = timeSeconds;
+    this.species = species;
+    this.count = count;
+    this.maxSamples = maxSamples;
+  }
+  
+  /**
+   * Merge duplicate records
+   * Input records are never modified; merged records are copies.
+   * @param {Object} rawData - {records, meta}
+   * @returns {{data: Object, report: Object}} Deduplicated records and the report
+   */
+  deduplicate(rawData) {
+    const startTime = performance.now();
+    const records = rawData.records || [];
+    const meta = rawData.meta || {};
+    const report = this.createReport(records.length);
+    
+    const registry = this.species === SpeciesMatch.GROUP ? SpeciesRegistry.fromMeta(meta) : null;
+    const speciesKey = (record) => {
+      const id = record.species ?? record.speciesId ?? 0;
+      if (this.species === SpeciesMatch.ANY) return null;
+      if (registry) return registry.get(id)?.group ?? `#${id}`;
+      return id;
+    };
+    
+    // Normalized times ([0, 1]) need the domain the processor will use
+    let timeDomain = null;
+    const recordTime = (record) => {
+      if (typeof record.time === 'number' && record.time >= 0 && record.time <= 1) {
+        timeDomain = timeDomain || TimeDomain.resolve(meta, records);
+        return timeDomain.denormalize(record.time);
+      }
+      return TimeDomain.recordTime(record);
+    };
+    
+    // Buckets at least one tolerance wide, so duplicates are always in
+    // neighbouring ones; a whole number of them spans 360° of longitude
+    const timeTolerance = this.timeSeconds * 1000;
+    const timeBucket = Math.max(timeTolerance, 1);
+    const lonBuckets = Math.max(1, Math.floor(360 / Math.max(this.distanceMeters / METERS_PER_DEGREE, 1e-6)));
+    const latBucket = 360 / lonBuckets;
+    
+    // time bucket -> (lat bucket * lonBuckets + lon bucket) -> groups
+    const buckets = new Map();
+    const groups = [];
+    const out = [];
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const time = recordTime(record);
+      
+      if (time === null) {
+        report.untimed++;
+        out.push(record);
+        continue;
+      }
+      
+      const species = speciesKey(record);
+      const tb = Math.floor(time / timeBucket);
+      const yb = Math.floor(record.lat / latBucket);
+      
+      // Longitude degrees shrink towards the poles, so search wider there
+      const lonTolerance = latBucket / Math.max(Math.cos(record.lat * DEG_TO_RAD), 0.01);
+      const xbMin = Math.floor((record.lon - lonTolerance) / latBucket);
+      const xbMax = Math.min(Math.floor((record.lon + lonTolerance) / latBucket), xbMin + lonBuckets - 1);
+      
+      // Closest group within both tolerances
+      let best = null;
+      let bestScore = Infinity;
+      
+      for (let t = tb - 1; t <= tb + 1; t++) {
+        const cells = buckets.get(t);
+        if (!cells) continue;
+        
+        for (let y = yb - 1; y <= yb + 1; y++) {
+          for (let x = xbMin; x <= xbMax; x++) {
+            const bucket = cells.get(y * lonBuckets + Deduplicator._wrap(x, lonBuckets));
+            if (!bucket) continue;
+            
+            for (const group of bucket) {
+              if (group.species !== species) continue;
+              
+              const dt = Math.abs(time - group.time);
+              if (dt > timeTolerance) continue;
+              
+              const distance = Deduplicator.distance(record.lat, record.lon, group.lat, group.lon);
+              if (distance > this.distanceMeters) continue;
+              
+              const score = (this.distanceMeters > 0 ? distance / this.distanceMeters : 0) +
+                (timeTolerance > 0 ? dt / timeTolerance : 0);
+              if (score < bestScore) {
+                best = group;
+                bestScore = score;
+              }
+            }
+          }
+        }
+      }
+      
+      if (best) {
+        this._merge(best, record, i);
+        continue;
+      }
+      
+      const group = {
+        index: out.length,
+        time,
+        lat: record.lat,
+        lon: record.lon,
+        species,
+        rows: [i],
+        count: record.count ?? 1,
+        sources: new Set()
+      };
+      Deduplicator._addSource(group, record);
+      groups.push(group);
+      out.push(record);
+      
+      if (!buckets.has(tb)) buckets.set(tb, new Map());
+      const cells = buckets.get(tb);
+      const key = yb * lonBuckets + Deduplicator._wrap(Math.floor(record.lon / latBucket), lonBuckets);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(group);
+    }
+    
+    // Write the merged records
+    for (const group of groups) {
+      if (group.rows.length < 2) continue;
+      
+      const merged = { ...out[group.index], count: group.count, mergedFrom: group.rows.length };
+      if (group.sources.size > 0) {
+        merged.source = [...group.sources].join('; ');
+      }
+      out[group.index] = merged;
+      
+      report.groups++;
+      report.largestGroup = Math.max(report.largestGroup, group.rows.length);
+      if (report.samples.length < this.maxSamples) {
+        report.samples.push({ rows: group.rows.slice(0, 10), record: merged });
+      }
+    }
+    
+    report.kept = out.length;
+    report.merged = records.length - out.length;
+    
+    const time = performance.now() - startTime;
+    if (report.merged > 0) {
+      console.log(`Deduplication: ${Deduplicator.summarize(report)} in ${time.toFixed(1)}ms`);
+    }
+    
+    return {
+      data: { ...rawData, records: out },
+      report
+    };
+  }
+  
+  /**
+   * Create an empty report for this deduplicator's settings
+   * @param {number} total - Records checked
+   * @returns {Object}
+   */
+  createReport(total = 0) {
+    return {
+      distanceMeters: this.distanceMeters,
+      timeSeconds: this.timeSeconds,
+      species: this.species,
+      count: this.count,
+      total,
+      kept: 0,
+      merged: 0,
+      groups: 0,
+      largestGroup: 0,
+      untimed: 0,
+      samples: []
+    };
+  }
+  
+  /**
+   * Combine two reports (e.g. from separately processed chunks)
+   * Duplicates that span two chunks are not merged.
+   * @param {Object|null} a
+   * @param {Object|null} b
+   * @returns {Object|null}
+   */
+  static mergeReports(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    
+    return {
+      ...a,
+      total: a.total + b.total,
+      kept: a.kept + b.kept,
+      merged: a.merged + b.merged,
+      groups: a.groups + b.groups,
+      largestGroup: Math.max(a.largestGroup, b.largestGroup),
+      untimed: a.untimed + b.untimed,
+      samples: [...a.samples, ...b.samples].slice(0, DEDUP.maxSamples)
+    };
+  }
+  
+  /**
+   * One-line summary of a report
+   * @param {Object} report
+   * @returns {string} e.g. "120 records merged into 80 sightings (500 m, 3600 s, same species)"
+   */
+  static summarize(report) {
+    const rule = {
+      [SpeciesMatch.SAME]: 'same species',
+      [SpeciesMatch.GROUP]: 'same species group',
+      [SpeciesMatch.ANY]: 'any species'
+    }[report.species];
+    
+    return `${report.merged + report.groups} records merged into ${report.groups} sightings ` +
+      `(${report.distanceMeters} m, ${report.timeSeconds} s, ${rule}, ${report.count} count)`;
+  }
+  
+  /**
+   * Great-circle distance (haversine)
+   * @param {number} lat1
+   * @param {number} lon1
+   * @param {number} lat2
+   * @param {number} lon2
+   * @returns {number} Meters
+   */
+  static distance(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * DEG_TO_RAD;
+    const dLon = (lon2 - lon1) * DEG_TO_RAD;
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) * Math.sin(dLon / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+  
+  /**
+   * Fold a record into a group
+   * @private
+   */
+  _merge(group, record, row) {
+    const count = record.count ?? 1;
+    group.count = this.count === CountRule.SUM ? group.count + count : Math.max(group.count, count);
+    group.rows.push(row);
+    Deduplicator._addSource(group, record);
+  }
+  
+  /**
+   * Add a record's provenance to its group
+   * @private
+   */
+  static _addSource(group, record) {
+    for (const field of SOURCE_FIELDS) {
+      const value = record[field];
+      if (value !== undefined && value !== null && value !== '') {
+        for (const source of String(value).split('; ')) {
+          group.sources.add(source);
+        }
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Wrap a longitude bucket across the antimeridian
+   * @private
+   */
+  static _wrap(bucket, count) {
+    return ((bucket % count) + count) % count;
+  }
+}
@@ -0,0 +1,514 @@
+/**
+ * Leviathan WebXR - Delimited Text Parser
+ * 
+ * Streaming CSV/TSV parser that maps partner column layouts onto the
+ * record shape DataProcessor consumes ({lat, lon, depth, time, species, count},
+ * plus positionErrorMeters / timePrecision where the export records them).
+ * 
+ * Text can be pushed in arbitrary chunks (quoted fields may span chunks),
+ * so large exports never need to be held as a single string.
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+
+/**
+ * Header names recognised when no explicit column mapping is given.
+ * Matching is case-insensitive.
+ */
+export const DEFAULT_COLUMNS = {
+  lat: ['lat', 'latitude', 'lat_dd', 'decimalLatitude'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'long_dd', 'lon_dd', 'decimalLongitude'],
+  depth: ['depth', 'depth_m'],
+  time: ['time', 'date', 'datetime', 'timestamp', 'eventDate'],
+  species: ['species', 'speciesId', 'species_id'],
+  count: ['count', 'groupSize', 'group_size', 'individualCount'],
+  positionErrorMeters: ['positionErrorMeters', 'position_error_m', 'coordinateUncertaintyInMeters'],
+  timePrecision: ['timePrecision', 'time_precision']
+};
+
+/**
+ * Depth unit conversions to meters
+ */
+const DEPTH_UNITS = {
+  meters: 1,
+  feet: 0.3048,
+  fathoms: 1.8288
+};
+
+export class DelimitedTextParser {
+  /**
+   * Create parser
+   * @param {Object} options
+   * @param {string} [options.delimiter] - Field delimiter (auto-detected from the header if omitted)
+   * @param {string} [options.quote='"'] - Quote character ('' disables quoting)
+   * @param {string[]} [options.header] - Column names, for files without a header row
+   * @param {number} [options.skipLines=0] - Leading lines to ignore (before the header)
+   * @param {string[]} [options.passthrough] - Extra columns copied onto records as raw strings
+   * @param {Object} [options.columns] - Field name → header name (or array of candidates)
+   * @param {Object} [options.units] - {coordinates: 'degrees'|'dms', depth: 'meters'|'feet'|'fathoms'}
+   * @param {string} [options.dateFormat='iso'] - 'iso', 'year', or a pattern such as 'MM/DD/YYYY HH:mm'
+   * @param {Object} [options.speciesCodes] - Code → species id lookup (case-insensitive)
+   * @param {Function} [options.speciesResolver] - (value) => species id or null
+   * @param {Object} [options.meta] - Meta object to attach to the output
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || null;
+    this.quote = options.quote ?? '"';
+    this.skipLines = options.skipLines || 0;
+    this.passthrough = options.passthrough || [];
+    this.columns = { ...DEFAULT_COLUMNS, ...(options.columns || {}) };
+    this.units = { coordinates: 'degrees', depth: 'meters', ...(options.units || {}) };
+    this.dateFormat = options.dateFormat || 'iso';
+    this.speciesResolver = options.speciesResolver || null;
+    this.meta = options.meta || {};
+    
+    // Case-insensitive species code lookup
+    this.speciesCodes = new Map();
+    for (const [code, id] of Object.entries(options.speciesCodes || {})) {
+      this.speciesCodes.set(String(code).toLowerCase(), id);
+    }
+    
+    if (!(this.units.depth in DEPTH_UNITS)) {
+      throw new Error(`Unknown depth unit "${this.units.depth}"`);
+    }
+    
+    this.dateParser = this._compileDateFormat(this.dateFormat);
+    
+    // Tokenizer state (persists across chunks)
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.quotePending = false;
+    this.skipNewline = false;
+    
+    // Header state
+    this.headerBuffer = null;
+    this.header = null;
+    this.columnIndex = null;
+    
+    if (options.header) {
+      this.header = options.header.map(h => String(h).trim());
+      this.columnIndex = this._resolveColumns(this.header);
+    }
+    
+    // Output
+    this.records = [];
+    this.rowCount = 0;
+    this.skippedRows = 0;
+    this.unmappedSpecies = {};
+  }
+  
+  /**
+   * Parse a complete text in one call
+   * @param {string} text
+   * @param {Object} options - See constructor
+   * @returns {{records: Object[], meta: Object}}
+   */
+  static parse(text, options = {}) {
+    const parser = new DelimitedTextParser(options);
+    parser.push(text);
+    return parser.finish();
+  }
+  
+  /**
+   * Feed the next chunk of text
+   * @param {string} text
+   */
+  push(text) {
+    if (!this.delimiter) {
+      // Need the whole header line before the delimiter can be detected
+      this.headerBuffer = (this.headerBuffer ?? '') + text;
+      const line = this._detectionLine(this.headerBuffer, false);
+      if (line === null) return;
+      
+      this.delimiter = this._detectDelimiter(line);
+      text = this.headerBuffer;
+      this.headerBuffer = null;
+    }
+    
+    const { delimiter, quote } = this;
+    
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      // Swallow the \n of a \r\n pair
+      if (this.skipNewline) {
+        this.skipNewline = false;
+        if (ch === '\n') continue;
+      }
+      
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === quote) {
+            // Escaped quote ("")
+            this.field += quote;
+            continue;
+          }
+          // Closing quote - fall through to normal handling
+          this.inQuotes = false;
+        } else if (ch === quote) {
+          this.quotePending = true;
+          continue;
+        } else {
+          this.field += ch;
+          continue;
+        }
+      }
+      
+      if (ch === quote && this.field.length === 0) {
+        this.inQuotes = true;
+      } else if (ch === delimiter) {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        this.row.push(this.field);
+        this.field = '';
+        this._emitRow(this.row);
+        this.row = [];
+        this.skipNewline = ch === '\r';
+      } else {
+        this.field += ch;
+      }
+    }
+  }
+  
+  /**
+   * Flush the final row and return parsed data
+   * @returns {{records: Object[], meta: Object}}
+   */
+  finish() {
+    if (this.headerBuffer) {
+      // Single-line input with no trailing newline
+      const text = this.headerBuffer;
+      this.headerBuffer = null;
+      this.delimiter = this._detectDelimiter(this._detectionLine(text, true) ?? '');
+      this.push(text);
+    }
+    
+    if (this.quotePending) {
+      this.quotePending = false;
+      this.inQuotes = false;
+    }
+    
+    if (this.inQuotes) {
+      throw new Error(`Unterminated quoted field on data row ${this.rowCount + 1}`);
+    }
+    
+    if (this.field.length > 0 || this.row.length > 0) {
+      this.row.push(this.field);
+      this._emitRow(this.row);
+    }
+    this.field = '';
+    this.row = [];
+    
+    if (!this.header) {
+      throw new Error('Delimited text has no header row');
+    }
+    
+    if (this.skippedRows > 0) {
+      console.warn(`Skipped ${this.skippedRows} rows without usable coordinates`);
+    }
+    
+    return {
+      records: this.records,
+      meta: {
+        ...this.meta,
+        sourceFormat: this.delimiter === '\t' ? 'tsv' : 'csv',
+        sourceColumns: this.header,
+        rowCount: this.rowCount,
+        skippedRows: this.skippedRows,
+        unmappedSpecies: this.unmappedSpecies
+      }
+    };
+  }
+  
+  /**
+   * Find the line the delimiter is detected from: the first one after the
+   * skipped lines (the header, or the first data row with a given header)
+   * @private
+   * @param {string} text - Start of the input
+   * @param {boolean} final - No more text follows, so the last line is complete
+   * @returns {string|null} Null until that line is complete
+   */
+  _detectionLine(text, final) {
+    const lines = text.split(/\r\n|\r|\n/);
+    if (!final) lines.pop();
+    
+    // Blank lines are not counted as skipped, as in _emitRow
+    let skip = this.skipLines;
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+      if (skip === 0) return line;
+      skip--;
+    }
+    return null;
+  }
+  
+  /**
+   * Handle one tokenized row
+   * @private
+   */
+  _emitRow(row) {
+    // Ignore blank lines
+    if (row.length === 1 && row[0].trim() === '') return;
+    
+    if (this.skipLines > 0) {
+      this.skipLines--;
+      return;
+    }
+    
+    if (!this.header) {
+      this.header = row.map(h => h.trim());
+      this.columnIndex = this._resolveColumns(this.header);
+      return;
+    }
+    
+    this.rowCount++;
+    
+    const record = this._mapRow(row);
+    if (record) {
+      this.records.push(record);
+    } else {
+      this.skippedRows++;
+    }
+  }
+  
+  /**
+   * Resolve configured column names to header indices
+   * @private
+   */
+  _resolveColumns(header) {
+    const lower = header.map(h => h.toLowerCase());
+    const index = {};
+    
+    for (const [field, names] of Object.entries(this.columns)) {
+      if (names === null || names === undefined) continue;
+      
+      const candidates = Array.isArray(names) ? names : [names];
+      for (const name of candidates) {
+        const i = lower.indexOf(String(name).toLowerCase());
+        if (i !== -1) {
+          index[field] = i;
+          break;
+        }
+      }
+    }
+    
+    // Passthrough columns are matched by exact (case-insensitive) name
+    index.passthrough = [];
+    for (const name of this.passthrough) {
+      const i = lower.indexOf(name.toLowerCase());
+      if (i !== -1) index.passthrough.push([name, i]);
+    }
+    
+    if (index.lat === undefined || index.lon === undefined) {
+      throw new Error(`Could not find latitude/longitude columns in header: ${header.join(', ')}`);
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Convert a row into a record
+   * @private
+   * @returns {Object|null} Record, or null if coordinates are unusable
+   */
+  _mapRow(row) {
+    const idx = this.columnIndex;
+    const get = (field) => idx[field] === undefined ? '' : (row[idx[field]] ?? '').trim();
+    
+    const lat = this._parseCoordinate(get('lat'));
+    const lon = this._parseCoordinate(get('lon'));
+    
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return null;
+    }
+    
+    const record = { lat, lon };
+    
+    const depth = get('depth');
+    if (depth !== '') {
+      record.depth = parseFloat(depth) * DEPTH_UNITS[this.units.depth];
+    }
+    
+    const time = get('time');
+    if (time !== '') {
+      Object.assign(record, this.dateParser(time));
+    }
+    
+    const species = get('species');
+    if (species !== '') {
+      const id = this._resolveSpecies(species);
+      if (id !== null) {
+        record.species = id;
+      } else {
+        this.unmappedSpecies[species] = (this.unmappedSpecies[species] || 0) + 1;
+      }
+    }
+    
+    const count = get('count');
+    if (count !== '') {
+      record.count = parseInt(count, 10);
+    }
+    
+    // UNCERTAINTY: Observation error (unit name or seconds for time)
+    const positionError = get('positionErrorMeters');
+    if (positionError !== '') {
+      record.positionErrorMeters = parseFloat(positionError);
+    }
+    
+    const timePrecision = get('timePrecision');
+    if (timePrecision !== '') {
+      record.timePrecision = /^\d*\.?\d+$/.test(timePrecision) ? parseFloat(timePrecision) : timePrecision;
+    }
+    
+    for (const [name, i] of idx.passthrough) {
+      const value = (row[i] ?? '').trim();
+      if (value !== '') record[name] = value;
+    }
+    
+    return record;
+  }
+  
+  /**
+   * Parse a coordinate in decimal degrees or degrees-minutes-seconds
+   * Accepts forms like 36.62, 36°37'12"N, 36 37 12 N, 121:53:24W, 36 37.2N
+   * @private
+   */
+  _parseCoordinate(value) {
+    if (value === '') return NaN;
+    
+    if (this.units.coordinates !== 'dms' && /^[+-]?\d*\.?\d+(e[+-]?\d+)?$/i.test(value)) {
+      return parseFloat(value);
+    }
+    
+    return parseDMS(value);
+  }
+  
+  /**
+   * Map a species value to an id
+   * @private
+   * @returns {number|null}
+   */
+  _resolveSpecies(value) {
+    const code = this.speciesCodes.get(value.toLowerCase());
+    if (code !== undefined) return code;
+    
+    if (this.speciesResolver) {
+      const resolved = this.speciesResolver(value);
+      if (resolved !== null && resolved !== undefined) return resolved;
+    }
+    
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    
+    return null;
+  }
+  
+  /**
+   * Pick the delimiter that splits the header line into the most fields
+   * @private
+   */
+  _detectDelimiter(headerLine) {
+    let best = ',';
+    let bestCount = 0;
+    
+    for (const candidate of [',', '\t', ';', '|']) {
+      const n = headerLine.split(candidate).length;
+      if (n > bestCount) {
+        best = candidate;
+        bestCount = n;
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Build a date parsing function for the configured format
+   * @private
+   * @returns {Function} (value) => partial record ({time} or {year})
+   */
+  _compileDateFormat(format) {
+    // UNCERTAINTY: Partial dates keep their precision ("2015-07" is known to the month only)
+    if (format === 'iso') {
+      return (value) => {
+        const ms = Date.parse(value);
+        if (!Number.isFinite(ms)) return {};
+        
+        const precision = TimeDomain.recordPrecision({ time: value });
+        return precision === null
+          ? { time: new Date(ms).toISOString() }
+          : { time: new Date(ms).toISOString(), timePrecision: precision / 1000 };
+      };
+    }
+    
+    if (format === 'year') {
+      return (value) => {
+        const year = parseInt(value, 10);
+        return Number.isFinite(year) ? { year } : {};
+      };
+    }
+    
+    // Pattern such as 'DD/MM/YYYY HH:mm' - tokens become capture groups
+    const tokens = [];
+    const source = format.replace(/YYYY|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (token) => {
+      switch (token) {
+        case 'YYYY': tokens.push('year'); return '(\\d{4})';
+        case 'MM': tokens.push('month'); return '(\\d{1,2})';
+        case 'DD': tokens.push('day'); return '(\\d{1,2})';
+        case 'HH': tokens.push('hour'); return '(\\d{1,2})';
+        case 'mm': tokens.push('minute'); return '(\\d{1,2})';
+        case 'ss': tokens.push('second'); return '(\\d{1,2})';
+        default: return '\\' + token;
+      }
+    });
+    
+    if (!tokens.includes('year')) {
+      throw new Error(`Date format "${format}" must contain YYYY`);
+    }
+    
+    const pattern = new RegExp(`^${source}$`);
+    
+    // Precision is the finest unit the pattern contains
+    const unit = ['second', 'minute', 'hour', 'day', 'month', 'year'].find(name => tokens.includes(name));
+    
+    return (value) => {
+      const match = pattern.exec(value);
+      if (!match) return {};
+      
+      const parts = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+      tokens.forEach((name, i) => {
+        parts[name] = parseInt(match[i + 1], 10);
+      });
+      
+      const ms = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return unit === 'second'
+        ? { time: new Date(ms).toISOString() }
+        : { time: new Date(ms).toISOString(), timePrecision: unit };
+    };
+  }
+}
+
+/**
+ * Parse a degrees-minutes-seconds coordinate string
+ * @param {string} value - e.g. 36°37'12"N, 36 37 12 N, -121:53:24, 36 37.2N
+ * @returns {number} Decimal degrees, NaN if unparseable
+ */
+export function parseDMS(value) {
+  const hemisphere = /[NSEW]\s*$/i.exec(value)?.[0].trim().toUpperCase()
+    ?? /^\s*[NSEW]/i.exec(value)?.[0].trim().toUpperCase();
+  
+  const numbers = value.match(/\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length === 0 || numbers.length > 3) return NaN;
+  
+  const [deg, min = 0, sec = 0] = numbers.map(Number);
+  if (min >= 60 || sec >= 60) return NaN;
+  
+  let decimal = deg + min / 60 + sec / 3600;
+  
+  const negative = value.trim().startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+  if (negative) decimal = -decimal;
+  
+  return decimal;
+}
@@ -0,0 +1,378 @@
+/**
+ * Leviathan WebXR - Effort Grid
+ * 
+ * Survey effort (hours of observation) per horizontal grid column and
+ * time bucket, loaded from a companion effort dataset.
+ * 
+ * WHY EFFORT:
+ * - Raw sighting density mostly shows where boats went, not where whales are
+ * - Sightings per unit effort (SPUE) corrects for uneven survey coverage
+ * - Columns with (almost) no effort are "unsurveyed": absence there says
+ *   nothing, and must not read as empty ocean
+ * 
+ * Columns use the same cell size as the SpatialGrid (depth is ignored -
+ * effort is logged at the surface); time buckets follow the dataset's
+ * natural unit, like the LOD aggregation.
+ * 
+ * Accepted input (see docs/DATA_FORMAT.md, Survey Effort):
+ *   - GeoJSON track lines (LineString / MultiLineString) with total hours,
+ *     spread along the line by length
+ *   - GeoJSON points, or plain records {lat, lon, time, hours}, adding
+ *     hours to the column they fall in
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+import { EFFORT } from '../utils/Constants.js';
+
+/**
+ * Effort value marking an unsurveyed instance (see toInstanceValue)
+ */
+export const UNSURVEYED = -1;
+
+/**
+ * Property names tried for each effort field
+ */
+const PROPERTY_NAMES = {
+  hours: ['hours', 'effortHours', 'effort_hours', 'effort'],
+  time: ['time', 'datetime', 'date', 'eventDate', 'timestamp', 'year']
+};
+
+export class EffortGrid {
+  /**
+   * Create effort grid
+   * @param {number} cellSize - Column size in world units (match the SpatialGrid)
+   * @param {number} timeBuckets - Time buckets across the normalized domain
+   */
+  constructor(cellSize = 0.5, timeBuckets = 1) {
+    this.cellSize = cellSize;
+    this.timeBuckets = timeBuckets;
+    
+    // "cx,cz,bucket" -> hours, and "cx,cz" -> hours over all time
+    this.hours = new Map();
+    this.columnHours = new Map();
+    
+    // Statistics
+    this.totalHours = 0;
+    this.skipped = 0;
+  }
+  
+  /**
+   * Parse an effort file
+   * @param {Uint8Array} bytes - JSON or GeoJSON
+   * @param {Projection} projection
+   * @param {TimeDomain} timeDomain - Domain of the sightings it corrects
+   * @param {number} cellSize - Column size in world units
+   * @returns {EffortGrid}
+   */
+  static parse(bytes, projection, timeDomain, cellSize) {
+    const json = JSON.parse(new TextDecoder().decode(bytes));
+    return EffortGrid.fromJSON(json, projection, timeDomain, cellSize);
+  }
+  
+  /**
+   * Build from parsed effort JSON
+   * @param {Object|Object[]} json - GeoJSON, {effort: [...]} or an array of records
+   * @param {Projection} projection
+   * @param {TimeDomain} timeDomain
+   * @param {number} cellSize
+   * @returns {EffortGrid}
+   */
+  static fromJSON(json, projection, timeDomain, cellSize) {
+    const grid = new EffortGrid(cellSize, timeDomain.getBuckets().count);
+    
+    if (json && (json.type === 'FeatureCollection' || json.type === 'Feature')) {
+      const features = json.type === 'Feature' ? [json] : (json.features || []);
+      for (const feature of features) {
+        grid._addFeature(feature, projection, timeDomain);
+      }
+    } else {
+      const records = Array.isArray(json) ? json : json?.effort;
+      if (!Array.isArray(records)) {
+        throw new Error('Effort data must be GeoJSON, an array of records or {effort: [...]}');
+      }
+      
+      for (const record of records) {
+        const hours = Number(EffortGrid._property(record, PROPERTY_NAMES.hours));
+        if (typeof record?.lat !== 'number' || typeof record?.lon !== 'number' || !(hours > 0)) {
+          grid.skipped++;
+          continue;
+        }
+        
+        const [x, , z] = projection.project(record.lat, record.lon);
+        grid._addHours(x, z, grid._bucketOf(record, timeDomain), hours);
+      }
+    }
+    
+    console.log(`Survey effort: ${grid.totalHours.toFixed(1)} h over ${grid.columnHours.size} columns` +
+      (grid.skipped > 0 ? ` (${grid.skipped} entries skipped)` : ''));
+    return grid;
+  }
+  
+  /**
+   * Rebuild a grid produced by serialize()
+   * @param {Object} state
+   * @returns {EffortGrid}
+   */
+  static restore(state) {
+    const grid = new EffortGrid(state.cellSize, state.timeBuckets);
+    grid.skipped = state.skipped;
+    
+    for (let i = 0; i < state.hours.length; i++) {
+      const cx = state.cells[i * 3];
+      const cz = state.cells[i * 3 + 1];
+      const bucket = state.cells[i * 3 + 2];
+      grid._addCellHours(cx, cz, bucket, state.hours[i]);
+    }
+    
+    return grid;
+  }
+  
+  /**
+   * Export as flat TypedArrays for transfer (e.g. out of a worker)
+   * @returns {Object}
+   */
+  serialize() {
+    const n = this.hours.size;
+    const cells = new Int32Array(n * 3);
+    const hours = new Float32Array(n);
+    
+    let i = 0;
+    for (const [key, value] of this.hours) {
+      const [cx, cz, bucket] = key.split(',').map(Number);
+      cells[i * 3] = cx;
+      cells[i * 3 + 1] = cz;
+      cells[i * 3 + 2] = bucket;
+      hours[i] = value;
+      i++;
+    }
+    
+    return {
+      cellSize: this.cellSize,
+      timeBuckets: this.timeBuckets,
+      skipped: this.skipped,
+      cells,
+      hours
+    };
+  }
+  
+  /**
+   * Key of the column and time bucket a point falls in
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} t - Normalized time
+   * @returns {string}
+   */
+  keyAt(x, z, t) {
+    const bucket = Math.max(0, Math.min(this.timeBuckets - 1, Math.floor(t * this.timeBuckets)));
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)},${bucket}`;
+  }
+  
+  /**
+   * Effort hours for a key from keyAt()
+   * @param {string} key
+   * @returns {number}
+   */
+  getHours(key) {
+    return this.hours.get(key) || 0;
+  }
+  
+  /**
+   * Effort hours in a column over the whole time span
+   * @param {number} cx - Column index along X
+   * @param {number} cz - Column index along Z
+   * @returns {number}
+   */
+  getColumnHours(cx, cz) {
+    return this.columnHours.get(`${cx},${cz}`) || 0;
+  }
+  
+  /**
+   * Check whether an effort amount counts as surveyed
+   * @param {number} hours
+   * @returns {boolean}
+   */
+  static isSurveyed(hours) {
+    return hours >= EFFORT.minHours;
+  }
+  
+  /**
+   * Map sightings per unit effort to a display value
+   * @param {number} sightings - Sightings in the cell
+   * @param {number} hours - Effort in the cell
+   * @returns {number} [0, 1] on a log scale, or UNSURVEYED
+   */
+  static toInstanceValue(sightings, hours) {
+    if (!EffortGrid.isSurveyed(hours)) return UNSURVEYED;
+    
+    const spue = sightings / hours;
+    return Math.min(1.0, Math.log10(spue + 1) / Math.log10(EFFORT.maxSpue + 1));
+  }
+  
+  /**
+   * Get statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      cellSize: this.cellSize,
+      timeBuckets: this.timeBuckets,
+      columns: this.columnHours.size,
+      surveyedColumns: [...this.columnHours.values()].filter(EffortGrid.isSurveyed).length,
+      totalHours: this.totalHours,
+      skipped: this.skipped
+    };
+  }
+  
+  /**
+   * Add one GeoJSON feature (track line or effort point)
+   * @private
+   */
+  _addFeature(feature, projection, timeDomain) {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+    const bucket = this._bucketOf(properties, timeDomain);
+    const rawHours = EffortGrid._property(properties, PROPERTY_NAMES.hours);
+    const hours = rawHours === undefined ? null : Number(rawHours);
+    
+    switch (geometry?.type) {
+      case 'LineString':
+        this._addTrack([geometry.coordinates], projection, bucket, hours);
+        break;
+      case 'MultiLineString':
+        this._addTrack(geometry.coordinates, projection, bucket, hours);
+        break;
+      case 'Point':
+      case 'MultiPoint': {
+        const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+        if (!(hours > 0) || points.length === 0) {
+          this.skipped++;
+          break;
+        }
+        for (const [lon, lat] of points) {
+          const [x, , z] = projection.project(lat, lon);
+          this._addHours(x, z, bucket, hours / points.length);
+        }
+        break;
+      }
+      default:
+        this.skipped++;
+    }
+  }
+  
+  /**
+   * Spread a track's hours along its lines by length
+   * Tracks without hours are timed at EFFORT.defaultSpeedKmh.
+   * @private
+   * @param {number[][][]} lines - Lines of [lon, lat] coordinates
+   * @param {Projection} projection
+   * @param {number|null} bucket - Time bucket, or null for all
+   * @param {number|null} hours - Total hours, or null if unknown
+   */
+  _addTrack(lines, projection, bucket, hours) {
+    const projected = lines.map(line => line.map(([lon, lat]) => {
+      const [x, , z] = projection.project(lat, lon);
+      return [x, z];
+    }));
+    
+    let length = 0;
+    for (const line of projected) {
+      for (let i = 1; i < line.length; i++) {
+        length += Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+      }
+    }
+    
+    if (length === 0) {
+      this.skipped++;
+      return;
+    }
+    
+    if (hours === null || !Number.isFinite(hours)) {
+      hours = (length / projection.scale / 1000) / EFFORT.defaultSpeedKmh;
+    }
+    if (!(hours > 0)) {
+      this.skipped++;
+      return;
+    }
+    
+    // Walk each segment in steps well below the cell size
+    const maxStep = this.cellSize * EFFORT.trackStep;
+    const hoursPerUnit = hours / length;
+    
+    for (const line of projected) {
+      for (let i = 1; i < line.length; i++) {
+        const [x0, z0] = line[i - 1];
+        const [x1, z1] = line[i];
+        const segment = Math.hypot(x1 - x0, z1 - z0);
+        const steps = Math.max(1, Math.ceil(segment / maxStep));
+        
+        for (let s = 0; s < steps; s++) {
+          const f = (s + 0.5) / steps;
+          this._addHours(x0 + (x1 - x0) * f, z0 + (z1 - z0) * f, bucket, hoursPerUnit * segment / steps);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Add hours at a world position
+   * @private
+   * @param {number|null} bucket - Time bucket, or null to spread over all buckets
+   */
+  _addHours(x, z, bucket, hours) {
+    const cx = Math.floor(x / this.cellSize);
+    const cz = Math.floor(z / this.cellSize);
+    
+    if (bucket !== null) {
+      this._addCellHours(cx, cz, bucket, hours);
+      return;
+    }
+    
+    for (let b = 0; b < this.timeBuckets; b++) {
+      this._addCellHours(cx, cz, b, hours / this.timeBuckets);
+    }
+  }
+  
+  /**
+   * Add hours to one column and time bucket
+   * @private
+   */
+  _addCellHours(cx, cz, bucket, hours) {
+    const key = `${cx},${cz},${bucket}`;
+    const column = `${cx},${cz}`;
+    this.hours.set(key, (this.hours.get(key) || 0) + hours);
+    this.columnHours.set(column, (this.columnHours.get(column) || 0) + hours);
+    this.totalHours += hours;
+  }
+  
+  /**
+   * Time bucket of an effort entry
+   * @private
+   * @returns {number|null} Bucket, or null if the entry has no time (spread over all)
+   */
+  _bucketOf(fields, timeDomain) {
+    const value = EffortGrid._property(fields, PROPERTY_NAMES.time);
+    if (value === undefined) return null;
+    
+    const ms = typeof value === 'number' && value >= 0 && value <= 1
+      ? timeDomain.denormalize(value)
+      : TimeDomain.parseTime(value);
+    if (ms === null) return null;
+    
+    const t = Math.max(0, Math.min(1, timeDomain.normalize(ms)));
+    return Math.min(this.timeBuckets - 1, Math.floor(t * this.timeBuckets));
+  }
+  
+  /**
+   * First property present among the candidate names
+   * @private
+   */
+  static _property(fields, names) {
+    if (!fields) return undefined;
+    for (const name of names) {
+      if (fields[name] !== undefined && fields[name] !== null && fields[name] !== '') {
+        return fields[name];
+      }
+    }
+    return undefined;
+  }
+}
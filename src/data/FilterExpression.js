@@ -0,0 +1,516 @@
+/**
+ * Leviathan WebXR - Filter Expression
+ * 
+ * Small filter language over processed sightings, e.g.
+ *   species in [0, 1] and depth < 200 and year >= 2010 and count >= 3
+ *   behaviour = feeding and not (platform in [aerial, acoustic])
+ * 
+ * One expression drives both the point cloud (WhaleInstanceRenderer bakes
+ * it into a per-instance mask) and inspection (the inspect grid is built
+ * from the points that pass), so what is drawn and what is counted agree.
+ * 
+ * Grammar (keywords are case-insensitive):
+ *   expr       = term { "or" term }
+ *   term       = factor { "and" factor }
+ *   factor     = "not" factor | "(" expr ")" | comparison
+ *   comparison = field op value | field ["not"] "in" "[" value { "," value } "]"
+ *   op         = "=" | "==" | "!=" | "<" | "<=" | ">" | ">="
+ *   value      = number | "quoted text" | bare word
+ * 
+ * Fields: species (ID or name), count, depth (m), lat, lon, time (date
+ * text such as "2012-06-01"), year, month (1-12), and any attribute
+ * declared in meta.attributes (see AttributeColumns). A point without a
+ * value for a field fails every comparison on it.
+ * 
+ * On aggregated LOD levels each point is a cell summary: count is the
+ * cell's total individuals, position and time its centroid.
+ * 
+ * Positions and times are stored as float32, so values read back are
+ * snapped (depth to the centimetre, lat/lon to ~1 m, times one float32
+ * step late) to keep records that sit exactly on a boundary such as
+ * depth 200 or 2010-01-01 on the side they were recorded on.
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+import { AttributeColumns } from './AttributeColumns.js';
+
+/**
+ * Fields every dataset has (anything else must be a declared attribute)
+ */
+export const FILTER_FIELDS = ['species', 'count', 'depth', 'lat', 'lon', 'time', 'year', 'month'];
+
+// Numbers, quoted text, operators/punctuation, words
+const TOKEN_PATTERN = /\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(<=|>=|!=|==|=|<|>|\(|\)|\[|\]|,)|([A-Za-z_][\w.]*))/iy;
+
+// Largest float32 rounding of a normalized time (values in [0, 1])
+const FLOAT32_STEP = 2 ** -24;
+
+/**
+ * Round to a number of steps per unit
+ * @private
+ */
+function snap(value, stepsPerUnit) {
+  return Math.round(value * stepsPerUnit) / stepsPerUnit;
+}
+
+const COMPARISONS = {
+  '=': (a, b) => a === b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+export class FilterExpression {
+  /**
+   * Create from a parsed syntax tree (use parse())
+   * @param {Object} ast
+   * @param {string} source - Expression text
+   */
+  constructor(ast, source) {
+    this.ast = ast;
+    this.source = source;
+  }
+  
+  /**
+   * Parse filter text
+   * @param {string} text
+   * @returns {FilterExpression|null} null for blank text (no filter)
+   */
+  static parse(text) {
+    const source = String(text ?? '').trim();
+    if (source === '') return null;
+    
+    const parser = new Parser(source);
+    const ast = parser.parseExpression();
+    parser.expectEnd();
+    
+    return new FilterExpression(ast, source);
+  }
+  
+  /**
+   * Fields the expression reads
+   * @returns {string[]}
+   */
+  getFields() {
+    const fields = new Set();
+    const visit = (node) => {
+      if (node.field) fields.add(node.field);
+      if (node.left) visit(node.left);
+      if (node.right) visit(node.right);
+      if (node.operand) visit(node.operand);
+    };
+    visit(this.ast);
+    
+    return [...fields];
+  }
+  
+  /**
+   * Resolve fields and literals against a dataset
+   * @param {Object} context
+   * @param {Projection} context.projection - Projection the data was placed with
+   * @param {TimeDomain} context.timeDomain - Dataset time domain
+   * @param {SpeciesRegistry} [context.speciesRegistry] - For species names
+   * @param {Object} [context.meta] - Dataset meta (declared attributes)
+   * @returns {CompiledFilter}
+   * @throws {Error} On unknown fields, species names or unsupported comparisons
+   */
+  compile(context) {
+    const declared = new Map(AttributeColumns.declarations(context.meta).map(d => [d.name, d.type]));
+    
+    for (const field of this.getFields()) {
+      if (!FILTER_FIELDS.includes(field) && !declared.has(field)) {
+        throw new Error(`Unknown filter field "${field}" (use ${[...FILTER_FIELDS, ...declared.keys()].join(', ')})`);
+      }
+    }
+    
+    return new CompiledFilter(this, { ...context, declared });
+  }
+  
+  /**
+   * Get the expression text
+   * @returns {string}
+   */
+  toString() {
+    return this.source;
+  }
+}
+
+/**
+ * A filter resolved against one dataset, ready to test points
+ */
+export class CompiledFilter {
+  /**
+   * @param {FilterExpression} expression
+   * @param {Object} context - See FilterExpression.compile()
+   */
+  constructor(expression, context) {
+    this.expression = expression;
+    this.context = context;
+    
+    // Validate literals once, so errors surface at compile time
+    this._literals(expression.ast);
+  }
+  
+  /**
+   * Build a point test for a processed dataset (or LOD level)
+   * @param {Object} data - Processed data
+   * @returns {Function} (index) => boolean
+   */
+  bind(data) {
+    return this._bindNode(this.expression.ast, data);
+  }
+  
+  /**
+   * Count the points that pass
+   * @param {Object} data - Processed data
+   * @returns {number}
+   */
+  count(data) {
+    const test = this.bind(data);
+    let passed = 0;
+    for (let i = 0; i < data.count; i++) {
+      if (test(i)) passed++;
+    }
+    return passed;
+  }
+  
+  /**
+   * Copy the points that pass into a new processed dataset
+   * Every per-point array (including attribute columns) is subset; meta is shared.
+   * @param {Object} data - Processed data
+   * @returns {Object} Processed data holding only the passing points
+   */
+  select(data) {
+    const test = this.bind(data);
+    const indices = [];
+    for (let i = 0; i < data.count; i++) {
+      if (test(i)) indices.push(i);
+    }
+    
+    const pick = (array, itemSize = 1) => {
+      if (!array) return array ?? null;
+      const out = new array.constructor(indices.length * itemSize);
+      for (let j = 0; j < indices.length; j++) {
+        for (let k = 0; k < itemSize; k++) {
+          out[j * itemSize + k] = array[indices[j] * itemSize + k];
+        }
+      }
+      return out;
+    };
+    
+    let attributes = null;
+    if (data.attributes) {
+      attributes = {};
+      for (const [name, column] of Object.entries(data.attributes)) {
+        attributes[name] = { ...column, values: pick(column.values) };
+      }
+    }
+    
+    return {
+      ...data,
+      positions: pick(data.positions, 3),
+      times: pick(data.times),
+      species: pick(data.species),
+      densities: pick(data.densities),
+      counts: pick(data.counts),
+      positionErrors: pick(data.positionErrors),
+      timeErrors: pick(data.timeErrors),
+      effort: pick(data.effort),
+      attributes,
+      count: indices.length
+    };
+  }
+  
+  /**
+   * Build the test for one syntax tree node
+   * @private
+   */
+  _bindNode(node, data) {
+    switch (node.type) {
+      case 'and': {
+        const left = this._bindNode(node.left, data);
+        const right = this._bindNode(node.right, data);
+        return (i) => left(i) && right(i);
+      }
+      case 'or': {
+        const left = this._bindNode(node.left, data);
+        const right = this._bindNode(node.right, data);
+        return (i) => left(i) || right(i);
+      }
+      case 'not': {
+        const operand = this._bindNode(node.operand, data);
+        return (i) => !operand(i);
+      }
+      case 'in': {
+        const read = this._accessor(node.field, data);
+        const values = new Set(node.resolved);
+        return node.negate
+          ? (i) => { const v = read(i); return v !== null && !values.has(v); }
+          : (i) => { const v = read(i); return v !== null && values.has(v); };
+      }
+      case 'compare': {
+        const read = this._accessor(node.field, data);
+        const compare = COMPARISONS[node.op];
+        const value = node.resolved;
+        return (i) => { const v = read(i); return v !== null && compare(v, value); };
+      }
+      default:
+        throw new Error(`Unknown filter node "${node.type}"`);
+    }
+  }
+  
+  /**
+   * Reader for a field's value at a point (null where missing)
+   * @private
+   */
+  _accessor(field, data) {
+    const { projection, timeDomain } = this.context;
+    const position = (i) => projection.unproject(data.positions[i * 3], data.positions[i * 3 + 1], data.positions[i * 3 + 2]);
+    const ms = (i) => timeDomain.denormalize(data.times[i]) + timeDomain.getSpan() * FLOAT32_STEP;
+    
+    switch (field) {
+      case 'species':
+        return (i) => data.species[i];
+      case 'count':
+        return data.counts ? (i) => data.counts[i] : () => 1;
+      case 'depth':
+        return (i) => snap(-data.positions[i * 3 + 1] / projection.scale, 1e2);
+      case 'lat':
+        return (i) => snap(position(i).lat, 1e5);
+      case 'lon':
+        return (i) => snap(position(i).lon, 1e5);
+      case 'time':
+        return ms;
+      case 'year':
+        return (i) => new Date(ms(i)).getUTCFullYear();
+      case 'month':
+        return (i) => new Date(ms(i)).getUTCMonth() + 1;
+      default: {
+        // Declared attribute; chunks that lack the column read as missing
+        const column = data.attributes?.[field];
+        return column ? (i) => AttributeColumns.valueAt(column, i) : () => null;
+      }
+    }
+  }
+  
+  /**
+   * Convert every literal to the type its field reads as (stored on the nodes)
+   * @private
+   */
+  _literals(node) {
+    if (node.left) this._literals(node.left);
+    if (node.right) this._literals(node.right);
+    if (node.operand) this._literals(node.operand);
+    
+    if (node.type === 'compare') {
+      if (this.context.declared.get(node.field) === 'categorical' && !['=', '==', '!='].includes(node.op)) {
+        throw new Error(`"${node.field}" is categorical: use =, != or in, not ${node.op}`);
+      }
+      node.resolved = this._literal(node.field, node.value);
+    } else if (node.type === 'in') {
+      node.resolved = node.values.map(value => this._literal(node.field, value));
+    }
+  }
+  
+  /**
+   * Convert one literal for a field
+   * @private
+   */
+  _literal(field, literal) {
+    const { value, quoted } = literal;
+    
+    switch (field) {
+      case 'species': {
+        if (typeof value === 'number') return value;
+        const registry = this.context.speciesRegistry;
+        const species = registry?.getAll().find(entry => entry.name.toLowerCase() === value.toLowerCase());
+        if (!species) {
+          throw new Error(`Unknown species "${value}" in filter`);
+        }
+        return species.id;
+      }
+      case 'time': {
+        const ms = TimeDomain.parseTime(quoted || typeof value === 'string' ? String(value) : value);
+        if (ms === null) {
+          throw new Error(`Filter time "${value}" is not a date`);
+        }
+        return ms;
+      }
+      default: {
+        if (this.context.declared.get(field) === 'categorical') {
+          return String(value);
+        }
+        
+        const number = AttributeColumns.toNumber(value);
+        if (Number.isNaN(number)) {
+          throw new Error(`Filter value "${value}" for ${field} is not a number`);
+        }
+        
+        // Counts and numeric attributes are float32 columns, compared as such
+        return field === 'count' || this.context.declared.has(field) ? Math.fround(number) : number;
+      }
+    }
+  }
+}
+
+/**
+ * Recursive descent parser for the filter grammar
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = Parser.tokenize(source);
+    this.position = 0;
+  }
+  
+  /**
+   * Split text into tokens
+   * @returns {Object[]} {kind: 'number'|'text'|'symbol'|'word', value, offset}
+   */
+  static tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+      const offset = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(source);
+      
+      if (!match) {
+        if (source.slice(offset).trim() === '') break;
+        throw new Error(`Unexpected "${source.slice(offset).trim()[0]}" in filter at position ${offset + 1}`);
+      }
+      
+      const [, number, double, single, symbol, word] = match;
+      const start = match.index + match[0].length - match[0].trimStart().length;
+      
+      if (number !== undefined) {
+        tokens.push({ kind: 'number', value: parseFloat(number), offset: start });
+      } else if (double !== undefined || single !== undefined) {
+        tokens.push({ kind: 'text', value: (double ?? single).replace(/\\(.)/g, '$1'), offset: start });
+      } else if (symbol !== undefined) {
+        tokens.push({ kind: 'symbol', value: symbol, offset: start });
+      } else {
+        tokens.push({ kind: 'word', value: word, offset: start });
+      }
+    }
+    
+    return tokens;
+  }
+  
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this._keyword('or')) {
+      node = { type: 'or', left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+  
+  parseTerm() {
+    let node = this.parseFactor();
+    while (this._keyword('and')) {
+      node = { type: 'and', left: node, right: this.parseFactor() };
+    }
+    return node;
+  }
+  
+  parseFactor() {
+    if (this._keyword('not')) {
+      return { type: 'not', operand: this.parseFactor() };
+    }
+    
+    if (this._symbol('(')) {
+      const node = this.parseExpression();
+      this._expectSymbol(')');
+      return node;
+    }
+    
+    return this.parseComparison();
+  }
+  
+  parseComparison() {
+    const token = this._next();
+    if (!token || token.kind !== 'word' || Parser.KEYWORDS.includes(token.value.toLowerCase())) {
+      this._fail('a field name', token);
+    }
+    const field = token.value;
+    
+    const negate = this._keyword('not');
+    if (this._keyword('in')) {
+      this._expectSymbol('[');
+      const values = [this._value()];
+      while (this._symbol(',')) {
+        values.push(this._value());
+      }
+      this._expectSymbol(']');
+      return { type: 'in', field, values, negate };
+    }
+    if (negate) {
+      this._fail('"in"', this._peek());
+    }
+    
+    const op = this._peek();
+    if (!op || op.kind !== 'symbol' || !(op.value in COMPARISONS)) {
+      this._fail('a comparison (=, !=, <, <=, >, >=, in)', op);
+    }
+    this.position++;
+    
+    return { type: 'compare', field, op: op.value, value: this._value() };
+  }
+  
+  expectEnd() {
+    if (this.position < this.tokens.length) {
+      this._fail('"and", "or" or the end', this._peek());
+    }
+  }
+  
+  _value() {
+    const token = this._next();
+    if (!token || token.kind === 'symbol') {
+      this._fail('a value', token);
+    }
+    return { value: token.value, quoted: token.kind === 'text' };
+  }
+  
+  _peek() {
+    return this.tokens[this.position] || null;
+  }
+  
+  _next() {
+    return this.tokens[this.position++] || null;
+  }
+  
+  _keyword(word) {
+    const token = this._peek();
+    if (token && token.kind === 'word' && token.value.toLowerCase() === word) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+  
+  _symbol(symbol) {
+    const token = this._peek();
+    if (token && token.kind === 'symbol' && token.value === symbol) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+  
+  _expectSymbol(symbol) {
+    if (!this._symbol(symbol)) {
+      this._fail(`"${symbol}"`, this._peek());
+    }
+  }
+  
+  _fail(expected, token) {
+    const found = token ? `"${token.value}" at position ${token.offset + 1}` : 'end of filter';
+    throw new Error(`Filter: expected ${expected}, found ${found}`);
+  }
+}
+
+Parser.KEYWORDS = ['and', 'or', 'not', 'in'];
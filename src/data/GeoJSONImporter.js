@@ -0,0 +1,203 @@
+/**
+ * Leviathan WebXR - GeoJSON Importer
+ * 
+ * Converts GeoJSON sightings (Point / MultiPoint features, as exported by
+ * most GIS and survey tools) into Leviathan records.
+ * 
+ * Fields come from feature properties, first match wins:
+ *   time    - time, datetime, date, eventDate, timestamp, year
+ *   species - species, speciesId, species_id (ID, or a scientific name
+ *             resolved through the taxonomy table), scientificName
+ *   count   - count, individualCount, individuals
+ *   depth   - depth, depth_m, else the negated third coordinate (elevation)
+ *   positionErrorMeters - positionErrorMeters, coordinateUncertaintyInMeters
+ *   timePrecision       - timePrecision (unit name or seconds)
+ *   source              - source, institutionCode, datasetName (provenance
+ *                         for duplicate merging, see Deduplicator)
+ *   attributes          - properties named in meta.attributes (or the
+ *                         attributes option), copied as they are
+ * 
+ * Features with other geometries are skipped and counted in
+ * meta.skippedGeometries; unresolvable species names are dropped and
+ * counted in meta.unmappedSpecies.
+ */
+
+import { TaxonomyTable } from './TaxonomyTable.js';
+import { AttributeColumns } from './AttributeColumns.js';
+
+/**
+ * Property names tried for each record field
+ */
+const PROPERTY_NAMES = {
+  time: ['time', 'datetime', 'date', 'eventDate', 'timestamp', 'year'],
+  species: ['species', 'speciesId', 'species_id', 'scientificName'],
+  count: ['count', 'individualCount', 'individuals'],
+  depth: ['depth', 'depth_m'],
+  positionErrorMeters: ['positionErrorMeters', 'coordinateUncertaintyInMeters'],
+  timePrecision: ['timePrecision'],
+  source: ['source', 'institutionCode', 'datasetName']
+};
+
+export class GeoJSONImporter {
+  /**
+   * Create importer
+   * @param {Object} options
+   * @param {TaxonomyTable} [options.taxonomy] - Name → species ID table
+   * @param {string[]} [options.attributes] - Extra properties to keep (see AttributeColumns)
+   */
+  constructor(options = {}) {
+    this.taxonomy = options.taxonomy || new TaxonomyTable();
+    this.attributes = options.attributes || [];
+  }
+  
+  /**
+   * Check whether parsed JSON looks like GeoJSON
+   * @param {Object} json
+   * @returns {boolean}
+   */
+  static isGeoJSON(json) {
+    return !!json && typeof json === 'object' &&
+      ['FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'GeometryCollection'].includes(json.type);
+  }
+  
+  /**
+   * Convert GeoJSON to raw whale data
+   * @param {Object} geojson - FeatureCollection, Feature or geometry
+   * @returns {Object} Raw whale data ({records, meta})
+   */
+  import(geojson) {
+    if (!GeoJSONImporter.isGeoJSON(geojson)) {
+      throw new Error('Not a GeoJSON object');
+    }
+    
+    const records = [];
+    const unmapped = {};
+    const skipped = {};
+    const attributes = [...new Set([...this.attributes, ...AttributeColumns.names(geojson.meta)])];
+    
+    for (const feature of GeoJSONImporter._features(geojson)) {
+      const geometry = feature.geometry;
+      const type = geometry?.type ?? 'null';
+      
+      let points;
+      if (type === 'Point') {
+        points = [geometry.coordinates];
+      } else if (type === 'MultiPoint') {
+        points = geometry.coordinates;
+      } else {
+        skipped[type] = (skipped[type] || 0) + 1;
+        continue;
+      }
+      
+      const properties = feature.properties || {};
+      const fields = this._fields(properties, attributes);
+      
+      if (fields.species === undefined) {
+        const name = GeoJSONImporter._property(properties, PROPERTY_NAMES.species);
+        if (name !== undefined && name !== null && name !== '') {
+          unmapped[name] = (unmapped[name] || 0) + points.length;
+          continue;
+        }
+      }
+      
+      for (const coordinates of points) {
+        if (!Array.isArray(coordinates) || coordinates.length < 2) continue;
+        
+        const record = { lon: coordinates[0], lat: coordinates[1], ...fields };
+        
+        // Third coordinate is elevation - below sea level means depth
+        if (record.depth === undefined && typeof coordinates[2] === 'number' && coordinates[2] < 0) {
+          record.depth = -coordinates[2];
+        }
+        
+        records.push(record);
+      }
+    }
+    
+    const meta = { ...(geojson.meta || {}) };
+    if (Object.keys(unmapped).length > 0) {
+      meta.unmappedSpecies = unmapped;
+      console.warn('GeoJSON: unmapped species dropped:', unmapped);
+    }
+    if (Object.keys(skipped).length > 0) {
+      meta.skippedGeometries = skipped;
+      console.warn('GeoJSON: non-point features skipped:', skipped);
+    }
+    
+    console.log(`Imported ${records.length} records from GeoJSON`);
+    return { records, meta };
+  }
+  
+  /**
+   * Map feature properties onto record fields
+   * @private
+   * @returns {Object} Record fields (species omitted if unresolvable)
+   */
+  _fields(properties, attributes = []) {
+    const fields = {};
+    
+    for (const name of attributes) {
+      if (properties[name] !== undefined && properties[name] !== null) {
+        fields[name] = properties[name];
+      }
+    }
+    
+    const time = GeoJSONImporter._property(properties, PROPERTY_NAMES.time);
+    if (time !== undefined) fields.time = time;
+    
+    const count = GeoJSONImporter._property(properties, PROPERTY_NAMES.count);
+    if (count !== undefined) fields.count = count;
+    
+    const depth = GeoJSONImporter._property(properties, PROPERTY_NAMES.depth);
+    if (depth !== undefined) fields.depth = depth;
+    
+    const positionError = GeoJSONImporter._property(properties, PROPERTY_NAMES.positionErrorMeters);
+    if (positionError !== undefined) fields.positionErrorMeters = positionError;
+    
+    const timePrecision = GeoJSONImporter._property(properties, PROPERTY_NAMES.timePrecision);
+    if (timePrecision !== undefined) fields.timePrecision = timePrecision;
+    
+    const source = GeoJSONImporter._property(properties, PROPERTY_NAMES.source);
+    if (source !== undefined) fields.source = source;
+    
+    const species = GeoJSONImporter._property(properties, PROPERTY_NAMES.species);
+    if (typeof species === 'number') {
+      fields.species = species;
+    } else if (typeof species === 'string' && species.trim() !== '') {
+      const id = /^\d+$/.test(species.trim()) ? parseInt(species, 10) : this.taxonomy.resolve(species);
+      if (id !== null) fields.species = id;
+    }
+    
+    return fields;
+  }
+  
+  /**
+   * First property present among the candidate names
+   * @private
+   */
+  static _property(properties, names) {
+    for (const name of names) {
+      if (properties[name] !== undefined && properties[name] !== null) {
+        return properties[name];
+      }
+    }
+    return undefined;
+  }
+  
+  /**
+   * Flatten any GeoJSON object into features
+   * @private
+   */
+  static _features(geojson) {
+    switch (geojson.type) {
+      case 'FeatureCollection':
+        return geojson.features || [];
+      case 'Feature':
+        return [geojson];
+      case 'GeometryCollection':
+        return (geojson.geometries || []).map(geometry => ({ geometry, properties: {} }));
+      default:
+        return [{ geometry: geojson, properties: {} }];
+    }
+  }
+}
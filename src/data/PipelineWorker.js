@@ -0,0 +1,38 @@
+/**
+ * Leviathan WebXR - Pipeline Worker
+ * 
+ * Module worker entry point for DataPipeline.
+ * Loaded by WorkerPipeline; never imported directly.
+ * 
+ * Messages in:
+ *   {type: 'run', id, input, options: {projection: {lat, lon, scale}, ...}}
+ * Messages out:
+ *   {type: 'progress', id, stage, progress}
+ *   {type: 'result', id, payload}   (TypedArrays transferred)
+ *   {type: 'error', id, message}
+ */
+
+import { DataPipeline } from './DataPipeline.js';
+import { Projection } from '../geo/Projection.js';
+
+self.onmessage = async (event) => {
+  const { type, id, input, options } = event.data;
+  
+  if (type !== 'run') return;
+  
+  try {
+    const { lat, lon, scale } = options.projection;
+    
+    const result = await DataPipeline.run(
+      input,
+      { ...options, projection: new Projection(lat, lon, scale) },
+      (stage, progress) => self.postMessage({ type: 'progress', id, stage, progress })
+    );
+    
+    const { payload, transfer } = DataPipeline.serialize(result);
+    self.postMessage({ type: 'result', id, payload }, transfer);
+  
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
@@ -0,0 +1,332 @@
+/**
+ * Leviathan WebXR - Privacy Transform
+ * 
+ * Coarsens sensitive records before they are processed, so endangered
+ * species (e.g. North Atlantic right whales) can be shown in public demos
+ * without giving away where the animals are. Runs between duplicate
+ * merging and processing (see DataPipeline).
+ * 
+ * Rules are set per species; each species rule overrides the default rule:
+ *   gridMeters    - Snap positions to the centre of a grid cell this wide
+ *   jitterMeters  - Then move them a random distance up to this far
+ *   jitterSeconds - Move times by up to this much either way
+ *   minCount      - Drop every record in a grid cell holding fewer than
+ *                   this many records of the species (k-anonymity; needs gridMeters)
+ *   stripFields   - Remove these record fields (added to the default's)
+ * 
+ * Jitter comes from a seeded generator, so the same input and seed always
+ * give the same output. Coarsened records get a positionErrorMeters and
+ * timePrecision that cover the added error.
+ * 
+ * The rules in effect (never the seed) and the number of records
+ * suppressed are written to meta.privacy, for the inspect panel to disclose.
+ */
+
+import { TimeDomain } from '../core/TimeDomain.js';
+import { SeededRandom } from '../utils/Random.js';
+import { PRIVACY, DEG_TO_RAD, EARTH_RADIUS } from '../utils/Constants.js';
+
+/**
+ * Fields a rule may not strip, since records can't be placed without them
+ */
+const REQUIRED_FIELDS = ['lat', 'lon', 'species', 'speciesId'];
+
+// Meters per degree of latitude
+const METERS_PER_DEGREE = EARTH_RADIUS * DEG_TO_RAD;
+
+// Grid columns per row stay below this, so (row, column) packs into one number
+const MAX_COLUMNS = 2 ** 26;
+
+export class PrivacyTransform {
+  /**
+   * Create transform
+   * @param {Object} options
+   * @param {number|string} [options.seed] - Jitter seed; keep it out of published files
+   * @param {Object} [options.default] - Rule for every species
+   * @param {Object} [options.species] - Rules by species ID
+   */
+  constructor(options = {}) {
+    this.seed = options.seed ?? 0;
+    this.defaultRule = PrivacyTransform._checkRule({ ...PRIVACY, ...(options.default || {}) }, 'default');
+    
+    // Species rules inherit whatever they don't set from the default
+    this.speciesRules = new Map();
+    for (const [id, rule] of Object.entries(options.species || {})) {
+      this.speciesRules.set(Number(id), PrivacyTransform._checkRule({
+        ...this.defaultRule,
+        ...rule,
+        stripFields: [...new Set([...this.defaultRule.stripFields, ...(rule.stripFields || [])])]
+      }, `species ${id}`));
+    }
+  }
+  
+  /**
+   * Apply the rules
+   * Input records are never modified; transformed records are copies.
+   * @param {Object} rawData - {records, meta}
+   * @returns {Object} Transformed raw data, with meta.privacy set
+   */
+  transform(rawData) {
+    const startTime = performance.now();
+    const records = rawData.records || [];
+    const meta = rawData.meta || {};
+    const random = new SeededRandom(this.seed);
+    const suppressed = {};
+    
+    // Normalized times ([0, 1]) need the domain the processor will use
+    let timeDomain = null;
+    const domain = () => (timeDomain = timeDomain || TimeDomain.resolve(meta, records));
+    
+    // Snap first: k-anonymity counts need every record's cell
+    const snapped = new Array(records.length);
+    const cellCounts = new Map();
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const rule = this.getRule(record.species ?? record.speciesId ?? 0);
+      if (!rule.gridMeters) continue;
+      
+      const cell = PrivacyTransform.snap(record.lat, record.lon, rule.gridMeters);
+      snapped[i] = cell;
+      
+      if (rule.minCount > 1) {
+        const species = record.species ?? record.speciesId ?? 0;
+        if (!cellCounts.has(species)) cellCounts.set(species, new Map());
+        const counts = cellCounts.get(species);
+        counts.set(cell.key, (counts.get(cell.key) || 0) + 1);
+      }
+    }
+    
+    const out = [];
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const species = record.species ?? record.speciesId ?? 0;
+      const rule = this.getRule(species);
+      
+      if (PrivacyTransform.isEmpty(rule)) {
+        out.push(record);
+        continue;
+      }
+      
+      const cell = snapped[i];
+      if (cell && rule.minCount > 1 && cellCounts.get(species).get(cell.key) < rule.minCount) {
+        suppressed[species] = (suppressed[species] || 0) + 1;
+        continue;
+      }
+      
+      const result = { ...record };
+      for (const field of rule.stripFields) {
+        delete result[field];
+      }
+      
+      if (cell || rule.jitterMeters > 0) {
+        let lat = cell ? cell.lat : record.lat;
+        let lon = cell ? cell.lon : record.lon;
+        
+        if (rule.jitterMeters > 0) {
+          // Uniform over a disc, not bunched at its centre
+          const distance = rule.jitterMeters * Math.sqrt(random.next());
+          const angle = random.range(0, 2 * Math.PI);
+          lat = Math.max(-90, Math.min(90, lat + distance * Math.cos(angle) / METERS_PER_DEGREE));
+          lon += distance * Math.sin(angle) / (METERS_PER_DEGREE * Math.max(Math.cos(lat * DEG_TO_RAD), 0.01));
+          lon = PrivacyTransform._wrap(lon + 180, 360) - 180;
+        }
+        
+        result.lat = lat;
+        result.lon = lon;
+        
+        // UNCERTAINTY: The true position is anywhere in the cell, then the jitter disc
+        const cellError = cell ? rule.gridMeters / Math.SQRT2 : 0;
+        result.positionErrorMeters = Math.hypot(Number(record.positionErrorMeters) || 0, cellError, rule.jitterMeters);
+      }
+      
+      if (rule.jitterSeconds > 0) {
+        this._jitterTime(result, record, rule, random, domain);
+      }
+      
+      out.push(result);
+    }
+    
+    // Fields stripped from every record are no longer attributes either
+    let attributes = meta.attributes;
+    if (attributes && this.defaultRule.stripFields.some(field => field in attributes)) {
+      attributes = { ...attributes };
+      for (const field of this.defaultRule.stripFields) {
+        delete attributes[field];
+      }
+    }
+    
+    const summary = {
+      rules: this.getRules(),
+      total: records.length,
+      suppressed
+    };
+    
+    const suppressedCount = records.length - out.length;
+    const time = performance.now() - startTime;
+    console.log(`Privacy: ${out.length} records kept, ${suppressedCount} suppressed in ${time.toFixed(1)}ms`);
+    
+    return {
+      ...rawData,
+      records: out,
+      meta: { ...meta, attributes, privacy: summary }
+    };
+  }
+  
+  /**
+   * Rule for a species
+   * @param {number} species - Species ID
+   * @returns {Object}
+   */
+  getRule(species) {
+    return this.speciesRules.get(Number(species)) || this.defaultRule;
+  }
+  
+  /**
+   * Rules in effect, as written to meta.privacy
+   * @returns {Object} {default, species: {id: rule}}
+   */
+  getRules() {
+    const species = {};
+    for (const [id, rule] of this.speciesRules) {
+      species[id] = { ...rule, stripFields: [...rule.stripFields] };
+    }
+    
+    return {
+      default: { ...this.defaultRule, stripFields: [...this.defaultRule.stripFields] },
+      species
+    };
+  }
+  
+  /**
+   * Check whether a rule changes nothing
+   * @param {Object} rule
+   * @returns {boolean}
+   */
+  static isEmpty(rule) {
+    return !rule.gridMeters && !rule.jitterMeters && !rule.jitterSeconds &&
+      !(rule.minCount > 1) && rule.stripFields.length === 0;
+  }
+  
+  /**
+   * Rule that applies to a species in a meta.privacy summary
+   * @param {Object} summary - meta.privacy
+   * @param {number} species - Species ID
+   * @returns {Object|null} Rule, or null if the species is shown as recorded
+   */
+  static ruleFor(summary, species) {
+    if (!summary) return null;
+    
+    const rule = summary.rules.species[species] || summary.rules.default;
+    return PrivacyTransform.isEmpty(rule) ? null : rule;
+  }
+  
+  /**
+   * Combine two meta.privacy summaries (e.g. from separately processed chunks)
+   * Cells are counted per chunk, so a chunked dataset suppresses at least
+   * as much as it would in one piece.
+   * @param {Object|null} a
+   * @param {Object|null} b
+   * @returns {Object|null}
+   */
+  static mergeSummaries(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    
+    const suppressed = { ...a.suppressed };
+    for (const [species, count] of Object.entries(b.suppressed)) {
+      suppressed[species] = (suppressed[species] || 0) + count;
+    }
+    
+    return { ...a, total: a.total + b.total, suppressed };
+  }
+  
+  /**
+   * Snap a position to the centre of its grid cell
+   * Rows are gridMeters tall; each row is split into a whole number of
+   * columns about gridMeters wide, so cells keep their size towards the
+   * poles and line up across the antimeridian.
+   * @param {number} lat
+   * @param {number} lon
+   * @param {number} gridMeters
+   * @returns {{lat: number, lon: number, key: number}} Cell centre and a key unique to the cell
+   */
+  static snap(lat, lon, gridMeters) {
+    const latStep = gridMeters / METERS_PER_DEGREE;
+    const row = Math.floor((Math.min(lat, 90 - 1e-9) + 90) / latStep);
+    const centerLat = Math.min(90, -90 + (row + 0.5) * latStep);
+    
+    const rowWidth = 360 * METERS_PER_DEGREE * Math.cos(centerLat * DEG_TO_RAD);
+    const columns = Math.max(1, Math.min(MAX_COLUMNS, Math.floor(rowWidth / gridMeters)));
+    const lonStep = 360 / columns;
+    const column = Math.min(columns - 1, Math.floor(PrivacyTransform._wrap(lon + 180, 360) / lonStep));
+    
+    return {
+      lat: centerLat,
+      lon: -180 + (column + 0.5) * lonStep,
+      key: row * MAX_COLUMNS + column
+    };
+  }
+  
+  /**
+   * Move a record's time and widen its precision to match
+   * @private
+   */
+  _jitterTime(result, record, rule, random, domain) {
+    const offset = random.range(-rule.jitterSeconds, rule.jitterSeconds) * 1000;
+    const precision = TimeDomain.recordPrecision(record) || 0;
+    
+    if (typeof record.time === 'number' && record.time >= 0 && record.time <= 1) {
+      result.time = Math.max(0, Math.min(1, record.time + offset / domain().getSpan()));
+    } else {
+      const time = TimeDomain.recordTime(record);
+      if (time === null) return;
+      
+      result.time = new Date(time + offset).toISOString();
+      delete result.year;
+    }
+    
+    // UNCERTAINTY: The true time is anywhere in the original window, widened by the jitter
+    result.timePrecision = precision / 1000 + 2 * rule.jitterSeconds;
+  }
+  
+  /**
+   * Check a rule's values
+   * @private
+   */
+  static _checkRule(rule, name) {
+    for (const field of ['gridMeters', 'jitterMeters', 'jitterSeconds', 'minCount']) {
+      if (!(rule[field] >= 0)) {
+        throw new Error(`Privacy rule ${name}: ${field} must be a non-negative number`);
+      }
+    }
+    if (rule.minCount > 1 && !(rule.gridMeters > 0)) {
+      throw new Error(`Privacy rule ${name}: minCount needs gridMeters (records are counted per grid cell)`);
+    }
+    if (!Array.isArray(rule.stripFields)) {
+      throw new Error(`Privacy rule ${name}: stripFields must be a list of field names`);
+    }
+    
+    const required = rule.stripFields.filter(field => REQUIRED_FIELDS.includes(field));
+    if (required.length > 0) {
+      throw new Error(`Privacy rule ${name}: can't strip ${required.join(', ')}`);
+    }
+    
+    return {
+      gridMeters: rule.gridMeters,
+      jitterMeters: rule.jitterMeters,
+      jitterSeconds: rule.jitterSeconds,
+      minCount: rule.minCount,
+      stripFields: rule.stripFields.map(String)
+    };
+  }
+  
+  /**
+   * Wrap a value into [0, range)
+   * @private
+   */
+  static _wrap(value, range) {
+    return ((value % range) + range) % range;
+  }
+}
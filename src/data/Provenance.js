@@ -0,0 +1,201 @@
+/**
+ * Leviathan WebXR - Provenance
+ * 
+ * Where a loaded dataset came from and what was done to it on the way to
+ * the screen, for attribution on the landing page and in XR:
+ *   title, source, license, citation, doi - From the manifest entry, which
+ *                               wins over the file's own meta
+ *   counts - Records read, kept by validation, after duplicate merging,
+ *            after privacy suppression, processed, and instances shown
+ *   steps  - Validation, duplicate merging, privacy coarsening, LOD
+ *            aggregation, survey effort and offline baking, where applied
+ * 
+ * A description is a plain object, rebuilt whenever its inputs change
+ * (e.g. as chunks stream in), so each dataset or layer can carry its own.
+ * 
+ * Counts the pipeline can't know are null: LWXR files hold records
+ * that were validated when they were written.
+ */
+
+import { DataValidator } from './DataValidator.js';
+import { Deduplicator } from './Deduplicator.js';
+import { PrivacyTransform } from './PrivacyTransform.js';
+
+// DOI name: "10.", a registrant code, "/", then any suffix
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+export class Provenance {
+  /**
+   * Describe a loaded dataset
+   * @param {Object} dataset - Manifest entry (see DatasetManifest)
+   * @param {Object} state - What the pipeline produced
+   * @param {Object} state.processedData - Processed data (its meta is the file's, merged with the entry's)
+   * @param {Object} [state.validation] - DataValidator report
+   * @param {Object} [state.dedup] - Deduplicator report
+   * @param {string} [state.activeLOD] - LOD level on show
+   * @param {number} [state.shown] - Instances loaded into the renderer
+   * @param {boolean} [state.effort] - Survey effort is available
+   * @param {Object} [state.baked] - {created, source} from a baked package description
+   * @returns {Object} {title, source, license, citation, doi, synthetic, counts, steps}
+   */
+  static describe(dataset, state) {
+    const { processedData, validation = null, dedup = null, activeLOD = null, baked = null } = state;
+    const meta = { ...(processedData?.meta || {}), ...(dataset.meta || {}) };
+    const pick = field => dataset[field] || meta[field] || null;
+    
+    const privacy = processedData?.meta?.privacy || null;
+    const suppressed = privacy
+      ? Object.values(privacy.suppressed).reduce((sum, count) => sum + count, 0)
+      : null;
+    
+    const processed = processedData ? processedData.count : 0;
+    const valid = validation ? validation.kept : null;
+    const deduplicated = valid !== null && dedup ? valid - dedup.merged : valid;
+    
+    const counts = {
+      read: validation ? validation.total : null,
+      valid,
+      deduplicated,
+      suppressed,
+      processed,
+      shown: state.shown ?? processed
+    };
+    
+    return {
+      title: dataset.title || meta.title || dataset.id,
+      source: pick('source') || Provenance._syntheticSource(meta),
+      license: pick('license'),
+      citation: pick('citation'),
+      doi: Provenance.normalizeDoi(pick('doi')),
+      synthetic: !!meta.synthetic,
+      counts,
+      steps: Provenance._steps(state, validation, dedup, privacy, suppressed, activeLOD, baked)
+    };
+  }
+  
+  /**
+   * Reduce a DOI to its name
+   * Accepts "10.1234/abc", "doi:10.1234/abc" and https://doi.org/ links.
+   * @param {string|null} value
+   * @returns {string|null} e.g. "10.1234/abc", or null if it is not a DOI
+   */
+  static normalizeDoi(value) {
+    if (!value) return null;
+    
+    const name = String(value).trim()
+      .replace(/^doi:\s*/i, '')
+      .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+    
+    if (!DOI_PATTERN.test(name)) {
+      console.warn(`Ignoring malformed DOI: ${value}`);
+      return null;
+    }
+    return name;
+  }
+  
+  /**
+   * Resolver link for a DOI name
+   * @param {string} doi - From normalizeDoi()
+   * @returns {string}
+   */
+  static doiUrl(doi) {
+    return `https://doi.org/${doi}`;
+  }
+  
+  /**
+   * One-line attribution, for wherever the data is shown
+   * @param {Object} provenance - From describe()
+   * @returns {string} e.g. "Data: NOAA NEFSC · License: CC BY 4.0 · doi:10.1234/abc"
+   */
+  static attribution(provenance) {
+    return [
+      `Data: ${provenance.source || provenance.title}`,
+      provenance.license ? `License: ${provenance.license}` : 'License: not stated',
+      provenance.doi ? `doi:${provenance.doi}` : null
+    ].filter(Boolean).join(' · ');
+  }
+  
+  /**
+   * Record counts through the pipeline, as one line
+   * @param {Object} counts - provenance.counts
+   * @returns {string} e.g. "1,000 read → 980 valid → 900 after merging → 880 processed (20 withheld for privacy) → 240 shown"
+   */
+  static summarizeCounts(counts) {
+    const number = value => value.toLocaleString('en-US');
+    const stages = [];
+    
+    if (counts.read !== null) stages.push(`${number(counts.read)} read`);
+    if (counts.valid !== null) stages.push(`${number(counts.valid)} valid`);
+    if (counts.deduplicated !== null && counts.deduplicated !== counts.valid) {
+      stages.push(`${number(counts.deduplicated)} after merging`);
+    }
+    stages.push(`${number(counts.processed)} processed` +
+      (counts.suppressed > 0 ? ` (${number(counts.suppressed)} withheld for privacy)` : ''));
+    if (counts.shown !== counts.processed) stages.push(`${number(counts.shown)} shown`);
+    
+    return stages.join(' → ');
+  }
+  
+  /**
+   * Processing steps applied, each a short line
+   * @private
+   */
+  static _steps(state, validation, dedup, privacy, suppressed, activeLOD, baked) {
+    const steps = [];
+    
+    steps.push({
+      step: 'validate',
+      text: validation
+        ? `Validated (${validation.policy}): ${DataValidator.summarize(validation)}`
+        : 'Validated when the file was written'
+    });
+    
+    if (dedup) {
+      steps.push({
+        step: 'dedup',
+        text: dedup.merged > 0 ? `Duplicates: ${Deduplicator.summarize(dedup)}` : 'Duplicates: none found'
+      });
+    }
+    
+    if (privacy) {
+      const species = Object.keys(privacy.rules.species)
+        .filter(id => PrivacyTransform.ruleFor(privacy, Number(id))).length;
+      const scope = PrivacyTransform.isEmpty(privacy.rules.default)
+        ? `${species} species coarsened`
+        : 'every species coarsened';
+      steps.push({ step: 'privacy', text: `Privacy: ${scope}, ${suppressed} records suppressed` });
+    }
+    
+    if (activeLOD) {
+      steps.push({
+        step: 'lod',
+        text: activeLOD === 'fine'
+          ? 'Level of detail: every record shown'
+          : `Level of detail: ${activeLOD} density cells (${(state.shown ?? 0).toLocaleString('en-US')} instances)`
+      });
+    }
+    
+    if (state.effort) {
+      steps.push({ step: 'effort', text: 'Survey effort: effort-corrected density available' });
+    }
+    
+    if (baked) {
+      const source = baked.source?.name ? ` from ${baked.source.name}` : '';
+      steps.push({ step: 'bake', text: `Baked offline${source} on ${String(baked.created).slice(0, 10)}` });
+    }
+    
+    return steps;
+  }
+  
+  /**
+   * Source line for generated data without one
+   * @private
+   */
+  static _syntheticSource(meta) {
+    if (!meta.synthetic) return null;
+    
+    const truth = meta.groundTruth || {};
+    const details = [truth.scenario, truth.seed !== undefined ? `seed ${truth.seed}` : null].filter(Boolean);
+    return `SyntheticDataGenerator${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  }
+}
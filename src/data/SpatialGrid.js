@@ -4,7 +4,8 @@
  * AUDIT FOLLOW-UP: Spatial Inspection
  * 
  * GPU-safe spatial indexing for bounded inspection queries.
- * Built once at load time, queried via region intersection.
+ * Built at load time (and extended as chunks stream in),
+ * queried via region intersection.
  * 
  * WHY AGGREGATION, NOT POINT QUERIES:
  * - O(n) scans cause frame drops on Quest 2
@@ -14,12 +15,17 @@
  * 
  * Each cell stores:
  * - Total observation count
- * - Species histogram (8 species)
+ * - Species histogram (one bin per registered species)
  * - Time histogram (for temporal distribution)
  * - Cell bounds for intersection tests
+ * - Survey effort of its column, once an EffortGrid is attached
+ * - Attribute summaries (category counts, numeric sum/min/max), when the
+ *   data carries attribute columns (see AttributeColumns)
  */
 
-import { PACIFIC_BOUNDS, WORLD_SCALE } from '../utils/Constants.js';
+import { PACIFIC_BOUNDS, WORLD_SCALE, DEFAULT_SPECIES_COUNT } from '../utils/Constants.js';
+import { EffortGrid } from './EffortGrid.js';
+import { AttributeColumns } from './AttributeColumns.js';
 
 export class SpatialGrid {
   /**
@@ -30,7 +36,10 @@ export class SpatialGrid {
     // AUDIT FOLLOW-UP: Spatial Inspection - Grid configuration
     this.cellSize = cellSize;
     
-    // Grid dimensions (will be set during build)
+    // Grid extents (will be set during build)
+    // Cell indices are absolute: floor(position / cellSize)
+    this.cellMin = [0, 0, 0];
+    this.cellMax = [0, 0, 0];
     this.gridMin = [0, 0, 0];
     this.gridMax = [0, 0, 0];
     this.gridDims = [0, 0, 0];
@@ -38,6 +47,12 @@ export class SpatialGrid {
     // Cell storage - Map from cell key to cell data
     this.cells = new Map();
     
+    // Species histogram size (set from data during build)
+    this.speciesCount = DEFAULT_SPECIES_COUNT;
+    
+    // Survey effort (set via setEffort) - enables sightings per unit effort
+    this.effort = null;
+    
     // Statistics
     this.totalCells = 0;
     this.populatedCells = 0;
@@ -53,25 +68,15 @@ export class SpatialGrid {
    * @param {Object} processedData - From DataProcessor
    */
   build(processedData) {
-    const { positions, species, times, densities, count } = processedData;
+    const { count } = processedData;
+    this.speciesCount = processedData.speciesCount ?? DEFAULT_SPECIES_COUNT;
+    this.cells = new Map();
+    this.totalPoints = 0;
     
     console.log(`AUDIT FOLLOW-UP: Building spatial grid for ${count} points...`);
     const startTime = performance.now();
     
-    // Step 1: Find data bounds
-    this._computeBounds(positions, count);
-    
-    // Step 2: Compute grid dimensions
-    this._computeGridDimensions();
-    
-    // Step 3: Insert all points into cells
-    this._insertPoints(positions, species, times, densities, count);
-    
-    // Step 4: Finalize cells (compute averages, etc.)
-    this._finalizeCells();
-    
-    this.built = true;
-    this.totalPoints = count;
+    this.append(processedData);
     
     const buildTime = performance.now() - startTime;
     console.log(`AUDIT FOLLOW-UP: Spatial grid built in ${buildTime.toFixed(1)}ms`);
@@ -81,75 +86,158 @@ export class SpatialGrid {
   }
   
   /**
-   * Compute data bounds from positions
-   * @private
+   * Add more points to the grid (progressive loading)
+   * Cells are indexed from the world origin, so the grid grows to fit
+   * new data without rebuilding existing cells.
+   * @param {Object} processedData - Points to add
    */
-  _computeBounds(positions, count) {
-    if (count === 0) {
-      this.gridMin = [0, 0, 0];
-      this.gridMax = [1, 1, 1];
-      return;
+  append(processedData) {
+    const { positions, species, times, attributes, count } = processedData;
+    this._ensureSpeciesCount(processedData.speciesCount ?? DEFAULT_SPECIES_COUNT);
+    
+    // Step 1: Insert points into cells
+    const touched = this._insertPoints(positions, species, times, count, attributes);
+    
+    // Step 2: Finalize touched cells (compute averages, etc.)
+    this._finalizeCells(touched);
+    
+    // Step 3: Update bounds and dimensions
+    this._updateExtents();
+    
+    this.totalPoints += count;
+    this.built = true;
+  }
+  
+  /**
+   * Merge another grid's cells into this one (e.g. a chunk built in a worker)
+   * @param {SpatialGrid} other - Grid with the same cell size
+   */
+  merge(other) {
+    if (other.cellSize !== this.cellSize) {
+      throw new Error(`Cannot merge grids with cell sizes ${other.cellSize} and ${this.cellSize}`);
     }
     
-    let minX = Infinity, minY = Infinity, minZ = Infinity;
-    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    this._ensureSpeciesCount(other.speciesCount);
+    if (!this.effort && other.effort) {
+      this.effort = other.effort;
+    }
+    const touched = new Set();
     
-    for (let i = 0; i < count; i++) {
-      const x = positions[i * 3];
-      const y = positions[i * 3 + 1];
-      const z = positions[i * 3 + 2];
+    for (const [key, source] of other.cells) {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = this._createCell(source.cx, source.cy, source.cz);
+        this.cells.set(key, cell);
+      }
       
-      minX = Math.min(minX, x);
-      minY = Math.min(minY, y);
-      minZ = Math.min(minZ, z);
-      maxX = Math.max(maxX, x);
-      maxY = Math.max(maxY, y);
-      maxZ = Math.max(maxZ, z);
+      cell.count += source.count;
+      for (let s = 0; s < source.speciesHistogram.length; s++) {
+        cell.speciesHistogram[s] += source.speciesHistogram[s];
+      }
+      for (let t = 0; t < 10; t++) {
+        cell.timeHistogram[t] += source.timeHistogram[t];
+      }
+      cell.sumX += source.sumX;
+      cell.sumY += source.sumY;
+      cell.sumZ += source.sumZ;
+      cell.sumTime += source.sumTime;
+      
+      if (source.attributes) {
+        cell.attributes = SpatialGrid._mergeAttributes(cell.attributes || {}, source.attributes);
+      }
+      
+      touched.add(cell);
+    }
+    
+    this._finalizeCells(touched);
+    this._updateExtents();
+    
+    this.totalPoints += other.totalPoints;
+    this.built = true;
+  }
+  
+  /**
+   * Attach survey effort, giving every cell effort hours and SPUE
+   * @param {EffortGrid|null} effortGrid - Must use this grid's cell size
+   */
+  setEffort(effortGrid) {
+    if (effortGrid && effortGrid.cellSize !== this.cellSize) {
+      throw new Error(`Effort cell size ${effortGrid.cellSize} does not match grid cell size ${this.cellSize}`);
     }
     
-    // Add small padding
-    const pad = this.cellSize * 0.5;
-    this.gridMin = [minX - pad, minY - pad, minZ - pad];
-    this.gridMax = [maxX + pad, maxY + pad, maxZ + pad];
+    this.effort = effortGrid;
+    this._finalizeCells(this.cells.values());
   }
   
   /**
-   * Compute grid dimensions based on bounds and cell size
+   * Check whether survey effort is attached
+   * @returns {boolean}
+   */
+  hasEffort() {
+    return this.effort !== null;
+  }
+  
+  /**
+   * Grow every histogram to hold at least count species
    * @private
    */
-  _computeGridDimensions() {
-    const sizeX = this.gridMax[0] - this.gridMin[0];
-    const sizeY = this.gridMax[1] - this.gridMin[1];
-    const sizeZ = this.gridMax[2] - this.gridMin[2];
+  _ensureSpeciesCount(count) {
+    if (count <= this.speciesCount) return;
+    
+    for (const cell of this.cells.values()) {
+      const histogram = new Uint32Array(count);
+      histogram.set(cell.speciesHistogram);
+      cell.speciesHistogram = histogram;
+    }
     
-    this.gridDims = [
-      Math.max(1, Math.ceil(sizeX / this.cellSize)),
-      Math.max(1, Math.ceil(sizeY / this.cellSize)),
-      Math.max(1, Math.ceil(sizeZ / this.cellSize))
-    ];
+    this.speciesCount = count;
+  }
+  
+  /**
+   * Recompute bounds and dimensions from populated cells
+   * @private
+   */
+  _updateExtents() {
+    if (this.cells.size === 0) {
+      this.cellMin = [0, 0, 0];
+      this.cellMax = [0, 0, 0];
+    } else {
+      this.cellMin = [Infinity, Infinity, Infinity];
+      this.cellMax = [-Infinity, -Infinity, -Infinity];
+      
+      for (const cell of this.cells.values()) {
+        const coords = [cell.cx, cell.cy, cell.cz];
+        for (let a = 0; a < 3; a++) {
+          this.cellMin[a] = Math.min(this.cellMin[a], coords[a]);
+          this.cellMax[a] = Math.max(this.cellMax[a], coords[a]);
+        }
+      }
+    }
     
+    this.gridMin = this.cellMin.map(c => c * this.cellSize);
+    this.gridMax = this.cellMax.map(c => (c + 1) * this.cellSize);
+    this.gridDims = this.cellMin.map((c, a) => this.cellMax[a] - c + 1);
     this.totalCells = this.gridDims[0] * this.gridDims[1] * this.gridDims[2];
   }
   
   /**
-   * Insert all points into grid cells
+   * Insert points into grid cells
    * @private
+   * @param {Object|null} attributes - Attribute columns of the points
+   * @returns {Set<Object>} Cells that received points
    */
-  _insertPoints(positions, species, times, densities, count) {
+  _insertPoints(positions, species, times, count, attributes = null) {
+    const touched = new Set();
+    
     for (let i = 0; i < count; i++) {
       const x = positions[i * 3];
       const y = positions[i * 3 + 1];
       const z = positions[i * 3 + 2];
       
-      // Compute cell indices
-      const cellX = Math.floor((x - this.gridMin[0]) / this.cellSize);
-      const cellY = Math.floor((y - this.gridMin[1]) / this.cellSize);
-      const cellZ = Math.floor((z - this.gridMin[2]) / this.cellSize);
-      
-      // Clamp to grid bounds
-      const cx = Math.max(0, Math.min(this.gridDims[0] - 1, cellX));
-      const cy = Math.max(0, Math.min(this.gridDims[1] - 1, cellY));
-      const cz = Math.max(0, Math.min(this.gridDims[2] - 1, cellZ));
+      // Compute cell indices (relative to world origin)
+      const cx = Math.floor(x / this.cellSize);
+      const cy = Math.floor(y / this.cellSize);
+      const cz = Math.floor(z / this.cellSize);
       
       const key = this._cellKey(cx, cy, cz);
       
@@ -159,6 +247,7 @@ export class SpatialGrid {
         cell = this._createCell(cx, cy, cz);
         this.cells.set(key, cell);
       }
+      touched.add(cell);
       
       // Add point data to cell
       cell.count++;
@@ -173,54 +262,132 @@ export class SpatialGrid {
       cell.sumY += y;
       cell.sumZ += z;
       cell.sumTime += times[i];
+      
+      if (attributes) {
+        this._insertAttributes(cell, attributes, i);
+      }
+    }
+    
+    return touched;
+  }
+  
+  /**
+   * Add one point's attribute values to a cell's summaries
+   * @private
+   */
+  _insertAttributes(cell, attributes, i) {
+    cell.attributes = cell.attributes || {};
+    
+    for (const [name, column] of Object.entries(attributes)) {
+      const value = AttributeColumns.valueAt(column, i);
+      if (value === null) continue;
+      
+      let summary = cell.attributes[name];
+      if (!summary) {
+        summary = cell.attributes[name] = SpatialGrid._createAttributeSummary(column.type);
+      }
+      
+      if (summary.type === 'categorical') {
+        summary.counts.set(value, (summary.counts.get(value) || 0) + 1);
+      } else {
+        summary.sum += value;
+        summary.count++;
+        summary.min = Math.min(summary.min, value);
+        summary.max = Math.max(summary.max, value);
+      }
+    }
+  }
+  
+  /**
+   * Create an empty attribute summary
+   * @private
+   */
+  static _createAttributeSummary(type) {
+    return type === 'categorical'
+      ? { type, counts: new Map() }
+      : { type, sum: 0, count: 0, min: Infinity, max: -Infinity };
+  }
+  
+  /**
+   * Add attribute summaries into a target (modified and returned)
+   * @private
+   */
+  static _mergeAttributes(target, source) {
+    for (const [name, summary] of Object.entries(source)) {
+      let into = target[name];
+      if (!into) {
+        into = target[name] = SpatialGrid._createAttributeSummary(summary.type);
+      }
+      
+      if (summary.type === 'categorical') {
+        for (const [category, count] of summary.counts) {
+          into.counts.set(category, (into.counts.get(category) || 0) + count);
+        }
+      } else {
+        into.sum += summary.sum;
+        into.count += summary.count;
+        into.min = Math.min(into.min, summary.min);
+        into.max = Math.max(into.max, summary.max);
+      }
     }
+    
+    return target;
   }
   
   /**
    * Create a new cell
    * @private
    */
-  _createCell(cx, cy, cz) {
+  _createCell(
+    cx, cy, cz,
+    speciesHistogram = new Uint32Array(this.speciesCount),
+    timeHistogram = new Uint32Array(10)
+  ) {
     return {
       // Grid position
       cx, cy, cz,
       
       // World bounds
-      minX: this.gridMin[0] + cx * this.cellSize,
-      minY: this.gridMin[1] + cy * this.cellSize,
-      minZ: this.gridMin[2] + cz * this.cellSize,
-      maxX: this.gridMin[0] + (cx + 1) * this.cellSize,
-      maxY: this.gridMin[1] + (cy + 1) * this.cellSize,
-      maxZ: this.gridMin[2] + (cz + 1) * this.cellSize,
+      minX: cx * this.cellSize,
+      minY: cy * this.cellSize,
+      minZ: cz * this.cellSize,
+      maxX: (cx + 1) * this.cellSize,
+      maxY: (cy + 1) * this.cellSize,
+      maxZ: (cz + 1) * this.cellSize,
       
       // Aggregated data
       count: 0,
-      speciesHistogram: new Uint32Array(8),
-      timeHistogram: new Uint32Array(10),
+      speciesHistogram,
+      timeHistogram,
       
-      // For centroid calculation
+      // For centroid calculation (kept so later chunks can be merged in)
       sumX: 0, sumY: 0, sumZ: 0,
       sumTime: 0,
       
       // Computed after finalization
       centroid: null,
       avgTime: 0,
-      dominantSpecies: 0
+      dominantSpecies: 0,
+      
+      // Survey effort of the cell's column (null without an EffortGrid)
+      effortHours: null,
+      spue: null,
+      unsurveyed: false,
+      
+      // Attribute summaries by name (null without attribute columns)
+      attributes: null
     };
   }
   
   /**
    * Finalize cells - compute centroids and dominant species
    * @private
+   * @param {Iterable<Object>} cells - Cells to finalize
    */
-  _finalizeCells() {
-    this.populatedCells = 0;
-    
-    for (const cell of this.cells.values()) {
+  _finalizeCells(cells) {
+    for (const cell of cells) {
       if (cell.count === 0) continue;
       
-      this.populatedCells++;
-      
       // Compute centroid
       cell.centroid = [
         cell.sumX / cell.count,
@@ -232,19 +399,19 @@ export class SpatialGrid {
       cell.avgTime = cell.sumTime / cell.count;
       
       // Find dominant species
-      let maxCount = 0;
-      for (let s = 0; s < 8; s++) {
-        if (cell.speciesHistogram[s] > maxCount) {
-          maxCount = cell.speciesHistogram[s];
-          cell.dominantSpecies = s;
-        }
-      }
+      cell.dominantSpecies = this._findDominantSpecies(cell.speciesHistogram);
       
-      // Clear accumulation fields to save memory
-      delete cell.sumX;
-      delete cell.sumY;
-      delete cell.sumZ;
-      delete cell.sumTime;
+      // Sightings per unit effort (effort covers the whole column, all depths)
+      if (this.effort) {
+        cell.effortHours = this.effort.getColumnHours(cell.cx, cell.cz);
+        cell.unsurveyed = !EffortGrid.isSurveyed(cell.effortHours);
+        cell.spue = cell.unsurveyed ? null : cell.count / cell.effortHours;
+      }
+    }
+    
+    this.populatedCells = 0;
+    for (const cell of this.cells.values()) {
+      if (cell.count > 0) this.populatedCells++;
     }
   }
   
@@ -256,6 +423,92 @@ export class SpatialGrid {
     return `${cx},${cy},${cz}`;
   }
   
+  /**
+   * Export the grid as flat TypedArrays for transfer (e.g. out of a worker)
+   * Cells are packed in Map order; histograms are concatenated per cell.
+   * @returns {Object}
+   */
+  serialize() {
+    const n = this.cells.size;
+    
+    const cellCoords = new Int32Array(n * 3);
+    const counts = new Uint32Array(n);
+    const sums = new Float64Array(n * 4);
+    const speciesHistograms = new Uint32Array(n * this.speciesCount);
+    const timeHistograms = new Uint32Array(n * 10);
+    
+    // Attribute summaries are small plain objects, cloned rather than transferred
+    const hasAttributes = [...this.cells.values()].some(cell => cell.attributes);
+    const attributes = hasAttributes ? new Array(n) : null;
+    
+    let i = 0;
+    for (const cell of this.cells.values()) {
+      cellCoords[i * 3] = cell.cx;
+      cellCoords[i * 3 + 1] = cell.cy;
+      cellCoords[i * 3 + 2] = cell.cz;
+      counts[i] = cell.count;
+      sums[i * 4] = cell.sumX;
+      sums[i * 4 + 1] = cell.sumY;
+      sums[i * 4 + 2] = cell.sumZ;
+      sums[i * 4 + 3] = cell.sumTime;
+      speciesHistograms.set(cell.speciesHistogram, i * this.speciesCount);
+      timeHistograms.set(cell.timeHistogram, i * 10);
+      if (attributes) attributes[i] = cell.attributes;
+      i++;
+    }
+    
+    return {
+      cellSize: this.cellSize,
+      speciesCount: this.speciesCount,
+      totalPoints: this.totalPoints,
+      cellCoords,
+      counts,
+      sums,
+      speciesHistograms,
+      timeHistograms,
+      attributes
+    };
+  }
+  
+  /**
+   * Restore a grid produced by serialize()
+   * Histograms are views into the transferred arrays, not copies.
+   * @param {Object} state - Serialized grid
+   */
+  restore(state) {
+    this.cellSize = state.cellSize;
+    this.speciesCount = state.speciesCount;
+    this.totalPoints = state.totalPoints;
+    this.cells = new Map();
+    
+    const s = this.speciesCount;
+    
+    for (let i = 0; i < state.counts.length; i++) {
+      const cx = state.cellCoords[i * 3];
+      const cy = state.cellCoords[i * 3 + 1];
+      const cz = state.cellCoords[i * 3 + 2];
+      
+      const cell = this._createCell(
+        cx, cy, cz,
+        state.speciesHistograms.subarray(i * s, (i + 1) * s),
+        state.timeHistograms.subarray(i * 10, (i + 1) * 10)
+      );
+      
+      cell.count = state.counts[i];
+      cell.sumX = state.sums[i * 4];
+      cell.sumY = state.sums[i * 4 + 1];
+      cell.sumZ = state.sums[i * 4 + 2];
+      cell.sumTime = state.sums[i * 4 + 3];
+      cell.attributes = state.attributes ? state.attributes[i] : null;
+      
+      this.cells.set(this._cellKey(cx, cy, cz), cell);
+    }
+    
+    this._finalizeCells(this.cells.values());
+    this._updateExtents();
+    this.built = true;
+  }
+  
   /**
    * Query cells intersecting a sphere
    * AUDIT FOLLOW-UP: This is the safe query method - O(cells) not O(points)
@@ -268,31 +521,32 @@ export class SpatialGrid {
       return this._emptyResult();
     }
     
-    // Compute cell range to check
-    const minCX = Math.floor((center[0] - radius - this.gridMin[0]) / this.cellSize);
-    const maxCX = Math.ceil((center[0] + radius - this.gridMin[0]) / this.cellSize);
-    const minCY = Math.floor((center[1] - radius - this.gridMin[1]) / this.cellSize);
-    const maxCY = Math.ceil((center[1] + radius - this.gridMin[1]) / this.cellSize);
-    const minCZ = Math.floor((center[2] - radius - this.gridMin[2]) / this.cellSize);
-    const maxCZ = Math.ceil((center[2] + radius - this.gridMin[2]) / this.cellSize);
-    
-    // Clamp to grid bounds
-    const startX = Math.max(0, minCX);
-    const endX = Math.min(this.gridDims[0] - 1, maxCX);
-    const startY = Math.max(0, minCY);
-    const endY = Math.min(this.gridDims[1] - 1, maxCY);
-    const startZ = Math.max(0, minCZ);
-    const endZ = Math.min(this.gridDims[2] - 1, maxCZ);
+    // Compute cell range to check, clamped to populated extents
+    const startX = Math.max(this.cellMin[0], Math.floor((center[0] - radius) / this.cellSize));
+    const endX = Math.min(this.cellMax[0], Math.floor((center[0] + radius) / this.cellSize));
+    const startY = Math.max(this.cellMin[1], Math.floor((center[1] - radius) / this.cellSize));
+    const endY = Math.min(this.cellMax[1], Math.floor((center[1] + radius) / this.cellSize));
+    const startZ = Math.max(this.cellMin[2], Math.floor((center[2] - radius) / this.cellSize));
+    const endZ = Math.min(this.cellMax[2], Math.floor((center[2] + radius) / this.cellSize));
     
     // Aggregate results from intersecting cells
     const result = {
       totalCount: 0,
-      speciesHistogram: new Uint32Array(8),
+      speciesHistogram: new Uint32Array(this.speciesCount),
       timeHistogram: new Uint32Array(10),
       cellsQueried: 0,
       minTime: 1.0,
-      maxTime: 0.0
+      maxTime: 0.0,
+      
+      // Survey effort over the sphere's footprint (see _addEffort)
+      effortHours: null,
+      spue: null,
+      unsurveyed: false,
+      
+      // Attribute summaries over the matched cells (see _summarizeAttributes)
+      attributes: null
     };
+    let attributeSums = null;
     
     const radiusSq = radius * radius;
     
@@ -317,7 +571,7 @@ export class SpatialGrid {
               result.cellsQueried++;
               result.totalCount += cell.count;
               
-              for (let s = 0; s < 8; s++) {
+              for (let s = 0; s < this.speciesCount; s++) {
                 result.speciesHistogram[s] += cell.speciesHistogram[s];
               }
               
@@ -327,6 +581,10 @@ export class SpatialGrid {
               
               result.minTime = Math.min(result.minTime, cell.avgTime);
               result.maxTime = Math.max(result.maxTime, cell.avgTime);
+              
+              if (cell.attributes) {
+                attributeSums = SpatialGrid._mergeAttributes(attributeSums || {}, cell.attributes);
+              }
             }
           }
         }
@@ -336,10 +594,139 @@ export class SpatialGrid {
     // Compute derived values
     result.dominantSpecies = this._findDominantSpecies(result.speciesHistogram);
     result.timeSpan = result.totalCount > 0 ? [result.minTime, result.maxTime] : [0, 0];
+    result.attributes = attributeSums ? SpatialGrid._summarizeAttributes(attributeSums) : null;
+    
+    if (this.effort) {
+      this._addEffort(result, center, radius);
+    }
     
     return result;
   }
   
+  /**
+   * Compare two grids cell by cell
+   * Each cell's count is taken as a share of its grid's total, so datasets
+   * of different sizes are compared by where their records fall rather
+   * than by how many there are. Cells are matched by index, so both grids
+   * need the same cell size.
+   * @param {SpatialGrid} a
+   * @param {SpatialGrid} b
+   * @returns {Object} {positions (count-weighted centroids), differences [-1, 1]
+   *   (share in a minus share in b, over the largest; positive = more in a),
+   *   countsA, countsB, count, maxDifference (largest share difference)}
+   */
+  static difference(a, b) {
+    if (a.cellSize !== b.cellSize) {
+      throw new Error(`Cannot compare grids with cell sizes ${a.cellSize} and ${b.cellSize}`);
+    }
+    
+    const keys = new Set([...a.cells.keys(), ...b.cells.keys()]);
+    const totalA = Math.max(1, a.totalPoints);
+    const totalB = Math.max(1, b.totalPoints);
+    
+    const positions = new Float32Array(keys.size * 3);
+    const differences = new Float32Array(keys.size);
+    const countsA = new Uint32Array(keys.size);
+    const countsB = new Uint32Array(keys.size);
+    let count = 0;
+    let maxDifference = 0;
+    
+    for (const key of keys) {
+      const cellA = a.cells.get(key);
+      const cellB = b.cells.get(key);
+      const countA = cellA ? cellA.count : 0;
+      const countB = cellB ? cellB.count : 0;
+      if (countA + countB === 0) continue;
+      
+      const total = countA + countB;
+      positions[count * 3] = ((cellA?.sumX || 0) + (cellB?.sumX || 0)) / total;
+      positions[count * 3 + 1] = ((cellA?.sumY || 0) + (cellB?.sumY || 0)) / total;
+      positions[count * 3 + 2] = ((cellA?.sumZ || 0) + (cellB?.sumZ || 0)) / total;
+      
+      differences[count] = countA / totalA - countB / totalB;
+      maxDifference = Math.max(maxDifference, Math.abs(differences[count]));
+      countsA[count] = countA;
+      countsB[count] = countB;
+      count++;
+    }
+    
+    if (maxDifference > 0) {
+      for (let i = 0; i < count; i++) {
+        differences[i] /= maxDifference;
+      }
+    }
+    
+    return {
+      positions: positions.subarray(0, count * 3),
+      differences: differences.subarray(0, count),
+      countsA: countsA.subarray(0, count),
+      countsB: countsB.subarray(0, count),
+      count,
+      maxDifference
+    };
+  }
+  
+  /**
+   * Sum survey effort over the columns inside the sphere's footprint
+   * Columns are checked even where there are no sightings, so a surveyed
+   * but empty region reads differently from an unsurveyed one.
+   * @private
+   */
+  _addEffort(result, center, radius) {
+    const startX = Math.floor((center[0] - radius) / this.cellSize);
+    const endX = Math.floor((center[0] + radius) / this.cellSize);
+    const startZ = Math.floor((center[2] - radius) / this.cellSize);
+    const endZ = Math.floor((center[2] + radius) / this.cellSize);
+    const radiusSq = radius * radius;
+    
+    let hours = 0;
+    for (let cx = startX; cx <= endX; cx++) {
+      for (let cz = startZ; cz <= endZ; cz++) {
+        const dx = (cx + 0.5) * this.cellSize - center[0];
+        const dz = (cz + 0.5) * this.cellSize - center[2];
+        if (dx * dx + dz * dz <= radiusSq) {
+          hours += this.effort.getColumnHours(cx, cz);
+        }
+      }
+    }
+    
+    result.effortHours = hours;
+    result.unsurveyed = !EffortGrid.isSurveyed(hours);
+    result.spue = result.unsurveyed ? null : result.totalCount / hours;
+  }
+  
+  /**
+   * Turn merged attribute summaries into query results
+   * Categorical: {type, counts: {category: n}, dominant, known}
+   * Numeric: {type, mean, min, max, known} - known = points with a value
+   * @private
+   */
+  static _summarizeAttributes(sums) {
+    const out = {};
+    
+    for (const [name, summary] of Object.entries(sums)) {
+      if (summary.type === 'categorical') {
+        let dominant = null;
+        let known = 0;
+        for (const [category, count] of summary.counts) {
+          if (dominant === null || count > summary.counts.get(dominant)) dominant = category;
+          known += count;
+        }
+        out[name] = { type: summary.type, counts: Object.fromEntries(summary.counts), dominant, known };
+      } else {
+        out[name] = {
+          type: summary.type,
+          mean: summary.count > 0 ? summary.sum / summary.count : null,
+          min: summary.count > 0 ? summary.min : null,
+          max: summary.count > 0 ? summary.max : null,
+          known: summary.count
+        };
+      }
+    }
+    
+    return out;
+  }
+  
   /**
    * Find dominant species from histogram
    * @private
@@ -347,7 +734,7 @@ export class SpatialGrid {
   _findDominantSpecies(histogram) {
     let maxCount = 0;
     let dominant = 0;
-    for (let s = 0; s < 8; s++) {
+    for (let s = 0; s < this.speciesCount; s++) {
       if (histogram[s] > maxCount) {
         maxCount = histogram[s];
         dominant = s;
@@ -363,11 +750,15 @@ export class SpatialGrid {
   _emptyResult() {
     return {
       totalCount: 0,
-      speciesHistogram: new Uint32Array(8),
+      speciesHistogram: new Uint32Array(this.speciesCount),
       timeHistogram: new Uint32Array(10),
       cellsQueried: 0,
       dominantSpecies: 0,
-      timeSpan: [0, 0]
+      timeSpan: [0, 0],
+      effortHours: null,
+      spue: null,
+      unsurveyed: false,
+      attributes: null
     };
   }
   
@@ -382,6 +773,7 @@ export class SpatialGrid {
       totalCells: this.totalCells,
       populatedCells: this.populatedCells,
       totalPoints: this.totalPoints,
+      effort: this.effort ? this.effort.getStats() : null,
       memoryEstimate: this.populatedCells * 100 // ~100 bytes per cell
     };
   }
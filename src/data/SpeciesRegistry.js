@@ -0,0 +1,237 @@
+/**
+ * Leviathan WebXR - Species Registry
+ * 
+ * Data-driven species table built from a dataset's meta.speciesMap.
+ * Replaces the fixed eight-species assumption: any number of taxa,
+ * each with a name, color and group.
+ * 
+ * meta.speciesMap entries may be plain names or objects:
+ *   { "0": "Blue Whale", "12": { "name": "Dall's Porpoise", "color": "#66ccaa", "group": "Toothed" } }
+ * 
+ * Names matching a default species inherit its color and group;
+ * everything else gets a generated, well-separated color.
+ */
+
+import { SPECIES } from '../utils/Constants.js';
+
+// Golden angle spreads generated hues evenly for any count
+const GOLDEN_ANGLE = 137.508;
+
+export class SpeciesRegistry {
+  /**
+   * Create registry
+   * @param {Object[]} entries - Array indexed by species ID: {name, color: [r,g,b], group}
+   */
+  constructor(entries = SpeciesRegistry._defaultEntries()) {
+    this.entries = [];
+    
+    entries.forEach((entry, id) => {
+      if (entry) this.entries[id] = { id, ...entry };
+    });
+    
+    this._fillGaps();
+  }
+  
+  /**
+   * Build a registry from dataset meta
+   * Falls back to the default species when meta has no speciesMap.
+   * @param {Object} meta - Dataset meta
+   * @returns {SpeciesRegistry}
+   */
+  static fromMeta(meta = {}) {
+    const map = meta.speciesMap;
+    if (!map || Object.keys(map).length === 0) {
+      return new SpeciesRegistry();
+    }
+    
+    const entries = [];
+    
+    for (const [key, value] of Object.entries(map)) {
+      const id = parseInt(key, 10);
+      if (!Number.isInteger(id) || id < 0) {
+        console.warn(`Ignoring species map entry with invalid ID "${key}"`);
+        continue;
+      }
+      
+      const spec = typeof value === 'string' ? { name: value } : { ...value };
+      const known = Object.values(SPECIES).find(s => s.name === spec.name);
+      
+      entries[id] = {
+        name: spec.name || `Species ${id}`,
+        color: spec.color ? SpeciesRegistry._parseColor(spec.color) : (known?.color || SpeciesRegistry._generateColor(id)),
+        group: spec.group || known?.group || 'Other'
+      };
+    }
+    
+    return new SpeciesRegistry(entries);
+  }
+  
+  /**
+   * Grow the registry so every ID below count has an entry
+   * Used when data contains IDs the speciesMap did not declare.
+   * @param {number} count
+   */
+  ensureCount(count) {
+    if (count > this.entries.length) {
+      this.entries.length = count;
+      this._fillGaps();
+    }
+  }
+  
+  /**
+   * Number of species slots (highest ID + 1)
+   * @returns {number}
+   */
+  getCount() {
+    return this.entries.length;
+  }
+  
+  /**
+   * Get a species entry
+   * @param {number} id
+   * @returns {{id: number, name: string, color: number[], group: string}|null}
+   */
+  get(id) {
+    return this.entries[id] || null;
+  }
+  
+  /**
+   * Get species display name
+   * @param {number} id
+   * @returns {string}
+   */
+  getName(id) {
+    return this.entries[id]?.name || 'Unknown';
+  }
+  
+  /**
+   * Get species color
+   * @param {number} id
+   * @returns {number[]} [r, g, b] in [0, 1]
+   */
+  getColor(id) {
+    return this.entries[id]?.color || [0.5, 0.5, 0.5];
+  }
+  
+  /**
+   * Get all species entries in ID order
+   * @returns {Object[]}
+   */
+  getAll() {
+    return this.entries.slice();
+  }
+  
+  /**
+   * Get species grouped by their group name
+   * @returns {{name: string, ids: number[]}[]}
+   */
+  getGroups() {
+    const groups = new Map();
+    
+    for (const entry of this.entries) {
+      if (!groups.has(entry.group)) {
+        groups.set(entry.group, []);
+      }
+      groups.get(entry.group).push(entry.id);
+    }
+    
+    return [...groups].map(([name, ids]) => ({ name, ids }));
+  }
+  
+  /**
+   * Colors packed as RGBA bytes, one texel per species (for shader lookup)
+   * @returns {Uint8Array}
+   */
+  getColorBytes() {
+    const bytes = new Uint8Array(this.entries.length * 4);
+    
+    this.entries.forEach((entry, i) => {
+      bytes[i * 4] = Math.round(entry.color[0] * 255);
+      bytes[i * 4 + 1] = Math.round(entry.color[1] * 255);
+      bytes[i * 4 + 2] = Math.round(entry.color[2] * 255);
+      bytes[i * 4 + 3] = 255;
+    });
+    
+    return bytes;
+  }
+  
+  /**
+   * Export as a meta.speciesMap object
+   * @returns {Object}
+   */
+  toSpeciesMap() {
+    const map = {};
+    for (const entry of this.entries) {
+      map[entry.id] = { name: entry.name, color: entry.color, group: entry.group };
+    }
+    return map;
+  }
+  
+  /**
+   * Fill undeclared IDs with placeholder entries
+   * @private
+   */
+  _fillGaps() {
+    for (let id = 0; id < this.entries.length; id++) {
+      if (!this.entries[id]) {
+        this.entries[id] = {
+          id,
+          name: `Species ${id}`,
+          color: SpeciesRegistry._generateColor(id),
+          group: 'Other'
+        };
+      }
+    }
+  }
+  
+  /**
+   * Default entries from Constants.js
+   * @private
+   */
+  static _defaultEntries() {
+    const entries = [];
+    for (const [id, spec] of Object.entries(SPECIES)) {
+      entries[parseInt(id, 10)] = { ...spec };
+    }
+    return entries;
+  }
+  
+  /**
+   * Parse "#rrggbb" or [r, g, b] (0-1 or 0-255)
+   * @private
+   */
+  static _parseColor(color) {
+    if (typeof color === 'string') {
+      const hex = color.replace('#', '');
+      const value = parseInt(hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex, 16);
+      return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+    }
+    
+    const scale = color.some(c => c > 1) ? 255 : 1;
+    return color.slice(0, 3).map(c => c / scale);
+  }
+  
+  /**
+   * Generate a distinguishable color for an ID
+   * @private
+   */
+  static _generateColor(id) {
+    const h = ((id * GOLDEN_ANGLE) % 360) / 60;
+    const s = 0.65;
+    const l = 0.55;
+    
+    // HSL → RGB
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h % 2) - 1));
+    const m = l - c / 2;
+    
+    const [r, g, b] =
+      h < 1 ? [c, x, 0] :
+      h < 2 ? [x, c, 0] :
+      h < 3 ? [0, c, x] :
+      h < 4 ? [0, x, c] :
+      h < 5 ? [x, 0, c] : [c, 0, x];
+    
+    return [r + m, g + m, b + m];
+  }
+}
@@ -4,188 +4,660 @@
  * Generates realistic whale observation data for development and testing.
  * Models Pacific Ocean whale migration patterns and seasonal behavior.
  * 
+ * The 'tracks' scenarios simulate tagged individuals instead: each one
+ * moves day by day along its species' migration corridor, with
+ * species-typical daily distances and dive depths, and every fix carries
+ * its individualId (a categorical attribute).
+ * 
+ * Scenarios can also change over time (trends): per-species abundance
+ * curves (decline, recovery after whaling, a crash in a heatwave year)
+ * and range shifts, so the timeline has something to show.
+ * 
+ * Every run is seeded (see SeededRandom), so a scenario name and seed
+ * reproduce the same records for bug reports, screenshots and
+ * performance comparisons. meta.groundTruth describes what was generated
+ * (model parameters and counts), so analyses can be checked against it.
+ * 
  * This is NOT production data - use real datasets for deployment.
  */
 
-import { PACIFIC_BOUNDS, TIME_RANGE, SPECIES } from '../utils/Constants.js';
+import { SeededRandom } from '../utils/Random.js';
+import { PACIFIC_BOUNDS, TIME_RANGE, SPECIES, SYNTHETIC, DEG_TO_RAD, EARTH_RADIUS } from '../utils/Constants.js';
+
+/**
+ * Named generation presets
+ * Each sets the record count and the position, time and species models:
+ *   distribution   - 'corridors' (seasonal migration routes), 'hotspots'
+ *                    (Gaussian clusters), 'uniform' (anywhere in bounds) or
+ *                    'tracks' (tagged individuals moving along the corridors)
+ *   tracks         - For 'tracks': {minDays, maxDays, fixesPerDay} per individual
+ *   speciesWeights - Relative frequency by species ID
+ *   months         - [first, last] month (0-11) sightings fall in, else all year
+ *   trends         - Changes over time by species ID, {abundance, shift}:
+ *     abundance - Multiplies the species weight by year:
+ *                 {type: 'exponential', rate}         e^(rate * years since start)
+ *                 {type: 'logistic', from, to, midYear, rate}  e.g. recovery after whaling
+ *                 {type: 'points', points: [[year, value], ...]}  linear between points
+ *     shift     - Moves the species' range by lat/lon degrees from year,
+ *                 ramping in over rampYears, and back after untilYear if given:
+ *                 {year, lat, lon, rampYears, untilYear}
+ */
+export const SCENARIOS = {
+  'pacific-migrations': {
+    label: 'Pacific migrations',
+    description: 'Seasonal migration corridors across the North Pacific, 1994-2024',
+    records: 100000,
+    distribution: 'corridors',
+    speciesWeights: { 0: 0.15, 1: 0.25, 2: 0.30, 3: 0.10, 4: 0.08, 5: 0.05, 6: 0.05, 7: 0.02 }
+  },
+  'dense-monterey-summer': {
+    label: 'Dense Monterey summer',
+    description: 'Blue and humpback whales packed into Monterey Bay, June to September',
+    records: 50000,
+    distribution: 'hotspots',
+    hotspots: [
+      { name: 'Monterey Bay', lat: 36.8, lon: -122.0, spread: 0.15, weight: 0.7 },
+      { name: 'Davenport', lat: 37.0, lon: -122.3, spread: 0.08, weight: 0.2 },
+      { name: 'Big Sur', lat: 36.2, lon: -121.8, spread: 0.1, weight: 0.1 }
+    ],
+    startYear: 2015,
+    endYear: 2020,
+    months: [5, 8],
+    speciesWeights: { 0: 0.4, 1: 0.5, 2: 0.05, 5: 0.05 }
+  },
+  'sparse-basin-wide': {
+    label: 'Sparse basin-wide',
+    description: 'A few thousand sightings spread evenly over the whole basin',
+    records: 5000,
+    distribution: 'uniform',
+    speciesWeights: { 0: 1, 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 1 }
+  },
+  'rare-species-only': {
+    label: 'Rare species only',
+    description: 'Orca, minke and right whales only, along their usual ranges',
+    records: 2000,
+    distribution: 'corridors',
+    speciesWeights: { 5: 0.4, 6: 0.4, 7: 0.2 }
+  },
+  'tagged-tracks': {
+    label: 'Tagged tracks',
+    description: 'Satellite-tagged blue, humpback and gray whales following their migration corridors',
+    records: 15000,
+    distribution: 'tracks',
+    tracks: { minDays: 60, maxDays: 240, fixesPerDay: 1 },
+    startYear: 2015,
+    endYear: 2020,
+    speciesWeights: { 0: 0.3, 1: 0.3, 2: 0.4 }
+  },
+  'population-trends': {
+    label: 'Population trends',
+    description: 'Humpbacks recovering, right whales declining, blue whales pushed north by the 2014-2016 marine heatwave',
+    records: 100000,
+    distribution: 'corridors',
+    speciesWeights: { 0: 0.15, 1: 0.25, 2: 0.30, 3: 0.10, 4: 0.08, 5: 0.05, 6: 0.05, 7: 0.02 },
+    trends: {
+      // Blue: range shift and a dip during the heatwave, recovering after
+      0: {
+        abundance: { type: 'points', points: [[1994, 1], [2013.5, 1], [2015, 0.5], [2017, 0.6], [2019, 1]] },
+        shift: { year: 2014, untilYear: 2016.5, rampYears: 0.5, lat: 6, lon: -4 }
+      },
+      // Humpback: recovery after commercial whaling
+      1: { abundance: { type: 'logistic', from: 0.15, to: 1, midYear: 2006, rate: 0.35 } },
+      // Gray: unusual mortality event from 2019
+      2: { abundance: { type: 'points', points: [[1994, 0.8], [2016, 1], [2019, 0.6], [2024, 0.7]] } },
+      // Right: steady decline
+      7: { abundance: { type: 'exponential', rate: -0.06 } }
+    }
+  },
+  'stress-1m': {
+    label: '1M stress test',
+    description: 'One million migration sightings, for performance testing',
+    records: 1000000,
+    distribution: 'corridors',
+    speciesWeights: { 0: 0.15, 1: 0.25, 2: 0.30, 3: 0.10, 4: 0.08, 5: 0.05, 6: 0.05, 7: 0.02 }
+  }
+};
+
+/**
+ * Seasonal migration routes by species ID; other species range widely
+ */
+const CORRIDORS = {
+  // Gray whales: Alaska to Baja California migration
+  2: {
+    summer: { latCenter: 58, latSpread: 8, lonCenter: -160, lonSpread: 15 },
+    winter: { latCenter: 25, latSpread: 5, lonCenter: -115, lonSpread: 8 }
+  },
+  // Humpback: Alaska to Hawaii
+  1: {
+    summer: { latCenter: 55, latSpread: 10, lonCenter: -145, lonSpread: 20 },
+    winter: { latCenter: 20, latSpread: 3, lonCenter: -157, lonSpread: 5 }
+  },
+  // Blue whales: California coast year-round with seasonal movement
+  0: {
+    summer: { latCenter: 42, latSpread: 8, lonCenter: -128, lonSpread: 10 },
+    winter: { latCenter: 30, latSpread: 6, lonCenter: -120, lonSpread: 8 }
+  }
+};
+
+const DEFAULT_CORRIDOR = {
+  summer: { latCenter: 40, latSpread: 15, lonCenter: -135, lonSpread: 20 },
+  winter: { latCenter: 40, latSpread: 15, lonCenter: -135, lonSpread: 20 }
+};
+
+/**
+ * Movement of tagged individuals, for species with a corridor
+ *   travelKm / forageKm - Typical daily distance while migrating / within the seasonal range
+ *   meanDive / maxDive  - Dive depth of a fix: exponential with this mean, capped (meters)
+ */
+const TRACK_PARAMS = {
+  0: { code: 'BW', travelKm: 70, forageKm: 25, meanDive: 90, maxDive: 300 },   // Blue
+  1: { code: 'HW', travelKm: 100, forageKm: 20, meanDive: 60, maxDive: 200 },  // Humpback
+  2: { code: 'GW', travelKm: 80, forageKm: 15, meanDive: 30, maxDive: 120 }    // Gray
+};
+
+// Kilometers per degree of latitude
+const KM_PER_DEGREE = EARTH_RADIUS * DEG_TO_RAD / 1000;
+
+/**
+ * Dive depth ranges by species ID (meters)
+ */
+const DEPTH_RANGES = {
+  0: [0, 200],    // Blue - surface feeders
+  1: [0, 150],    // Humpback - surface
+  2: [0, 100],    // Gray - shallow
+  3: [0, 300],    // Fin - moderate
+  4: [200, 2000], // Sperm - deep divers
+  5: [0, 300],    // Orca - variable
+  6: [0, 150],    // Minke - surface
+  7: [0, 100]     // Right - surface
+};
 
 export class SyntheticDataGenerator {
   /**
    * Generate synthetic whale observation data
-   * @param {number} count - Number of observations to generate
+   * @param {number} count - Number of observations to generate (default: the scenario's)
    * @param {Object} options - Generation options
+   * @param {string} [options.scenario] - Key of SCENARIOS
+   * @param {number|string} [options.seed] - PRNG seed; the same seed gives the same records
+   * @param {number} [options.startYear] - Overrides the scenario's
+   * @param {number} [options.endYear] - Overrides the scenario's
+   * @param {boolean} [options.includeSeasonality] - Corridors move with the seasons
+   * @param {Object} [options.trends] - Abundance curves and range shifts by species ID, replacing the scenario's for those species
    * @returns {Object} Raw data in expected format
    */
-  static generate(count = 50000, options = {}) {
+  static generate(count = null, options = {}) {
+    const scenarioName = options.scenario || SYNTHETIC.scenario;
+    const scenario = SCENARIOS[scenarioName];
+    if (!scenario) {
+      throw new Error(`Unknown synthetic scenario: ${scenarioName} (use ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    
     const {
-      startYear = TIME_RANGE.startYear,
-      endYear = TIME_RANGE.endYear,
-      includeSeasonality = true,
-      includeMigration = true
+      seed = SYNTHETIC.seed,
+      startYear = scenario.startYear ?? TIME_RANGE.startYear,
+      endYear = scenario.endYear ?? TIME_RANGE.endYear,
+      includeSeasonality = true
     } = options;
+    const total = count ?? scenario.records;
     
-    console.log(`Generating ${count} synthetic whale observations...`);
+    console.log(`Generating ${total} synthetic whale observations (${scenarioName}, seed ${seed})...`);
     
-    const records = [];
+    const random = new SeededRandom(seed);
     const timeSpan = endYear - startYear;
-    
-    // Define migration corridors for different species
-    const corridors = {
-      // Gray whales: Alaska to Baja California migration
-      2: {
-        summer: { latCenter: 58, latSpread: 8, lonCenter: -160, lonSpread: 15 },
-        winter: { latCenter: 25, latSpread: 5, lonCenter: -115, lonSpread: 8 }
-      },
-      // Humpback: Alaska to Hawaii
-      1: {
-        summer: { latCenter: 55, latSpread: 10, lonCenter: -145, lonSpread: 20 },
-        winter: { latCenter: 20, latSpread: 3, lonCenter: -157, lonSpread: 5 }
-      },
-      // Blue whales: California coast year-round with seasonal movement
-      0: {
-        summer: { latCenter: 42, latSpread: 8, lonCenter: -128, lonSpread: 10 },
-        winter: { latCenter: 30, latSpread: 6, lonCenter: -120, lonSpread: 8 }
-      }
+    const trends = { ...(scenario.trends || {}), ...(options.trends || {}) };
+    const model = this._trendModel(trends, scenario.speciesWeights, startYear, endYear);
+    const truth = {
+      scenario: scenarioName,
+      seed,
+      distribution: scenario.distribution,
+      startYear,
+      endYear,
+      months: scenario.months || null,
+      seasonality: includeSeasonality,
+      speciesWeights: { ...scenario.speciesWeights },
+      corridors: ['corridors', 'tracks'].includes(scenario.distribution) ? this._corridorsFor(scenario.speciesWeights) : null,
+      trends: model ? trends : null
     };
     
-    // Species distribution (weighted)
-    const speciesWeights = [
-      { species: 0, weight: 0.15 },  // Blue
-      { species: 1, weight: 0.25 },  // Humpback
-      { species: 2, weight: 0.30 },  // Gray
-      { species: 3, weight: 0.10 },  // Fin
-      { species: 4, weight: 0.08 },  // Sperm
-      { species: 5, weight: 0.05 },  // Orca
-      { species: 6, weight: 0.05 },  // Minke
-      { species: 7, weight: 0.02 }   // Right
-    ];
+    // Tagged individuals follow their corridors day by day instead
+    if (scenario.distribution === 'tracks') {
+      const tracks = this._simulateTracks(total, scenario, random, startYear, endYear, model);
+      console.log(`Generated ${tracks.records.length} synthetic records (${tracks.individuals.length} tracks)`);
+      
+      return this._result(tracks.records, {
+        ...truth,
+        records: tracks.records.length,
+        speciesCounts: tracks.speciesCounts,
+        speciesIndividuals: tracks.speciesIndividuals,
+        yearlyCounts: tracks.yearlyCounts,
+        trackParams: Object.fromEntries(Object.keys(scenario.speciesWeights).map(id => [id, { ...TRACK_PARAMS[id] }])),
+        individuals: tracks.individuals
+      }, { individualId: 'categorical' });
+    }
     
-    for (let i = 0; i < count; i++) {
-      // Random time
-      const normalizedTime = Math.random();
-      const year = startYear + normalizedTime * timeSpan;
-      const month = (year % 1) * 12;
+    const records = new Array(total);
+    const pickSpecies = this._weightedPicker(scenario.speciesWeights);
+    const pickHotspot = scenario.hotspots
+      ? this._weightedPicker(Object.fromEntries(scenario.hotspots.map((hotspot, index) => [index, hotspot.weight ?? 1])))
+      : null;
+    
+    // What was generated, for checking analyses against
+    const speciesCounts = {};
+    const speciesIndividuals = {};
+    const yearlyCounts = {};
+    const hotspotCounts = scenario.hotspots ? scenario.hotspots.map(() => 0) : null;
+    let clamped = 0;
+    
+    for (let i = 0; i < total; i++) {
+      let normalizedTime;
+      let species;
       
-      // Select species based on weights
-      const speciesRoll = Math.random();
-      let cumWeight = 0;
-      let species = 0;
-      for (const { species: s, weight } of speciesWeights) {
-        cumWeight += weight;
-        if (speciesRoll <= cumWeight) {
-          species = s;
-          break;
+      // With trends, keep each draw in proportion to the species' abundance that year
+      do {
+        // Time: whole years, narrowed to the scenario's months if it has them
+        normalizedTime = random.next();
+        if (scenario.months) {
+          const [first, last] = scenario.months;
+          const year = Math.floor(random.next() * timeSpan);
+          const month = first + random.next() * (last - first + 1);
+          normalizedTime = (year + month / 12) / timeSpan;
         }
-      }
+        
+        species = pickSpecies(random.next());
+      } while (model && random.next() * model.max > model.abundance(species, startYear + normalizedTime * timeSpan));
       
-      // Get migration parameters
-      const corridor = corridors[species] || {
-        summer: { latCenter: 40, latSpread: 15, lonCenter: -135, lonSpread: 20 },
-        winter: { latCenter: 40, latSpread: 15, lonCenter: -135, lonSpread: 20 }
-      };
+      const year = startYear + normalizedTime * timeSpan;
+      const month = ((normalizedTime * timeSpan) % 1) * 12;
       
-      // Calculate seasonal position (summer = months 5-9, winter = months 11-3)
-      let seasonFactor = 0.5;
-      if (includeSeasonality) {
-        // Smooth seasonal oscillation
-        seasonFactor = (Math.sin((month / 12) * Math.PI * 2 - Math.PI / 2) + 1) / 2;
+      let lat;
+      let lon;
+      if (scenario.distribution === 'hotspots') {
+        const index = pickHotspot(random.next());
+        const hotspot = scenario.hotspots[index];
+        lat = random.gaussian(hotspot.lat, hotspot.spread);
+        lon = random.gaussian(hotspot.lon, hotspot.spread);
+        hotspotCounts[index]++;
+      } else if (scenario.distribution === 'uniform') {
+        lat = random.range(PACIFIC_BOUNDS.latMin, PACIFIC_BOUNDS.latMax);
+        lon = random.range(PACIFIC_BOUNDS.lonMin, PACIFIC_BOUNDS.lonMax);
+      } else {
+        const params = this._corridorAt(species, month, includeSeasonality);
+        lat = random.gaussian(params.latCenter, params.latSpread);
+        lon = random.gaussian(params.lonCenter, params.lonSpread);
       }
       
-      // Interpolate between summer and winter positions
-      const params = {
-        latCenter: this._lerp(corridor.winter.latCenter, corridor.summer.latCenter, seasonFactor),
-        latSpread: this._lerp(corridor.winter.latSpread, corridor.summer.latSpread, seasonFactor),
-        lonCenter: this._lerp(corridor.winter.lonCenter, corridor.summer.lonCenter, seasonFactor),
-        lonSpread: this._lerp(corridor.winter.lonSpread, corridor.summer.lonSpread, seasonFactor)
-      };
-      
-      // Generate position with Gaussian distribution
-      const lat = this._gaussianRandom(params.latCenter, params.latSpread);
-      const lon = this._gaussianRandom(params.lonCenter, params.lonSpread);
+      if (model) {
+        const shift = model.shift(species, year);
+        lat += shift.lat;
+        lon += shift.lon;
+      }
       
       // Clamp to Pacific bounds
       const clampedLat = Math.max(PACIFIC_BOUNDS.latMin, Math.min(PACIFIC_BOUNDS.latMax, lat));
       const clampedLon = Math.max(PACIFIC_BOUNDS.lonMin, Math.min(PACIFIC_BOUNDS.lonMax, lon));
+      if (clampedLat !== lat || clampedLon !== lon) clamped++;
       
       // Depth (species-dependent)
-      const depthRanges = {
-        0: [0, 200],    // Blue - surface feeders
-        1: [0, 150],    // Humpback - surface
-        2: [0, 100],    // Gray - shallow
-        3: [0, 300],    // Fin - moderate
-        4: [200, 2000], // Sperm - deep divers
-        5: [0, 300],    // Orca - variable
-        6: [0, 150],    // Minke - surface
-        7: [0, 100]     // Right - surface
-      };
-      
-      const [depthMin, depthMax] = depthRanges[species] || [0, 500];
-      const depth = depthMin + Math.random() * (depthMax - depthMin);
+      const [depthMin, depthMax] = DEPTH_RANGES[species] || [0, 500];
+      const depth = depthMin + random.next() * (depthMax - depthMin);
       
       // Observation count (clustering effect)
-      const count = Math.max(1, Math.round(this._exponentialRandom(3)));
+      const individuals = Math.max(1, Math.round(this._exponentialRandom(random, 3)));
       
-      records.push({
+      speciesCounts[species] = (speciesCounts[species] || 0) + 1;
+      speciesIndividuals[species] = (speciesIndividuals[species] || 0) + individuals;
+      this._countYear(yearlyCounts, species, year);
+      
+      records[i] = {
         lat: clampedLat,
         lon: clampedLon,
         depth,
         time: normalizedTime,
         species,
-        count
-      });
+        count: individuals
+      };
     }
     
     console.log(`Generated ${records.length} synthetic records`);
     
+    return this._result(records, {
+      ...truth,
+      records: total,
+      speciesCounts,
+      speciesIndividuals,
+      yearlyCounts,
+      hotspots: scenario.hotspots
+        ? scenario.hotspots.map((hotspot, index) => ({ ...hotspot, records: hotspotCounts[index] }))
+        : null,
+      clampedToBounds: clamped
+    });
+  }
+  
+  /**
+   * Simulate tagged individuals moving along their corridors
+   * Each animal has a preferred spot within its corridor and heads for
+   * where that spot is on the current day (a correlated random walk
+   * biased towards it), covering travelKm a day while far away and
+   * forageKm once there. Spots beyond PACIFIC_BOUNDS are pulled inside,
+   * and animals bounce off the bounds. Tracks run until tag loss
+   * (minDays-maxDays) or until total fixes have been made.
+   * @private
+   * @returns {{records: Object[], individuals: Object[], speciesCounts: Object, speciesIndividuals: Object, yearlyCounts: Object}}
+   */
+  static _simulateTracks(total, scenario, random, startYear, endYear, model = null) {
+    const { minDays = 60, maxDays = 240, fixesPerDay = 1 } = scenario.tracks || {};
+    const timeSpan = endYear - startYear;
+    const spanDays = timeSpan * 365.25;
+    
+    const untracked = Object.keys(scenario.speciesWeights).filter(id => !TRACK_PARAMS[id]);
+    if (untracked.length > 0) {
+      throw new Error(`No corridor to track species ${untracked.join(', ')} along (use ${Object.keys(TRACK_PARAMS).join(', ')})`);
+    }
+    
+    const pickSpecies = this._weightedPicker(scenario.speciesWeights);
+    const records = [];
+    const individuals = [];
+    const speciesCounts = {};
+    const yearlyCounts = {};
+    
+    while (records.length < total) {
+      let species;
+      let days;
+      let startDay;
+      
+      // With trends, more animals are tagged in the years a species is abundant
+      do {
+        species = pickSpecies(random.next());
+        days = Math.min(Math.floor(random.range(minDays, maxDays + 1)), Math.floor(spanDays));
+        startDay = random.range(0, spanDays - days);
+      } while (model && random.next() * model.max > model.abundance(species, startYear + startDay / 365.25));
+      
+      const params = TRACK_PARAMS[species];
+      const id = `${params.code}-${String(individuals.length + 1).padStart(4, '0')}`;
+      const fixes = Math.min(Math.max(1, Math.round(days * fixesPerDay)), total - records.length);
+      
+      // Where in its corridor this animal spends its time, in corridor spreads;
+      // targets are kept a day's foraging inside the bounds
+      const offsetLat = random.gaussian(0, 0.5);
+      const offsetLon = random.gaussian(0, 0.5);
+      const margin = params.forageKm / KM_PER_DEGREE;
+      const target = (t) => {
+        const center = this._corridorAt(species, ((t * timeSpan) % 1) * 12, true);
+        const shift = model ? model.shift(species, startYear + t * timeSpan) : { lat: 0, lon: 0 };
+        return {
+          lat: Math.max(PACIFIC_BOUNDS.latMin + margin, Math.min(PACIFIC_BOUNDS.latMax - margin,
+            center.latCenter + offsetLat * center.latSpread + shift.lat)),
+          lon: Math.max(PACIFIC_BOUNDS.lonMin + margin, Math.min(PACIFIC_BOUNDS.lonMax - margin,
+            center.lonCenter + offsetLon * center.lonSpread + shift.lon))
+        };
+      };
+      
+      const startTime = startDay / spanDays;
+      let { lat, lon } = target(startTime);
+      let heading = random.range(-Math.PI, Math.PI);
+      let distanceKm = 0;
+      let time = startTime;
+      
+      for (let f = 0; f < fixes; f++) {
+        time = (startDay + f / fixesPerDay) / spanDays;
+        
+        if (f > 0) {
+          const goal = target(time);
+          const north = (goal.lat - lat) * KM_PER_DEGREE;
+          const east = (goal.lon - lon) * KM_PER_DEGREE * Math.cos(lat * DEG_TO_RAD);
+          const remaining = Math.hypot(north, east);
+          
+          // Keep half of yesterday's heading, turn the rest towards the goal
+          const bearing = Math.atan2(east, north);
+          const turn = Math.atan2(Math.sin(bearing - heading), Math.cos(bearing - heading));
+          heading += turn * 0.5 + random.gaussian(0, 0.35);
+          
+          // Log-normal daily distance: migrating while far out, foraging once there
+          const dailyKm = remaining > params.travelKm * 3 ? params.travelKm : params.forageKm;
+          const step = dailyKm * Math.exp(random.gaussian(0, 0.35)) / fixesPerDay;
+          
+          // Bounce off the bounds rather than sliding along them
+          lat += step * Math.cos(heading) / KM_PER_DEGREE;
+          if (lat < PACIFIC_BOUNDS.latMin || lat > PACIFIC_BOUNDS.latMax) {
+            lat = this._reflect(lat, PACIFIC_BOUNDS.latMin, PACIFIC_BOUNDS.latMax);
+            heading = Math.PI - heading;
+          }
+          lon += step * Math.sin(heading) / (KM_PER_DEGREE * Math.cos(lat * DEG_TO_RAD));
+          if (lon < PACIFIC_BOUNDS.lonMin || lon > PACIFIC_BOUNDS.lonMax) {
+            lon = this._reflect(lon, PACIFIC_BOUNDS.lonMin, PACIFIC_BOUNDS.lonMax);
+            heading = -heading;
+          }
+          distanceKm += step;
+        }
+        
+        records.push({
+          lat,
+          lon,
+          depth: Math.min(params.maxDive, this._exponentialRandom(random, 1 / params.meanDive)),
+          time,
+          species,
+          count: 1,
+          individualId: id
+        });
+        this._countYear(yearlyCounts, species, startYear + time * timeSpan);
+      }
+      
+      speciesCounts[species] = (speciesCounts[species] || 0) + fixes;
+      individuals.push({ id, species, fixes, startTime, endTime: time, distanceKm: Math.round(distanceKm) });
+    }
+    
+    // One animal per fix
+    return { records, individuals, speciesCounts, speciesIndividuals: { ...speciesCounts }, yearlyCounts };
+  }
+  
+  /**
+   * Build abundance and range-shift lookups from scenario trends
+   * @private
+   * @param {Object} trends - {speciesId: {abundance, shift}}
+   * @param {Object} speciesWeights - Species the scenario generates
+   * @param {number} startYear
+   * @param {number} endYear
+   * @returns {Object|null} {abundance(species, year), shift(species, year), max}, or null without trends
+   */
+  static _trendModel(trends, speciesWeights, startYear, endYear) {
+    if (Object.keys(trends).length === 0) return null;
+    
+    for (const [id, trend] of Object.entries(trends)) {
+      if (trend.abundance) this._abundanceAt(trend.abundance, startYear, startYear);
+      if (trend.shift && !Number.isFinite(trend.shift.year)) {
+        throw new Error(`Range shift for species ${id} needs a start year`);
+      }
+    }
+    
+    const abundance = (species, year) => {
+      const curve = trends[species]?.abundance;
+      return curve ? this._abundanceAt(curve, year, startYear) : 1;
+    };
+    
+    const shift = (species, year) => {
+      const range = trends[species]?.shift;
+      if (!range) return { lat: 0, lon: 0 };
+      
+      // Ramp in after year, back out after untilYear
+      const ramp = Math.max(range.rampYears ?? 1, 1e-6);
+      let share = Math.max(0, Math.min(1, (year - range.year) / ramp));
+      if (range.untilYear !== undefined) {
+        share = Math.min(share, Math.max(0, Math.min(1, 1 - (year - range.untilYear) / ramp)));
+      }
+      return { lat: (range.lat || 0) * share, lon: (range.lon || 0) * share };
+    };
+    
+    // Highest abundance of any generated species, for rejection sampling
+    let max = 0;
+    for (const id of Object.keys(speciesWeights)) {
+      for (let step = 0; step <= 1000; step++) {
+        max = Math.max(max, abundance(Number(id), startYear + (endYear - startYear) * step / 1000));
+      }
+    }
+    if (!(max > 0)) {
+      throw new Error('Trends leave every species with zero abundance');
+    }
+    
+    return { abundance, shift, max };
+  }
+  
+  /**
+   * Evaluate an abundance curve
+   * @private
+   * @returns {number} Multiplier on the species weight (never negative)
+   */
+  static _abundanceAt(curve, year, startYear) {
+    switch (curve.type) {
+      case 'exponential':
+        return Math.exp((curve.rate || 0) * (year - startYear));
+      
+      case 'logistic': {
+        const { from = 0, to = 1, midYear = startYear, rate = 1 } = curve;
+        return Math.max(0, from + (to - from) / (1 + Math.exp(-rate * (year - midYear))));
+      }
+      
+      case 'points': {
+        const points = curve.points || [];
+        if (points.length === 0) {
+          throw new Error('Abundance curve of type points needs [year, value] points');
+        }
+        if (year <= points[0][0]) return Math.max(0, points[0][1]);
+        for (let i = 1; i < points.length; i++) {
+          const [y1, v1] = points[i];
+          if (year <= y1) {
+            const [y0, v0] = points[i - 1];
+            return Math.max(0, v0 + (v1 - v0) * (year - y0) / (y1 - y0 || 1));
+          }
+        }
+        return Math.max(0, points[points.length - 1][1]);
+      }
+      
+      default:
+        throw new Error(`Unknown abundance curve: ${curve.type} (use exponential, logistic or points)`);
+    }
+  }
+  
+  /**
+   * Count a record in the per-species, per-year ground truth
+   * @private
+   */
+  static _countYear(yearlyCounts, species, year) {
+    const counts = yearlyCounts[species] || (yearlyCounts[species] = {});
+    const whole = Math.floor(year);
+    counts[whole] = (counts[whole] || 0) + 1;
+  }
+  
+  /**
+   * Wrap generated records with their meta
+   * @private
+   */
+  static _result(records, groundTruth, attributes = null) {
+    const { startYear, endYear } = groundTruth;
+    
     return {
       records,
       meta: {
         synthetic: true,
-        timeRange: [new Date(startYear, 0, 1).toISOString(), new Date(endYear, 0, 1).toISOString()],
+        timeRange: [new Date(Date.UTC(startYear, 0, 1)).toISOString(), new Date(Date.UTC(endYear, 0, 1)).toISOString()],
         speciesMap: Object.fromEntries(
           Object.entries(SPECIES).map(([id, data]) => [id, data.name])
         ),
+        ...(attributes ? { attributes } : {}),
+        groundTruth,
         generatedAt: new Date().toISOString()
       }
     };
   }
   
   /**
-   * Linear interpolation
+   * Corridor centre and spread for a species at a time of year
    * @private
    */
-  static _lerp(a, b, t) {
-    return a + (b - a) * t;
+  static _corridorAt(species, month, includeSeasonality) {
+    const corridor = CORRIDORS[species] || DEFAULT_CORRIDOR;
+    
+    // Calculate seasonal position (summer = months 5-9, winter = months 11-3)
+    let seasonFactor = 0.5;
+    if (includeSeasonality) {
+      // Smooth seasonal oscillation
+      seasonFactor = (Math.sin((month / 12) * Math.PI * 2 - Math.PI / 2) + 1) / 2;
+    }
+    
+    // Interpolate between summer and winter positions
+    return {
+      latCenter: this._lerp(corridor.winter.latCenter, corridor.summer.latCenter, seasonFactor),
+      latSpread: this._lerp(corridor.winter.latSpread, corridor.summer.latSpread, seasonFactor),
+      lonCenter: this._lerp(corridor.winter.lonCenter, corridor.summer.lonCenter, seasonFactor),
+      lonSpread: this._lerp(corridor.winter.lonSpread, corridor.summer.lonSpread, seasonFactor)
+    };
   }
   
   /**
-   * Gaussian random number
+   * Corridors used for the species a scenario generates
    * @private
    */
-  static _gaussianRandom(mean, stdDev) {
-    // Box-Muller transform
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z * stdDev;
+  static _corridorsFor(speciesWeights) {
+    return Object.fromEntries(
+      Object.keys(speciesWeights).map(id => [id, CORRIDORS[id] || DEFAULT_CORRIDOR])
+    );
+  }
+  
+  /**
+   * Build a function mapping a uniform value to a weighted key
+   * @private
+   * @param {Object} weights - {key: weight}
+   * @returns {Function} (u in [0, 1)) => number
+   */
+  static _weightedPicker(weights) {
+    const entries = Object.entries(weights).map(([key, weight]) => [Number(key), weight]);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    return (u) => {
+      let cumWeight = 0;
+      for (const [key, weight] of entries) {
+        cumWeight += weight / total;
+        if (u < cumWeight) return key;
+      }
+      return entries[entries.length - 1][0];
+    };
+  }
+  
+  /**
+   * Mirror a value that overshot [min, max] back inside
+   * @private
+   */
+  static _reflect(value, min, max) {
+    const reflected = value < min ? 2 * min - value : 2 * max - value;
+    return Math.max(min, Math.min(max, reflected));
+  }
+  
+  /**
+   * Linear interpolation
+   * @private
+   */
+  static _lerp(a, b, t) {
+    return a + (b - a) * t;
   }
   
   /**
    * Exponential random number
    * @private
    */
-  static _exponentialRandom(lambda) {
-    return -Math.log(1 - Math.random()) / lambda;
+  static _exponentialRandom(random, lambda) {
+    return -Math.log(1 - random.next()) / lambda;
   }
   
   /**
    * Generate hotspots (high-density observation clusters)
    * @param {number} hotspotCount - Number of hotspots
    * @param {number} pointsPerHotspot - Points per hotspot
+   * @param {number|string} seed - PRNG seed
    * @returns {Object} Raw data
    */
-  static generateHotspots(hotspotCount = 20, pointsPerHotspot = 1000) {
+  static generateHotspots(hotspotCount = 20, pointsPerHotspot = 1000, seed = SYNTHETIC.seed) {
+    const random = new SeededRandom(seed);
     const records = [];
+    const hotspots = [];
     
     // Known whale hotspot locations
     const hotspotLocations = [
@@ -204,24 +676,26 @@ export class SyntheticDataGenerator {
       const base = hotspotLocations[h % hotspotLocations.length];
       
       // Add some variation
-      const centerLat = base.lat + (Math.random() - 0.5) * 5;
-      const centerLon = base.lon + (Math.random() - 0.5) * 5;
+      const centerLat = base.lat + (random.next() - 0.5) * 5;
+      const centerLon = base.lon + (random.next() - 0.5) * 5;
       
       // Random species for this hotspot
-      const species = Math.floor(Math.random() * 8);
+      const species = Math.floor(random.next() * 8);
       
       // Random time center
-      const timeCenter = Math.random();
-      const timeSpread = 0.05 + Math.random() * 0.1;
+      const timeCenter = random.next();
+      const timeSpread = 0.05 + random.next() * 0.1;
+      
+      hotspots.push({ name: base.name, lat: centerLat, lon: centerLon, species, timeCenter, timeSpread });
       
       for (let i = 0; i < pointsPerHotspot; i++) {
         records.push({
-          lat: this._gaussianRandom(centerLat, 0.5),
-          lon: this._gaussianRandom(centerLon, 0.5),
-          depth: Math.random() * 200,
-          time: Math.max(0, Math.min(1, this._gaussianRandom(timeCenter, timeSpread))),
+          lat: random.gaussian(centerLat, 0.5),
+          lon: random.gaussian(centerLon, 0.5),
+          depth: random.next() * 200,
+          time: Math.max(0, Math.min(1, random.gaussian(timeCenter, timeSpread))),
           species,
-          count: Math.ceil(Math.random() * 5)
+          count: Math.ceil(random.next() * 5) || 1
         });
       }
     }
@@ -232,10 +706,9 @@ export class SyntheticDataGenerator {
         synthetic: true,
         hotspots: true,
         hotspotCount,
-        pointsPerHotspot
+        pointsPerHotspot,
+        groundTruth: { seed, records: records.length, hotspots }
       }
     };
   }
 }
-
-
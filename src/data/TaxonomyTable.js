@@ -0,0 +1,139 @@
+/**
+ * Leviathan WebXR - Taxonomy Table
+ * 
+ * Maps scientific names (as found in Darwin Core / OBIS occurrence data)
+ * to the species IDs used throughout Leviathan.
+ * 
+ * The table is editable at runtime and can be loaded from JSON, so new
+ * taxa or synonyms can be added without touching the importer.
+ */
+
+/**
+ * Default scientific name → species ID mapping (see SPECIES in Constants.js)
+ * Includes common synonyms found in historical records.
+ */
+export const DEFAULT_TAXONOMY = {
+  'Balaenoptera musculus': 0,       // Blue Whale
+  'Megaptera novaeangliae': 1,      // Humpback Whale
+  'Eschrichtius robustus': 2,       // Gray Whale
+  'Eschrichtius gibbosus': 2,       // Gray Whale (synonym)
+  'Balaenoptera physalus': 3,       // Fin Whale
+  'Physeter macrocephalus': 4,      // Sperm Whale
+  'Physeter catodon': 4,            // Sperm Whale (synonym)
+  'Orcinus orca': 5,                // Orca
+  'Balaenoptera acutorostrata': 6,  // Minke Whale
+  'Eubalaena japonica': 7,          // North Pacific Right Whale
+  'Eubalaena glacialis': 7,         // North Atlantic Right Whale
+  'Eubalaena australis': 7          // Southern Right Whale
+};
+
+export class TaxonomyTable {
+  /**
+   * Create taxonomy table
+   * @param {Object} entries - Scientific name → species ID
+   */
+  constructor(entries = DEFAULT_TAXONOMY) {
+    // Keyed by normalized name
+    this.entries = new Map();
+    
+    for (const [name, id] of Object.entries(entries)) {
+      this.set(name, id);
+    }
+  }
+  
+  /**
+   * Load a taxonomy table from a JSON URL
+   * The JSON is a flat object of scientific name → species ID.
+   * @param {string} url
+   * @returns {Promise<TaxonomyTable>}
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to load taxonomy: ${response.status} ${response.statusText}`);
+    }
+    
+    return new TaxonomyTable(await response.json());
+  }
+  
+  /**
+   * Normalize a scientific name for lookup
+   * Drops authorship ("Balaenoptera musculus (Linnaeus, 1758)"), rank markers
+   * and case, keeping the binomial or trinomial.
+   * @param {string} name
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    const words = String(name)
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/[,\d]/g, ' ')
+      .trim()
+      .split(/\s+/)
+      .filter(w => w.length > 0);
+    
+    // Genus, epithet and optional infraspecific epithet - all lowercase
+    // after the genus. Stop at the first capitalized word (authorship).
+    const kept = [];
+    for (const word of words) {
+      if (kept.length > 0 && /^[A-Z]/.test(word)) break;
+      if (/^(subsp|ssp|var)\.?$/i.test(word)) continue;
+      kept.push(word.toLowerCase());
+      if (kept.length === 3) break;
+    }
+    
+    return kept.join(' ');
+  }
+  
+  /**
+   * Add or replace a mapping
+   * @param {string} name - Scientific name
+   * @param {number} id - Species ID
+   */
+  set(name, id) {
+    if (!Number.isInteger(id) || id < 0) {
+      throw new Error(`Invalid species ID ${id} for "${name}"`);
+    }
+    
+    this.entries.set(TaxonomyTable.normalizeName(name), id);
+  }
+  
+  /**
+   * Remove a mapping
+   * @param {string} name - Scientific name
+   */
+  remove(name) {
+    this.entries.delete(TaxonomyTable.normalizeName(name));
+  }
+  
+  /**
+   * Resolve a scientific name to a species ID
+   * Falls back from trinomial to binomial, so subspecies match their species.
+   * @param {string} name
+   * @returns {number|null} Species ID, or null if unmapped
+   */
+  resolve(name) {
+    const normalized = TaxonomyTable.normalizeName(name);
+    if (!normalized) return null;
+    
+    if (this.entries.has(normalized)) {
+      return this.entries.get(normalized);
+    }
+    
+    const binomial = normalized.split(' ').slice(0, 2).join(' ');
+    return this.entries.get(binomial) ?? null;
+  }
+  
+  /**
+   * Export the table as a plain object (for saving/editing)
+   * @returns {Object}
+   */
+  toJSON() {
+    const out = {};
+    for (const [name, id] of this.entries) {
+      // Restore conventional genus capitalization
+      out[name.charAt(0).toUpperCase() + name.slice(1)] = id;
+    }
+    return out;
+  }
+}
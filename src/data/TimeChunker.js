@@ -5,13 +5,20 @@
  * Enables fast lookup of data visible at any given time.
  */
 
+import { TimeDomain } from '../core/TimeDomain.js';
+
 export class TimeChunker {
   /**
    * Create time chunker
-   * @param {number} chunkCount - Number of time buckets (default: 30 for years)
+   * @param {number|null} chunkCount - Number of time buckets (default: derived from the data's time domain)
    */
-  constructor(chunkCount = 30) {
-    this.chunkCount = chunkCount;
+  constructor(chunkCount = null) {
+    // Explicit bucket count, if any
+    this.fixedChunkCount = chunkCount;
+    this.chunkCount = chunkCount ?? 30;
+    
+    // Time domain of the indexed data
+    this.timeDomain = TimeDomain.default();
     
     // Index structure: array of {startIndex, endIndex} per chunk
     this.chunks = [];
@@ -31,22 +38,68 @@ export class TimeChunker {
     this.data = processedData;
     const { times, count } = processedData;
     
-    // Create array of {index, time} pairs
-    const indexed = new Array(count);
+    // One bucket per natural unit of the domain (years, months, days or hours)
+    this.timeDomain = TimeDomain.fromMeta(processedData.meta) || TimeDomain.default();
+    this.chunkCount = this.fixedChunkCount ?? this.timeDomain.getBuckets().count;
+    
+    // Sort record indices by time directly (no per-record objects)
+    this.sortedIndices = new Uint32Array(count);
     for (let i = 0; i < count; i++) {
-      indexed[i] = { index: i, time: times[i] };
+      this.sortedIndices[i] = i;
     }
+    this.sortedIndices.sort((a, b) => times[a] - times[b]);
     
-    // Sort by time
-    indexed.sort((a, b) => a.time - b.time);
+    this._buildChunks();
     
-    // Store sorted indices
-    this.sortedIndices = new Uint32Array(count);
-    for (let i = 0; i < count; i++) {
-      this.sortedIndices[i] = indexed[i].index;
+    console.log(`Built time index: ${this.chunkCount} chunks for ${count} records`);
+  }
+  
+  /**
+   * Extend the index with newly appended records (progressive loading)
+   * The new records must already be concatenated onto the data arrays.
+   * @param {Object} processedData - Combined data (existing + new records)
+   * @param {Uint32Array} newSortedIndices - New records' indices sorted by time, relative to their own chunk
+   * @param {number} offset - Index of the first new record in the combined data
+   */
+  append(processedData, newSortedIndices, offset) {
+    if (!this.sortedIndices) {
+      throw new Error('TimeChunker.append called before build');
+    }
+    
+    this.data = processedData;
+    const { times } = processedData;
+    
+    // Merge two time-sorted index lists
+    const existing = this.sortedIndices;
+    const merged = new Uint32Array(existing.length + newSortedIndices.length);
+    let a = 0;
+    let b = 0;
+    let out = 0;
+    
+    while (a < existing.length && b < newSortedIndices.length) {
+      const next = newSortedIndices[b] + offset;
+      if (times[existing[a]] <= times[next]) {
+        merged[out++] = existing[a++];
+      } else {
+        merged[out++] = next;
+        b++;
+      }
     }
+    while (a < existing.length) merged[out++] = existing[a++];
+    while (b < newSortedIndices.length) merged[out++] = newSortedIndices[b++] + offset;
+    
+    this.sortedIndices = merged;
+    this._buildChunks();
+  }
+  
+  /**
+   * Build chunk boundaries over the sorted indices
+   * @private
+   */
+  _buildChunks() {
+    const times = this.data.times;
+    const count = this.sortedIndices.length;
     
-    // Build chunk boundaries
     this.chunks = new Array(this.chunkCount);
     const chunkSize = 1.0 / this.chunkCount;
     
@@ -54,7 +107,7 @@ export class TimeChunker {
     let chunkStart = 0;
     
     for (let i = 0; i < count; i++) {
-      const time = indexed[i].time;
+      const time = times[this.sortedIndices[i]];
       const targetChunk = Math.min(Math.floor(time / chunkSize), this.chunkCount - 1);
       
       // Fill any empty chunks
@@ -80,8 +133,35 @@ export class TimeChunker {
       };
       currentChunk++;
     }
-    
-    console.log(`Built time index: ${this.chunkCount} chunks for ${count} records`);
+  }
+  
+  /**
+   * Export the index for transfer (e.g. out of a worker)
+   * sortedIndices is a TypedArray and can be transferred without copying.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      chunkCount: this.chunkCount,
+      fixedChunkCount: this.fixedChunkCount,
+      timeDomain: this.timeDomain.toJSON(),
+      sortedIndices: this.sortedIndices,
+      chunks: this.chunks
+    };
+  }
+  
+  /**
+   * Restore an index produced by serialize()
+   * @param {Object} state - Serialized index
+   * @param {Object} processedData - The data the index was built from
+   */
+  restore(state, processedData) {
+    this.data = processedData;
+    this.chunkCount = state.chunkCount;
+    this.fixedChunkCount = state.fixedChunkCount;
+    this.timeDomain = TimeDomain.fromJSON(state.timeDomain);
+    this.sortedIndices = state.sortedIndices;
+    this.chunks = state.chunks;
   }
   
   /**
@@ -179,13 +259,11 @@ export class TimeChunker {
   /**
    * Get records for a specific year
    * @param {number} year - Year number (e.g., 2015)
-   * @param {number} startYear - Dataset start year
-   * @param {number} endYear - Dataset end year
    * @returns {{startIndex: number, endIndex: number}}
    */
-  getYearRange(year, startYear = 1994, endYear = 2024) {
-    const normalizedStart = (year - startYear) / (endYear - startYear);
-    const normalizedEnd = (year + 1 - startYear) / (endYear - startYear);
+  getYearRange(year) {
+    const normalizedStart = this.timeDomain.normalize(TimeDomain.yearToMs(year));
+    const normalizedEnd = this.timeDomain.normalize(TimeDomain.yearToMs(year + 1));
     
     return this.getVisibleRange(
       (normalizedStart + normalizedEnd) / 2,
@@ -208,6 +286,7 @@ export class TimeChunker {
     
     return {
       chunkCount: this.chunkCount,
+      chunkUnit: this.fixedChunkCount === null ? this.timeDomain.getBuckets().unit : null,
       totalRecords: total,
       avgPerChunk: avg,
       maxPerChunk: max,
@@ -0,0 +1,187 @@
+/**
+ * Leviathan WebXR - Worker Pipeline
+ * 
+ * Main-thread client for PipelineWorker. Runs the DataPipeline off the
+ * main thread so large datasets don't freeze the landing page, reports
+ * per-stage progress and supports cancellation.
+ * 
+ * Falls back to running on the main thread where module workers are
+ * unavailable.
+ */
+
+import { DataPipeline } from './DataPipeline.js';
+
+export class WorkerPipeline {
+  /**
+   * Create worker pipeline
+   * @param {Projection} projection - Projection used to place records
+   */
+  constructor(projection) {
+    this.projection = projection;
+    
+    // Worker is created lazily and recreated after cancellation
+    this.worker = null;
+    
+    // In-flight run: {id, resolve, reject} (worker) or {signal} (main thread)
+    this.pending = null;
+    this.nextId = 1;
+    
+    // Callbacks
+    this.onProgress = null;  // (stage, progress) => void
+  }
+  
+  /**
+   * Check whether Web Workers are available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+  
+  /**
+   * Run the pipeline
+   * Any run already in flight is cancelled first.
+   * Input bytes are transferred to the worker and unusable afterwards.
+   * @param {Object} input - {rawData} or {bytes: Uint8Array, format: 'json'|'geojson'|'lwxr'}
+   * @param {Object} options - {maxInstances, gridCellSize, chunkSize, meta, validationPolicy, dedup, privacy, effort}
+   * @returns {Promise<Object>} {processedData, timeChunker, densityAggregator, spatialGrid, effortGrid, activeLOD, validation, dedup}
+   */
+  run(input, options = {}) {
+    this.cancel();
+    
+    if (!WorkerPipeline.isSupported()) {
+      return this._runOnMainThread(input, options);
+    }
+    
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./PipelineWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this._onMessage(event.data);
+      this.worker.onerror = (event) => this._fail(new Error(`Pipeline worker failed: ${event.message || 'unknown error'}`));
+    }
+    
+    const id = this.nextId++;
+    
+    return new Promise((resolve, reject) => {
+      this.pending = { id, resolve, reject };
+      
+      const transfer = input.bytes ? [input.bytes.buffer] : [];
+      this.worker.postMessage({
+        type: 'run',
+        id,
+        input,
+        options: {
+          ...options,
+          projection: {
+            lat: this.projection.originLatDeg,
+            lon: this.projection.originLonDeg,
+            scale: this.projection.scale
+          }
+        }
+      }, transfer);
+    });
+  }
+  
+  /**
+   * Cancel the run in flight, if any
+   * The worker is terminated immediately; its promise rejects with "Pipeline cancelled".
+   */
+  cancel() {
+    if (!this.pending) return;
+    
+    const pending = this.pending;
+    this.pending = null;
+    
+    if (pending.signal) {
+      // Main-thread run stops at the next stage boundary
+      pending.signal.aborted = true;
+      return;
+    }
+    
+    this.worker.terminate();
+    this.worker = null;
+    pending.reject(new Error('Pipeline cancelled'));
+    console.log('Data pipeline cancelled');
+  }
+  
+  /**
+   * Check whether a run is in flight
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.pending !== null;
+  }
+  
+  /**
+   * Handle a worker message
+   * @private
+   */
+  _onMessage(message) {
+    // Ignore messages from a run that has since been replaced
+    if (!this.pending || message.id !== this.pending.id) return;
+    
+    switch (message.type) {
+      case 'progress':
+        if (this.onProgress) {
+          this.onProgress(message.stage, message.progress);
+        }
+        break;
+      
+      case 'result': {
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(DataPipeline.restore(message.payload));
+        break;
+      }
+      
+      case 'error':
+        this._fail(new Error(message.message));
+        break;
+    }
+  }
+  
+  /**
+   * Reject the run in flight
+   * @private
+   */
+  _fail(error) {
+    if (!this.pending) return;
+    
+    const { reject } = this.pending;
+    this.pending = null;
+    reject(error);
+  }
+  
+  /**
+   * Fallback: run the same pipeline on the main thread
+   * @private
+   */
+  async _runOnMainThread(input, options) {
+    const signal = { aborted: false };
+    this.pending = { signal };
+    
+    try {
+      return await DataPipeline.run(
+        input,
+        { ...options, projection: this.projection },
+        this.onProgress,
+        signal
+      );
+    } finally {
+      if (this.pending?.signal === signal) {
+        this.pending = null;
+      }
+    }
+  }
+  
+  /**
+   * Terminate the worker
+   */
+  dispose() {
+    this.cancel();
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Leviathan WebXR - Filter Gesture Handler
+ * 
+ * Cycles through filter presets on each left pinch and shows the
+ * chosen preset next to the hand for a moment.
+ * The filter itself is applied by whoever listens to onFilterChange.
+ */
+
+import * as THREE from 'three';
+import { GESTURE } from '../utils/Constants.js';
+
+export class FilterGesture {
+  /**
+   * Create filter gesture handler
+   * @param {Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Presets ({label, expression}) and the one in use
+    this.presets = [];
+    this.index = 0;
+    
+    // Seconds the label has left on screen
+    this.labelTime = 0;
+    
+    // Visual feedback
+    this.label = null;
+    this.labelCanvas = null;
+    this.labelTexture = null;
+    
+    // Callbacks
+    this.onFilterChange = null;  // (preset: {label, expression}) => void
+    
+    this._createVisuals();
+  }
+  
+  /**
+   * Create label visual
+   * @private
+   */
+  _createVisuals() {
+    this.labelCanvas = document.createElement('canvas');
+    this.labelCanvas.width = 256;
+    this.labelCanvas.height = 64;
+    
+    this.labelTexture = new THREE.CanvasTexture(this.labelCanvas);
+    this.labelTexture.minFilter = THREE.LinearFilter;
+    
+    const material = new THREE.MeshBasicMaterial({
+      map: this.labelTexture,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    
+    this.label = new THREE.Mesh(new THREE.PlaneGeometry(0.16, 0.04), material);
+    this.label.visible = false;
+    this.label.name = 'FilterLabel';
+    
+    this.scene.addToUI(this.label);
+  }
+  
+  /**
+   * Set the presets to cycle through
+   * @param {Object[]} presets - [{label, expression}]
+   * @param {number} index - Preset currently applied
+   */
+  setPresets(presets, index = 0) {
+    this.presets = presets;
+    this.index = index;
+  }
+  
+  /**
+   * Move to the next preset
+   * @param {THREE.Vector3} position - Where to show the label (e.g. the pinch point)
+   * @returns {Object|null} Preset now in use
+   */
+  cycle(position) {
+    if (this.presets.length === 0) return null;
+    
+    this.index = (this.index + 1) % this.presets.length;
+    const preset = this.presets[this.index];
+    
+    this._showLabel(`${this.index + 1}/${this.presets.length} ${preset.label}`, position);
+    
+    if (this.onFilterChange) {
+      this.onFilterChange(preset);
+    }
+    
+    console.log(`Filter preset: ${preset.label} (${preset.expression || 'no filter'})`);
+    return preset;
+  }
+  
+  /**
+   * Fade the label out
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    if (this.labelTime <= 0) return;
+    
+    this.labelTime -= deltaTime;
+    this.label.material.opacity = Math.min(1, this.labelTime / 0.5);
+    this.label.visible = this.labelTime > 0;
+  }
+  
+  /**
+   * Draw and place the label
+   * @private
+   */
+  _showLabel(text, position) {
+    const ctx = this.labelCanvas.getContext('2d');
+    const w = this.labelCanvas.width;
+    const h = this.labelCanvas.height;
+    
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(10, 20, 30, 0.8)';
+    ctx.fillRect(0, 0, w, h);
+    
+    ctx.fillStyle = '#4aff9f';
+    ctx.font = 'bold 22px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, w / 2, h / 2, w - 16);
+    
+    this.labelTexture.needsUpdate = true;
+    
+    // Just above the hand
+    if (position) {
+      this.label.position.set(position.x, position.y + 0.08, position.z);
+    }
+    
+    this.labelTime = GESTURE.filter.labelDuration;
+    this.label.material.opacity = 1;
+    this.label.visible = true;
+  }
+  
+  /**
+   * Get the preset in use
+   * @returns {Object|null}
+   */
+  getPreset() {
+    return this.presets[this.index] || null;
+  }
+  
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    if (this.label) {
+      this.label.geometry.dispose();
+      this.label.material.dispose();
+      this.labelTexture.dispose();
+    }
+  }
+}
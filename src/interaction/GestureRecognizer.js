@@ -6,6 +6,7 @@
  * exclusive gesture states.
  * 
  * Gestures:
+ * - Filter: Left pinch (cycles filter presets, once per pinch)
  * - TimeScrub: Left palm open, horizontal movement
  * - Inspect: Right pinch
  * - Reset: Both palms open and still
@@ -18,6 +19,7 @@ export const GestureState = {
   IDLE: 'idle',
   TIME_SCRUB: 'time_scrub',
   INSPECT: 'inspect',
+  FILTER: 'filter',
   RESET_PENDING: 'reset_pending',
   RESET_ACTIVE: 'reset_active'
 };
@@ -44,6 +46,7 @@ export class GestureRecognizer {
     this.onTimeScrub = null;      // (deltaX: number) => void
     this.onInspect = null;        // (position: Vector3, active: boolean) => void
     this.onReset = null;          // () => void
+    this.onFilterCycle = null;    // (position: Vector3) => void
     
     // Last positions for delta calculation
     this.lastLeftX = 0;
@@ -72,6 +75,12 @@ export class GestureRecognizer {
       return;
     }
     
+    // Left pinch cycles filters; checked before time scrub, which an
+    // open-ish left hand would otherwise always trigger
+    if (this._checkFilterGesture(left)) {
+      return;
+    }
+    
     // Check for time scrub gesture - PRIMARY INTERACTION
     if (this._checkTimeScrubGesture(left, deltaTime)) {
       return;
@@ -147,6 +156,32 @@ export class GestureRecognizer {
     return true; // Still in reset gesture
   }
   
+  /**
+   * Check for filter gesture (left pinch)
+   * Fires once when the pinch starts; holding it does nothing more.
+   * @private
+   */
+  _checkFilterGesture(left) {
+    const isPinching = left.visible && left.pinchDistance < GESTURE.filter.pinchThreshold;
+    
+    if (!isPinching) {
+      if (this.state === GestureState.FILTER) {
+        this._transitionTo(GestureState.IDLE);
+      }
+      return false;
+    }
+    
+    if (this.state !== GestureState.FILTER) {
+      this._transitionTo(GestureState.FILTER);
+      
+      if (this.onFilterCycle) {
+        this.onFilterCycle(this.handTracker.getPinchPoint('left') || left.palmPosition);
+      }
+    }
+    
+    return true;
+  }
+  
   /**
    * Check for time scrub gesture (left palm open, horizontal movement)
    * @private
@@ -0,0 +1,224 @@
+/**
+ * Leviathan WebXR - Info Panel
+ * 
+ * Shows where the data on show came from (see Provenance): the full
+ * panel - source, license, citation, DOI, record counts and processing
+ * steps - opens for a few seconds at the start of each XR session, then
+ * fades down to a one-line attribution that stays under the time
+ * indicator, since published installations have to credit their data.
+ */
+
+import * as THREE from 'three';
+import { Provenance } from '../data/Provenance.js';
+import { INFO_PANEL } from '../utils/Constants.js';
+
+// Canvas pixels per meter of panel
+const PIXELS_PER_METER = 2048;
+
+export class InfoPanel {
+  /**
+   * Create info panel
+   * @param {Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Provenance of each dataset or layer on show
+    this.provenances = [];
+    
+    // Seconds the full panel has left on screen
+    this.panelTime = 0;
+    
+    // Visuals: full panel and attribution line
+    this.panel = null;
+    this.credit = null;
+    
+    this._createVisuals();
+  }
+  
+  /**
+   * Create panel and attribution line
+   * @private
+   */
+  _createVisuals() {
+    // Below the time indicator, in front of the user
+    this.panel = this._createPlane(0.36, 0.2, 'InfoPanel');
+    this.panel.mesh.position.set(0, -0.12, -0.8);
+    
+    this.credit = this._createPlane(0.4, 0.02, 'InfoCredit');
+    this.credit.mesh.position.set(0, -0.355, -0.8);
+  }
+  
+  /**
+   * Canvas-textured plane added to the UI layer
+   * @private
+   */
+  _createPlane(width, height, name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * PIXELS_PER_METER);
+    canvas.height = Math.round(height * PIXELS_PER_METER);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    
+    const material = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthWrite: false,
+      depthTest: false,
+      side: THREE.DoubleSide
+    });
+    
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+    mesh.visible = false;
+    mesh.name = name;
+    
+    this.scene.addToUI(mesh);
+    return { mesh, canvas, texture };
+  }
+  
+  /**
+   * Set what to credit
+   * @param {Object[]} provenances - From Provenance.describe(), one per dataset or layer
+   */
+  setProvenance(provenances) {
+    this.provenances = provenances.filter(Boolean);
+    
+    this._drawPanel();
+    this._drawCredit();
+    this.credit.mesh.visible = this.provenances.length > 0 && this.panelTime <= 0;
+  }
+  
+  /**
+   * Open the full panel
+   * @param {number} duration - Seconds before it fades to the attribution line
+   */
+  show(duration = INFO_PANEL.duration) {
+    if (this.provenances.length === 0) return;
+    
+    this.panelTime = duration;
+    this.panel.mesh.material.opacity = 1;
+    this.panel.mesh.visible = true;
+    this.credit.mesh.visible = false;
+  }
+  
+  /**
+   * Fade the full panel out
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    if (this.panelTime <= 0) return;
+    
+    this.panelTime -= deltaTime;
+    this.panel.mesh.material.opacity = Math.min(1, this.panelTime / INFO_PANEL.fadeTime);
+    
+    if (this.panelTime <= 0) {
+      this.panel.mesh.visible = false;
+      this.credit.mesh.visible = this.provenances.length > 0;
+    }
+  }
+  
+  /**
+   * Draw the full panel
+   * @private
+   */
+  _drawPanel() {
+    const { canvas, texture } = this.panel;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const margin = 24;
+    const maxWidth = w - margin * 2;
+    
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(10, 20, 35, 0.85)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, w, h, 12);
+    ctx.fill();
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    let y = margin;
+    
+    const write = (text, font, color, lineHeight) => {
+      ctx.font = font;
+      ctx.fillStyle = color;
+      for (const line of InfoPanel._wrap(ctx, text, maxWidth)) {
+        if (y + lineHeight > h - margin) return;
+        ctx.fillText(line, margin, y);
+        y += lineHeight;
+      }
+    };
+    
+    for (const provenance of this.provenances) {
+      write(provenance.title, 'bold 28px monospace', '#c5d4e0', 34);
+      write(`Source: ${provenance.source || 'not stated'}`, '20px monospace', '#8fb4cc', 26);
+      write(`License: ${provenance.license || 'not stated'}`, '20px monospace', '#8fb4cc', 26);
+      if (provenance.citation) write(`Cite: ${provenance.citation}`, '20px monospace', '#8fb4cc', 26);
+      if (provenance.doi) write(`DOI: ${provenance.doi}`, '20px monospace', '#8fb4cc', 26);
+      write(`Records: ${Provenance.summarizeCounts(provenance.counts)}`, '18px monospace', '#4a9eda', 24);
+      for (const { text } of provenance.steps) {
+        write(`· ${text}`, '18px monospace', '#5a7a94', 24);
+      }
+      y += 12;
+    }
+    
+    texture.needsUpdate = true;
+  }
+  
+  /**
+   * Draw the attribution line
+   * @private
+   */
+  _drawCredit() {
+    const { canvas, texture } = this.credit;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(10, 20, 35, 0.7)';
+    ctx.fillRect(0, 0, w, h);
+    
+    ctx.fillStyle = '#8fb4cc';
+    ctx.font = '22px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.provenances.map(Provenance.attribution).join('  |  '), w / 2, h / 2, w - 16);
+    
+    texture.needsUpdate = true;
+  }
+  
+  /**
+   * Break text into lines that fit a width
+   * @private
+   */
+  static _wrap(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    
+    for (const word of String(text).split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    
+    return lines;
+  }
+  
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    for (const { mesh, texture } of [this.panel, this.credit]) {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      texture.dispose();
+    }
+  }
+}
@@ -13,7 +13,10 @@
  */
 
 import * as THREE from 'three';
-import { GESTURE, SPECIES } from '../utils/Constants.js';
+import { GESTURE } from '../utils/Constants.js';
+import { SpeciesRegistry } from '../data/SpeciesRegistry.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+import { PrivacyTransform } from '../data/PrivacyTransform.js';
 
 export class InspectGesture {
   /**
@@ -32,11 +35,27 @@ export class InspectGesture {
     // AUDIT FOLLOW-UP: SpatialGrid reference (set via setSpatialGrid)
     this.spatialGrid = null;
     
+    // Species names/colors/groups for the result panel
+    this.speciesRegistry = new SpeciesRegistry();
+    
+    // Dataset time span, for labelling query results
+    this.timeDomain = TimeDomain.default();
+    
+    // Privacy rules applied to the dataset (meta.privacy), disclosed in results
+    this.privacy = null;
+    
+    // Comparison layer queried alongside: {grid, speciesRegistry, title} or null
+    this.comparison = null;
+    this.lastComparisonResult = null;
+    
     // Query result cache
     this.lastResult = null;
     this.lastQueryTime = 0;
     this.queryInterval = 100; // AUDIT FOLLOW-UP: Limit query rate to ~10Hz
     
+    // Last region queried, kept after the pinch ends (for exporting what was inspected)
+    this.lastRegion = null;
+    
     // Visual feedback
     this.inspectSphere = null;
     this.resultPanel = null;
@@ -53,6 +72,40 @@ export class InspectGesture {
     this.spatialGrid = grid;
   }
   
+  /**
+   * Use a dataset's species registry (rebuilds the species bars)
+   * @param {SpeciesRegistry} registry
+   */
+  setSpeciesRegistry(registry) {
+    this.speciesRegistry = registry;
+    this._buildSpeciesBars();
+  }
+  
+  /**
+   * Use a dataset's time domain for result labels
+   * @param {TimeDomain} domain
+   */
+  setTimeDomain(domain) {
+    this.timeDomain = domain;
+  }
+  
+  /**
+   * Use a dataset's privacy summary, so coarsened species are disclosed
+   * @param {Object|null} privacy - meta.privacy (see PrivacyTransform)
+   */
+  setPrivacy(privacy) {
+    this.privacy = privacy;
+  }
+  
+  /**
+   * Also report a comparison dataset for every region inspected
+   * @param {Object|null} comparison - {grid: SpatialGrid, speciesRegistry, title}; null for none
+   */
+  setComparison(comparison) {
+    this.comparison = comparison;
+    this.lastComparisonResult = null;
+  }
+  
   /**
    * Create visual feedback elements
    * AUDIT FOLLOW-UP: Enhanced visuals for inspection results
@@ -113,35 +166,8 @@ export class InspectGesture {
     const panel = new THREE.Mesh(panelGeom, panelMat);
     this.resultPanel.add(panel);
     
-    // Create species bars (8 species)
-    const barWidth = 0.02;
-    const barSpacing = 0.025;
-    const startX = -0.09;
-    const barY = -0.02;
-    
-    const speciesColors = [
-      0x3366ee, // Blue whale
-      0x55cc88, // Humpback
-      0x999999, // Gray
-      0xee8833, // Fin
-      0xcc5599, // Sperm
-      0x333333, // Orca
-      0xbbcc66, // Minke
-      0xee3355  // Right
-    ];
-    
-    for (let i = 0; i < 8; i++) {
-      const barGeom = new THREE.PlaneGeometry(barWidth, 0.001);
-      const barMat = new THREE.MeshBasicMaterial({
-        color: speciesColors[i],
-        depthWrite: false,
-        side: THREE.DoubleSide
-      });
-      const bar = new THREE.Mesh(barGeom, barMat);
-      bar.position.set(startX + i * barSpacing, barY, 0.001);
-      this.resultPanel.add(bar);
-      this.speciesBars.push(bar);
-    }
+    // Create species bars (one per registered species)
+    this._buildSpeciesBars();
     
     // Text canvas for count display
     this.textCanvas = document.createElement('canvas');
@@ -166,6 +192,40 @@ export class InspectGesture {
     this.textPlane = textPlane;
   }
   
+  /**
+   * Create one histogram bar per species, sized to fit the panel
+   * @private
+   */
+  _buildSpeciesBars() {
+    for (const bar of this.speciesBars) {
+      this.resultPanel.remove(bar);
+      bar.geometry.dispose();
+      bar.material.dispose();
+    }
+    this.speciesBars = [];
+    
+    const count = this.speciesRegistry.getCount();
+    const barsWidth = 0.2;
+    const barSpacing = barsWidth / count;
+    const barWidth = barSpacing * 0.8;
+    const startX = -barsWidth / 2 + barSpacing / 2;
+    const barY = -0.02;
+    
+    for (let i = 0; i < count; i++) {
+      const [r, g, b] = this.speciesRegistry.getColor(i);
+      const barGeom = new THREE.PlaneGeometry(barWidth, 0.001);
+      const barMat = new THREE.MeshBasicMaterial({
+        color: new THREE.Color(r, g, b),
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      const bar = new THREE.Mesh(barGeom, barMat);
+      bar.position.set(startX + i * barSpacing, barY, 0.001);
+      this.resultPanel.add(bar);
+      this.speciesBars.push(bar);
+    }
+  }
+  
   /**
    * Activate inspection at position
    * @param {THREE.Vector3} position - World position of pinch
@@ -195,6 +255,7 @@ export class InspectGesture {
     this.inspectSphere.visible = false;
     this.resultPanel.visible = false;
     this.lastResult = null;
+    this.lastComparisonResult = null;
   }
   
   /**
@@ -245,6 +306,12 @@ export class InspectGesture {
     ];
     
     this.lastResult = this.spatialGrid.querySphere(center, this.inspectRadius);
+    this.lastRegion = { center, radius: this.inspectRadius };
+    
+    // Same region of the comparison dataset (its own grid, same world coordinates)
+    this.lastComparisonResult = this.comparison?.grid?.isBuilt()
+      ? this.comparison.grid.querySphere(center, this.inspectRadius)
+      : null;
     
     // Update visualization
     this._updateResultDisplay();
@@ -263,8 +330,8 @@ export class InspectGesture {
     const maxCount = Math.max(1, ...result.speciesHistogram);
     const maxBarHeight = 0.06;
     
-    for (let i = 0; i < 8; i++) {
-      const count = result.speciesHistogram[i];
+    for (let i = 0; i < this.speciesBars.length; i++) {
+      const count = result.speciesHistogram[i] || 0;
       const height = (count / maxCount) * maxBarHeight;
       
       // Update bar scale and position
@@ -287,30 +354,197 @@ export class InspectGesture {
     
     ctx.clearRect(0, 0, w, h);
     
+    // Survey effort, attribute and privacy lines take extra room, so the others move up
+    const hasEffort = result.effortHours !== null && result.effortHours !== undefined;
+    const attributeText = result.totalCount > 0 ? this._formatAttributes(result) : '';
+    const privacyText = result.totalCount > 0 ? this._formatPrivacy(result) : '';
+    const comparisonText = this.lastComparisonResult ? this._formatComparison(result, this.lastComparisonResult) : '';
+    const extraLines = (hasEffort ? 1 : 0) + (attributeText ? 1 : 0) + (privacyText ? 1 : 0) + (comparisonText ? 1 : 0);
+    const lines = [
+      [32, 58, 82, 108],
+      [28, 50, 70, 92, 118],
+      [24, 44, 62, 80, 100, 120],
+      [24, 42, 58, 74, 92, 108, 124],
+      [22, 38, 53, 68, 83, 98, 112, 125]
+    ][extraLines];
+    let nextLine = 4;
+    
     // Total count
     ctx.fillStyle = '#c5d4e0';
-    ctx.font = 'bold 32px monospace';
+    ctx.font = 'bold 28px monospace';
     ctx.textAlign = 'center';
-    ctx.fillText(`${result.totalCount} sightings`, w/2, 40);
+    ctx.fillText(`${result.totalCount} sightings`, w/2, lines[0]);
     
     // Dominant species
-    const speciesName = SPECIES[result.dominantSpecies]?.name || 'Unknown';
-    ctx.font = '20px monospace';
+    const speciesName = this.speciesRegistry.getName(result.dominantSpecies);
+    ctx.font = '18px monospace';
     ctx.fillStyle = '#8899aa';
-    ctx.fillText(speciesName, w/2, 70);
+    ctx.fillText(speciesName, w/2, lines[1]);
     
-    // Time span
     if (result.totalCount > 0) {
-      const startYear = Math.floor(1994 + result.timeSpan[0] * 30);
-      const endYear = Math.floor(1994 + result.timeSpan[1] * 30);
+      // Group composition (e.g. "Baleen 82% · Toothed 18%")
+      ctx.font = '13px monospace';
+      ctx.fillStyle = '#778899';
+      ctx.fillText(this._formatGroupShares(result), w/2, lines[2]);
+      
+      // Time span
       ctx.font = '16px monospace';
       ctx.fillStyle = '#667788';
-      ctx.fillText(`${startYear} - ${endYear}`, w/2, 100);
+      ctx.fillText(this.timeDomain.formatRange(result.timeSpan[0], result.timeSpan[1]), w/2, lines[3]);
+    }
+    
+    if (hasEffort) {
+      // Unsurveyed regions must not read as empty ocean
+      ctx.font = 'bold 15px monospace';
+      ctx.fillStyle = result.unsurveyed ? '#d9a441' : '#7fc4a8';
+      ctx.fillText(this._formatEffort(result), w/2, lines[nextLine++]);
+    }
+    
+    if (attributeText) {
+      ctx.font = '13px monospace';
+      ctx.fillStyle = '#99aabb';
+      ctx.fillText(attributeText, w/2, lines[nextLine++]);
+    }
+    
+    if (privacyText) {
+      // Coarsened positions must not pass for exact ones
+      ctx.font = '13px monospace';
+      ctx.fillStyle = '#d9a441';
+      ctx.fillText(privacyText, w/2, lines[nextLine++], w - 8);
+    }
+    
+    if (comparisonText) {
+      ctx.font = 'bold 13px monospace';
+      ctx.fillStyle = '#ff8c33';
+      ctx.fillText(comparisonText, w/2, lines[nextLine++], w - 8);
     }
     
     this.textTexture.needsUpdate = true;
   }
   
+  /**
+   * Describe survey effort and sightings per unit effort
+   * @private
+   * @returns {string} e.g. "2.4 / h · 120 h effort" or "Unsurveyed (0.3 h)"
+   */
+  _formatEffort(result) {
+    const hours = result.effortHours < 10 ? result.effortHours.toFixed(1) : Math.round(result.effortHours);
+    
+    if (result.unsurveyed) {
+      return `Unsurveyed (${hours} h effort)`;
+    }
+    return `${result.spue.toFixed(2)} / h · ${hours} h effort`;
+  }
+  
+  /**
+   * Summarize the first attribute columns in the region
+   * @private
+   * @returns {string} e.g. "behaviour: feeding 64% · calves 0.31" ('' without attributes)
+   */
+  _formatAttributes(result) {
+    if (!result.attributes) return '';
+    
+    return Object.entries(result.attributes)
+      .filter(([, summary]) => summary.known > 0)
+      .slice(0, 2)
+      .map(([name, summary]) => {
+        if (summary.type === 'categorical') {
+          const share = summary.counts[summary.dominant] / summary.known;
+          return `${name}: ${summary.dominant} ${Math.round(share * 100)}%`;
+        }
+        const mean = Math.abs(summary.mean) < 10 ? summary.mean.toFixed(2) : Math.round(summary.mean);
+        return `${name} ${mean}`;
+      })
+      .join(' · ');
+  }
+  
+  /**
+   * Describe the comparison dataset in the same region
+   * Shares are of each grid's points, so datasets of different sizes compare fairly.
+   * @private
+   * @returns {string} e.g. "Survey B: 80 · Blue Whale · 1.2% vs 0.8%"
+   */
+  _formatComparison(result, comparison) {
+    const { grid, speciesRegistry, title } = this.comparison;
+    const parts = [`${title}: ${comparison.totalCount}`];
+    
+    if (comparison.totalCount > 0) {
+      parts.push(speciesRegistry.getName(comparison.dominantSpecies));
+    }
+    
+    const share = (count, total) => `${(count / Math.max(1, total) * 100).toFixed(1)}%`;
+    parts.push(`${share(result.totalCount, this.spatialGrid.totalPoints)} vs ${share(comparison.totalCount, grid.totalPoints)}`);
+    
+    return parts.join(' · ');
+  }
+  
+  /**
+   * Describe the privacy rule behind the region's coarsest species
+   * @private
+   * @returns {string} e.g. "Right Whale: 20 km grid ±5 km ±14 d k≥5" ('' if shown as recorded)
+   */
+  _formatPrivacy(result) {
+    if (!this.privacy) return '';
+    
+    let coarsest = null;
+    let species = 0;
+    let covered = 0;
+    
+    for (let id = 0; id < result.speciesHistogram.length; id++) {
+      if (!result.speciesHistogram[id]) continue;
+      
+      const rule = PrivacyTransform.ruleFor(this.privacy, id);
+      if (!rule) continue;
+      
+      covered++;
+      if (!coarsest || rule.gridMeters + rule.jitterMeters > coarsest.gridMeters + coarsest.jitterMeters) {
+        coarsest = rule;
+        species = id;
+      }
+    }
+    
+    if (!coarsest) return '';
+    
+    const distance = (meters) => (meters >= 1000 ? `${+(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`);
+    const duration = (seconds) => (seconds >= 86400 ? `${+(seconds / 86400).toFixed(1)} d`
+      : seconds >= 3600 ? `${+(seconds / 3600).toFixed(1)} h` : `${Math.round(seconds / 60)} min`);
+    
+    const parts = [];
+    if (coarsest.gridMeters > 0) parts.push(`${distance(coarsest.gridMeters)} grid`);
+    if (coarsest.jitterMeters > 0) parts.push(`±${distance(coarsest.jitterMeters)}`);
+    if (coarsest.jitterSeconds > 0) parts.push(`±${duration(coarsest.jitterSeconds)}`);
+    if (coarsest.minCount > 1) parts.push(`k≥${coarsest.minCount}`);
+    if (parts.length === 0) parts.push('fields withheld');
+    
+    const others = covered > 1 ? ` (+${covered - 1})` : '';
+    return `${this.speciesRegistry.getName(species)}: ${parts.join(' ')}${others}`;
+  }
+  
+  /**
+   * Summarize the species histogram by registry group
+   * @private
+   * @returns {string}
+   */
+  _formatGroupShares(result) {
+    const shares = [];
+    
+    for (const group of this.speciesRegistry.getGroups()) {
+      let count = 0;
+      for (const id of group.ids) {
+        count += result.speciesHistogram[id] || 0;
+      }
+      if (count > 0) {
+        shares.push({ name: group.name, share: count / result.totalCount });
+      }
+    }
+    
+    return shares
+      .sort((a, b) => b.share - a.share)
+      .slice(0, 3)
+      .map(g => `${g.name} ${Math.round(g.share * 100)}%`)
+      .join(' · ');
+  }
+  
   /**
    * Get inspection state
    * @returns {boolean}
@@ -335,6 +569,21 @@ export class InspectGesture {
     return this.lastResult;
   }
   
+  /**
+   * Get the last region inspected
+   * @returns {{center: number[], radius: number}|null} Sphere in world units, or null if none since clearLastRegion()
+   */
+  getLastRegion() {
+    return this.lastRegion;
+  }
+  
+  /**
+   * Forget the last region inspected
+   */
+  clearLastRegion() {
+    this.lastRegion = null;
+  }
+  
   /**
    * Set inspection radius
    * @param {number} radius - World units
@@ -14,6 +14,8 @@
  * - WhaleInstanceRenderer: Data visualization
  * - HandTracker: Hand tracking input
  * - GestureRecognizer: Gesture state machine
+ * - FilterExpression: Point filters shared by rendering and inspection
+ * - WorkerPipeline: Off-main-thread data processing
  */
 
 import * as THREE from 'three';
@@ -22,6 +24,7 @@ import * as THREE from 'three';
 import { Scene } from './core/Scene.js';
 import { XRSession } from './core/XRSession.js';
 import { TimeSystem } from './core/TimeSystem.js';
+import { TimeDomain } from './core/TimeDomain.js';
 import { PerformanceMonitor } from './core/PerformanceMonitor.js';
 
 // Geospatial
@@ -32,7 +35,7 @@ import { CoastlineRenderer } from './geo/CoastlineRenderer.js';
 
 // Rendering
 import { WhaleInstanceRenderer } from './rendering/WhaleInstanceRenderer.js';
-import { DensityAggregator } from './rendering/DensityAggregator.js';
+import { DifferenceRenderer } from './rendering/DifferenceRenderer.js';
 
 // Interaction
 import { HandTracker } from './interaction/HandTracker.js';
@@ -40,13 +43,35 @@ import { GestureRecognizer, GestureState } from './interaction/GestureRecognizer
 import { TimeScrubGesture } from './interaction/TimeScrubGesture.js';
 import { InspectGesture } from './interaction/InspectGesture.js';
 import { ResetGesture } from './interaction/ResetGesture.js';
+import { FilterGesture } from './interaction/FilterGesture.js';
+import { InfoPanel } from './interaction/InfoPanel.js';
 
 // Data
 import { DataLoader } from './data/DataLoader.js';
+import { DataValidator } from './data/DataValidator.js';
+import { Deduplicator } from './data/Deduplicator.js';
+import { DatasetCache } from './data/DatasetCache.js';
+import { DatasetManifest, SYNTHETIC_DATASET } from './data/DatasetManifest.js';
+import { DelimitedTextParser } from './data/DelimitedTextParser.js';
+import { DarwinCoreImporter } from './data/DarwinCoreImporter.js';
+import { AttributeColumns } from './data/AttributeColumns.js';
 import { DataProcessor } from './data/DataProcessor.js';
-import { TimeChunker } from './data/TimeChunker.js';
-import { SyntheticDataGenerator } from './data/SyntheticDataGenerator.js';
+import { SyntheticDataGenerator, SCENARIOS } from './data/SyntheticDataGenerator.js';
+import { WorkerPipeline } from './data/WorkerPipeline.js';
+import { ChunkedLoader, ChunkState } from './data/ChunkedLoader.js';
+import { DataPipeline, PIPELINE_STAGES } from './data/DataPipeline.js';
+import { BakedPackage } from './data/BakedPackage.js';
+import { SpeciesRegistry } from './data/SpeciesRegistry.js';
 import { SpatialGrid } from './data/SpatialGrid.js';
+import { FilterExpression } from './data/FilterExpression.js';
+import { DataExporter, EXPORT_FORMATS } from './data/DataExporter.js';
+import { Provenance } from './data/Provenance.js';
+
+// Utils
+import { RENDER_BUDGET, VALIDATION, FILTER_PRESETS, SYNTHETIC, EXPORT, COMPARE, SEASONAL } from './utils/Constants.js';
+
+// Datasets offered on the landing page
+const DATASET_MANIFEST_URL = 'data/whales/manifest.json';
 
 /**
  * Main Leviathan Application
@@ -58,6 +83,24 @@ class LeviathanApp {
     this.enterButton = document.getElementById('enter-xr');
     this.statusText = document.getElementById('status');
     this.loadingScreen = document.getElementById('loading-screen');
+    this.validationPanel = document.getElementById('validation-report');
+    this.cachePanel = document.getElementById('cache-panel');
+    this.datasetPicker = document.getElementById('dataset-picker');
+    this.datasetInfo = document.getElementById('dataset-info');
+    this.provenancePanel = document.getElementById('provenance-panel');
+    this.effortToggle = document.getElementById('effort-toggle');
+    this.filterInput = document.getElementById('filter-input');
+    this.filterStatus = document.getElementById('filter-status');
+    this.compareBox = document.getElementById('compare-box');
+    this.comparePicker = document.getElementById('compare-picker');
+    this.compareModePicker = document.getElementById('compare-mode');
+    this.compareStatus = document.getElementById('compare-status');
+    this.timeModePicker = document.getElementById('time-mode');
+    this.exportPanel = document.getElementById('export-panel');
+    this.exportFormat = document.getElementById('export-format');
+    this.exportRegion = document.getElementById('export-region');
+    this.exportButton = document.getElementById('export-button');
+    this.downloadQueue = document.getElementById('download-queue');
     
     // Core systems
     this.scene = null;
@@ -75,26 +118,88 @@ class LeviathanApp {
     this.whaleRenderer = null;
     this.densityAggregator = null;
     
+    // Comparison layer: its own renderer and pipeline, and the difference view
+    this.comparisonRenderer = null;
+    this.differenceRenderer = null;
+    this.comparisonPipeline = null;
+    
+    // Each side's grid for the difference view, kept until its data or filter changes
+    this.differenceGrids = { loaded: null, comparison: null };
+    
     // Interaction
     this.handTracker = null;
     this.gestureRecognizer = null;
     this.timeScrubGesture = null;
     this.inspectGesture = null;
     this.resetGesture = null;
+    this.filterGesture = null;
+    this.infoPanel = null;
     
     // Data
     this.dataLoader = null;
     this.dataProcessor = null;
+    this.pipeline = null;
+    this.chunkedLoader = null;
+    this.datasetCache = null;
+    this.datasetManifest = null;
+    this.activeDataset = null;
+    this.loadId = 0;
+    
+    // Most recent dropped/picked local file, kept for re-selection in the picker
+    this.localDataset = null;
+    this.localOption = null;
     this.timeChunker = null;
     this.processedData = null;
+    this.speciesRegistry = null;
+    
+    // Record validation: ?validation=drop|clamp|fail
+    this.validationPolicy = VALIDATION.defaultPolicy;
+    this.validationReport = null;
+    
+    // Duplicate merging: manifest `dedup`, or ?dedup=on|off
+    this.dedupReport = null;
     
     // AUDIT FOLLOW-UP: Spatial Inspection - Grid for safe region queries
     this.spatialGrid = null;
     
+    // Survey effort for sightings per unit effort (null if the dataset has none)
+    this.effortGrid = null;
+    
     // FIX: Audit Issue - Track active LOD data
     this.activeLOD = 'fine';
     this.activeData = null;
     
+    // Every level loaded into the renderer (one per chunk when streaming)
+    this.activeLevels = [];
+    
+    // Filter: ?filter=, the landing page or an XR preset (see FilterExpression)
+    // customFilter is the last one typed or linked, offered among the XR presets
+    this.filterText = '';
+    this.customFilter = '';
+    this.filter = null;
+    
+    // Inspect grid over the filtered points (null without a filter)
+    this.filterGrid = null;
+    
+    // Exported files waiting on the landing page: [{name, url, count, bytes}]
+    this.downloads = [];
+    
+    // Source, license and processing of the dataset on show (see Provenance)
+    // baked is the bake date and source of a baked package, or null
+    this.provenance = null;
+    this.baked = null;
+    
+    // Second dataset shown against this one (see _loadComparison):
+    // {dataset, processedData, spatialGrid, level, timeDomain, speciesRegistry, filter, filterGrid, ...}
+    // ?compare=<id> and ?compareMode=overlay|split|difference
+    this.comparison = null;
+    this.compareMode = COMPARE.defaultMode;
+    this.comparisonLoadId = 0;
+    
+    // Timeline or seasonal fold (key of SEASONAL.modes), from ?timeMode=;
+    // kept across datasets, applied to those long enough to fold
+    this.timeMode = SEASONAL.defaultMode;
+    
     // FIX: Audit Issue - Time indicator for user comprehension
     this.timeIndicator = null;
     this.timeIndicatorCanvas = null;
@@ -136,11 +241,12 @@ class LeviathanApp {
       
       // Initialize data pipeline
       this._initData();
+      this._initFileDrop();
       
       // Load initial data
       await this._loadData();
       
-      // Enable XR button
+      // Enable XR button (a dataset switch during startup may still be loading)
       this._enableXRButton(support.handTracking);
       
       this.initialized = true;
@@ -211,12 +317,24 @@ class LeviathanApp {
     );
     this.scene.addToData(this.whaleRenderer.getObject());
     
-    // Create density aggregator
-    this.densityAggregator = new DensityAggregator();
+    // Comparison dataset: drawn as rings, on its share of the instance budget
+    this.comparisonRenderer = new WhaleInstanceRenderer(
+      this.timeSystem,
+      this.floatingOrigin,
+      COMPARE.maxInstances
+    );
+    this.comparisonRenderer.setRingStyle(true);
+    this.comparisonRenderer.setVisible(false);
+    this.scene.addToData(this.comparisonRenderer.getObject());
+    
+    this.differenceRenderer = new DifferenceRenderer(this.floatingOrigin);
+    this.scene.addToData(this.differenceRenderer.getObject());
     
     // Wire up performance monitor
     this.performanceMonitor.onQualityChange = (quality) => {
       this.whaleRenderer.setQuality(quality);
+      this.comparisonRenderer.setQuality(quality);
+      this.differenceRenderer.setQuality(quality);
       console.log(`Quality adjusted to ${Math.round(quality * 100)}%`);
     };
     
@@ -238,6 +356,10 @@ class LeviathanApp {
     this.timeScrubGesture = new TimeScrubGesture(this.timeSystem);
     this.inspectGesture = new InspectGesture(this.scene);
     this.resetGesture = new ResetGesture(this.timeSystem, this.scene);
+    this.filterGesture = new FilterGesture(this.scene);
+    
+    // Attribution for the data on show
+    this.infoPanel = new InfoPanel(this.scene);
     
     // Wire up gesture callbacks
     this.gestureRecognizer.onTimeScrub = (deltaX) => {
@@ -262,6 +384,15 @@ class LeviathanApp {
       console.log('View reset');
     };
     
+    // Left pinch steps through the filter presets
+    this.gestureRecognizer.onFilterCycle = (position) => {
+      this.filterGesture.cycle(position);
+    };
+    
+    this.filterGesture.onFilterChange = (preset) => {
+      this._setFilter(preset.expression, false);
+    };
+    
     console.log('Interaction systems initialized');
   }
   
@@ -272,84 +403,355 @@ class LeviathanApp {
   _initData() {
     this.dataLoader = new DataLoader();
     this.dataProcessor = new DataProcessor(this.projection);
-    this.timeChunker = new TimeChunker();
+    this.pipeline = new WorkerPipeline(this.projection);
+    this.comparisonPipeline = new WorkerPipeline(this.projection);
+    this.validationPolicy = new URLSearchParams(window.location.search).get('validation') || VALIDATION.defaultPolicy;
+    
+    // Processed datasets persist between visits where IndexedDB is available
+    if (DatasetCache.isSupported()) {
+      this.datasetCache = new DatasetCache();
+      this._refreshCachePanel();
+    }
+    
+    // Effort-corrected density can be switched off to compare with raw counts
+    if (this.effortToggle) {
+      this.effortToggle.querySelector('input').addEventListener('change', () => this._applyEffort(this.effortGrid));
+    }
+    
+    this._initFilter();
+    this._initTimeMode();
+    this._initExport();
     
     // Wire up loading progress
     this.dataLoader.onProgress = (progress) => {
       this._updateStatus(`Loading data: ${Math.round(progress * 100)}%`);
     };
     
+    this.pipeline.onProgress = (stage, progress) => {
+      this._updateStatus(`${PIPELINE_STAGES[stage]}: ${Math.round(progress * 100)}%`);
+    };
+    
+    this.comparisonPipeline.onProgress = (stage, progress) => {
+      this._showCompareStatus(`${PIPELINE_STAGES[stage]}: ${Math.round(progress * 100)}%`);
+    };
+    
     console.log('Data pipeline initialized');
   }
   
   /**
    * Load whale data
    * FIX: Audit Issue - Actually use LOD system and time chunking
+   * Re-entrant: starting a new load cancels the one in flight.
    * @private
+   * @param {string|null} datasetId - Manifest dataset id (defaults to ?dataset= or the manifest default)
    */
-  async _loadData() {
-    this._updateStatus('Generating synthetic data...');
+  async _loadData(datasetId = null) {
+    const params = new URLSearchParams(window.location.search);
     
+    if (!this.datasetManifest) {
+      this.datasetManifest = await this._loadManifest();
+      this._buildDatasetPicker();
+      this._buildComparePicker();
+    }
+    
+    // Ad-hoc sources: ?data=file.json|.lwxr|.csv or ?chunks=chunk-manifest.json
+    let dataset = null;
+    if (!datasetId && params.get('chunks')) {
+      dataset = DatasetManifest.entryForUrl(params.get('chunks'), 'chunks');
+    } else if (!datasetId && params.get('data')) {
+      dataset = DatasetManifest.entryForUrl(params.get('data'));
+    } else {
+      const id = datasetId || params.get('dataset');
+      dataset = (id && this.datasetManifest.get(id)) || this.datasetManifest.getDefault();
+      if (id && dataset.id !== id) {
+        console.warn(`Unknown dataset "${id}", loading "${dataset.id}"`);
+      }
+    }
+    
+    // Survey effort for the first dataset can also come from ?effort=effort.geojson
+    if (!datasetId && params.get('effort')) {
+      dataset = { ...dataset, effort: params.get('effort') };
+    }
+    
+    await this._loadEntry(dataset);
+    
+    // A comparison from the URL loads once there is something to compare it with
+    if (!datasetId && params.get('compare')) {
+      this._loadComparison(params.get('compare'));
+    }
+  }
+  
+  /**
+   * Load one dataset entry (manifest, ad-hoc URL or local file)
+   * @private
+   * @param {Object} dataset - Dataset entry (see DatasetManifest)
+   */
+  async _loadEntry(dataset) {
+    const loadId = this._beginLoad(dataset);
+    
+    if (dataset.format === 'chunks') {
+      await this._loadChunked(dataset, loadId);
+    } else {
+      await this._loadDataset(dataset, loadId);
+    }
+    
+    // Reloads after startup re-enable XR entry themselves
+    if (loadId === this.loadId && this.dataLoaded && this.initialized) {
+      this.enterButton.disabled = false;
+    }
+  }
+  
+  /**
+   * Load the dataset manifest, falling back to synthetic data alone
+   * @private
+   * @returns {Promise<DatasetManifest>}
+   */
+  async _loadManifest() {
     try {
-      // Generate synthetic data for development
-      // In production, replace with: await this.dataLoader.loadJSON('data/whales.json')
-      const rawData = SyntheticDataGenerator.generate(100000);
-      
-      this._updateStatus('Processing data...');
-      
-      // Process into GPU-ready format
-      this.processedData = await this.dataProcessor.processAsync(
-        rawData,
-        10000,
-        (progress) => {
-          this._updateStatus(`Processing: ${Math.round(progress * 100)}%`);
+      return await DatasetManifest.load(this.dataLoader, DATASET_MANIFEST_URL);
+    } catch (error) {
+      console.warn(`Dataset manifest unavailable (${error.message}), offering synthetic data only`);
+      return new DatasetManifest();
+    }
+  }
+  
+  /**
+   * Fill the landing page dataset picker from the manifest
+   * @private
+   */
+  _buildDatasetPicker() {
+    if (!this.datasetPicker) return;
+    
+    const datasets = this.datasetManifest.getDatasets();
+    this.datasetPicker.replaceChildren(...datasets.map((dataset) => {
+      const option = document.createElement('option');
+      option.value = dataset.id;
+      option.textContent = dataset.title;
+      return option;
+    }));
+    
+    // A single choice needs no picker
+    this.datasetPicker.hidden = datasets.length < 2;
+    
+    this.datasetPicker.addEventListener('change', () => {
+      const id = this.datasetPicker.value;
+      
+      // Local files can be reloaded, but have no URL to share
+      if (this.localDataset && id === this.localDataset.id) {
+        this._loadEntry(this.localDataset);
+        return;
+      }
+      
+      // Keep the choice shareable and reload-proof
+      const url = new URL(window.location.href);
+      url.searchParams.set('dataset', id);
+      url.searchParams.delete('data');
+      url.searchParams.delete('chunks');
+      window.history.replaceState(null, '', url);
+      
+      this._loadData(id);
+    });
+  }
+  
+  /**
+   * Cancel any load in flight and clear the current dataset
+   * @private
+   * @param {Object} dataset - Manifest entry about to load
+   * @returns {number} Id of the new load, used to ignore stale results
+   */
+  _beginLoad(dataset) {
+    this.loadId++;
+    
+    if (this.chunkedLoader) {
+      this.chunkedLoader.cancel();
+      this.chunkedLoader = null;
+    }
+    this.pipeline.cancel();
+    
+    this.activeDataset = dataset;
+    this.dataLoaded = false;
+    this.processedData = null;
+    this.timeChunker = null;
+    this.densityAggregator = null;
+    this.spatialGrid = null;
+    this.activeData = null;
+    this.activeLevels = [];
+    this.filter = null;
+    this.filterGrid = null;
+    this.validationReport = null;
+    this.dedupReport = null;
+    this.baked = null;
+    this._showValidationReport(null);
+    this._applyEffort(null);
+    this._updateExportPanel();
+    this._applyComparison();
+    
+    this.enterButton.disabled = true;
+    this.statusText.classList.remove('status-error');
+    
+    if (this.datasetPicker) {
+      if (dataset.file) {
+        this._setLocalOption(dataset);
+      }
+      this.datasetPicker.value = dataset.id;
+    }
+    if (this.datasetInfo) {
+      this.datasetInfo.textContent = dataset.description || '';
+    }
+    
+    console.log(`Loading dataset "${dataset.id}" (${dataset.format})`);
+    return this.loadId;
+  }
+  
+  /**
+   * Accept files dropped onto the landing page or chosen in the file input
+   * @private
+   */
+  _initFileDrop() {
+    const fileInput = document.getElementById('file-input');
+    
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+          this._loadFile(fileInput.files[0]);
         }
-      );
+        // Allow picking the same file again after editing it
+        fileInput.value = '';
+      });
+    }
+    
+    // Only the landing page takes drops - not while in XR
+    const acceptsDrop = (event) => !this.xrSession?.isPresenting &&
+      event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+    
+    this.container.addEventListener('dragover', (event) => {
+      if (!acceptsDrop(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      this.container.classList.add('drag-over');
+    });
+    
+    this.container.addEventListener('dragleave', (event) => {
+      if (!this.container.contains(event.relatedTarget)) {
+        this.container.classList.remove('drag-over');
+      }
+    });
+    
+    this.container.addEventListener('drop', (event) => {
+      this.container.classList.remove('drag-over');
+      if (!acceptsDrop(event)) return;
+      event.preventDefault();
+      
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this._loadFile(file);
+      }
+    });
+  }
+  
+  /**
+   * Load a local file through the normal pipeline, replacing the current dataset
+   * @private
+   * @param {File} file
+   */
+  async _loadFile(file) {
+    let dataset;
+    try {
+      dataset = DatasetManifest.entryForFile(file);
+    } catch (error) {
+      this._showError(error.message);
+      return;
+    }
+    
+    this.localDataset = dataset;
+    await this._loadEntry(dataset);
+  }
+  
+  /**
+   * Show the loaded local file as a picker option
+   * @private
+   * @param {Object} dataset - Local file entry
+   */
+  _setLocalOption(dataset) {
+    if (!this.localOption) {
+      this.localOption = document.createElement('option');
+      this.datasetPicker.appendChild(this.localOption);
+    }
+    
+    this.localOption.value = dataset.id;
+    this.localOption.textContent = `Local: ${dataset.title}`;
+    this.datasetPicker.hidden = false;
+  }
+  
+  /**
+   * Load a single-file or synthetic dataset
+   * @private
+   * @param {Object} dataset - Manifest entry
+   * @param {number} loadId - From _beginLoad()
+   */
+  async _loadDataset(dataset, loadId) {
+    try {
+      const result = await this._runPipelineCached(dataset, {
+        maxInstances: RENDER_BUDGET.maxVisibleInstances, // FIX: Audit Issue - Quest 2 budget
+        gridCellSize: 0.5, // ~50km cells
+        validationPolicy: this.validationPolicy,
+        dedup: this._dedupOptions(dataset),
+        privacy: dataset.privacy || null,
+        meta: dataset.meta,
+        ...await this._loadEffort(dataset)
+      });
       
-      // Build time index
-      this.timeChunker.build(this.processedData);
+      // A newer load replaced this one
+      if (loadId !== this.loadId) return;
       
-      // Build density LOD levels
-      this.densityAggregator.process(this.processedData);
+      this.validationReport = result.validation;
+      this.dedupReport = result.dedup;
+      this._showValidationReport(this.validationReport);
+      
+      this.processedData = result.processedData;
+      this.timeChunker = result.timeChunker;
+      this.densityAggregator = result.densityAggregator;
+      this.spatialGrid = result.spatialGrid;
+      
+      // Species names/colors come from the dataset, grown to cover every ID present
+      this.speciesRegistry = SpeciesRegistry.fromMeta(this.processedData.meta);
+      this._applySpeciesRegistry();
+      
+      // Coarsened species are disclosed when inspected
+      this.inspectGesture.setPrivacy(this.processedData.meta.privacy || null);
+      
+      // Timeline, labels and indices all follow the dataset's own time span
+      const timeDomain = TimeDomain.fromJSON(this.processedData.meta.timeDomain);
+      this.timeSystem.setTimeDomain(timeDomain);
+      this.inspectGesture.setTimeDomain(timeDomain);
+      this._applyTimeMode();
       
       // FIX: Audit Issue - Select LOD level based on dataset size and Quest 2 budget
       // Use coarser LOD for large datasets to maintain performance
       const lodStats = this.densityAggregator.getStats();
-      let selectedData = this.processedData;
-      let lodLevel = 'fine';
-      
-      // FIX: Audit Issue - Performance safety check: cap instance count
-      const MAX_SAFE_INSTANCES = 50000; // Quest 2 budget
-      
-      if (this.processedData.count > MAX_SAFE_INSTANCES) {
-        // Use medium LOD if fine is too large
-        if (lodStats.medium <= MAX_SAFE_INSTANCES) {
-          selectedData = this.densityAggregator.getLevel('medium');
-          lodLevel = 'medium';
-          console.log(`FIX: Using medium LOD (${selectedData.count} instances) for Quest 2 performance`);
-        } else {
-          // Use coarse LOD as last resort
-          selectedData = this.densityAggregator.getLevel('coarse');
-          lodLevel = 'coarse';
-          console.log(`FIX: Using coarse LOD (${selectedData.count} instances) for Quest 2 performance`);
-        }
+      const lodLevel = result.activeLOD;
+      const selectedData = this.densityAggregator.getLevel(lodLevel);
+      
+      if (lodLevel !== 'fine') {
+        console.log(`FIX: Using ${lodLevel} LOD (${selectedData.count} instances) for Quest 2 performance`);
       }
       
       // FIX: Audit Issue - Store selected LOD for reference
       this.activeLOD = lodLevel;
       this.activeData = selectedData;
+      this.activeLevels = [selectedData];
       
       // Load selected LOD into renderer
       this.whaleRenderer.loadData(selectedData);
+      this._applyEffort(result.effortGrid);
+      this.baked = result.baked || null;
       
-      // AUDIT FOLLOW-UP: Build spatial grid for safe inspection queries
-      this.spatialGrid = new SpatialGrid(0.5); // ~50km cells
-      this.spatialGrid.build(selectedData);
-      
-      // AUDIT FOLLOW-UP: Wire spatial grid to inspect gesture
-      this.inspectGesture.setSpatialGrid(this.spatialGrid);
+      // AUDIT FOLLOW-UP: Wire spatial grid (built on the selected LOD, or the
+      // filtered part of it) to inspect gesture; this also credits the data
+      this._applyFilter();
       
       this.dataLoaded = true;
+      this._updateExportPanel();
       this._updateStatus('Data loaded. Ready for XR.');
       
       console.log('Data loaded:', this.processedData.count, 'records (full)');
@@ -357,117 +759,1316 @@ class LeviathanApp {
       console.log('Time index:', this.timeChunker.getStats());
       console.log('Density levels:', lodStats);
       console.log('AUDIT FOLLOW-UP: Spatial grid:', this.spatialGrid.getStats());
+      if (this.effortGrid) {
+        console.log('Survey effort:', this.effortGrid.getStats());
+      }
       
     } catch (error) {
+      // A newer load replaced this one
+      if (error.message === 'Pipeline cancelled' || loadId !== this.loadId) return;
+      
       console.error('Data loading failed:', error);
       this._showError(`Failed to load data: ${error.message}`);
     }
   }
   
   /**
-   * Enable XR entry button
+   * Run the data pipeline, or reload its outputs from the dataset cache
+   * Fresh results are cached in the background for the next visit.
    * @private
+   * @param {Object} dataset - Manifest entry
+   * @param {Object} options - Pipeline options
+   * @param {WorkerPipeline} pipeline - Pipeline to run on (the comparison layer has its own)
+   * @returns {Promise<Object>} DataPipeline result
    */
-  _enableXRButton(handTrackingSupported) {
-    this.enterButton.disabled = false;
-    this.loadingScreen.style.display = 'none';
-    this.container.classList.add('ready');
+  async _runPipelineCached(dataset, options, pipeline = this.pipeline) {
+    if (dataset.format === 'baked') {
+      return this._loadBaked(dataset, options, pipeline);
+    }
     
-    if (handTrackingSupported) {
-      this._updateStatus('WebXR ready with hand tracking');
-      this.statusText.classList.add('status-ready');
-    } else {
-      this._updateStatus('WebXR ready (hand tracking may be limited)');
+    const synthetic = dataset.format === 'synthetic' ? this._syntheticOptions(dataset) : null;
+    const source = dataset.url || (dataset.file ? dataset.id
+      : `synthetic:${synthetic.scenario}:${synthetic.seed}:${synthetic.records}:${JSON.stringify(synthetic.trends)}`);
+    let bytes = null;
+    let descriptor = null;
+    let hash = source;
+    
+    if (dataset.url || dataset.file) {
+      this._updateStatus(`Loading ${dataset.title}...`);
+      if (dataset.format === 'dwc' && DarwinCoreImporter.isArchiveUrl(dataset.url)) {
+        // Unzipped archive: meta.xml says which file holds the occurrences and how
+        ({ descriptor, bytes } = await new DarwinCoreImporter(this.dataLoader).fetchArchive(dataset.url));
+      } else {
+        bytes = dataset.file
+          ? new Uint8Array(await dataset.file.arrayBuffer())
+          : await this.dataLoader.fetchBytes(dataset.url);
+      }
+      if (this.datasetCache) {
+        hash = await DatasetCache.hash(bytes);
+        if (descriptor) {
+          hash += `:${await DatasetCache.hash(new TextEncoder().encode(JSON.stringify(descriptor)))}`;
+        }
+      }
     }
     
-    // Bind button click
-    this.enterButton.addEventListener('click', () => this._startXR());
+    // Parsing settings change the output of the same bytes, so they belong in the key
+    const key = this.datasetCache
+      ? await DatasetCache.makeKey(source, hash, this.projection, {
+        ...options,
+        parser: dataset.parser,
+        importer: this._darwinCoreOptions(dataset)
+      })
+      : null;
+    
+    if (key) {
+      const cached = await this.datasetCache.get(key).catch((error) => {
+        console.warn('Dataset cache read failed:', error);
+        return null;
+      });
+      
+      if (cached) {
+        this._updateStatus('Loaded processed data from cache');
+        return cached;
+      }
+    }
+    
+    // Process, index, aggregate and grid off the main thread
+    const result = await pipeline.run(this._pipelineInput(dataset, bytes, descriptor), options);
+    
+    if (key) {
+      this.datasetCache.put(key, { url: source, hash }, result)
+        .then(() => this._refreshCachePanel())
+        .catch(error => console.warn('Dataset cache write failed:', error));
+    }
+    
+    return result;
   }
   
   /**
-   * Start XR session
+   * Load a package baked offline by tools/bake.mjs (see BakedPackage)
+   * Its arrays are used where they land in the fetched buffer. A package
+   * baked for another projection, instance budget or grid cell size is
+   * processed from its LWXR records instead. Either way, privacy rules
+   * set on the entry must have been applied when baking.
    * @private
+   * @param {Object} dataset - Manifest entry (url of the .bake.json)
+   * @param {Object} options - Pipeline options
+   * @param {WorkerPipeline} pipeline - Pipeline for the LWXR fallback
+   * @returns {Promise<Object>} DataPipeline result
    */
-  async _startXR() {
-    if (!this.initialized || !this.dataLoaded) {
-      console.warn('Not ready to start XR');
-      return;
-    }
-    
-    this.enterButton.disabled = true;
-    this._updateStatus('Starting XR session...');
+  async _loadBaked(dataset, options, pipeline) {
+    this._updateStatus(`Loading ${dataset.title}...`);
+    const description = JSON.parse(new TextDecoder().decode(await this.dataLoader.fetchBytes(dataset.url)));
+    BakedPackage.check(description);
     
-    const success = await this.xrSession.startSession();
+    // Package files sit next to the description
+    const fileUrl = name => new URL(name, new URL(dataset.url, window.location.href)).href;
     
-    if (!success) {
-      this.enterButton.disabled = false;
-      this._showError('Failed to start XR session');
+    if (!BakedPackage.matches(description, this.projection, options)) {
+      console.warn(`${dataset.title} was baked with other projection or LOD settings; processing its records instead`);
+      return this._runPipelineCached({ ...dataset, format: 'lwxr', url: fileUrl(description.files.lwxr) }, options, pipeline);
     }
+    
+    const bytes = await this.dataLoader.fetchBytes(fileUrl(description.files.data));
+    const result = DataPipeline.restore(BakedPackage.unpack(description.payload, bytes));
+    DataPipeline.checkPrivacy(result.processedData, options.privacy);
+    this._updateStatus('Loaded baked dataset');
+    return {
+      ...result,
+      baked: { created: description.created, source: description.source }
+    };
   }
   
   /**
-   * XR session started callback
+   * Fetch a dataset's survey effort file, if it has one
+   * A missing effort file only disables effort correction, not the dataset.
    * @private
+   * @param {Object} dataset - Manifest entry
+   * @returns {Promise<Object>} Pipeline options {effort, effortHash}, or {} without effort
    */
-  _onXRStart() {
-    console.log('XR session started');
-    this.container.style.display = 'none';
+  async _loadEffort(dataset) {
+    if (!dataset.effort) return {};
     
-    // FIX: Audit Issue - Create time indicator on XR start
-    this._createTimeIndicator();
+    try {
+      this._updateStatus('Loading survey effort...');
+      const effort = await this.dataLoader.fetchBytes(dataset.effort);
+      const effortHash = this.datasetCache ? await DatasetCache.hash(effort) : dataset.effort;
+      return { effort, effortHash };
+    } catch (error) {
+      console.warn(`Survey effort unavailable (${error.message}), showing raw sighting density`);
+      return {};
+    }
   }
   
   /**
-   * XR session ended callback
+   * Use a dataset's survey effort (or none) for rendering and inspection
+   * Effort-corrected density is shown while the landing page toggle is on.
    * @private
+   * @param {EffortGrid|null} effortGrid
    */
-  _onXREnd() {
-    console.log('XR session ended');
-    this.container.style.display = 'block';
-    this.enterButton.disabled = false;
-    this._updateStatus('XR session ended. Click to restart.');
+  _applyEffort(effortGrid) {
+    this.effortGrid = effortGrid;
+    
+    const checkbox = this.effortToggle?.querySelector('input');
+    if (this.effortToggle) {
+      this.effortToggle.hidden = !effortGrid;
+    }
+    
+    this.whaleRenderer.setShowEffort(!!effortGrid && (checkbox ? checkbox.checked : true));
   }
   
   /**
-   * XR frame callback - main update loop
-   * FIX: Audit Issue - Corrected update loop ordering
+   * Duplicate merging settings for a dataset
+   * On when the manifest entry has `dedup` (true, or tolerances and rules
+   * overriding DEDUP) or the URL has ?dedup=on; ?dedup=off always wins.
    * @private
+   * @param {Object} dataset - Manifest entry
+   * @returns {Object|null} Deduplicator options, or null to keep every record
    */
-  _onXRFrame(time, frame, handData) {
-    // Calculate delta time
-    const dt = this.performanceMonitor.lastTime > 0 
-      ? time - this.performanceMonitor.lastTime 
-      : 1/72;
-    
-    // Update performance monitor
-    this.performanceMonitor.update(time);
+  _dedupOptions(dataset) {
+    const param = new URLSearchParams(window.location.search).get('dedup');
+    if (param === 'off' || (!dataset.dedup && param !== 'on')) return null;
     
-    // Update hand tracker
-    this.handTracker.update(handData, time);
-    
-    // FIX: Audit Issue - Correct ordering: gestures -> time adjustments -> time update -> render
-    // Step 1: Gesture recognition and handlers (may call timeSystem.adjustTime)
-    this.gestureRecognizer.update(dt);
-    this.timeScrubGesture.update(dt);
+    return typeof dataset.dedup === 'object' ? { ...dataset.dedup } : {};
+  }
+  
+  /**
+   * Scenario, seed, size and trends for a synthetic dataset
+   * From the manifest entry (scenario, seed, records, trends), overridden by
+   * ?scenario= and ?seed=; a scenario picked in the URL brings its own size.
+   * @private
+   * @param {Object} dataset - Manifest entry
+   * @returns {{scenario: string, seed: number|string, records: number, trends: Object|null}}
+   */
+  _syntheticOptions(dataset) {
+    const params = new URLSearchParams(window.location.search);
+    const scenarioParam = params.get('scenario');
+    const seedParam = params.get('seed');
     
-    // Step 2: Update time system AFTER gesture handlers have made adjustments
-    // This ensures smoothed time reflects current frame's input
-    this.timeSystem.update(dt);
+    const scenario = scenarioParam || dataset.scenario || SYNTHETIC.scenario;
+    const seed = seedParam !== null
+      ? (/^\d+$/.test(seedParam) ? Number(seedParam) : seedParam)
+      : dataset.seed ?? SYNTHETIC.seed;
+    const records = (!scenarioParam && dataset.records) || SCENARIOS[scenario]?.records || SYNTHETIC_DATASET.records;
     
-    // Step 3: Update reset progress indicator (visual feedback only)
-    const resetProgress = this.gestureRecognizer.getResetProgress();
-    if (resetProgress > 0) {
-      this.resetGesture.updateProgress(
-        resetProgress,
-        this.handTracker.getLeftHand().palmPosition,
-        this.handTracker.getRightHand().palmPosition
-      );
+    return { scenario, seed, records, trends: dataset.trends || null };
+  }
+  
+  /**
+   * Turn a dataset's bytes into pipeline input
+   * JSON, GeoJSON and LWXR are parsed in the worker; delimited text is parsed here.
+   * CSV/TSV with Darwin Core headers and no parser options of their own go
+   * through the Darwin Core importer, so dropped OBIS/GBIF exports get its
+   * field mapping and taxonomy.
+   * @private
+   * @param {Object} dataset - Manifest entry
+   * @param {Uint8Array|null} bytes - File contents (null for synthetic data)
+   * @param {Object|null} descriptor - Darwin Core Archive meta.xml, if read from one
+   * @returns {Object} {rawData} or {bytes, format}
+   */
+  _pipelineInput(dataset, bytes, descriptor = null) {
+    switch (dataset.format) {
+      case 'synthetic': {
+        // Generate synthetic data for development
+        const { scenario, seed, records, trends } = this._syntheticOptions(dataset);
+        this._updateStatus(`Generating synthetic data (${SCENARIOS[scenario]?.label ?? scenario}, seed ${seed})...`);
+        return { rawData: SyntheticDataGenerator.generate(records, { scenario, seed, trends: trends || undefined }) };
+      }
+      
+      case 'json':
+      case 'geojson':
+      case 'lwxr':
+        return { bytes, format: dataset.format };
+      
+      case 'csv':
+      case 'tsv': {
+        const text = new TextDecoder().decode(bytes);
+        if (!dataset.parser && DarwinCoreImporter.isOccurrenceTable(text)) {
+          console.log(`${dataset.title}: Darwin Core occurrence table`);
+          return this._importDarwinCore(dataset, text);
+        }
+        
+        return {
+          rawData: DataLoader.validate(DelimitedTextParser.parse(
+            text,
+            {
+              ...(dataset.format === 'tsv' ? { delimiter: '\t' } : {}),
+              ...dataset.parser,
+              // Declared attributes are read from the columns of the same name
+              passthrough: [...(dataset.parser?.passthrough || []), ...AttributeColumns.names(dataset.meta)]
+            }
+          ))
+        };
+      }
+      
+      case 'dwc':
+        return this._importDarwinCore(dataset, new TextDecoder().decode(bytes), descriptor);
+      
+      default:
+        throw new Error(`Unsupported dataset format: ${dataset.format}`);
     }
-    
-    // Step 4: Update spatial systems
-    const camera = this.scene.getCamera();
-    this.floatingOrigin.update(camera);
-    
+  }
+  
+  /**
+   * Map Darwin Core occurrences onto records (see DarwinCoreImporter)
+   * @private
+   * @param {Object} dataset - Manifest entry
+   * @param {string} text - Occurrence file contents
+   * @param {Object|null} descriptor - Archive meta.xml, if read from one
+   * @returns {Object} {rawData}
+   */
+  _importDarwinCore(dataset, text, descriptor = null) {
+    const importer = new DarwinCoreImporter(this.dataLoader, this._darwinCoreOptions(dataset));
+    return { rawData: DataLoader.validate(importer.importText(text, descriptor)) };
+  }
+  
+  /**
+   * Darwin Core importer options for a dataset (also part of its cache key)
+   * @private
+   * @param {Object} dataset - Manifest entry
+   * @returns {Object} DarwinCoreImporter options
+   */
+  _darwinCoreOptions(dataset) {
+    return {
+      attributes: AttributeColumns.names(dataset.meta)
+    };
+  }
+  
+  /**
+   * Load a time-split archive chunk by chunk
+   * Resolves once the first chunk is visible so XR can be entered early;
+   * later chunks keep streaming in and are appended as they land.
+   * @private
+   * @param {Object} dataset - Manifest entry with chunks or a chunk manifest url
+   * @param {number} loadId - From _beginLoad()
+   */
+  async _loadChunked(dataset, loadId) {
+    this._updateStatus('Loading chunk manifest...');
+    
+    try {
+      const loader = new ChunkedLoader(this.dataLoader, this.pipeline);
+      loader.cache = this.datasetCache;
+      this.chunkedLoader = loader;
+      
+      loader.onChunkStateChange = () => this._updateTimeIndicator();
+      
+      // Settled by the first chunk, or however the load ends (every chunk
+      // failed, cancelled, replaced by a newer load or rejected), so the
+      // wait below - and _init's, on startup - always ends
+      let firstChunkReady;
+      const firstChunk = new Promise(resolve => { firstChunkReady = resolve; });
+      let loadFailed = false;
+      
+      loader.onChunk = (result, chunk, index) => {
+        if (loadId !== this.loadId) {
+          firstChunkReady();
+          return;
+        }
+        this._appendChunk(result);
+        this._updateStatus(`Loaded chunk ${index + 1}/${loader.getChunks().length}`);
+        firstChunkReady();
+      };
+      
+      const source = dataset.chunks ? { chunks: dataset.chunks, maxCount: dataset.maxCount } : dataset.url;
+      const chunks = await loader.prepare(source, dataset.meta);
+      if (loadId !== this.loadId) return;
+      console.log(`Streaming ${chunks.length} chunks for ${dataset.title}`);
+      
+      // Every chunk shares the manifest's time domain
+      const timeDomain = loader.getTimeDomain();
+      this.timeSystem.setTimeDomain(timeDomain);
+      this.inspectGesture.setTimeDomain(timeDomain);
+      this._applyTimeMode();
+      
+      const effortOptions = await this._loadEffort(dataset);
+      if (loadId !== this.loadId) return;
+      
+      loader.load({
+        validationPolicy: this.validationPolicy,
+        dedup: this._dedupOptions(dataset),
+        privacy: dataset.privacy || null,
+        ...effortOptions
+      }).then((loaded) => {
+        if (loadId !== this.loadId) return;
+        this._updateStatus(`All chunks processed (${loaded}/${chunks.length} loaded)`);
+        console.log('Data loaded:', this.processedData?.count ?? 0, 'records (full)');
+        console.log('Time index:', this.timeChunker?.getStats());
+        console.log('AUDIT FOLLOW-UP: Spatial grid:', this.spatialGrid?.getStats());
+        this._refreshCachePanel();
+      }).catch((error) => {
+        loadFailed = true;
+        if (loadId !== this.loadId) return;
+        
+        console.error('Chunked loading failed:', error);
+        this._showError(`Failed to load data: ${error.message}`);
+      }).finally(firstChunkReady);
+      
+      await firstChunk;
+      if (loadId !== this.loadId || loadFailed) return;
+      
+      if (!this.processedData) {
+        throw new Error('No chunks could be loaded');
+      }
+      
+      this.dataLoaded = true;
+      
+    } catch (error) {
+      if (loadId !== this.loadId) return;
+      
+      console.error('Chunked loading failed:', error);
+      this._showError(`Failed to load data: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Append one processed chunk to the renderer, time index and spatial grid
+   * @private
+   * @param {Object} result - WorkerPipeline result for the chunk
+   */
+  _appendChunk(result) {
+    const level = result.densityAggregator.getLevel(result.activeLOD);
+    
+    this.validationReport = DataValidator.mergeReports(this.validationReport, result.validation);
+    this.dedupReport = Deduplicator.mergeReports(this.dedupReport, result.dedup);
+    this._showValidationReport(this.validationReport);
+    
+    if (!this.processedData) {
+      // First chunk seeds everything
+      this.processedData = result.processedData;
+      this.timeChunker = result.timeChunker;
+      this.spatialGrid = result.spatialGrid;
+      this.activeLOD = result.activeLOD;
+      
+      this.speciesRegistry = SpeciesRegistry.fromMeta(this.processedData.meta);
+      this._applySpeciesRegistry();
+      this.whaleRenderer.loadData(level);
+      this.activeLevels = [level];
+      this._applyEffort(result.effortGrid);
+      
+      // AUDIT FOLLOW-UP: Wire spatial grid to inspect gesture
+      this._applyFilter();
+      this._updateExportPanel();
+    } else {
+      const previous = this.processedData;
+      const offset = previous.count;
+      this.processedData = DataProcessor.concat(previous, result.processedData);
+      this.timeChunker.append(this.processedData, result.timeChunker.sortedIndices, offset);
+      this.spatialGrid.merge(result.spatialGrid);
+      this.whaleRenderer.appendData(level);
+      this.activeLevels.push(level);
+      
+      // The renderer filters appended instances itself; inspection needs them too
+      if (this.filter) {
+        this.filterGrid.append(this.filter.select(level));
+        this._showFilterStatus();
+      }
+      
+      // Later chunks may bring species IDs the first one did not have
+      if (this.processedData.speciesCount > this.speciesRegistry.getCount()) {
+        this._applySpeciesRegistry();
+      }
+      
+      // Cell shares change with every chunk; the loaded side's grid only takes in the new records
+      if (this.comparison && this.compareMode === 'difference') {
+        const cached = this.differenceGrids.loaded;
+        if (cached?.key.data === previous) {
+          cached.grid.append(this.filter ? this.filter.select(result.processedData) : result.processedData);
+          cached.key.data = this.processedData;
+        }
+        this._applyCompareMode();
+      }
+    }
+    
+    // Suppressed counts grow with every chunk
+    this.inspectGesture.setPrivacy(this.processedData.meta.privacy || null);
+    this.activeData = level;
+    this._updateProvenance();
+  }
+  
+  /**
+   * Read the time mode from ?timeMode= and wire the landing page picker
+   * @private
+   */
+  _initTimeMode() {
+    const mode = new URLSearchParams(window.location.search).get('timeMode');
+    if (mode && SEASONAL.modes[mode]) {
+      this.timeMode = mode;
+    } else if (mode) {
+      console.warn(`Unknown time mode "${mode}" (use ${Object.keys(SEASONAL.modes).join(', ')})`);
+    }
+    
+    if (!this.timeModePicker) return;
+    
+    this.timeModePicker.replaceChildren(...Object.entries(SEASONAL.modes).map(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    this.timeModePicker.value = this.timeMode;
+    
+    this.timeModePicker.addEventListener('change', () => {
+      this.timeMode = this.timeModePicker.value;
+      
+      // Keep the choice shareable and reload-proof
+      const url = new URL(window.location.href);
+      if (this.timeMode === SEASONAL.defaultMode) {
+        url.searchParams.delete('timeMode');
+      } else {
+        url.searchParams.set('timeMode', this.timeMode);
+      }
+      window.history.replaceState(null, '', url);
+      
+      this._applyTimeMode();
+    });
+  }
+  
+  /**
+   * Fold time onto the day of year, or unfold it, as the time mode asks
+   * Called on each change of mode or time domain; spans too short to fold
+   * stay on the timeline and the picker is hidden.
+   * @private
+   */
+  _applyTimeMode() {
+    const canFold = this.timeSystem.canFold();
+    this.timeSystem.setSeasonal(this.timeMode !== 'timeline', this.timeMode === 'seasonal-years');
+    
+    if (this.timeModePicker) {
+      this.timeModePicker.hidden = !canFold;
+    }
+    this._updateTimeIndicator();
+  }
+  
+  /**
+   * Read the filter from ?filter= and wire the landing page filter input
+   * @private
+   */
+  _initFilter() {
+    const text = new URLSearchParams(window.location.search).get('filter') || '';
+    this.filterText = text;
+    this.customFilter = text;
+    
+    if (this.filterInput) {
+      this.filterInput.value = text;
+      
+      // Fires on Enter and when the input loses focus
+      this.filterInput.addEventListener('change', () => this._setFilter(this.filterInput.value));
+    }
+  }
+  
+  /**
+   * Change the filter and apply it to the loaded data
+   * Text that doesn't parse is reported and leaves the current filter in place.
+   * @private
+   * @param {string} text - Filter expression ('' for none)
+   * @param {boolean} custom - Typed or linked (rather than an XR preset)
+   * @returns {boolean} Whether the text parsed
+   */
+  _setFilter(text, custom = true) {
+    try {
+      FilterExpression.parse(text);
+    } catch (error) {
+      this._showFilterStatus(error.message);
+      return false;
+    }
+    
+    this.filterText = text.trim();
+    if (custom) {
+      this.customFilter = this.filterText;
+    }
+    if (this.filterInput) {
+      this.filterInput.value = this.filterText;
+    }
+    
+    // Keep the filter shareable and reload-proof
+    const url = new URL(window.location.href);
+    if (this.filterText) {
+      url.searchParams.set('filter', this.filterText);
+    } else {
+      url.searchParams.delete('filter');
+    }
+    window.history.replaceState(null, '', url);
+    
+    this._applyFilter();
+    return true;
+  }
+  
+  /**
+   * Compile the filter for the loaded dataset and apply it to the
+   * renderer, to inspection and to the comparison layer, so all see the same points
+   * A filter that doesn't fit the dataset (unknown field or species) is
+   * reported and nothing is filtered.
+   * @private
+   */
+  _applyFilter() {
+    if (!this.processedData) {
+      this._showFilterStatus();
+      return;
+    }
+    
+    const context = this._filterContext();
+    let error = null;
+    
+    try {
+      this.filter = FilterExpression.parse(this.filterText)?.compile(context) ?? null;
+    } catch (compileError) {
+      this.filter = null;
+      error = compileError.message;
+    }
+    
+    this.whaleRenderer.setFilter(this.filter);
+    
+    // Inspection queries a grid of the points that pass
+    if (this.filter) {
+      this.filterGrid = new SpatialGrid(this.spatialGrid.cellSize);
+      this.activeLevels.forEach((level, i) => {
+        const selected = this.filter.select(level);
+        if (i === 0) {
+          this.filterGrid.build(selected);
+        } else {
+          this.filterGrid.append(selected);
+        }
+      });
+      if (this.effortGrid) {
+        this.filterGrid.setEffort(this.effortGrid);
+      }
+    } else {
+      this.filterGrid = null;
+    }
+    this.inspectGesture.setSpatialGrid(this.filterGrid || this.spatialGrid);
+    
+    this.filterGesture.setPresets(...this._filterPresets(context));
+    this._showFilterStatus(error);
+    
+    // The comparison layer shows the same filter
+    this._applyComparison();
+  }
+  
+  /**
+   * Dataset context filters compile against
+   * @private
+   * @returns {Object} See FilterExpression.compile()
+   */
+  _filterContext() {
+    return {
+      projection: this.projection,
+      timeDomain: this.timeSystem.getTimeDomain(),
+      speciesRegistry: this.speciesRegistry,
+      meta: this.processedData.meta
+    };
+  }
+  
+  /**
+   * Filter presets for the XR control
+   * Built-in presets, then the dataset's own (manifest `filters`), then the
+   * custom filter; presets that don't fit the dataset are left out.
+   * @private
+   * @param {Object} context - From _filterContext()
+   * @returns {[Object[], number]} Presets and the index of the one in use
+   */
+  _filterPresets(context) {
+    const candidates = [...FILTER_PRESETS, ...(this.activeDataset?.filters || [])];
+    if (this.customFilter && !candidates.some(preset => preset.expression === this.customFilter)) {
+      candidates.push({ label: 'Custom', expression: this.customFilter });
+    }
+    
+    const presets = candidates.filter((preset) => {
+      try {
+        FilterExpression.parse(preset.expression)?.compile(context);
+        return true;
+      } catch (error) {
+        console.warn(`Filter preset "${preset.label}" skipped: ${error.message}`);
+        return false;
+      }
+    });
+    
+    return [presets, Math.max(0, presets.findIndex(preset => preset.expression === this.filterText))];
+  }
+  
+  /**
+   * Show how much the filter keeps, or why it can't be used
+   * @private
+   * @param {string|null} error - Parse or compile error
+   */
+  _showFilterStatus(error = null) {
+    if (!this.filterStatus) return;
+    
+    this.filterStatus.classList.toggle('filter-invalid', !!error);
+    this.filterInput?.classList.toggle('filter-invalid', !!error);
+    
+    if (error) {
+      this.filterStatus.textContent = error;
+    } else if (!this.filterText) {
+      this.filterStatus.textContent = '';
+    } else if (!this.processedData) {
+      this.filterStatus.textContent = 'Applied once data has loaded';
+    } else {
+      const total = this.whaleRenderer.getInstanceCount();
+      const shown = total - this.whaleRenderer.getFilteredCount();
+      this.filterStatus.textContent = `${shown.toLocaleString()} of ${total.toLocaleString()} points shown`;
+    }
+  }
+  
+  /**
+   * Fill the landing page comparison picker and view modes from the manifest
+   * Chunked archives stream in over time and are not offered.
+   * @private
+   */
+  _buildComparePicker() {
+    if (!this.compareBox) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    const datasets = this.datasetManifest.getDatasets().filter(dataset => dataset.format !== 'chunks');
+    const option = (value, text) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = text;
+      return element;
+    };
+    
+    this.comparePicker.replaceChildren(
+      option('', 'No comparison'),
+      ...datasets.map(dataset => option(dataset.id, `Compare with ${dataset.title}`))
+    );
+    this.compareModePicker.replaceChildren(
+      ...Object.entries(COMPARE.modes).map(([mode, label]) => option(mode, label))
+    );
+    
+    if (COMPARE.modes[params.get('compareMode')]) {
+      this.compareMode = params.get('compareMode');
+    }
+    this.comparePicker.value = params.get('compare') || '';
+    this.compareModePicker.value = this.compareMode;
+    this.compareModePicker.hidden = !this.comparePicker.value;
+    
+    // Nothing to compare with a single dataset
+    this.compareBox.hidden = datasets.length < 2;
+    
+    // Keep the comparison shareable and reload-proof
+    const setParam = (name, value) => {
+      const url = new URL(window.location.href);
+      if (value) {
+        url.searchParams.set(name, value);
+      } else {
+        url.searchParams.delete(name);
+      }
+      window.history.replaceState(null, '', url);
+    };
+    
+    this.comparePicker.addEventListener('change', () => {
+      setParam('compare', this.comparePicker.value);
+      this.compareModePicker.hidden = !this.comparePicker.value;
+      this._loadComparison(this.comparePicker.value || null);
+    });
+    
+    this.compareModePicker.addEventListener('change', () => {
+      this.compareMode = this.compareModePicker.value;
+      setParam('compareMode', this.compareMode === COMPARE.defaultMode ? null : this.compareMode);
+      this._applyCompareMode();
+    });
+  }
+  
+  /**
+   * Load a second dataset as the comparison layer, replacing any before it
+   * It keeps its own time domain, species registry and spatial grid; the
+   * loaded dataset is left untouched.
+   * @private
+   * @param {string|null} id - Manifest id, or null to stop comparing
+   */
+  async _loadComparison(id) {
+    const loadId = ++this.comparisonLoadId;
+    this.comparisonPipeline.cancel();
+    this.comparison = null;
+    
+    const dataset = id ? this.datasetManifest.get(id) : null;
+    if (id && !dataset) {
+      console.warn(`Unknown comparison dataset "${id}"`);
+    }
+    if (!dataset || dataset.format === 'chunks') {
+      if (dataset) {
+        this._showCompareStatus(`${dataset.title} is a chunked archive and can't be compared yet`, true);
+      }
+      this._applyComparison();
+      return;
+    }
+    
+    this._applyComparison();
+    this._showCompareStatus(`Loading ${dataset.title}...`);
+    
+    try {
+      const result = await this._runPipelineCached(dataset, {
+        maxInstances: COMPARE.maxInstances,
+        gridCellSize: 0.5, // Same cells as the loaded dataset, so inspection regions match
+        validationPolicy: this.validationPolicy,
+        dedup: this._dedupOptions(dataset),
+        privacy: dataset.privacy || null,
+        meta: dataset.meta
+      }, this.comparisonPipeline);
+      
+      // Another comparison replaced this one
+      if (loadId !== this.comparisonLoadId) return;
+      
+      const speciesRegistry = SpeciesRegistry.fromMeta(result.processedData.meta);
+      speciesRegistry.ensureCount(result.processedData.speciesCount);
+      
+      const level = result.densityAggregator.getLevel(result.activeLOD);
+      this.comparison = {
+        dataset,
+        processedData: result.processedData,
+        spatialGrid: result.spatialGrid,
+        level,
+        activeLOD: result.activeLOD,
+        validation: result.validation,
+        dedup: result.dedup,
+        baked: result.baked || null,
+        timeDomain: TimeDomain.fromJSON(result.processedData.meta.timeDomain),
+        speciesRegistry,
+        filter: null,
+        filterGrid: null,
+        filterError: null
+      };
+      
+      this.comparisonRenderer.setSpeciesRegistry(speciesRegistry);
+      this.comparisonRenderer.loadData(level);
+      this._applyComparison();
+      
+      console.log('Comparison loaded:', result.processedData.count, 'records,', result.activeLOD, 'LOD with', level.count, 'instances');
+    
+    } catch (error) {
+      if (error.message === 'Pipeline cancelled' || loadId !== this.comparisonLoadId) return;
+      
+      console.error('Comparison loading failed:', error);
+      this._showCompareStatus(`Failed to load comparison: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * Bring the comparison layer in line with the loaded dataset
+   * Maps its times onto the loaded dataset's timeline, applies the filter,
+   * hands its grid to inspection and updates the view and credits. Called
+   * whenever either dataset or the filter changes.
+   * @private
+   */
+  _applyComparison() {
+    const comparison = this.processedData ? this.comparison : null;
+    
+    if (comparison) {
+      this.comparisonRenderer.setTimeDomains(comparison.timeDomain, this.timeSystem.getTimeDomain());
+      
+      // Same filter, compiled for the comparison's own fields, species and time domain
+      comparison.filterError = null;
+      try {
+        comparison.filter = FilterExpression.parse(this.filterText)?.compile({
+          projection: this.projection,
+          timeDomain: comparison.timeDomain,
+          speciesRegistry: comparison.speciesRegistry,
+          meta: comparison.processedData.meta
+        }) ?? null;
+      } catch (error) {
+        comparison.filter = null;
+        comparison.filterError = error.message;
+      }
+      
+      this.comparisonRenderer.setFilter(comparison.filter);
+      if (comparison.filter) {
+        comparison.filterGrid = new SpatialGrid(comparison.spatialGrid.cellSize);
+        comparison.filterGrid.build(comparison.filter.select(comparison.level));
+      } else {
+        comparison.filterGrid = null;
+      }
+      
+      this.inspectGesture.setComparison({
+        grid: comparison.filterGrid || comparison.spatialGrid,
+        speciesRegistry: comparison.speciesRegistry,
+        title: comparison.dataset.title
+      });
+    } else {
+      this.inspectGesture.setComparison(null);
+    }
+    
+    this._applyCompareMode();
+    this._updateProvenance();
+  }
+  
+  /**
+   * Show the comparison as an overlay, a split view or a difference
+   * The split runs north-south through where the viewer stands: the loaded
+   * dataset to the west, the comparison to the east.
+   * @private
+   */
+  _applyCompareMode() {
+    const mode = this.comparison && this.processedData ? this.compareMode : null;
+    
+    this.whaleRenderer.setVisible(mode !== 'difference');
+    this.comparisonRenderer.setVisible(mode === 'overlay' || mode === 'split');
+    this.differenceRenderer.setVisible(mode === 'difference');
+    
+    if (mode === 'split') {
+      // Data coordinates are world coordinates plus the floating origin offset
+      const splitX = this.scene.getCamera().position.x + this.floatingOrigin.offset.x;
+      this.whaleRenderer.setClipPlane([-1, 0, 0, splitX]);
+      this.comparisonRenderer.setClipPlane([1, 0, 0, -splitX]);
+    } else {
+      this.whaleRenderer.setClipPlane(null);
+      this.comparisonRenderer.setClipPlane(null);
+    }
+    
+    // Shares count every record that passes the filter, not just the LOD points on show
+    if (mode === 'difference') {
+      this.differenceRenderer.setData(SpatialGrid.difference(
+        this._differenceGrid('loaded', this.processedData, this.filter),
+        this._differenceGrid('comparison', this.comparison.processedData, this.comparison.filter)
+      ));
+    } else {
+      this.differenceRenderer.setData(null);
+    }
+    
+    // Nothing left to compare: let go of the data the grids were built from
+    if (!mode) {
+      this.differenceGrids = { loaded: null, comparison: null };
+    }
+    
+    this._showCompareStatus();
+  }
+  
+  /**
+   * Get one side's grid for the difference view
+   * Built on the main thread, so it is only rebuilt when that side's data
+   * or filter changed (streamed chunks are appended, see _appendChunk).
+   * Filters are recompiled on every change, so they are matched by their
+   * text and what they were compiled against.
+   * @private
+   * @param {string} side - 'loaded' or 'comparison'
+   * @param {Object} data - That side's processed data
+   * @param {CompiledFilter|null} filter - That side's filter
+   * @returns {SpatialGrid}
+   */
+  _differenceGrid(side, data, filter) {
+    const key = {
+      data,
+      source: filter ? filter.expression.toString() : null,
+      timeDomain: filter ? filter.context.timeDomain : null,
+      speciesRegistry: filter ? filter.context.speciesRegistry : null
+    };
+    const cached = this.differenceGrids[side];
+    if (cached && Object.keys(key).every(name => cached.key[name] === key[name])) {
+      return cached.grid;
+    }
+    
+    const grid = new SpatialGrid(COMPARE.differenceCellSize);
+    grid.build(filter ? filter.select(data) : data);
+    this.differenceGrids[side] = { key, grid };
+    return grid;
+  }
+  
+  /**
+   * Describe the comparison on the landing page
+   * @private
+   * @param {string|null} message - Progress or error to show instead
+   * @param {boolean} isError
+   */
+  _showCompareStatus(message = null, isError = false) {
+    if (!this.compareStatus) return;
+    
+    const comparison = this.comparison;
+    let text = message;
+    
+    if (!text && comparison && this.activeDataset) {
+      const loaded = this.activeDataset.title;
+      const other = comparison.dataset.title;
+      text = {
+        overlay: `${other} drawn as rings over ${loaded}`,
+        split: `${loaded} to the west of where you stand, ${other} to the east`,
+        difference: `Blue: larger share of ${loaded}; orange: larger share of ${other} (per ~50 km cell, whole time span)`
+      }[this.compareMode];
+      
+      if (comparison.filterError) {
+        text += ` · filter not applied to ${other}: ${comparison.filterError}`;
+        isError = true;
+      }
+    }
+    
+    this.compareStatus.textContent = text || '';
+    this.compareStatus.classList.toggle('compare-error', !!isError);
+  }
+  
+  /**
+   * Wire the landing page export controls
+   * @private
+   */
+  _initExport() {
+    if (!this.exportPanel) return;
+    
+    for (const [format, details] of Object.entries(EXPORT_FORMATS)) {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = details.label;
+      this.exportFormat.appendChild(option);
+    }
+    this.exportFormat.value = EXPORT.defaultFormat;
+    
+    this.exportButton.addEventListener('click', () => {
+      this._exportVisible(this.exportFormat.value, this.exportRegion.querySelector('input').checked);
+    });
+  }
+  
+  /**
+   * Show the export controls once there is data, and the region
+   * option once a region has been inspected
+   * @private
+   */
+  _updateExportPanel() {
+    if (!this.exportPanel) return;
+    
+    this.exportPanel.hidden = !this.processedData && this.downloads.length === 0;
+    this.exportButton.disabled = !this.processedData;
+    this.exportRegion.hidden = !this.inspectGesture.getLastRegion();
+  }
+  
+  /**
+   * Export the records on show - the time window, the filter and
+   * optionally the last inspected region - to the download queue
+   * @private
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {boolean} regionOnly - Only records inside the last inspected region
+   */
+  _exportVisible(format, regionOnly) {
+    if (!this.processedData) return;
+    
+    try {
+      const timeDomain = this.timeSystem.getTimeDomain();
+      const exporter = new DataExporter(this.projection, timeDomain, this.speciesRegistry);
+      const region = regionOnly ? this.inspectGesture.getLastRegion() : null;
+      const time = this.timeSystem.getTime();
+      const timeWindow = this.timeSystem.getTimeWindow();
+      const timeRanges = this.timeSystem.getVisibleRanges();
+      
+      const indices = exporter.select(this.processedData, {
+        timeRanges,
+        timeChunker: this.timeChunker,
+        filter: this.filter,
+        region
+      });
+      
+      // Folded, the window recurs every year: the file covers the whole span
+      const seasonal = this.timeSystem.isSeasonal();
+      const from = new Date(timeDomain.denormalize(timeRanges.length > 0 ? timeRanges[0][0] : 0));
+      const to = new Date(timeDomain.denormalize(timeRanges.length > 0 ? timeRanges[timeRanges.length - 1][1] : 1));
+      const center = region ? this.projection.unproject(...region.center) : null;
+      
+      const { text, count, mimeType, extension } = exporter.export(this.processedData, indices, format, {
+        dataset: this.activeDataset?.id ?? null,
+        timeWindow: [from.toISOString(), to.toISOString()],
+        season: seasonal
+          ? [TimeDomain.formatYearPhase(time - timeWindow), TimeDomain.formatYearPhase(time + timeWindow)]
+          : null,
+        filter: this.filter ? this.filterText : null,
+        region: region ? {
+          lat: center.lat,
+          lon: center.lon,
+          depth: Math.max(0, center.depth),
+          radiusMeters: Math.round(region.radius / this.projection.scale)
+        } : null
+      });
+      
+      const day = date => date.toISOString().slice(0, 10);
+      const datasetName = String(this.activeDataset?.id ?? 'data').replace(/[^\w.-]+/g, '_');
+      const season = seasonal
+        ? `_${TimeDomain.formatYearPhase(time - timeWindow)}-${TimeDomain.formatYearPhase(time + timeWindow)}`.replace(/ /g, '')
+        : '';
+      const name = `${datasetName}_${day(from)}_${day(to)}${season}${region ? '_region' : ''}.${extension}`;
+      
+      this._queueDownload(name, new Blob([text], { type: mimeType }), count);
+      this._updateStatus(`Exported ${count.toLocaleString()} records to the download queue`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this._showError(`Export failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Add a file to the landing page download queue
+   * The oldest files are dropped beyond EXPORT.maxQueued.
+   * @private
+   * @param {string} name - File name
+   * @param {Blob} blob - Contents
+   * @param {number} count - Records in the file
+   */
+  _queueDownload(name, blob, count) {
+    this.downloads.unshift({ name, url: URL.createObjectURL(blob), count, bytes: blob.size });
+    
+    for (const dropped of this.downloads.splice(EXPORT.maxQueued)) {
+      URL.revokeObjectURL(dropped.url);
+    }
+    
+    this._renderDownloadQueue();
+  }
+  
+  /**
+   * List queued exports with download and remove buttons
+   * @private
+   */
+  _renderDownloadQueue() {
+    if (!this.downloadQueue) return;
+    
+    this.downloadQueue.replaceChildren();
+    
+    this.downloads.forEach((download, index) => {
+      const item = document.createElement('li');
+      
+      const label = document.createElement('span');
+      const size = (download.bytes / 1048576).toFixed(1);
+      label.textContent = `${download.name} · ${download.count.toLocaleString()} records · ${size} MB`;
+      
+      const link = document.createElement('a');
+      link.href = download.url;
+      link.download = download.name;
+      link.textContent = 'Download';
+      
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        URL.revokeObjectURL(download.url);
+        this.downloads.splice(index, 1);
+        this._renderDownloadQueue();
+        this._updateExportPanel();
+      });
+      
+      item.append(label, link, remove);
+      this.downloadQueue.appendChild(item);
+    });
+    
+    this._updateExportPanel();
+  }
+  
+  /**
+   * Describe the datasets on show and credit them on the landing page and in XR
+   * Called after each load, chunk or comparison change; with no data loaded, both are cleared.
+   * @private
+   */
+  _updateProvenance() {
+    this.provenance = this.processedData
+      ? Provenance.describe(this.activeDataset, {
+        processedData: this.processedData,
+        validation: this.validationReport,
+        dedup: this.dedupReport,
+        activeLOD: this.activeLOD,
+        shown: this.activeLevels.reduce((sum, level) => sum + level.count, 0),
+        effort: !!this.effortGrid,
+        baked: this.baked
+      })
+      : null;
+    
+    // The comparison layer is credited after the loaded dataset
+    const comparison = this.provenance && this.comparison
+      ? Provenance.describe(this.comparison.dataset, {
+        processedData: this.comparison.processedData,
+        validation: this.comparison.validation,
+        dedup: this.comparison.dedup,
+        activeLOD: this.comparison.activeLOD,
+        shown: this.comparison.level.count,
+        baked: this.comparison.baked
+      })
+      : null;
+    
+    const provenances = [this.provenance, comparison].filter(Boolean);
+    this.infoPanel.setProvenance(provenances);
+    this._showProvenance(provenances);
+  }
+  
+  /**
+   * Show source, license, citation, record counts and processing steps on the landing page
+   * @private
+   * @param {Object[]} provenances - From Provenance.describe(), one per dataset or layer
+   */
+  _showProvenance(provenances) {
+    if (!this.provenancePanel) return;
+    
+    this.provenancePanel.replaceChildren();
+    this.provenancePanel.hidden = provenances.length === 0;
+    
+    provenances.forEach((provenance, index) => {
+      // Titles tell the layers apart once there is more than one
+      if (provenances.length > 1) {
+        const title = document.createElement('p');
+        title.className = 'provenance-title';
+        title.textContent = index === 0 ? provenance.title : `Comparison: ${provenance.title}`;
+        this.provenancePanel.appendChild(title);
+      }
+      this._appendProvenance(provenance);
+    });
+  }
+  
+  /**
+   * Add one dataset's provenance to the landing page panel
+   * @private
+   * @param {Object} provenance - From Provenance.describe()
+   */
+  _appendProvenance(provenance) {
+    const line = (className, text) => {
+      const p = document.createElement('p');
+      p.className = className;
+      p.textContent = text;
+      this.provenancePanel.appendChild(p);
+      return p;
+    };
+    
+    line('provenance-credit', Provenance.attribution(provenance));
+    if (provenance.citation) {
+      line('provenance-citation', `Cite as: ${provenance.citation}`);
+    }
+    if (provenance.doi) {
+      const link = document.createElement('a');
+      link.href = Provenance.doiUrl(provenance.doi);
+      link.textContent = Provenance.doiUrl(provenance.doi);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      line('provenance-doi', 'DOI: ').appendChild(link);
+    }
+    line('provenance-counts', `Records: ${Provenance.summarizeCounts(provenance.counts)}`);
+    
+    const steps = document.createElement('ul');
+    for (const { text } of provenance.steps) {
+      const item = document.createElement('li');
+      item.textContent = text;
+      steps.appendChild(item);
+    }
+    this.provenancePanel.appendChild(steps);
+  }
+  
+  /**
+   * Grow the species registry to cover the loaded data and hand it to its consumers
+   * @private
+   */
+  _applySpeciesRegistry() {
+    this.speciesRegistry.ensureCount(this.processedData.speciesCount);
+    this.whaleRenderer.setSpeciesRegistry(this.speciesRegistry);
+    this.inspectGesture.setSpeciesRegistry(this.speciesRegistry);
+  }
+  
+  /**
+   * Enable XR entry button
+   * @private
+   */
+  _enableXRButton(handTrackingSupported) {
+    this.enterButton.disabled = !this.dataLoaded;
+    this.loadingScreen.style.display = 'none';
+    this.container.classList.add('ready');
+    
+    if (handTrackingSupported) {
+      this._updateStatus('WebXR ready with hand tracking');
+      this.statusText.classList.add('status-ready');
+    } else {
+      this._updateStatus('WebXR ready (hand tracking may be limited)');
+    }
+    
+    // Bind button click
+    this.enterButton.addEventListener('click', () => this._startXR());
+  }
+  
+  /**
+   * Start XR session
+   * @private
+   */
+  async _startXR() {
+    if (!this.initialized || !this.dataLoaded) {
+      console.warn('Not ready to start XR');
+      return;
+    }
+    
+    this.enterButton.disabled = true;
+    this._updateStatus('Starting XR session...');
+    
+    const success = await this.xrSession.startSession();
+    
+    if (!success) {
+      this.enterButton.disabled = false;
+      this._showError('Failed to start XR session');
+    }
+  }
+  
+  /**
+   * XR session started callback
+   * @private
+   */
+  _onXRStart() {
+    console.log('XR session started');
+    this.container.style.display = 'none';
+    
+    // FIX: Audit Issue - Create time indicator on XR start
+    this._createTimeIndicator();
+    
+    // Credit the data up front, then keep the attribution line on show
+    this.infoPanel.show();
+    
+    // The split runs through where the session starts
+    if (this.compareMode === 'split') {
+      this._applyCompareMode();
+    }
+    
+    // The export queued when the session ends covers this session's inspection only
+    this.inspectGesture.clearLastRegion();
+  }
+  
+  /**
+   * XR session ended callback
+   * @private
+   */
+  _onXREnd() {
+    console.log('XR session ended');
+    this.container.style.display = 'block';
+    this.enterButton.disabled = false;
+    this._updateStatus('XR session ended. Click to restart.');
+    
+    // Downloads can't start from inside XR, so what was on show waits in the queue
+    if (this.processedData) {
+      this._exportVisible(this.exportFormat?.value || EXPORT.defaultFormat, !!this.inspectGesture.getLastRegion());
+    }
+    this._updateExportPanel();
+  }
+  
+  /**
+   * XR frame callback - main update loop
+   * FIX: Audit Issue - Corrected update loop ordering
+   * @private
+   */
+  _onXRFrame(time, frame, handData) {
+    // Calculate delta time
+    const dt = this.performanceMonitor.lastTime > 0 
+      ? time - this.performanceMonitor.lastTime 
+      : 1/72;
+    
+    // Update performance monitor
+    this.performanceMonitor.update(time);
+    
+    // Update hand tracker
+    this.handTracker.update(handData, time);
+    
+    // FIX: Audit Issue - Correct ordering: gestures -> time adjustments -> time update -> render
+    // Step 1: Gesture recognition and handlers (may call timeSystem.adjustTime)
+    this.gestureRecognizer.update(dt);
+    this.timeScrubGesture.update(dt);
+    this.filterGesture.update(dt);
+    this.infoPanel.update(dt);
+    
+    // Step 2: Update time system AFTER gesture handlers have made adjustments
+    // This ensures smoothed time reflects current frame's input
+    this.timeSystem.update(dt);
+    
+    // Step 3: Update reset progress indicator (visual feedback only)
+    const resetProgress = this.gestureRecognizer.getResetProgress();
+    if (resetProgress > 0) {
+      this.resetGesture.updateProgress(
+        resetProgress,
+        this.handTracker.getLeftHand().palmPosition,
+        this.handTracker.getRightHand().palmPosition
+      );
+    }
+    
+    // Step 4: Update spatial systems
+    const camera = this.scene.getCamera();
+    this.floatingOrigin.update(camera);
+    
     // Update coastline fade
     const cameraPos = camera.position.clone();
     this.coastlineRenderer.update(cameraPos);
@@ -559,14 +2160,223 @@ class LeviathanApp {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     
-    // Get year from time system
+    // Per-chunk loaded/pending strip while an archive streams in; the
+    // seasonal fold has a strip of its own
+    const seasonal = this.timeSystem.isSeasonal();
+    const chunks = seasonal ? [] : this.chunkedLoader?.getChunks() || [];
+    const textY = chunks.length > 0 || seasonal ? height / 2 - 6 : height / 2;
+    
+    // Get year from time system (day of year and the years covered when folded)
     const yearText = this.timeSystem.getDateString();
-    ctx.fillText(yearText, width / 2, height / 2);
+    if (seasonal) {
+      ctx.font = 'bold 20px monospace';
+    }
+    ctx.fillText(yearText, width / 2, textY, width - 16);
+    
+    if (seasonal) {
+      this._drawSeasonStrip(ctx, 12, height - 14, width - 24, 6);
+    } else if (chunks.length > 0) {
+      this._drawChunkStrip(ctx, chunks, 12, height - 14, width - 24, 6);
+    }
     
     // Update texture
     this.timeIndicatorTexture.needsUpdate = true;
   }
   
+  /**
+   * Draw the year as a strip with a month tick each, with a current-day marker
+   * Colored first to last year (as in the label) when the fold is colored by year.
+   * @private
+   */
+  _drawSeasonStrip(ctx, x, y, w, h) {
+    if (this.timeSystem.colorByYear) {
+      const gradient = ctx.createLinearGradient(x, 0, x + w, 0);
+      SEASONAL.yearColors.forEach((color, i) => {
+        const [r, g, b] = color.map(c => Math.round(c * 255));
+        gradient.addColorStop(i / (SEASONAL.yearColors.length - 1), `rgb(${r}, ${g}, ${b})`);
+      });
+      ctx.fillStyle = gradient;
+    } else {
+      ctx.fillStyle = '#33445a';
+    }
+    ctx.fillRect(x, y, w, h);
+    
+    ctx.fillStyle = 'rgba(10, 20, 35, 0.8)';
+    for (let month = 1; month < 12; month++) {
+      ctx.fillRect(x + (month / 12) * w, y, 1, h);
+    }
+    
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x + this.timeSystem.getTime() * w - 1, y - 2, 2, h + 4);
+  }
+  
+  /**
+   * Draw chunk load states along the timeline, with a current-time marker
+   * @private
+   */
+  _drawChunkStrip(ctx, chunks, x, y, w, h) {
+    const colors = {
+      [ChunkState.LOADED]: '#4a9eda',
+      [ChunkState.LOADING]: '#c5a44a',
+      [ChunkState.PENDING]: '#33445a',
+      [ChunkState.ERROR]: '#c0504d'
+    };
+    
+    for (const chunk of chunks) {
+      ctx.fillStyle = colors[chunk.state];
+      // 1px gap separates neighbouring chunks
+      ctx.fillRect(x + chunk.t0 * w, y, Math.max(1, (chunk.t1 - chunk.t0) * w - 1), h);
+    }
+    
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x + this.timeSystem.getTime() * w - 1, y - 2, 2, h + 4);
+  }
+  
+  /**
+   * Show the record validation report on the landing page
+   * Lists each error type with its count and a few offending rows, then
+   * the duplicate merging summary if it ran.
+   * @private
+   * @param {Object|null} report - DataValidator report
+   * @param {Object|null} dedup - Deduplicator report
+   */
+  _showValidationReport(report, dedup = this.dedupReport) {
+    if (!this.validationPanel) return;
+    
+    this.validationPanel.replaceChildren();
+    this.validationPanel.hidden = !report && !dedup;
+    
+    if (report) {
+      this._appendValidationErrors(report);
+    }
+    if (dedup) {
+      this._appendDedupSummary(dedup);
+    }
+  }
+  
+  /**
+   * Add the validation summary and error list to the report panel
+   * @private
+   * @param {Object} report - DataValidator report
+   */
+  _appendValidationErrors(report) {
+    const summary = document.createElement('p');
+    summary.className = 'validation-summary';
+    summary.textContent = `Validation (${report.policy}): ${report.kept}/${report.total} records kept` +
+      (report.repaired > 0 ? `, ${report.repaired} repaired` : '') +
+      (report.dropped > 0 ? `, ${report.dropped} dropped` : '');
+    
+    const types = Object.keys(report.errors);
+    if (types.length === 0) {
+      summary.classList.add('validation-clean');
+      summary.textContent += ' - no problems found';
+    }
+    this.validationPanel.appendChild(summary);
+    
+    if (types.length === 0) return;
+    
+    const list = document.createElement('ul');
+    
+    for (const type of types) {
+      const entry = report.errors[type];
+      const item = document.createElement('li');
+      item.textContent = `${entry.label}: ${entry.count}`;
+      
+      for (const sample of entry.samples) {
+        const row = document.createElement('div');
+        row.className = 'validation-sample';
+        const value = sample.field ? `${sample.field}=${JSON.stringify(sample.value)}` : '';
+        row.textContent = `row ${sample.index}: ${value} ${JSON.stringify(sample.record)}`;
+        item.appendChild(row);
+      }
+      
+      list.appendChild(item);
+    }
+    
+    this.validationPanel.appendChild(list);
+  }
+  
+  /**
+   * Add the duplicate merging summary and a few merged groups to the report panel
+   * @private
+   * @param {Object} dedup - Deduplicator report
+   */
+  _appendDedupSummary(dedup) {
+    const summary = document.createElement('p');
+    summary.className = 'validation-summary';
+    summary.textContent = dedup.merged > 0
+      ? `Duplicates: ${Deduplicator.summarize(dedup)}`
+      : 'Duplicates: none found';
+    if (dedup.merged === 0) {
+      summary.classList.add('validation-clean');
+    }
+    this.validationPanel.appendChild(summary);
+    
+    for (const sample of dedup.samples) {
+      const row = document.createElement('div');
+      row.className = 'validation-sample';
+      row.textContent = `rows ${sample.rows.join(', ')}: ${JSON.stringify(sample.record)}`;
+      this.validationPanel.appendChild(row);
+    }
+  }
+  
+  /**
+   * List cached datasets on the landing page, each with an evict button
+   * @private
+   */
+  async _refreshCachePanel() {
+    if (!this.cachePanel || !this.datasetCache) return;
+    
+    let entries;
+    try {
+      entries = await this.datasetCache.list();
+    } catch (error) {
+      console.warn('Dataset cache unavailable:', error);
+      this.cachePanel.hidden = true;
+      return;
+    }
+    
+    this.cachePanel.replaceChildren();
+    this.cachePanel.hidden = entries.length === 0;
+    if (entries.length === 0) return;
+    
+    const heading = document.createElement('p');
+    heading.className = 'cache-heading';
+    heading.textContent = 'Cached datasets';
+    this.cachePanel.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      
+      const label = document.createElement('span');
+      const size = (entry.bytes / 1048576).toFixed(1);
+      label.textContent = `${entry.url} · ${entry.count.toLocaleString()} records · ${size} MB · ${new Date(entry.createdAt).toLocaleDateString()}`;
+      label.title = entry.hash;
+      
+      const evict = document.createElement('button');
+      evict.textContent = 'Evict';
+      evict.addEventListener('click', async () => {
+        await this.datasetCache.delete(entry.key);
+        this._refreshCachePanel();
+      });
+      
+      item.append(label, evict);
+      list.appendChild(item);
+    }
+    
+    this.cachePanel.appendChild(list);
+    
+    const clear = document.createElement('button');
+    clear.textContent = 'Clear all';
+    clear.addEventListener('click', async () => {
+      await this.datasetCache.clear();
+      this._refreshCachePanel();
+    });
+    this.cachePanel.appendChild(clear);
+  }
+  
   /**
    * Update status text
    * @private
@@ -10,7 +10,10 @@
  * - Coarse: Density volumes for overview
  */
 
-import { LOD_DISTANCES } from '../utils/Constants.js';
+import { LOD_DISTANCES, DEFAULT_SPECIES_COUNT } from '../utils/Constants.js';
+import { TimeDomain } from '../core/TimeDomain.js';
+import { EffortGrid } from '../data/EffortGrid.js';
+import { AttributeColumns } from '../data/AttributeColumns.js';
 
 export class DensityAggregator {
   /**
@@ -60,9 +63,84 @@ export class DensityAggregator {
     console.log(`  Coarse (LOD 2): ${this.levels.coarse.count} cells`);
   }
   
+  /**
+   * Add effort-corrected density to every level (see EffortGrid)
+   * Sightings are counted per effort column and time bucket from the
+   * full-resolution data, so every LOD level shows the same SPUE.
+   * Each level gains an `effort` array: [0, 1] on a log scale, or
+   * UNSURVEYED where the column had too little effort.
+   * @param {EffortGrid} effortGrid
+   */
+  applyEffort(effortGrid) {
+    const { positions, times, count } = this.sourceData;
+    const sightings = new Map();
+    
+    for (let i = 0; i < count; i++) {
+      const key = effortGrid.keyAt(positions[i * 3], positions[i * 3 + 2], times[i]);
+      sightings.set(key, (sightings.get(key) || 0) + 1);
+    }
+    
+    for (const level of Object.values(this.levels)) {
+      level.effort = new Float32Array(level.count);
+      
+      for (let i = 0; i < level.count; i++) {
+        const key = effortGrid.keyAt(level.positions[i * 3], level.positions[i * 3 + 2], level.times[i]);
+        level.effort[i] = EffortGrid.toInstanceValue(sightings.get(key) || 0, effortGrid.getHours(key));
+      }
+    }
+    
+    console.log(`Effort-corrected density applied (${sightings.size} cells with sightings)`);
+  }
+  
+  /**
+   * Pick the finest LOD level that fits an instance budget
+   * @param {number} maxInstances - Instance budget (e.g. Quest 2 safe count)
+   * @returns {'fine'|'medium'|'coarse'}
+   */
+  selectLevel(maxInstances) {
+    if (this.levels.fine.count <= maxInstances) return 'fine';
+    if (this.levels.medium.count <= maxInstances) return 'medium';
+    
+    // Use coarse LOD as last resort
+    return 'coarse';
+  }
+  
+  /**
+   * Export aggregated levels for transfer (e.g. out of a worker)
+   * The fine level is the source data itself and is not duplicated.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      cellSizes: this.cellSizes,
+      fineEffort: this.levels.fine.effort || null,
+      medium: this.levels.medium,
+      coarse: this.levels.coarse
+    };
+  }
+  
+  /**
+   * Restore levels produced by serialize()
+   * @param {Object} state - Serialized levels
+   * @param {Object} processedData - Source data (becomes the fine level)
+   */
+  restore(state, processedData) {
+    this.sourceData = processedData;
+    this.cellSizes = state.cellSizes;
+    this.levels.fine = { ...processedData, lodLevel: 0 };
+    if (state.fineEffort) {
+      this.levels.fine.effort = state.fineEffort;
+    }
+    this.levels.medium = state.medium;
+    this.levels.coarse = state.coarse;
+  }
+  
   /**
    * Aggregate data into cells of given size
    * UNCERTAINTY: Now includes lodLevel for confidence calculation
+   * UNCERTAINTY: Per-record errors combine as the RMS of the known ones
+   * Attribute columns keep the cell mean / dominant category (see AttributeColumns.aggregate)
+   * Counts are the cell's total individuals
    * @private
    * @param {Object} data - Source data
    * @param {number} cellSize - Cell size in world units
@@ -70,11 +148,19 @@ export class DensityAggregator {
    * @returns {Object} Aggregated data with lodLevel
    */
   _aggregateLevel(data, cellSize, lodLevel = 0) {
-    const { positions, times, species, densities, count } = data;
+    const { positions, times, species, densities, counts, positionErrors, timeErrors, attributes, count } = data;
+    const speciesCount = data.speciesCount ?? DEFAULT_SPECIES_COUNT;
+    
+    // Time buckets follow the dataset's natural unit (years, months, days or hours)
+    const timeDomain = TimeDomain.fromMeta(data.meta) || TimeDomain.default();
+    const timeBuckets = timeDomain.getBuckets().count;
     
     // Use spatial hashing for efficient aggregation
     const cells = new Map();
     
+    // Cell index of every record (only needed to aggregate attributes)
+    const cellOf = attributes ? new Int32Array(count) : null;
+    
     for (let i = 0; i < count; i++) {
       const x = positions[i * 3];
       const y = positions[i * 3 + 1];
@@ -84,20 +170,23 @@ export class DensityAggregator {
       const d = densities ? densities[i] : 1;
       
       // Create spatial-temporal cell key
-      // Include time bucket for temporal grouping (by ~1 year)
+      // Include time bucket for temporal grouping
       const cellX = Math.floor(x / cellSize);
       const cellY = Math.floor(y / cellSize);
       const cellZ = Math.floor(z / cellSize);
-      const cellT = Math.floor(t * 30); // 30 time buckets (1 per year)
+      const cellT = Math.min(Math.floor(t * timeBuckets), timeBuckets - 1);
       
       const key = `${cellX},${cellY},${cellZ},${cellT}`;
       
       if (!cells.has(key)) {
         cells.set(key, {
+          index: cells.size,
           sumX: 0, sumY: 0, sumZ: 0,
           sumT: 0, sumD: 0,
-          count: 0,
-          speciesCounts: new Uint32Array(8)
+          count: 0, individuals: 0,
+          speciesCounts: new Uint32Array(speciesCount),
+          sumPositionErrorSq: 0, positionErrorCount: 0,
+          sumTimeErrorSq: 0, timeErrorCount: 0
         });
       }
       
@@ -108,7 +197,19 @@ export class DensityAggregator {
       cell.sumT += t;
       cell.sumD += d;
       cell.count++;
+      cell.individuals += counts ? counts[i] : 1;
       cell.speciesCounts[s]++;
+      if (cellOf) cellOf[i] = cell.index;
+      
+      // UNCERTAINTY: Unknown errors (NaN) don't count either way
+      if (positionErrors && !Number.isNaN(positionErrors[i])) {
+        cell.sumPositionErrorSq += positionErrors[i] * positionErrors[i];
+        cell.positionErrorCount++;
+      }
+      if (timeErrors && !Number.isNaN(timeErrors[i])) {
+        cell.sumTimeErrorSq += timeErrors[i] * timeErrors[i];
+        cell.timeErrorCount++;
+      }
     }
     
     // Convert cells to arrays
@@ -117,6 +218,9 @@ export class DensityAggregator {
     const outTimes = new Float32Array(cellCount);
     const outSpecies = new Float32Array(cellCount);
     const outDensities = new Float32Array(cellCount);
+    const outCounts = new Float32Array(cellCount);
+    const outPositionErrors = positionErrors ? new Float32Array(cellCount) : null;
+    const outTimeErrors = timeErrors ? new Float32Array(cellCount) : null;
     
     let i = 0;
     for (const cell of cells.values()) {
@@ -131,7 +235,7 @@ export class DensityAggregator {
       // Dominant species
       let maxSpecies = 0;
       let maxCount = 0;
-      for (let s = 0; s < 8; s++) {
+      for (let s = 0; s < speciesCount; s++) {
         if (cell.speciesCounts[s] > maxCount) {
           maxCount = cell.speciesCounts[s];
           maxSpecies = s;
@@ -142,6 +246,18 @@ export class DensityAggregator {
       // Density is normalized count
       // Log scale works well for large count ranges
       outDensities[i] = Math.min(1.0, Math.log10(cell.count + 1) / 3);
+      outCounts[i] = cell.individuals;
+      
+      if (outPositionErrors) {
+        outPositionErrors[i] = cell.positionErrorCount > 0
+          ? Math.sqrt(cell.sumPositionErrorSq / cell.positionErrorCount)
+          : NaN;
+      }
+      if (outTimeErrors) {
+        outTimeErrors[i] = cell.timeErrorCount > 0
+          ? Math.sqrt(cell.sumTimeErrorSq / cell.timeErrorCount)
+          : NaN;
+      }
       
       i++;
     }
@@ -151,7 +267,13 @@ export class DensityAggregator {
       times: outTimes,
       species: outSpecies,
       densities: outDensities,
+      counts: outCounts,
+      positionErrors: outPositionErrors,
+      timeErrors: outTimeErrors,
+      attributes: attributes ? AttributeColumns.aggregate(attributes, cellOf, cellCount) : null,
       count: cellCount,
+      speciesCount,
+      meta: data.meta,
       lodLevel // UNCERTAINTY: Include LOD level for confidence calculation
     };
   }
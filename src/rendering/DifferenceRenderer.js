@@ -0,0 +1,146 @@
+/**
+ * Leviathan WebXR - Difference Renderer
+ * 
+ * Draws the difference between two datasets (see SpatialGrid.difference):
+ * one point per grid cell, colored towards the loaded dataset or the
+ * comparison by which holds the larger share of its records there, and
+ * sized by how large the difference is. Cells both datasets use alike
+ * fade to a small grey point.
+ * 
+ * Covers each dataset's whole time span, so it doesn't follow the time
+ * scrub. One draw call; rebuilt only when either dataset or the filter
+ * changes.
+ */
+
+import * as THREE from 'three';
+import { COMPARE } from '../utils/Constants.js';
+
+const DIFFERENCE_VERT = `
+uniform vec3 uOriginOffset;
+uniform float uBaseSize;
+uniform float uQuality;
+
+attribute float difference; // [-1, 1], positive = more in the loaded dataset
+
+varying float vDifference;
+
+void main() {
+  vec3 worldPos = position - uOriginOffset;
+  vec4 mvPosition = modelViewMatrix * vec4(worldPos, 1.0);
+  float distToCamera = -mvPosition.z;
+  
+  vDifference = difference;
+  
+  float perspectiveScale = 300.0 / max(distToCamera, 0.1);
+  gl_PointSize = uBaseSize * (0.25 + 0.75 * abs(difference)) * perspectiveScale * uQuality;
+  gl_PointSize = clamp(gl_PointSize, 1.0, 64.0);
+  
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const DIFFERENCE_FRAG = `
+uniform vec3 uLoadedColor;
+uniform vec3 uComparisonColor;
+uniform float uOpacity;
+
+varying float vDifference;
+
+void main() {
+  float dist = length(gl_PointCoord - 0.5) * 2.0;
+  float alpha = 1.0 - smoothstep(0.7, 1.0, dist);
+  if (alpha < 0.01) discard;
+  
+  // Grey where the shares match, full color at the largest difference
+  vec3 side = vDifference >= 0.0 ? uLoadedColor : uComparisonColor;
+  vec3 color = mix(vec3(0.45, 0.47, 0.5), side, smoothstep(0.0, 0.5, abs(vDifference)));
+  
+  float finalAlpha = alpha * uOpacity * (0.3 + 0.7 * abs(vDifference));
+  gl_FragColor = vec4(color * finalAlpha, finalAlpha);
+}
+`;
+
+export class DifferenceRenderer {
+  /**
+   * Create difference renderer
+   * @param {FloatingOrigin} floatingOrigin - Origin offset system
+   */
+  constructor(floatingOrigin) {
+    this.floatingOrigin = floatingOrigin;
+    
+    // Cells drawn
+    this.count = 0;
+    
+    // Three.js objects
+    this.geometry = new THREE.BufferGeometry();
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uOriginOffset: this.floatingOrigin.getUniform(),
+        uBaseSize: { value: COMPARE.differenceBaseSize * 100 }, // Scale for gl_PointSize
+        uQuality: { value: 1.0 },
+        uOpacity: { value: 0.9 },
+        uLoadedColor: { value: new THREE.Vector3(...COMPARE.loadedColor) },
+        uComparisonColor: { value: new THREE.Vector3(...COMPARE.comparisonColor) }
+      },
+      vertexShader: DIFFERENCE_VERT,
+      fragmentShader: DIFFERENCE_FRAG,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    });
+    
+    this.mesh = new THREE.Points(this.geometry, this.material);
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    this.mesh.name = 'DatasetDifference';
+  }
+  
+  /**
+   * Show a grid difference
+   * @param {Object|null} difference - From SpatialGrid.difference(); null clears it
+   */
+  setData(difference) {
+    this.count = difference ? difference.count : 0;
+    
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(
+      difference ? difference.positions : new Float32Array(0), 3));
+    this.geometry.setAttribute('difference', new THREE.BufferAttribute(
+      difference ? difference.differences : new Float32Array(0), 1));
+    this.geometry.setDrawRange(0, this.count);
+    
+    console.log(`Dataset difference: ${this.count} cells` +
+      (difference ? ` (largest share difference ${(difference.maxDifference * 100).toFixed(2)}%)` : ''));
+  }
+  
+  /**
+   * Update quality level (from performance monitor)
+   * @param {number} quality - [0.3 - 1.0]
+   */
+  setQuality(quality) {
+    this.material.uniforms.uQuality.value = quality;
+  }
+  
+  /**
+   * Set visibility
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+  
+  /**
+   * Get the renderable mesh
+   * @returns {THREE.Points}
+   */
+  getObject() {
+    return this.mesh;
+  }
+  
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
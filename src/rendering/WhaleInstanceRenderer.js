@@ -6,14 +6,19 @@
  * 
  * CRITICAL PERFORMANCE COMPONENT:
  * - All per-instance data stored in TypedArrays
- * - Time filtering happens in vertex shader
+ * - Time filtering happens in vertex shader (linear, or folded onto the
+ *   day of year - see TimeSystem)
+ * - Filter expressions are baked into a per-instance mask when they change
  * - No JavaScript iteration per frame
  */
 
 import * as THREE from 'three';
-import { RENDER_BUDGET, WHALE_VISUAL, SPECIES_COLORS_FLAT } from '../utils/Constants.js';
+import { RENDER_BUDGET, WHALE_VISUAL, UNCERTAINTY, SEASONAL } from '../utils/Constants.js';
+import { SpeciesRegistry } from '../data/SpeciesRegistry.js';
+import { UNSURVEYED } from '../data/EffortGrid.js';
 
-// Inline shaders (for reliability without build tools)
+// Inline shaders (for reliability without build tools); shaders/whale.vert
+// and whale.frag are reference copies and must be kept in sync
 // UNCERTAINTY VISUALIZATION: Shaders encode confidence visually
 const WHALE_VERT = `
 // Global uniforms
@@ -23,6 +28,14 @@ uniform vec3 uOriginOffset;
 uniform float uBaseSize;
 uniform float uQuality;
 uniform float uShowUncertainty; // UNCERTAINTY: Toggle for uncertainty visualization
+uniform float uShowEffort; // Effort-corrected density (sightings per unit effort)
+uniform float uTimeScale; // Maps this layer's normalized times onto the timeline's
+uniform float uTimeOffset;
+uniform vec4 uClipPlane; // Instances with dot(position, plane) < 0 are hidden (split view)
+uniform float uSeasonal; // 1 = uTime is a phase of the year, every year shown at once
+uniform float uYearsPerSpan; // Timeline span in years
+uniform float uStartPhase; // Phase of the year the timeline starts at
+uniform float uLastYear; // Years from the timeline's first to its last
 
 // Per-instance attributes
 attribute vec3 instancePosition;
@@ -30,6 +43,8 @@ attribute float instanceTime;
 attribute float instanceSpecies;
 attribute float instanceDensity;
 attribute float instanceConfidence; // UNCERTAINTY: Confidence level [0-1]
+attribute float instanceEffort; // SPUE [0-1], negative = unsurveyed
+attribute float instanceMask; // 0 = hidden by the filter expression
 
 // Varyings
 varying float vTimeFade;
@@ -37,12 +52,25 @@ varying float vSpecies;
 varying float vDensity;
 varying float vDistanceFade;
 varying float vConfidence; // UNCERTAINTY: Pass to fragment shader
+varying float vUnsurveyed;
+varying float vYear; // Seasonal: [0, 1] from the first year to the last
 
 void main() {
-  float timeDist = abs(instanceTime - uTime);
+  float t = instanceTime * uTimeScale + uTimeOffset;
+  float timeDist = abs(t - uTime);
+  vYear = 0.0;
+  
+  if (uSeasonal > 0.5) {
+    // Wrap-aware distance to the current phase: 31 Dec and 1 Jan are a day apart
+    float years = uStartPhase + t * uYearsPerSpan;
+    timeDist = abs(fract(years) - uTime);
+    timeDist = min(timeDist, 1.0 - timeDist);
+    vYear = clamp(floor(years) / uLastYear, 0.0, 1.0);
+  }
+  
   vTimeFade = 1.0 - smoothstep(0.0, uTimeWindow, timeDist);
   
-  if (vTimeFade < 0.001) {
+  if (vTimeFade < 0.001 || instanceMask < 0.5 || dot(vec4(instancePosition, 1.0), uClipPlane) < 0.0) {
     gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
     gl_PointSize = 0.0;
     return;
@@ -62,10 +90,19 @@ void main() {
   }
   
   vSpecies = instanceSpecies;
-  vDensity = instanceDensity;
   vConfidence = instanceConfidence;
   
-  float densityScale = 0.5 + instanceDensity * 0.5;
+  // Effort mode: density becomes sightings per unit effort; sightings
+  // where nobody was surveying are kept but marked, never scaled up
+  float density = instanceDensity;
+  vUnsurveyed = 0.0;
+  if (uShowEffort > 0.5) {
+    vUnsurveyed = instanceEffort < 0.0 ? 1.0 : 0.0;
+    density = max(instanceEffort, 0.0);
+  }
+  vDensity = density;
+  
+  float densityScale = 0.5 + density * 0.5;
   float perspectiveScale = 300.0 / max(distToCamera, 0.1);
   float timeScale = 0.3 + vTimeFade * 0.7;
   
@@ -85,15 +122,21 @@ void main() {
 `;
 
 const WHALE_FRAG = `
-uniform vec3 uSpeciesColors[8];
+uniform sampler2D uSpeciesColors; // One texel per species (SpeciesRegistry)
+uniform float uSpeciesCount;
 uniform float uOpacity;
 uniform float uShowUncertainty; // UNCERTAINTY: Toggle for uncertainty visualization
+uniform float uRing; // Comparison layer: draw rings instead of discs
+uniform float uColorByYear; // Seasonal: color by year rather than species
+uniform vec3 uYearColors[3]; // First, middle and last year
 
 varying float vTimeFade;
 varying float vSpecies;
 varying float vDensity;
 varying float vDistanceFade;
 varying float vConfidence; // UNCERTAINTY: Confidence level [0-1]
+varying float vUnsurveyed;
+varying float vYear;
 
 // UNCERTAINTY: Simple pseudo-random for radial noise
 float hash(vec2 p) {
@@ -130,8 +173,15 @@ void main() {
   
   if (alpha < 0.01) discard;
   
-  int speciesIndex = int(clamp(vSpecies, 0.0, 7.0));
-  vec3 baseColor = uSpeciesColors[speciesIndex];
+  float speciesIndex = clamp(floor(vSpecies + 0.5), 0.0, uSpeciesCount - 1.0);
+  vec3 baseColor = texture2D(uSpeciesColors, vec2((speciesIndex + 0.5) / uSpeciesCount, 0.5)).rgb;
+  
+  // Seasonal fold: tell the years apart, early to late
+  if (uColorByYear > 0.5) {
+    baseColor = vYear < 0.5
+      ? mix(uYearColors[0], uYearColors[1], vYear * 2.0)
+      : mix(uYearColors[1], uYearColors[2], vYear * 2.0 - 1.0);
+  }
   
   float brightness = 0.7 + vDensity * 0.3;
   vec3 color = baseColor * brightness;
@@ -153,6 +203,19 @@ void main() {
   float glow = 1.0 - smoothstep(0.0, 0.4, dist);
   color += glow * glowStrength;
   
+  // Comparison layer: species-colored rings, told apart from the loaded dataset's discs
+  if (uRing > 0.5) {
+    alpha *= smoothstep(0.5, 0.65, dist);
+    if (alpha < 0.01) discard;
+  }
+  
+  // Unsurveyed: hollow grey ring, distinct from both presence and absence
+  if (vUnsurveyed > 0.5) {
+    color = vec3(0.45, 0.47, 0.5);
+    alpha *= smoothstep(0.45, 0.6, dist) * 0.6;
+    if (alpha < 0.01) discard;
+  }
+  
   float finalAlpha = alpha * visibility * uOpacity;
   gl_FragColor = vec4(color * finalAlpha, finalAlpha);
 }
@@ -186,9 +249,23 @@ export class WhaleInstanceRenderer {
     // Derived from density and aggregation level at load time
     this.confidences = new Float32Array(this.maxInstances);
     
+    // Effort-corrected density per instance (see EffortGrid.toInstanceValue)
+    this.efforts = new Float32Array(this.maxInstances);
+    
+    // Filter result per instance (1 = shown, 0 = filtered out)
+    this.masks = new Float32Array(this.maxInstances).fill(1);
+    
+    // Loaded data ({data, offset, count} per load/append), kept so a new
+    // filter can be evaluated later, and the active filter (CompiledFilter)
+    this.filterSources = [];
+    this.filter = null;
+    
     // UNCERTAINTY: Toggle state
     this.showUncertainty = true; // Default: ON for scientific mode
     
+    // Effort mode is off until a dataset with survey effort is loaded
+    this.showEffort = false;
+    
     // Three.js objects
     this.geometry = null;
     this.material = null;
@@ -238,28 +315,44 @@ export class WhaleInstanceRenderer {
     this.confidenceAttribute.setUsage(THREE.DynamicDrawUsage);
     this.geometry.setAttribute('instanceConfidence', this.confidenceAttribute);
     
-    // Convert species colors to Vector3 array
-    const speciesColorVectors = [];
-    for (let i = 0; i < 8; i++) {
-      speciesColorVectors.push(new THREE.Vector3(
-        SPECIES_COLORS_FLAT[i * 3],
-        SPECIES_COLORS_FLAT[i * 3 + 1],
-        SPECIES_COLORS_FLAT[i * 3 + 2]
-      ));
-    }
+    this.effortAttribute = new THREE.InstancedBufferAttribute(this.efforts, 1);
+    this.effortAttribute.setUsage(THREE.DynamicDrawUsage);
+    this.geometry.setAttribute('instanceEffort', this.effortAttribute);
+    
+    this.maskAttribute = new THREE.InstancedBufferAttribute(this.masks, 1);
+    this.maskAttribute.setUsage(THREE.DynamicDrawUsage);
+    this.geometry.setAttribute('instanceMask', this.maskAttribute);
+    
+    // Species colors live in a 1D texture so any number of species fits
+    this.speciesRegistry = new SpeciesRegistry();
+    this.speciesTexture = this._createSpeciesTexture(this.speciesRegistry);
     
     // Create shader material
     this.material = new THREE.ShaderMaterial({
       uniforms: {
         uTime: this.timeSystem.getUniforms().uTime,
         uTimeWindow: this.timeSystem.getUniforms().uTimeWindow,
+        // Seasonal fold, shared by every layer through the time system
+        uSeasonal: this.timeSystem.getUniforms().uSeasonal,
+        uYearsPerSpan: this.timeSystem.getUniforms().uYearsPerSpan,
+        uStartPhase: this.timeSystem.getUniforms().uStartPhase,
+        uLastYear: this.timeSystem.getUniforms().uLastYear,
+        uColorByYear: this.timeSystem.getUniforms().uColorByYear,
+        uYearColors: { value: SEASONAL.yearColors.map(color => new THREE.Vector3(...color)) },
         uOriginOffset: this.floatingOrigin.getUniform(),
         uBaseSize: { value: WHALE_VISUAL.baseSize * 100 }, // Scale for gl_PointSize
         uOpacity: { value: WHALE_VISUAL.baseOpacity },
         uQuality: { value: this.qualityLevel },
-        uSpeciesColors: { value: speciesColorVectors },
+        uSpeciesColors: { value: this.speciesTexture },
+        uSpeciesCount: { value: this.speciesRegistry.getCount() },
         // UNCERTAINTY: Toggle for uncertainty visualization
-        uShowUncertainty: { value: this.showUncertainty ? 1.0 : 0.0 }
+        uShowUncertainty: { value: this.showUncertainty ? 1.0 : 0.0 },
+        uShowEffort: { value: this.showEffort ? 1.0 : 0.0 },
+        // Comparison layers: own time domain, split view and ring style
+        uTimeScale: { value: 1.0 },
+        uTimeOffset: { value: 0.0 },
+        uClipPlane: { value: new THREE.Vector4(0, 0, 0, 1) },
+        uRing: { value: 0.0 }
       },
       vertexShader: WHALE_VERT,
       fragmentShader: WHALE_FRAG,
@@ -274,6 +367,39 @@ export class WhaleInstanceRenderer {
     this.mesh.name = 'WhaleInstances';
   }
   
+  /**
+   * Use a dataset's species registry for colors
+   * @param {SpeciesRegistry} registry
+   */
+  setSpeciesRegistry(registry) {
+    this.speciesRegistry = registry;
+    
+    const previous = this.speciesTexture;
+    this.speciesTexture = this._createSpeciesTexture(registry);
+    this.material.uniforms.uSpeciesColors.value = this.speciesTexture;
+    this.material.uniforms.uSpeciesCount.value = registry.getCount();
+    previous.dispose();
+  }
+  
+  /**
+   * Build the species color lookup texture (width = species count)
+   * @private
+   * @param {SpeciesRegistry} registry
+   * @returns {THREE.DataTexture}
+   */
+  _createSpeciesTexture(registry) {
+    const texture = new THREE.DataTexture(
+      registry.getColorBytes(),
+      registry.getCount(),
+      1,
+      THREE.RGBAFormat
+    );
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+  }
+  
   /**
    * Load whale data into instance buffers
    * FIX: Audit Issue - No per-frame reallocations, cap at max instances
@@ -284,55 +410,124 @@ export class WhaleInstanceRenderer {
    * @param {Uint8Array|Float32Array} processedData.species - Species IDs
    * @param {Float32Array} processedData.densities - Density weights
    * @param {Float32Array} [processedData.confidences] - Optional pre-computed confidence
+   * @param {Float32Array} [processedData.positionErrors] - Optional per-record position error (m, NaN = unknown)
+   * @param {Float32Array} [processedData.timeErrors] - Optional per-record time precision (fraction of span, NaN = unknown)
+   * @param {Float32Array} [processedData.effort] - Optional effort-corrected density (DensityAggregator.applyEffort)
+   * @param {Object} [processedData.attributes] - Optional attribute columns (read by filters, see AttributeColumns)
    * @param {number} processedData.count - Number of records
    * @param {number} [processedData.lodLevel] - LOD level (0=full, 1=medium, 2=coarse)
    */
   loadData(processedData) {
-    const { positions, times, species, densities, confidences, count, lodLevel = 0 } = processedData;
+    this.filterSources = [];
+    const loadCount = this._writeInstances(processedData, 0);
+    
+    this.instanceCount = loadCount;
+    this.buffersAllocated = true;
+    
+    // Update geometry (marks buffers as needing upload, no reallocation)
+    this._updateGeometry();
+    
+    console.log(`UNCERTAINTY: Loaded ${loadCount} whale instances with confidence visualization`);
+  }
+  
+  /**
+   * Append whale data after the instances already loaded (progressive loading)
+   * Only the appended range is re-uploaded to the GPU.
+   * @param {Object} processedData - Same shape as loadData
+   * @returns {number} Number of instances actually appended (capped by maxInstances)
+   */
+  appendData(processedData) {
+    const start = this.instanceCount;
+    const appended = this._writeInstances(processedData, start);
+    
+    this.instanceCount = start + appended;
+    this.buffersAllocated = true;
+    
+    this._updateGeometry(start, appended);
+    
+    console.log(`Appended ${appended} whale instances (${this.instanceCount} total)`);
+    return appended;
+  }
+  
+  /**
+   * Copy data into the instance buffers at an offset
+   * @private
+   * @param {Object} processedData - Source data
+   * @param {number} offset - First instance to write
+   * @returns {number} Number of instances written
+   */
+  _writeInstances(processedData, offset) {
+    const {
+      positions, times, species, densities, confidences, effort,
+      positionErrors, timeErrors, count, lodLevel = 0
+    } = processedData;
     
     // FIX: Audit Issue - Performance safety: hard cap at maxInstances
-    if (count > this.maxInstances) {
-      console.warn(`FIX: Data count ${count} exceeds max instances ${this.maxInstances}. Truncating for Quest 2 performance.`);
+    if (offset + count > this.maxInstances) {
+      console.warn(`FIX: Data count ${offset + count} exceeds max instances ${this.maxInstances}. Truncating for Quest 2 performance.`);
     }
     
-    const loadCount = Math.min(count, this.maxInstances);
+    const loadCount = Math.max(0, Math.min(count, this.maxInstances - offset));
     
     // FIX: Audit Issue - Reuse existing buffers, no reallocation
     // Copy data into pre-allocated buffers
-    this.positions.set(positions.subarray(0, loadCount * 3));
-    this.times.set(times.subarray(0, loadCount));
+    this.positions.set(positions.subarray(0, loadCount * 3), offset * 3);
+    this.times.set(times.subarray(0, loadCount), offset);
     
     // Handle species (may be Uint8Array)
     for (let i = 0; i < loadCount; i++) {
-      this.species[i] = species[i];
+      this.species[offset + i] = species[i];
     }
     
     // Handle densities (normalize if needed)
     if (densities) {
-      this.densities.set(densities.subarray(0, loadCount));
+      this.densities.set(densities.subarray(0, loadCount), offset);
     } else {
       // Default density of 0.5
-      this.densities.fill(0.5, 0, loadCount);
+      this.densities.fill(0.5, offset, offset + loadCount);
     }
     
     // UNCERTAINTY: Calculate or use provided confidence values
     // Confidence is derived from existing data - no inference, no new datasets
     if (confidences) {
       // Use pre-computed confidence if provided
-      this.confidences.set(confidences.subarray(0, loadCount));
+      this.confidences.set(confidences.subarray(0, loadCount), offset);
     } else {
-      // UNCERTAINTY: Derive confidence from density and LOD level
-      // This uses only existing attributes - no scientific claims
-      this._computeConfidenceFromData(loadCount, lodLevel);
+      // UNCERTAINTY: Derive confidence from density, LOD level and the
+      // recorded error of each observation (where the data carries it)
+      this._computeConfidenceFromData(loadCount, lodLevel, offset, positionErrors, timeErrors);
     }
     
-    this.instanceCount = loadCount;
-    this.buffersAllocated = true;
+    // Without survey effort nothing counts as surveyed
+    if (effort) {
+      this.efforts.set(effort.subarray(0, loadCount), offset);
+    } else {
+      this.efforts.fill(UNSURVEYED, offset, offset + loadCount);
+    }
     
-    // Update geometry (marks buffers as needing upload, no reallocation)
-    this._updateGeometry();
+    // Keep the source so filters can be re-applied later
+    const source = { data: processedData, offset, count: loadCount };
+    this.filterSources.push(source);
+    this._writeMask(source);
     
-    console.log(`UNCERTAINTY: Loaded ${loadCount} whale instances with confidence visualization`);
+    return loadCount;
+  }
+  
+  /**
+   * Evaluate the filter for one loaded range
+   * @private
+   * @param {Object} source - Entry of filterSources
+   */
+  _writeMask({ data, offset, count }) {
+    if (!this.filter) {
+      this.masks.fill(1, offset, offset + count);
+      return;
+    }
+    
+    const test = this.filter.bind(data);
+    for (let i = 0; i < count; i++) {
+      this.masks[offset + i] = test(i) ? 1 : 0;
+    }
   }
   
   /**
@@ -344,19 +539,25 @@ export class WhaleInstanceRenderer {
    * - Higher LOD aggregation = lower spatial precision = lower confidence
    * - Single sightings (low density) = uncertain
    * - Aggregated cells (high density) = more certain about PRESENCE, less about POSITION
+   * - Recorded position error (Argos class, GPS vs. dead reckoning) and time
+   *   precision ("known to month only") scale confidence down; each halves
+   *   it at its UNCERTAINTY scale
    * 
    * @private
    * @param {number} count - Number of instances
    * @param {number} lodLevel - LOD level (0=full, 1=medium, 2=coarse)
+   * @param {number} start - First instance to compute
+   * @param {Float32Array|null} positionErrors - Source position errors (m), indexed from 0
+   * @param {Float32Array|null} timeErrors - Source time precisions (fraction of span), indexed from 0
    */
-  _computeConfidenceFromData(count, lodLevel) {
+  _computeConfidenceFromData(count, lodLevel, start = 0, positionErrors = null, timeErrors = null) {
     // LOD penalty: higher LOD = lower spatial confidence
     // LOD 0 (full): 1.0 multiplier
     // LOD 1 (medium): 0.7 multiplier
     // LOD 2 (coarse): 0.5 multiplier
     const lodConfidenceMultiplier = 1.0 - (lodLevel * 0.25);
     
-    for (let i = 0; i < count; i++) {
+    for (let i = start; i < start + count; i++) {
       const density = this.densities[i];
       
       // UNCERTAINTY: Confidence formula (visualization-only, no science claims)
@@ -365,27 +566,52 @@ export class WhaleInstanceRenderer {
       // Never fully certain (max 0.9), never fully uncertain (min 0.2)
       const densityConfidence = 0.2 + 0.7 * (1.0 - Math.exp(-density * 3));
       
+      // UNCERTAINTY: Observation error, where known (NaN = unknown, no penalty)
+      let errorConfidence = 1.0;
+      const positionError = positionErrors ? positionErrors[i - start] : NaN;
+      const timeError = timeErrors ? timeErrors[i - start] : NaN;
+      if (!Number.isNaN(positionError)) {
+        errorConfidence /= 1.0 + positionError / UNCERTAINTY.positionErrorScale;
+      }
+      if (!Number.isNaN(timeError)) {
+        errorConfidence /= 1.0 + timeError / UNCERTAINTY.timePrecisionScale;
+      }
+      
       // Apply LOD penalty
-      const finalConfidence = densityConfidence * lodConfidenceMultiplier;
+      const finalConfidence = densityConfidence * lodConfidenceMultiplier * errorConfidence;
       
       // Clamp to [0.1, 0.95] - never imply perfect certainty or complete unknowing
       this.confidences[i] = Math.max(0.1, Math.min(0.95, finalConfidence));
     }
     
-    console.log(`UNCERTAINTY: Computed confidence values (LOD level ${lodLevel}, multiplier ${lodConfidenceMultiplier.toFixed(2)})`);
+    console.log(`UNCERTAINTY: Computed confidence values (LOD level ${lodLevel}, multiplier ${lodConfidenceMultiplier.toFixed(2)}` +
+      `${positionErrors || timeErrors ? ', with per-record errors' : ''})`);
   }
   
   /**
    * Update GPU buffers after data change
    * @private
+   * @param {number} [start] - First changed instance (omit to upload everything)
+   * @param {number} [count] - Number of changed instances
    */
-  _updateGeometry() {
+  _updateGeometry(start = null, count = 0) {
+    const attributes = [
+      this.positionAttribute,
+      this.timeAttribute,
+      this.speciesAttribute,
+      this.densityAttribute,
+      this.confidenceAttribute, // UNCERTAINTY: Update confidence buffer
+      this.effortAttribute,
+      this.maskAttribute
+    ];
+    
     // Update buffer attributes
-    this.positionAttribute.needsUpdate = true;
-    this.timeAttribute.needsUpdate = true;
-    this.speciesAttribute.needsUpdate = true;
-    this.densityAttribute.needsUpdate = true;
-    this.confidenceAttribute.needsUpdate = true; // UNCERTAINTY: Update confidence buffer
+    for (const attribute of attributes) {
+      if (start !== null) {
+        attribute.addUpdateRange(start * attribute.itemSize, count * attribute.itemSize);
+      }
+      attribute.needsUpdate = true;
+    }
     
     // Set draw range
     this.geometry.instanceCount = this.instanceCount;
@@ -411,6 +637,85 @@ export class WhaleInstanceRenderer {
     return this.showUncertainty;
   }
   
+  /**
+   * Toggle effort-corrected density (sightings per unit effort)
+   * When ON: Brightness and size follow SPUE; sightings in unsurveyed
+   * cells are drawn as grey rings instead of being scaled by zero effort
+   * @param {boolean} show
+   */
+  setShowEffort(show) {
+    this.showEffort = show;
+    this.material.uniforms.uShowEffort.value = show ? 1.0 : 0.0;
+    console.log(`Effort-corrected density ${show ? 'enabled' : 'disabled'}`);
+  }
+  
+  /**
+   * Get current effort mode state
+   * @returns {boolean}
+   */
+  getShowEffort() {
+    return this.showEffort;
+  }
+  
+  /**
+   * Place this layer's times on another time domain's timeline
+   * A comparison dataset keeps the normalized times of its own domain;
+   * the shader maps them onto the timeline shown by the TimeSystem.
+   * @param {TimeDomain} own - Domain the loaded times are normalized to
+   * @param {TimeDomain} timeline - Domain of the TimeSystem
+   */
+  setTimeDomains(own, timeline) {
+    this.material.uniforms.uTimeScale.value = own.getSpan() / timeline.getSpan();
+    this.material.uniforms.uTimeOffset.value = (own.start - timeline.start) / timeline.getSpan();
+  }
+  
+  /**
+   * Hide instances on one side of a plane (split view)
+   * @param {number[]|null} plane - [nx, ny, nz, d] in data coordinates; instances
+   *   with nx*x + ny*y + nz*z + d < 0 are hidden. null shows everything.
+   */
+  setClipPlane(plane) {
+    this.material.uniforms.uClipPlane.value.fromArray(plane || [0, 0, 0, 1]);
+  }
+  
+  /**
+   * Draw instances as rings rather than discs (comparison layer)
+   * @param {boolean} ring
+   */
+  setRingStyle(ring) {
+    this.material.uniforms.uRing.value = ring ? 1.0 : 0.0;
+  }
+  
+  /**
+   * Show only instances that pass a filter expression
+   * Runs over the loaded instances once, here - never per frame. Data
+   * appended later is filtered as it arrives.
+   * @param {CompiledFilter|null} filter - From FilterExpression.compile(); null shows everything
+   * @example renderer.setFilter(FilterExpression.parse('calves > 0').compile(context))
+   */
+  setFilter(filter) {
+    this.filter = filter;
+    
+    for (const source of this.filterSources) {
+      this._writeMask(source);
+    }
+    
+    this.maskAttribute.needsUpdate = true;
+    console.log(`Filter: ${filter ? filter.expression.toString() : 'none'} (${this.getFilteredCount()} instances hidden)`);
+  }
+  
+  /**
+   * Count instances hidden by the filter
+   * @returns {number}
+   */
+  getFilteredCount() {
+    let hidden = 0;
+    for (let i = 0; i < this.instanceCount; i++) {
+      if (this.masks[i] < 0.5) hidden++;
+    }
+    return hidden;
+  }
+  
   /**
    * Update quality level (from performance monitor)
    * @param {number} quality - [0.3 - 1.0]
@@ -469,6 +774,7 @@ export class WhaleInstanceRenderer {
       instances: this.instanceCount,
       maxInstances: this.maxInstances,
       quality: this.qualityLevel,
+      filter: this.filter ? this.filter.expression.toString() : null,
       showUncertainty: this.showUncertainty // UNCERTAINTY: Include in stats
     };
   }
@@ -479,6 +785,7 @@ export class WhaleInstanceRenderer {
   dispose() {
     this.geometry.dispose();
     this.material.dispose();
+    this.speciesTexture.dispose();
   }
 }
 
@@ -3,63 +3,105 @@
  * 
  * Renders individual whale presence points with species-based coloring
  * and time-based opacity. Implements soft circular points with glow.
+ * 
+ * Reference copy of the inline shader in WhaleInstanceRenderer.js, which
+ * is what runs; keep the two in sync.
  */
 
-// Species color palette (matches Constants.js)
-uniform vec3 uSpeciesColors[8];
-uniform float uOpacity;        // Base opacity
+uniform sampler2D uSpeciesColors; // One texel per species (SpeciesRegistry)
+uniform float uSpeciesCount;
+uniform float uOpacity;
+uniform float uShowUncertainty; // UNCERTAINTY: Toggle for uncertainty visualization
+uniform float uRing; // Comparison layer: draw rings instead of discs
+uniform float uColorByYear; // Seasonal: color by year rather than species
+uniform vec3 uYearColors[3]; // First, middle and last year
+
+varying float vTimeFade;
+varying float vSpecies;
+varying float vDensity;
+varying float vDistanceFade;
+varying float vConfidence; // UNCERTAINTY: Confidence level [0-1]
+varying float vUnsurveyed;
+varying float vYear;
 
-// From vertex shader
-varying float vTimeFade;       // Temporal visibility
-varying float vSpecies;        // Species ID
-varying float vDensity;        // Density weight
-varying float vDistanceFade;   // Distance fade
+// UNCERTAINTY: Simple pseudo-random for radial noise
+float hash(vec2 p) {
+  return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
 
 void main() {
-  // Early discard for invisible points
   float visibility = vTimeFade * vDistanceFade;
-  if (visibility < 0.01) {
-    discard;
-  }
+  if (visibility < 0.01) discard;
   
-  // Create soft circular point
-  // gl_PointCoord is [0,1] across the point
   vec2 centered = gl_PointCoord - 0.5;
   float dist = length(centered) * 2.0;
   
-  // Soft edge falloff
-  float alpha = 1.0 - smoothstep(0.6, 1.0, dist);
+  // UNCERTAINTY: Confidence affects edge sharpness
+  // High confidence = sharp crisp edge
+  // Low confidence = soft fuzzy edge (uncertainty looks uncertain)
+  float edgeStart = 0.6;
+  float edgeEnd = 1.0;
+  
+  if (uShowUncertainty > 0.5) {
+    // Low confidence: earlier fade start = softer, more diffuse appearance
+    edgeStart = mix(0.3, 0.7, vConfidence);
+    edgeEnd = mix(0.8, 1.0, vConfidence);
+  }
+  
+  float alpha = 1.0 - smoothstep(edgeStart, edgeEnd, dist);
   
-  // Discard pixels outside circle
-  if (alpha < 0.01) {
-    discard;
+  // UNCERTAINTY: Add radial noise for low confidence points (fuzzy uncertainty)
+  if (uShowUncertainty > 0.5 && vConfidence < 0.7) {
+    float noise = hash(gl_PointCoord * 10.0 + vSpecies) * 0.4;
+    float uncertaintyNoise = (0.7 - vConfidence) * noise;
+    alpha *= (1.0 - uncertaintyNoise);
   }
   
-  // Look up species color
-  int speciesIndex = int(clamp(vSpecies, 0.0, 7.0));
-  vec3 baseColor = uSpeciesColors[speciesIndex];
+  if (alpha < 0.01) discard;
+  
+  float speciesIndex = clamp(floor(vSpecies + 0.5), 0.0, uSpeciesCount - 1.0);
+  vec3 baseColor = texture2D(uSpeciesColors, vec2((speciesIndex + 0.5) / uSpeciesCount, 0.5)).rgb;
+  
+  // Seasonal fold: tell the years apart, early to late
+  if (uColorByYear > 0.5) {
+    baseColor = vYear < 0.5
+      ? mix(uYearColors[0], uYearColors[1], vYear * 2.0)
+      : mix(uYearColors[1], uYearColors[2], vYear * 2.0 - 1.0);
+  }
   
-  // Modulate brightness by density
-  // Higher density = brighter core
   float brightness = 0.7 + vDensity * 0.3;
   vec3 color = baseColor * brightness;
   
-  // Add subtle glow at center
+  // UNCERTAINTY: Subtle color desaturation for low confidence
+  // Uncertain data should look less vibrant, more muted
+  if (uShowUncertainty > 0.5 && vConfidence < 0.5) {
+    float desatAmount = (0.5 - vConfidence) * 0.4;
+    float luminance = dot(color, vec3(0.299, 0.587, 0.114));
+    // Shift toward cooler, desaturated tone
+    color = mix(color, vec3(luminance * 0.9, luminance * 0.95, luminance * 1.05), desatAmount);
+  }
+  
+  // Center glow - stronger for high confidence (crisp and clear)
+  float glowStrength = 0.2;
+  if (uShowUncertainty > 0.5) {
+    glowStrength = 0.1 + vConfidence * 0.2; // High conf = brighter core
+  }
   float glow = 1.0 - smoothstep(0.0, 0.4, dist);
-  color += glow * 0.2;
+  color += glow * glowStrength;
   
-  // Time-based color shift
-  // More recent = slightly warmer, older = slightly cooler
-  // Subtle effect to indicate temporal position
-  float timeWarmth = vTimeFade * 0.1;
-  color.r += timeWarmth * 0.05;
-  color.b -= timeWarmth * 0.05;
+  // Comparison layer: species-colored rings, told apart from the loaded dataset's discs
+  if (uRing > 0.5) {
+    alpha *= smoothstep(0.5, 0.65, dist);
+    if (alpha < 0.01) discard;
+  }
   
-  // Final alpha combines all factors
-  float finalAlpha = alpha * visibility * uOpacity;
+  // Unsurveyed: hollow grey ring, distinct from both presence and absence
+  if (vUnsurveyed > 0.5) {
+    color = vec3(0.45, 0.47, 0.5);
+    alpha *= smoothstep(0.45, 0.6, dist) * 0.6;
+    if (alpha < 0.01) discard;
+  }
   
-  // Premultiplied alpha for correct blending
+  float finalAlpha = alpha * visibility * uOpacity;
   gl_FragColor = vec4(color * finalAlpha, finalAlpha);
 }
-
-
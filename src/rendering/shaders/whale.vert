@@ -5,84 +5,106 @@
  * Each instance encodes position, time, species, and density.
  * 
  * TIME FILTERING HAPPENS HERE - no CPU iteration per frame.
+ * 
+ * Reference copy of the inline shader in WhaleInstanceRenderer.js, which
+ * is what runs; keep the two in sync.
  */
 
 // Global uniforms
-uniform float uTime;           // Current normalized time [0, 1]
-uniform float uTimeWindow;     // Visible time radius
-uniform vec3 uOriginOffset;    // Floating origin offset
-uniform float uBaseSize;       // Base point size in world units
-uniform float uQuality;        // Quality multiplier [0.3 - 1.0]
+uniform float uTime;
+uniform float uTimeWindow;
+uniform vec3 uOriginOffset;
+uniform float uBaseSize;
+uniform float uQuality;
+uniform float uShowUncertainty; // UNCERTAINTY: Toggle for uncertainty visualization
+uniform float uShowEffort; // Effort-corrected density (sightings per unit effort)
+uniform float uTimeScale; // Maps this layer's normalized times onto the timeline's
+uniform float uTimeOffset;
+uniform vec4 uClipPlane; // Instances with dot(position, plane) < 0 are hidden (split view)
+uniform float uSeasonal; // 1 = uTime is a phase of the year, every year shown at once
+uniform float uYearsPerSpan; // Timeline span in years
+uniform float uStartPhase; // Phase of the year the timeline starts at
+uniform float uLastYear; // Years from the timeline's first to its last
 
 // Per-instance attributes
-attribute vec3 instancePosition;   // World position (x, y, z)
-attribute float instanceTime;      // Normalized time [0, 1]
-attribute float instanceSpecies;   // Species ID (0-7)
-attribute float instanceDensity;   // Observation count weight (0-1 normalized)
+attribute vec3 instancePosition;
+attribute float instanceTime;
+attribute float instanceSpecies;
+attribute float instanceDensity;
+attribute float instanceConfidence; // UNCERTAINTY: Confidence level [0-1]
+attribute float instanceEffort; // SPUE [0-1], negative = unsurveyed
+attribute float instanceMask; // 0 = hidden by the filter expression
 
-// Varyings to fragment shader
-varying float vTimeFade;       // Visibility based on temporal distance
-varying float vSpecies;        // Species for color lookup
-varying float vDensity;        // Density for brightness
-varying float vDistanceFade;   // Distance-based fade
+// Varyings
+varying float vTimeFade;
+varying float vSpecies;
+varying float vDensity;
+varying float vDistanceFade;
+varying float vConfidence; // UNCERTAINTY: Pass to fragment shader
+varying float vUnsurveyed;
+varying float vYear; // Seasonal: [0, 1] from the first year to the last
 
 void main() {
-  // Calculate temporal distance from current time
-  float timeDist = abs(instanceTime - uTime);
+  float t = instanceTime * uTimeScale + uTimeOffset;
+  float timeDist = abs(t - uTime);
+  vYear = 0.0;
+  
+  if (uSeasonal > 0.5) {
+    // Wrap-aware distance to the current phase: 31 Dec and 1 Jan are a day apart
+    float years = uStartPhase + t * uYearsPerSpan;
+    timeDist = abs(fract(years) - uTime);
+    timeDist = min(timeDist, 1.0 - timeDist);
+    vYear = clamp(floor(years) / uLastYear, 0.0, 1.0);
+  }
   
-  // Smooth fade based on temporal distance
-  // Points outside time window fade to invisible
   vTimeFade = 1.0 - smoothstep(0.0, uTimeWindow, timeDist);
   
-  // Early culling - if completely invisible, move off-screen
-  // This is faster than discard in fragment shader for many instances
-  if (vTimeFade < 0.001) {
-    gl_Position = vec4(2.0, 2.0, 2.0, 1.0); // Off-screen
+  if (vTimeFade < 0.001 || instanceMask < 0.5 || dot(vec4(instancePosition, 1.0), uClipPlane) < 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
     gl_PointSize = 0.0;
     return;
   }
   
-  // Apply floating origin offset
   vec3 worldPos = instancePosition - uOriginOffset;
-  
-  // Transform to view space
   vec4 mvPosition = modelViewMatrix * vec4(worldPos, 1.0);
-  
-  // Calculate distance to camera for LOD
   float distToCamera = -mvPosition.z;
   
-  // Distance-based fade (close = full, far = fade out)
   vDistanceFade = 1.0 - smoothstep(1.0, 10.0, distToCamera);
   
-  // Combined visibility
   float combinedFade = vTimeFade * vDistanceFade * uQuality;
-  
-  // Early cull if too faint
   if (combinedFade < 0.01) {
     gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
     gl_PointSize = 0.0;
     return;
   }
   
-  // Pass species and density to fragment shader
   vSpecies = instanceSpecies;
-  vDensity = instanceDensity;
+  vConfidence = instanceConfidence;
+  
+  // Effort mode: density becomes sightings per unit effort; sightings
+  // where nobody was surveying are kept but marked, never scaled up
+  float density = instanceDensity;
+  vUnsurveyed = 0.0;
+  if (uShowEffort > 0.5) {
+    vUnsurveyed = instanceEffort < 0.0 ? 1.0 : 0.0;
+    density = max(instanceEffort, 0.0);
+  }
+  vDensity = density;
   
-  // Calculate point size
-  // - Base size modified by density (higher count = larger)
-  // - Scaled by temporal visibility
-  // - Perspective scaling (closer = larger)
-  float densityScale = 0.5 + instanceDensity * 0.5;
-  float perspectiveScale = 300.0 / distToCamera; // Adjust for world scale
-  float timeScale = 0.3 + vTimeFade * 0.7; // Minimum 30% size when fading
+  float densityScale = 0.5 + density * 0.5;
+  float perspectiveScale = 300.0 / max(distToCamera, 0.1);
+  float timeScale = 0.3 + vTimeFade * 0.7;
   
-  gl_PointSize = uBaseSize * densityScale * perspectiveScale * timeScale * uQuality;
+  // UNCERTAINTY: Low confidence = larger radius (more uncertain position)
+  // High confidence = tighter point (more precise)
+  float confidenceScale = 1.0;
+  if (uShowUncertainty > 0.5) {
+    // Inverse relationship: low confidence = bigger (fuzzier)
+    confidenceScale = 1.0 + (1.0 - instanceConfidence) * 0.8;
+  }
   
-  // Clamp point size to reasonable range
+  gl_PointSize = uBaseSize * densityScale * perspectiveScale * timeScale * uQuality * confidenceScale;
   gl_PointSize = clamp(gl_PointSize, 1.0, 64.0);
   
-  // Final position
   gl_Position = projectionMatrix * mvPosition;
 }
-
-
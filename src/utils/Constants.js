@@ -42,7 +42,8 @@ export const WORLD_SCALE = 0.00001; // 1 unit = 100km
 // =============================================================================
 
 /**
- * Time range represented by normalized [0, 1]
+ * Default time range, used when a dataset declares no time range
+ * and its records carry no absolute times (see TimeDomain)
  */
 export const TIME_RANGE = {
   startYear: 1994,
@@ -55,11 +56,34 @@ export const TIME_RANGE = {
  */
 export const TIME_DEFAULTS = {
   initialTime: 0.5,       // Start in middle of dataset
-  timeWindow: 0.033,      // ~1 year visible at once
+  timeWindow: 0.033,      // ~1/30 of the dataset span visible at once
   smoothingFactor: 0.12,  // Interpolation speed
   scrubSensitivity: 0.4   // Time units per meter of hand movement
 };
 
+/**
+ * Seasonal fold: normalized time becomes the phase of the year, and every
+ * year is shown at that phase together (see TimeSystem)
+ *   timeline       - Linear through the dataset's span
+ *   seasonal       - Day of year, all years at once
+ *   seasonal-years - As seasonal, with points colored by year
+ */
+export const SEASONAL = {
+  modes: {
+    timeline: 'Timeline',
+    seasonal: 'Seasonal: day of year, all years',
+    'seasonal-years': 'Seasonal, colored by year'
+  },
+  defaultMode: 'timeline',
+  timeWindow: 0.042,      // ~15 days either side (fraction of a year)
+  minYears: 2,            // Shorter spans have too little to fold
+  yearColors: [           // First, middle and last year when colored by year
+    [0.27, 0.46, 0.95],
+    [0.45, 0.85, 0.55],
+    [1.0, 0.42, 0.3]
+  ]
+};
+
 // =============================================================================
 // SPECIES DATA
 // =============================================================================
@@ -67,18 +91,25 @@ export const TIME_DEFAULTS = {
 /**
  * Whale species identifiers and display properties
  * Colors chosen for maximum distinguishability
+ * Default registry only - datasets can define their own via meta.speciesMap
+ * (see SpeciesRegistry)
  */
 export const SPECIES = {
-  0: { name: 'Blue Whale',      color: [0.2, 0.4, 0.9] },
-  1: { name: 'Humpback Whale',  color: [0.3, 0.8, 0.5] },
-  2: { name: 'Gray Whale',      color: [0.6, 0.6, 0.7] },
-  3: { name: 'Fin Whale',       color: [0.9, 0.5, 0.2] },
-  4: { name: 'Sperm Whale',     color: [0.8, 0.3, 0.6] },
-  5: { name: 'Orca',            color: [0.1, 0.1, 0.1] },
-  6: { name: 'Minke Whale',     color: [0.7, 0.8, 0.4] },
-  7: { name: 'Right Whale',     color: [0.9, 0.2, 0.3] }
+  0: { name: 'Blue Whale',      color: [0.2, 0.4, 0.9], group: 'Baleen' },
+  1: { name: 'Humpback Whale',  color: [0.3, 0.8, 0.5], group: 'Baleen' },
+  2: { name: 'Gray Whale',      color: [0.6, 0.6, 0.7], group: 'Baleen' },
+  3: { name: 'Fin Whale',       color: [0.9, 0.5, 0.2], group: 'Baleen' },
+  4: { name: 'Sperm Whale',     color: [0.8, 0.3, 0.6], group: 'Toothed' },
+  5: { name: 'Orca',            color: [0.1, 0.1, 0.1], group: 'Toothed' },
+  6: { name: 'Minke Whale',     color: [0.7, 0.8, 0.4], group: 'Baleen' },
+  7: { name: 'Right Whale',     color: [0.9, 0.2, 0.3], group: 'Baleen' }
 };
 
+/**
+ * Number of species in the default registry
+ */
+export const DEFAULT_SPECIES_COUNT = Object.keys(SPECIES).length;
+
 /**
  * Species colors as flat array for shader uniform
  */
@@ -119,6 +150,15 @@ export const WHALE_VISUAL = {
   baseOpacity: 0.85
 };
 
+/**
+ * UNCERTAINTY: Per-record error → instance confidence
+ * Each scale is the error at which a record's confidence halves.
+ */
+export const UNCERTAINTY = {
+  positionErrorScale: 2000,                     // Meters (positionErrorMeters)
+  timePrecisionScale: TIME_DEFAULTS.timeWindow  // Fraction of the time span (timePrecision)
+};
+
 // =============================================================================
 // OCEAN VOLUME CONSTANTS
 // =============================================================================
@@ -157,9 +197,136 @@ export const GESTURE = {
     holdDuration: 1.5,        // Seconds both palms must be still
     movementThreshold: 0.02,  // Max movement during hold
     palmSpacing: 0.3          // Expected distance between palms
+  },
+  
+  // Filter gesture (left pinch cycles filter presets)
+  filter: {
+    pinchThreshold: 0.025,    // Thumb-index distance for pinch
+    labelDuration: 2.0        // Seconds the preset label stays visible
   }
 };
 
+// =============================================================================
+// FILTER CONSTANTS
+// =============================================================================
+
+/**
+ * Filter presets offered in XR (see FilterExpression)
+ * Datasets add their own via the manifest's `filters`; presets that
+ * don't compile against a dataset are skipped.
+ */
+export const FILTER_PRESETS = [
+  { label: 'All sightings', expression: '' },
+  { label: 'Shallow (< 200 m)', expression: 'depth < 200' },
+  { label: 'Groups of 3+', expression: 'count >= 3' },
+  { label: 'Since 2010', expression: 'year >= 2010' }
+];
+
+// =============================================================================
+// DATA VALIDATION CONSTANTS
+// =============================================================================
+
+/**
+ * Record field ranges (see docs/DATA_FORMAT.md, Field Specifications)
+ */
+export const FIELD_LIMITS = {
+  lat: [-90, 90],       // Degrees
+  lon: [-180, 180],     // Degrees
+  depth: [0, 11000],    // Meters below surface
+  count: [1, 1000]      // Individuals per record
+};
+
+export const VALIDATION = {
+  defaultPolicy: 'clamp',  // 'drop' | 'clamp' | 'fail'
+  maxSamples: 5            // Offending rows kept per error type
+};
+
+/**
+ * Duplicate merging defaults (see Deduplicator and docs/DATA_FORMAT.md, Deduplication)
+ */
+export const DEDUP = {
+  distanceMeters: 500,  // Records closer than this can be the same sighting
+  timeSeconds: 3600,    // ...if also reported within this long of each other
+  species: 'same',      // 'same' | 'group' | 'any'
+  count: 'max',         // 'max' | 'sum' - count kept for a merged group
+  maxSamples: 5         // Merged groups kept as report samples
+};
+
+/**
+ * Privacy transform rule defaults (see PrivacyTransform and docs/DATA_FORMAT.md, Data Privacy)
+ */
+export const PRIVACY = {
+  gridMeters: 0,     // Snap positions to cells this wide (0 = full precision)
+  jitterMeters: 0,   // Random offset radius applied after snapping
+  jitterSeconds: 0,  // Random time offset, up to this much either way
+  minCount: 0,       // Suppress grid cells with fewer records of the species (k-anonymity)
+  stripFields: []    // Record fields removed (e.g. observer names)
+};
+
+/**
+ * Synthetic data defaults (see SyntheticDataGenerator)
+ */
+export const SYNTHETIC = {
+  scenario: 'pacific-migrations',  // Key of SCENARIOS
+  seed: 1994                       // Same seed, same records (?seed= overrides)
+};
+
+/**
+ * Survey effort normalization (see docs/DATA_FORMAT.md, Survey Effort)
+ */
+export const EFFORT = {
+  minHours: 1.0,          // Cells with less effort than this are flagged unsurveyed
+  defaultSpeedKmh: 18.5,  // Assumed survey speed for tracks without hours (10 knots)
+  maxSpue: 10,            // Sightings per hour shown at full brightness (log scale)
+  trackStep: 0.25         // Track rasterization step, as a fraction of the cell size
+};
+
+/**
+ * Export of the records on show (see DataExporter)
+ */
+export const EXPORT = {
+  defaultFormat: 'csv',  // Key of EXPORT_FORMATS
+  maxQueued: 10          // Files kept in the landing page download queue (oldest dropped)
+};
+
+/**
+ * Second dataset loaded as a comparison layer
+ *   overlay    - Both drawn together; the comparison as rings
+ *   split      - Loaded dataset west of the viewer, comparison east
+ *   difference - One point per spatial grid cell, colored by the
+ *                difference in each dataset's share of its records
+ */
+export const COMPARE = {
+  modes: {
+    overlay: 'Overlay',
+    split: 'Split view',
+    difference: 'Difference'
+  },
+  defaultMode: 'overlay',
+  maxInstances: RENDER_BUDGET.maxVisibleInstances / 2,  // Comparison's share of the instance budget
+  differenceCellSize: 0.5,                              // World units (~50km), as the inspect grid
+  differenceBaseSize: 0.03,                             // Point size of a cell at the largest difference
+  loadedColor: [0.29, 0.62, 1.0],                       // Difference: more of the loaded dataset's records
+  comparisonColor: [1.0, 0.55, 0.2]                     // Difference: more of the comparison's records
+};
+
+/**
+ * Dataset provenance panel in XR (see InfoPanel)
+ */
+export const INFO_PANEL = {
+  duration: 10.0,   // Seconds the full panel stays open at session start
+  fadeTime: 1.0     // Seconds it takes to fade down to the attribution line
+};
+
+/**
+ * Processed dataset cache (IndexedDB)
+ */
+export const CACHE = {
+  dbName: 'leviathan-datasets',
+  formatVersion: 3,  // Bump when pipeline output changes to ignore old entries
+  maxEntries: 16     // Least recently used entries are evicted beyond this (chunks count individually)
+};
+
 // =============================================================================
 // PERFORMANCE CONSTANTS
 // =============================================================================
@@ -0,0 +1,65 @@
+/**
+ * Leviathan WebXR - Seeded Random
+ * 
+ * Small deterministic random number generator (mulberry32), for output
+ * that must come out the same on every run: privacy jitter, and anything
+ * else that should not change between page loads or cache rebuilds.
+ * Not suitable for cryptography.
+ */
+
+export class SeededRandom {
+  /**
+   * Create generator
+   * @param {number|string} seed - Numbers are used as they are, strings are hashed
+   */
+  constructor(seed = 0) {
+    this.state = typeof seed === 'string' ? SeededRandom.hash(seed) : (seed >>> 0);
+  }
+  
+  /**
+   * Next value
+   * @returns {number} Uniform in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Uniform value in a range
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} In [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  /**
+   * Normally distributed value (Box-Muller)
+   * @param {number} mean
+   * @param {number} stdDev
+   * @returns {number}
+   */
+  gaussian(mean = 0, stdDev = 1) {
+    const u1 = 1 - this.next();
+    const u2 = this.next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+  
+  /**
+   * Hash a string to a 32-bit seed (FNV-1a)
+   * @param {string} text
+   * @returns {number}
+   */
+  static hash(text) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+  }
+}
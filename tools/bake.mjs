@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Leviathan WebXR - Dataset Baker
+ * 
+ * Runs the load-time data pipeline ahead of time, on a workstation, and
+ * writes the result as a baked package (see src/data/BakedPackage.js):
+ * the validated records as LWXR, plus the time index, LOD levels and
+ * spatial grid the headset would otherwise build on every load.
+ * 
+ * Usage:
+ *   node tools/bake.mjs <input> [options]
+ *   node tools/bake.mjs --dataset <id> [--manifest data/whales/manifest.json] [options]
+ * 
+ * Input is JSON, GeoJSON, CSV or TSV (format from the extension unless
+ * --format is given), or a manifest entry of one of those formats or
+ * 'synthetic'; the entry's meta, parser, dedup, privacy and effort settings
+ * are used unless overridden here. CSV/TSV with Darwin Core headers go
+ * through DarwinCoreImporter, as in the app.
+ * 
+ * Options:
+ *   --out <dir>             Output directory (default: next to the input)
+ *   --id <id>               Package name and manifest id (default: input name, or <dataset>-baked)
+ *   --title <text>          Manifest title
+ *   --format <format>       json | geojson | csv | tsv
+ *   --meta <file>           JSON meta merged over the input's (timeRange, speciesMap, attributes, ...)
+ *   --parser <file>         JSON DelimitedTextParser options for CSV/TSV
+ *   --effort <file>         Survey effort file (JSON/GeoJSON, see EffortGrid)
+ *   --validation <policy>   drop | clamp | fail (default: clamp)
+ *   --dedup <file|on|off>   Merge duplicate sightings: tolerances from a JSON file, or the defaults
+ *   --privacy <file>        JSON privacy rules (see PrivacyTransform); the seed is not written out
+ *   --origin <lat,lon>      Projection origin (default: the app's)
+ *   --scale <number>        World units per meter (default: the app's)
+ *   --max-instances <n>     Instance budget for LOD selection (default: the app's)
+ *   --grid-cell <size>      Spatial grid cell size in world units (default: 0.5)
+ *   --add-to-manifest       Add (or replace) the entry in the manifest
+ * 
+ * The app only uses a package baked with its own projection, instance
+ * budget and grid cell size; anything else falls back to processing the
+ * package's LWXR records on load.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { DataLoader } from '../src/data/DataLoader.js';
+import { DataPipeline } from '../src/data/DataPipeline.js';
+import { BinaryFormat } from '../src/data/BinaryFormat.js';
+import { BakedPackage, BAKE_FORMAT, BAKE_VERSION } from '../src/data/BakedPackage.js';
+import { DelimitedTextParser } from '../src/data/DelimitedTextParser.js';
+import { DarwinCoreImporter } from '../src/data/DarwinCoreImporter.js';
+import { AttributeColumns } from '../src/data/AttributeColumns.js';
+import { SyntheticDataGenerator, SCENARIOS } from '../src/data/SyntheticDataGenerator.js';
+import { Projection } from '../src/geo/Projection.js';
+import { TimeDomain } from '../src/core/TimeDomain.js';
+import { PROJECTION_ORIGIN, WORLD_SCALE, RENDER_BUDGET, VALIDATION, SYNTHETIC } from '../src/utils/Constants.js';
+
+const DEFAULT_MANIFEST = 'data/whales/manifest.json';
+const DEFAULT_GRID_CELL = 0.5;  // Same as the app (~50km cells)
+
+const INPUT_FORMATS = ['json', 'geojson', 'csv', 'tsv'];
+
+/**
+ * Read and parse a JSON file
+ */
+async function readJSON(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a number option, rejecting anything that isn't one
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${name} must be a number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Work out what to bake: a file, or a manifest entry
+ * @returns {Promise<Object>} {entry, file, baseDir}
+ */
+async function resolveSource(values, positionals) {
+  if (values.dataset) {
+    const manifestPath = values.manifest || DEFAULT_MANIFEST;
+    const manifest = await readJSON(manifestPath);
+    const entry = (manifest.datasets || []).find(dataset => dataset.id === values.dataset);
+    if (!entry) {
+      throw new Error(`No dataset "${values.dataset}" in ${manifestPath}`);
+    }
+    
+    const baseDir = path.dirname(manifestPath);
+    return {
+      entry,
+      file: entry.url ? path.resolve(baseDir, entry.url) : null,
+      baseDir
+    };
+  }
+  
+  if (positionals.length !== 1) {
+    throw new Error('Give one input file, or --dataset <id>');
+  }
+  
+  const file = path.resolve(positionals[0]);
+  return { entry: { id: path.basename(file).replace(/\.[^.]+$/, ''), url: file }, file, baseDir: null };
+}
+
+/**
+ * Turn the source into pipeline input, as the app's _pipelineInput does
+ * @returns {Promise<Object>} {input, bytes}
+ */
+async function readInput(entry, file, format, meta, parserOptions) {
+  if (format === 'synthetic') {
+    const scenario = entry.scenario || SYNTHETIC.scenario;
+    const records = entry.records || SCENARIOS[scenario]?.records;
+    const rawData = SyntheticDataGenerator.generate(records, {
+      scenario,
+      seed: entry.seed ?? SYNTHETIC.seed,
+      trends: entry.trends || undefined
+    });
+    return { input: { rawData }, bytes: null };
+  }
+  
+  const bytes = new Uint8Array(await readFile(file));
+  
+  if (format === 'csv' || format === 'tsv') {
+    const text = new TextDecoder().decode(bytes);
+    
+    // Darwin Core occurrence tables get the importer's field mapping and taxonomy
+    if (!parserOptions && DarwinCoreImporter.isOccurrenceTable(text)) {
+      const importer = new DarwinCoreImporter(null, { attributes: AttributeColumns.names(meta) });
+      return { input: { rawData: DataLoader.validate(importer.importText(text)) }, bytes };
+    }
+    
+    const rawData = DataLoader.validate(DelimitedTextParser.parse(text, {
+      ...(format === 'tsv' ? { delimiter: '\t' } : {}),
+      ...parserOptions,
+      // Declared attributes are read from the columns of the same name
+      passthrough: [...(parserOptions?.passthrough || []), ...AttributeColumns.names(meta)]
+    }));
+    return { input: { rawData }, bytes };
+  }
+  
+  // The pipeline parses JSON itself (and tells GeoJSON apart by content)
+  return { input: { bytes, format }, bytes };
+}
+
+/**
+ * Guess an input format from a file name
+ */
+function formatFromFile(file) {
+  const match = /\.(json|geojson|csv|tsv|txt|lwxr)$/i.exec(file || '');
+  if (!match) return 'json';
+  
+  const extension = match[1].toLowerCase();
+  return extension === 'txt' ? 'tsv' : extension;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dataset: { type: 'string' },
+      manifest: { type: 'string' },
+      out: { type: 'string' },
+      id: { type: 'string' },
+      title: { type: 'string' },
+      format: { type: 'string' },
+      meta: { type: 'string' },
+      parser: { type: 'string' },
+      effort: { type: 'string' },
+      validation: { type: 'string' },
+      dedup: { type: 'string' },
+      privacy: { type: 'string' },
+      origin: { type: 'string' },
+      scale: { type: 'string' },
+      'max-instances': { type: 'string' },
+      'grid-cell': { type: 'string' },
+      'add-to-manifest': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  
+  if (values.help) {
+    console.log('Usage: node tools/bake.mjs <input> | --dataset <id> [options] (see the header of tools/bake.mjs)');
+    return;
+  }
+  
+  const { entry, file, baseDir } = await resolveSource(values, positionals);
+  
+  const format = values.format || entry.format || formatFromFile(file);
+  if (format === 'lwxr' || format === 'baked') {
+    throw new Error(`${entry.id} is already processed (${format}); bake from its JSON or CSV source`);
+  }
+  if (format !== 'synthetic' && !INPUT_FORMATS.includes(format)) {
+    throw new Error(`Can't bake ${format} input (use ${INPUT_FORMATS.join(', ')} or a synthetic dataset)`);
+  }
+  
+  // Entry settings first, then whatever the command line overrides
+  const meta = { ...(entry.meta || {}) };
+  if (entry.timeRange) meta.timeRange = entry.timeRange;
+  if (entry.speciesMap) meta.speciesMap = entry.speciesMap;
+  if (entry.attributes) meta.attributes = entry.attributes;
+  for (const field of ['source', 'license', 'citation', 'doi']) {
+    if (entry[field]) meta[field] = entry[field];
+  }
+  if (values.meta) Object.assign(meta, await readJSON(values.meta));
+  
+  const parserOptions = values.parser ? await readJSON(values.parser) : entry.parser;
+  let dedup = entry.dedup ? (typeof entry.dedup === 'object' ? entry.dedup : {}) : null;
+  if (values.dedup === 'off') {
+    dedup = null;
+  } else if (values.dedup) {
+    dedup = values.dedup === 'on' ? {} : await readJSON(values.dedup);
+  }
+  const privacy = values.privacy ? await readJSON(values.privacy) : entry.privacy || null;
+  
+  const effortFile = values.effort || (entry.effort && baseDir ? path.resolve(baseDir, entry.effort) : null);
+  const effort = effortFile ? new Uint8Array(await readFile(effortFile)) : null;
+  
+  const [originLat, originLon] = values.origin
+    ? values.origin.split(',').map(value => parseNumber(value, 'origin'))
+    : [PROJECTION_ORIGIN.lat, PROJECTION_ORIGIN.lon];
+  const projection = new Projection(
+    originLat,
+    originLon,
+    values.scale ? parseNumber(values.scale, 'scale') : WORLD_SCALE
+  );
+  
+  const options = {
+    maxInstances: values['max-instances'] ? parseNumber(values['max-instances'], 'max-instances') : RENDER_BUDGET.maxVisibleInstances,
+    gridCellSize: values['grid-cell'] ? parseNumber(values['grid-cell'], 'grid-cell') : DEFAULT_GRID_CELL,
+    validationPolicy: values.validation || VALIDATION.defaultPolicy
+  };
+  
+  const id = values.id || (values.dataset ? `${entry.id}-baked` : entry.id);
+  const title = values.title || (values.dataset ? `${entry.title || entry.id} (baked)` : id);
+  meta.title = title;
+  
+  const outDir = path.resolve(values.out || (file ? path.dirname(file) : baseDir || '.'));
+  await mkdir(outDir, { recursive: true });
+  
+  console.log(`Baking ${values.dataset ? `dataset ${entry.id}` : file} (${format})`);
+  const startTime = performance.now();
+  
+  const { input, bytes } = await readInput(entry, file, format, meta, parserOptions);
+  
+  let lastStage = null;
+  const result = await DataPipeline.run(input, {
+    ...options,
+    projection,
+    meta,
+    dedup,
+    privacy,
+    effort,
+    keepRawData: true
+  }, (stage) => {
+    if (stage !== lastStage) {
+      console.log(`  ${stage}...`);
+      lastStage = stage;
+    }
+  });
+  
+  // Records as LWXR, for other projections and for re-baking
+  const lwxr = new Uint8Array(BinaryFormat.encode(result.rawData));
+  
+  const { payload } = DataPipeline.serialize(result);
+  const { layout, bytes: data } = BakedPackage.pack(payload);
+  
+  const files = {
+    lwxr: `${id}.lwxr`,
+    data: `${id}.bake.bin`
+  };
+  
+  const timeDomain = TimeDomain.fromMeta(result.processedData.meta);
+  const description = {
+    format: BAKE_FORMAT,
+    version: BAKE_VERSION,
+    created: new Date().toISOString(),
+    source: {
+      name: file ? path.basename(file) : `synthetic:${entry.scenario || SYNTHETIC.scenario}`,
+      format,
+      bytes: bytes ? bytes.length : 0,
+      sha256: bytes ? createHash('sha256').update(bytes).digest('hex') : null
+    },
+    projection: BakedPackage.describeProjection(projection),
+    options: {
+      ...options,
+      dedup: dedup ? { ...dedup } : null,
+      // The rules are disclosed in meta.privacy; the seed must stay private
+      privacy: !!privacy,
+      effort: effortFile ? path.basename(effortFile) : null
+    },
+    records: result.processedData.count,
+    files,
+    payload: layout
+  };
+  
+  await writeFile(path.join(outDir, files.lwxr), lwxr);
+  await writeFile(path.join(outDir, files.data), data);
+  await writeFile(path.join(outDir, `${id}.bake.json`), JSON.stringify(description));
+  
+  // Entry to paste into (or add to) the manifest, with its url relative to it
+  const manifestPath = path.resolve(values.manifest || DEFAULT_MANIFEST);
+  const manifestEntry = {
+    id,
+    title,
+    description: entry.description || `Baked from ${description.source.name}`,
+    format: 'baked',
+    url: path.relative(path.dirname(manifestPath), path.join(outDir, `${id}.bake.json`)).split(path.sep).join('/'),
+    records: result.processedData.count,
+    ...(timeDomain ? { timeRange: timeDomain.toRange() } : {}),
+    ...Object.fromEntries(['source', 'license', 'citation', 'doi']
+      .filter(field => entry[field])
+      .map(field => [field, entry[field]]))
+  };
+  
+  const time = (performance.now() - startTime) / 1000;
+  console.log(`Baked ${result.processedData.count} records in ${time.toFixed(1)}s: ` +
+    `${files.lwxr} (${(lwxr.length / 1048576).toFixed(1)} MB), ` +
+    `${files.data} (${(data.length / 1048576).toFixed(1)} MB), active LOD ${result.activeLOD}`);
+  
+  if (values['add-to-manifest']) {
+    const manifest = await readJSON(manifestPath);
+    manifest.datasets = (manifest.datasets || []).filter(dataset => dataset.id !== id);
+    manifest.datasets.push(manifestEntry);
+    await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Added "${id}" to ${path.relative(process.cwd(), manifestPath)}`);
+  } else {
+    console.log('Manifest entry:');
+    console.log(JSON.stringify(manifestEntry, null, 2));
+  }
+}
+
+main().catch((error) => {
+  console.error(`bake: ${error.message}`);
+  process.exitCode = 1;
+});